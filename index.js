@@ -18,6 +18,7 @@ const rsparser = require('x2node-rsparser');
 
 const DBOFactory = require('./lib/dbo-factory.js');
 const placeholders = require('./lib/placeholders.js');
+const errors = require('./lib/errors.js');
 const ValueExpressionContext = require('./lib/value-expression-context.js');
 const ValueExpression = require('./lib/value-expression.js');
 const filterBuilder = require('./lib/filter-builder.js');
@@ -36,7 +37,8 @@ const orderBuilder = require('./lib/order-builder.js');
  */
 const DRIVERS = {
 	'mysql': require('./lib/driver/mysql-driver.js'),
-	'pg': require('./lib/driver/pg-driver.js')
+	'pg': require('./lib/driver/pg-driver.js'),
+	'sqlite': require('./lib/driver/sqlite-driver.js')
 };
 
 /**
@@ -50,8 +52,9 @@ const DRIVERS = {
  * @param {(string|module:x2node-dbos.DBDriver)} dbDriver Either a built-in
  * database driver name, or a custom database driver implementation. Available
  * built-in drivers include: "mysql" (for
- * {@link https://www.npmjs.com/package/mysql} and compatible others) and "pg"
- * (for {@link https://www.npmjs.com/package/pg}).
+ * {@link https://www.npmjs.com/package/mysql} and compatible others), "pg"
+ * (for {@link https://www.npmjs.com/package/pg}) and "sqlite" (for
+ * {@link https://www.npmjs.com/package/better-sqlite3}).
  * @param {Object.<string,*>} [options] Options. If provided, the options are
  * passed to the DB driver constructor.
  * @returns {module:x2node-dbos~DBOFactory} DBO factory instance.
@@ -83,6 +86,11 @@ exports.createDBOFactory = function(recordTypes, dbDriver, options) {
 // export basic DB driver to allow extending
 exports.BasicDBDriver = require('./lib/driver/basic-driver.js');
 
+// export error classes
+exports.X2LockNotAvailableError = errors.X2LockNotAvailableError;
+exports.X2VersionConflictError = errors.X2VersionConflictError;
+exports.X2DatabaseUnavailableError = errors.X2DatabaseUnavailableError;
+
 // export placeholders functions
 exports.param = placeholders.param;
 exports.isParam = placeholders.isParam;
@@ -135,6 +143,18 @@ exports.extendRecordTypesLibrary = function(ctx, recordTypes) {
 	// save default id generator on the context
 	ctx[DEFAULT_IDGEN] = (recordTypes.definition.defaultIdGenerator || 'auto');
 
+	// validate tenant configuration
+	const tenantDef = recordTypes.definition.tenant;
+	if ((tenantDef !== undefined) && (
+		((typeof tenantDef) !== 'object') || (tenantDef === null) || (
+			(tenantDef.actorProperty !== undefined) && (
+				((typeof tenantDef.actorProperty) !== 'string') ||
+					(tenantDef.actorProperty.length === 0)))))
+		throw new common.X2UsageError(
+			'Invalid tenant attribute of the record types library definition:' +
+				' must be an object with optional non-empty string' +
+				' actorProperty attribute.');
+
 	// return it
 	return recordTypes;
 };
@@ -197,6 +217,20 @@ exports.extendPropertiesContainer = function(ctx, container) {
 			});
 		});
 
+		// find soft delete properties
+		const softDeleteDef = container.definition.softDelete;
+		if (softDeleteDef)
+			ctx.onContainerComplete(container => {
+				processSoftDeleteDef(container, softDeleteDef);
+			});
+
+		// find tenant property
+		const tenantPropName = container.definition.tenantProperty;
+		if (tenantPropName !== undefined)
+			ctx.onContainerComplete(container => {
+				processTenantPropertyDef(container, tenantPropName);
+			});
+
 		// set the super type name symbol on the descriptor
 		const recordTypeName = container.recordTypeName;
 		const superTypeName = Symbol('$' + recordTypeName);
@@ -254,6 +288,43 @@ exports.extendPropertiesContainer = function(ctx, container) {
 		container._table = (
 			container.definition.table || container.recordTypeName);
 
+		// get the record type change history table, if any
+		const historyTable = container.definition.historyTable;
+		if ((historyTable !== undefined) && (
+			((typeof historyTable) !== 'string') || (historyTable.length === 0)))
+			throw new common.X2UsageError(
+				'Record type ' + String(container.recordTypeName) +
+					' has invalid historyTable attribute: must be a non-empty' +
+					' string.');
+		container._historyTable = historyTable;
+
+		// get the record type access filter function, if any
+		const accessFilter = container.definition.accessFilter;
+		if ((accessFilter !== undefined) &&
+			((typeof accessFilter) !== 'function'))
+			throw new common.X2UsageError(
+				'Record type ' + String(container.recordTypeName) +
+					' has invalid accessFilter attribute: must be a function.');
+		container._accessFilter = accessFilter;
+
+		// get the record type outbox table and message function, if any
+		const outboxTable = container.definition.outboxTable;
+		if ((outboxTable !== undefined) && (
+			((typeof outboxTable) !== 'string') || (outboxTable.length === 0)))
+			throw new common.X2UsageError(
+				'Record type ' + String(container.recordTypeName) +
+					' has invalid outboxTable attribute: must be a non-empty' +
+					' string.');
+		const outboxMessage = container.definition.outboxMessage;
+		if ((outboxMessage !== undefined) && (
+			((typeof outboxMessage) !== 'function') || !outboxTable))
+			throw new common.X2UsageError(
+				'Record type ' + String(container.recordTypeName) +
+					' has invalid outboxMessage attribute: must be a function' +
+					' and requires outboxTable attribute.');
+		container._outboxTable = outboxTable;
+		container._outboxMessage = outboxMessage;
+
 		// add properties and methods to the descriptor:
 
 		/**
@@ -276,6 +347,17 @@ exports.extendPropertiesContainer = function(ctx, container) {
 			get() { return this._table; }
 		});
 
+		/**
+		 * Table used to store the record type's change history, if history is
+		 * enabled for the record type.
+		 *
+		 * @member {string=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#historyTable
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'historyTable', {
+			get() { return this._historyTable; }
+		});
+
 		/**
 		 * Get name of the property for the specified record meta-info role.
 		 *
@@ -289,6 +371,75 @@ exports.extendPropertiesContainer = function(ctx, container) {
 		container.getRecordMetaInfoPropName = function(role) {
 			return this._recordMetaInfoPropNames[role];
 		};
+
+		/**
+		 * For a record type with soft delete, name of the property that
+		 * receives the record deletion timestamp.
+		 *
+		 * @member {string=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#softDeletePropName
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'softDeletePropName', {
+			get() { return this._softDeletePropName; }
+		});
+
+		/**
+		 * For a record type with soft delete, name of the property, if any, that
+		 * receives the stamp of the actor that deleted the record.
+		 *
+		 * @member {string=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#softDeleteActorPropName
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'softDeleteActorPropName', {
+			get() { return this._softDeleteActorPropName; }
+		});
+
+		/**
+		 * For a multi-tenant record type, name of the property that stores the
+		 * id of the tenant, to which the record belongs.
+		 *
+		 * @member {string=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#tenantPropName
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'tenantPropName', {
+			get() { return this._tenantPropName; }
+		});
+
+		/**
+		 * Access filter function, if any. The function takes the actor and the
+		 * operation type ("fetch", "update" or "delete") and returns the filter
+		 * specification that limits the records the actor can access.
+		 *
+		 * @member {function=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#accessFilter
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'accessFilter', {
+			get() { return this._accessFilter; }
+		});
+
+		/**
+		 * Table, to which the DBOs append messages about the record type's
+		 * record changes, if the outbox is enabled for the record type.
+		 *
+		 * @member {string=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#outboxTable
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'outboxTable', {
+			get() { return this._outboxTable; }
+		});
+
+		/**
+		 * Function that builds outbox message payload for a record change, if
+		 * custom. The function takes the record change event object and the
+		 * DBO execution context and returns the payload, or <code>null</code>
+		 * to skip the message.
+		 *
+		 * @member {function=} module:x2node-dbos.RecordTypeDescriptorWithDBOs#outboxMessage
+		 * @readonly
+		 */
+		Object.defineProperty(container, 'outboxMessage', {
+			get() { return this._outboxMessage; }
+		});
 	}
 
 	// complete polymorphic object container descriptor
@@ -305,6 +456,79 @@ exports.extendPropertiesContainer = function(ctx, container) {
 	return container;
 };
 
+/**
+ * Process soft delete attribute of a record type definition and save the soft
+ * delete property names on the record type descriptor.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} softDeleteDef The soft delete attribute value.
+ * @throws {module:x2node-common.X2UsageError} If the definition is invalid.
+ */
+function processSoftDeleteDef(recordTypeDesc, softDeleteDef) {
+
+	const invalidDef = msg => new common.X2UsageError(
+		'Record type ' + String(recordTypeDesc.recordTypeName) +
+			' has invalid softDelete attribute: ' + msg);
+
+	const getPropName = (attrName, valueType) => {
+		const propName = softDeleteDef[attrName];
+		if (!recordTypeDesc.hasProperty(propName))
+			throw invalidDef(`${attrName} is not a property of the record type.`);
+		const propDesc = recordTypeDesc.getPropertyDesc(propName);
+		if (!propDesc.isScalar() || (propDesc.scalarValueType !== valueType) ||
+			!propDesc.optional || !propDesc.column || propDesc.table ||
+			propDesc.isRecordMetaInfo())
+			throw invalidDef(
+				`${attrName} must be an optional scalar ${valueType} property` +
+					' stored in the record type table, which is not a' +
+					' record meta-info property.');
+		return propName;
+	};
+
+	if (((typeof softDeleteDef) !== 'object') || !softDeleteDef.property)
+		throw invalidDef('must be an object with a property attribute.');
+	recordTypeDesc._softDeletePropName = getPropName('property', 'datetime');
+	if (softDeleteDef.actorProperty !== undefined)
+		recordTypeDesc._softDeleteActorPropName = getPropName(
+			'actorProperty', 'string');
+}
+
+/**
+ * Process tenant property attribute of a record type definition and save the
+ * tenant property name on the record type descriptor.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {string} propName The tenant property attribute value.
+ * @throws {module:x2node-common.X2UsageError} If the definition is invalid.
+ */
+function processTenantPropertyDef(recordTypeDesc, propName) {
+
+	const invalidDef = msg => new common.X2UsageError(
+		'Record type ' + String(recordTypeDesc.recordTypeName) +
+			' has invalid tenantProperty attribute: ' + msg);
+
+	if (((typeof propName) !== 'string') ||
+		!recordTypeDesc.hasProperty(propName))
+		throw invalidDef('not a property of the record type.');
+	const propDesc = recordTypeDesc.getPropertyDesc(propName);
+	if (!propDesc.isScalar() || propDesc.isRef() ||
+		((propDesc.scalarValueType !== 'string') &&
+			(propDesc.scalarValueType !== 'number')) ||
+		propDesc.optional || propDesc.modifiable || !propDesc.column ||
+		propDesc.table || propDesc.isId() || propDesc.isCalculated() ||
+		propDesc.isGenerated() || propDesc.isRecordMetaInfo())
+		throw invalidDef(
+			'must be a required, non-modifiable scalar string or number' +
+				' property stored in the record type table, which is not the' +
+				' record id, generated or a record meta-info property.');
+
+	recordTypeDesc._tenantPropName = propName;
+}
+
 /**
  * DBOs module specific
  * [PropertyDescriptor]{@link module:x2node-records~PropertyDescriptor}
@@ -461,6 +685,16 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 
 			// get the storage column
 			propDesc._column = (propDef.column || propDesc.name);
+
+			// get the previous column name hint for schema migrations
+			if (propDef.previousColumn !== undefined) {
+				if (((typeof propDef.previousColumn) !== 'string') ||
+					(propDef.previousColumn === propDesc._column))
+					throw invalidPropDef(
+						propDesc, 'previousColumn attribute must be a string' +
+							' different from the column name.');
+				propDesc._previousColumn = propDef.previousColumn;
+			}
 		}
 
 		// get table and parent id column
@@ -1035,6 +1269,18 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 		get() { return this._column; }
 	});
 
+	/**
+	 * Name of the database column that used to store the property value in the
+	 * previous version of the database schema, if the column was renamed. Used
+	 * only for schema migrations.
+	 *
+	 * @member {string=} module:x2node-dbos.PropertyDescriptorWithDBOs#previousColumn
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'previousColumn', {
+		get() { return this._previousColumn; }
+	});
+
 	/**
 	 * Name of the database table used to store the property value, or
 	 * <code>undefined</code> if the property is calculated, a dependent
@@ -3,9 +3,29 @@
 const common = require('x2node-common');
 const rsparser = require('x2node-rsparser');
 
+const placeholders = require('./placeholders.js');
 const selectQueryBuilder = require('./select-query-builder.js');
 
 
+/**
+ * Name of the reserved filter parameter that receives the id of the tenant, on
+ * behalf of which the DBO is executed.
+ *
+ * @private
+ * @constant {string}
+ */
+const TENANT_PARAM = 'ctx.tenant';
+
+/**
+ * Name of the event emitted by the DBO factory for every committed record
+ * change.
+ *
+ * @private
+ * @constant {string}
+ */
+const RECORD_CHANGE_EVENT = 'recordChange';
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // FILTER PARAMETERS HANDLER
 /////////////////////////////////////////////////////////////////////////////////
@@ -14,7 +34,8 @@ const selectQueryBuilder = require('./select-query-builder.js');
  * Filter parameters handler used by a DBO. Any DBO that acts on a filtered set
  * of records (all except the insert) use a filter parameters handler to replace
  * parameter references in the SQL statements with the values provided to the DBO
- * execution method.
+ * execution method. If the database driver supports it, the values are bound to
+ * the statement parameters instead of being included in the statement text.
  *
  * @protected
  * @memberof module:x2node-dbos
@@ -45,6 +66,10 @@ class FilterParamsHandler {
 	 */
 	addParam(paramName, valueFunc) {
 
+		// tenant parameter is provided by the execution context
+		if (paramName === TENANT_PARAM)
+			return '?{' + TENANT_PARAM + '}';
+
 		const paramRef = String(this._nextParamRef++);
 
 		this._params.set(paramRef, {
@@ -55,6 +80,48 @@ class FilterParamsHandler {
 		return '?{' + paramRef + '}';
 	}
 
+	/**
+	 * Add parameter with a value known at the time the DBO is built, such as a
+	 * value of a record property being saved.
+	 *
+	 * @param {*} val The value: a string, a number, a Boolean or a
+	 * <code>Date</code>.
+	 * @returns {string} Parameter placeholder to include in the SQL in the
+	 * form of "?{ref}", where "ref" is the parameter reference assigned by the
+	 * handler.
+	 */
+	addValue(val) {
+
+		const paramRef = String(this._nextParamRef++);
+
+		this._params.set(paramRef, {
+			value: val
+		});
+
+		return '?{' + paramRef + '}';
+	}
+
+	/**
+	 * Add parameter for a constant value included in a filter specification.
+	 * The value is validated when the parameter is added.
+	 *
+	 * @param {module:x2node-dbos.DBDriver} dbDriver DB driver.
+	 * @param {*} val The value from the filter specification.
+	 * @param {function} [valueFunc] Optional function that given the value
+	 * returns the ES literal for the value to include in the database
+	 * statement (see <code>addParam</code> method).
+	 * @returns {string} Parameter placeholder to include in the SQL in the
+	 * form of "?{ref}", where "ref" is the parameter reference assigned by the
+	 * handler.
+	 * @throws {module:x2node-common.X2UsageError} If the value is invalid.
+	 */
+	addLiteral(dbDriver, val, valueFunc) {
+
+		this.paramValueToSql(dbDriver, val, valueFunc);
+
+		return this.addValue(valueFunc ? valueFunc(val) : val);
+	}
+
 	/**
 	 * Get parameter value SQL expression.
 	 *
@@ -63,10 +130,13 @@ class FilterParamsHandler {
 	 * @param {function} valueFunc Parameter value function (see
 	 * <code>addParam</code> method).
 	 * @param {string} paramName Parameter name (for error reporting only).
+	 * @param {Array} [params] Statement parameter values. If provided and the
+	 * DB driver supports bound parameters, the value is added to the array and
+	 * the parameter placeholder is returned instead of the value literal.
 	 * @returns {string} Parameter value SQL expression to include in the
 	 * database statement.
 	 */
-	paramValueToSql(dbDriver, paramValue, valueFunc, paramName) {
+	paramValueToSql(dbDriver, paramValue, valueFunc, paramName, params) {
 
 		const invalid = () => new common.X2UsageError(
 			'Invalid ' + (paramName ? '"' + paramName + '"' : '') +
@@ -84,6 +154,14 @@ class FilterParamsHandler {
 			preSql = paramValue;
 		}
 
+		if (params && dbDriver.bindParam) {
+			const sql = (
+				preSql === null ? null : dbDriver.bindParam(params, preSql));
+			if (sql === null)
+				throw invalid();
+			return sql;
+		}
+
 		const sql = dbDriver.sql(preSql);
 		if ((sql === null) || (sql === 'NULL'))
 			throw invalid();
@@ -98,21 +176,26 @@ class FilterParamsHandler {
 	 * @param {Object.<string,*>} filterParams Parameters provided with the DBO
 	 * execution call. Will throw error if not provided.
 	 * @param {string} paramRef Parameter reference from the SQL.
+	 * @param {Array} [params] Statement parameter values, to which to add the
+	 * parameter value if the DB driver supports bound parameters.
 	 * @returns {string} Parameter value SQL expression to include in the
 	 * database statement.
 	 * @throws {module:x2node-common.X2UsageError} If no value for the specified
 	 * parameter reference.
 	 */
-	paramSql(dbDriver, filterParams, paramRef) {
+	paramSql(dbDriver, filterParams, paramRef, params) {
 
 		const ref = this._params.get(paramRef);
+		if (ref && (ref.value !== undefined))
+			return this.paramValueToSql(dbDriver, ref.value, null, null, params);
+
 		const filterParam = (ref && filterParams && filterParams[ref.name]);
 		if (filterParam === undefined)
 			throw new common.X2UsageError(
 				`Missing filter parameter "${ref.name}".`);
 
 		const process = v => this.paramValueToSql(
-			dbDriver, v, ref.valueFunc, ref.name);
+			dbDriver, v, ref.valueFunc, ref.name, params);
 		return (
 			Array.isArray(filterParam) ?
 				filterParam.map(v => process(v)).join(', ') :
@@ -167,8 +250,9 @@ class ExecuteStatementCommand {
 			() => new Promise((resolve, reject) => {
 				let sql;
 				try {
-					sql = ctx.replaceParams(stmt);
-					ctx.log(`executing SQL: ${sql}`);
+					const params = new Array();
+					sql = ctx.replaceParams(stmt, params);
+					ctx.logStatement(sql, params);
 					ctx.dbDriver.executeUpdate(
 						ctx.connection, sql, {
 							onSuccess(affectedRows) {
@@ -180,7 +264,7 @@ class ExecuteStatementCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						}
+						}, params
 					);
 				} catch (err) {
 					common.error(`error executing SQL [${sql || stmt}]`, err);
@@ -192,6 +276,68 @@ class ExecuteStatementCommand {
 	}
 }
 
+/**
+ * Command that wraps another command and limits the time the wrapped command
+ * waits for row locks. The default lock wait timeout is restored after the
+ * wrapped command completes, successfully or not.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class LockTimeoutCommand {
+
+	constructor(command, setTimeoutStmt, resetTimeoutStmt) {
+
+		this._command = command;
+		this._setTimeoutStmt = setTimeoutStmt;
+		this._resetTimeoutStmt = resetTimeoutStmt;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		const execute = sql => new Promise((resolve, reject) => {
+			try {
+				ctx.logStatement(sql);
+				ctx.dbDriver.executeUpdate(
+					ctx.connection, sql, {
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${sql}]`, err);
+							reject(err);
+						}
+					}
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${sql}]`, err);
+				reject(err);
+			}
+		});
+
+		let timeoutSet = false;
+		return this._command.queueUp(
+			promiseChain.then(() => execute(this._setTimeoutStmt).then(() => {
+				timeoutSet = true;
+			})),
+			ctx
+		).then(
+			() => execute(this._resetTimeoutStmt),
+			err => (
+				timeoutSet ?
+					execute(this._resetTimeoutStmt).then(
+						() => Promise.reject(err),
+						() => Promise.reject(err)
+					) :
+					Promise.reject(err)
+			)
+		);
+	}
+}
+
 /**
  * Index for the next anchor table name.
  *
@@ -228,10 +374,11 @@ class LoadAnchorTableCommand {
 			() => new Promise((resolve, reject) => {
 				try {
 					let lastSql;
+					const params = new Array();
 					ctx.dbDriver.selectIntoAnchorTable(
 						ctx.connection, cmd._anchorTableName,
 						cmd._topTableName, cmd._idColumnName, cmd._idExpr,
-						ctx.replaceParams(cmd._statementStump), {
+						ctx.replaceParams(cmd._statementStump, params), {
 							trace(sql) {
 								lastSql = sql;
 								ctx.log(`executing SQL: ${sql}`);
@@ -247,7 +394,7 @@ class LoadAnchorTableCommand {
 									`error executing SQL [${lastSql}]`, err);
 								reject(err);
 							}
-						}
+						}, params
 					);
 				} catch (err) {
 					common.error('error loading anchor table', err);
@@ -418,8 +565,9 @@ class InsertCommand {
 			() => new Promise((resolve, reject) => {
 				let sql;
 				try {
-					sql = ctx.replaceParams(stmt);
-					ctx.log(`executing SQL: ${sql}`);
+					const params = new Array();
+					sql = ctx.replaceParams(stmt, params);
+					ctx.logStatement(sql, params);
 					ctx.dbDriver.executeInsert(
 						ctx.connection, sql, {
 							onSuccess() {
@@ -430,7 +578,7 @@ class InsertCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						});
+						}, undefined, params);
 				} catch (err) {
 					common.error(`error executing SQL [${sql || stmt}]`, err);
 					reject(err);
@@ -496,8 +644,9 @@ class InsertWithGeneratedIdCommand extends InsertCommand {
 			() => new Promise((resolve, reject) => {
 				let sql;
 				try {
-					sql = ctx.replaceParams(stmt);
-					ctx.log(`executing SQL: ${sql}`);
+					const params = new Array();
+					sql = ctx.replaceParams(stmt, params);
+					ctx.logStatement(sql, params);
 					ctx.dbDriver.executeInsert(
 						ctx.connection, sql, {
 							onSuccess(rawId) {
@@ -512,7 +661,7 @@ class InsertWithGeneratedIdCommand extends InsertCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						}, propDesc.column);
+						}, propDesc.column, params);
 				} catch (err) {
 					common.error(`error executing SQL [${sql || stmt}]`, err);
 					reject(err);
@@ -523,6 +672,192 @@ class InsertWithGeneratedIdCommand extends InsertCommand {
 	}
 }
 
+/**
+ * Maximum number of rows inserted by a single multi-row <code>INSERT</code>
+ * statement.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_INSERT_ROWS = 1000;
+
+/**
+ * Maximum number of bound parameters in a single multi-row
+ * <code>INSERT</code> statement. The limit is chosen to be acceptable by all
+ * supported databases.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_INSERT_PARAMS = 999;
+
+/**
+ * Bulk insert command. Inserts multiple records using multi-row
+ * <code>INSERT</code> statements. The command takes sequences of insert
+ * commands built for each record individually. When executed, the command
+ * first executes all the property generators and assigned id commands for each
+ * record, after which it executes the inserts in rounds. In each round, all
+ * inserts that do not depend on a not yet generated id are grouped by the table
+ * and the columns and each group is executed as a multi-row statement. The
+ * command requires the DBO execution context to have
+ * <code>selectRecord(recordInd)</code> method, which switches the context's
+ * generated parameters to the ones of the specified record.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class BulkInsertCommand {
+
+	/**
+	 * Create new command.
+	 *
+	 * @param {Array.<Array.<module:x2node-dbos.DBOCommand>>} recordsCommands
+	 * Insert command sequences for each record.
+	 */
+	constructor(recordsCommands) {
+
+		this._recordsCommands = recordsCommands;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		// execute generators and split the inserts
+		const recordsInserts = new Array();
+		this._recordsCommands.forEach((commands, recordInd) => {
+			const inserts = new Array();
+			for (let command of commands) {
+				if (command instanceof InsertCommand) {
+					inserts.push(command);
+				} else {
+					promiseChain = command.queueUp(
+						promiseChain.then(() => { ctx.selectRecord(recordInd); }),
+						ctx);
+				}
+			}
+			recordsInserts.push(inserts);
+		});
+
+		// execute the inserts in rounds
+		const executeRound = () => {
+
+			// collect ready inserts and group them
+			const groups = new Map();
+			let numPending = 0;
+			recordsInserts.forEach((inserts, recordInd) => {
+				let numReady = 0;
+				for (let insert of inserts) {
+					numReady++;
+					const groupKey = insert._table + '(' +
+						insert._columns.join(', ') + ')' + (
+							insert instanceof InsertWithGeneratedIdCommand ?
+								':' + insert._propDesc.column : '');
+					let group = groups.get(groupKey);
+					if (!group)
+						groups.set(groupKey, (group = new Array()));
+					group.push({ recordInd: recordInd, insert: insert });
+					if (insert instanceof InsertWithGeneratedIdCommand)
+						break;
+				}
+				inserts.splice(0, numReady);
+				numPending += inserts.length;
+			});
+
+			// execute the groups
+			let roundChain = Promise.resolve();
+			for (let group of groups.values())
+				roundChain = this._queueUpGroup(roundChain, ctx, group);
+
+			// proceed to the next round if more inserts left
+			return (
+				numPending > 0 ? roundChain.then(executeRound) : roundChain);
+		};
+
+		return promiseChain.then(executeRound, err => Promise.reject(err));
+	}
+
+	/**
+	 * Add execution of multi-row insert statements for a group of inserts into
+	 * the same table with the same columns to the chain.
+	 *
+	 * @private
+	 * @param {Promise} promiseChain The promise chain.
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx The operation
+	 * execution context.
+	 * @param {Array.<Object>} group The rows, each with the record index and
+	 * the insert command.
+	 * @returns {Promise} The promise chain.
+	 */
+	_queueUpGroup(promiseChain, ctx, group) {
+
+		const firstInsert = group[0].insert;
+		const idPropDesc = (
+			firstInsert instanceof InsertWithGeneratedIdCommand ?
+				firstInsert._propDesc : null);
+		const maxRows = (
+			!idPropDesc || ctx.dbDriver.supportsMultiRowInsertIds() ?
+				MAX_INSERT_ROWS : 1);
+		const stmtStump = 'INSERT INTO ' + firstInsert._table + ' (' +
+			firstInsert._columns.join(', ') + ') VALUES ';
+
+		let rowInd = 0;
+		const executeStatement = () => new Promise((resolve, reject) => {
+			let sql;
+			try {
+
+				// build the statement
+				const params = new Array();
+				const rows = new Array();
+				const tuples = new Array();
+				while ((rowInd < group.length) && (rows.length < maxRows) && (
+					(rows.length === 0) ||
+						(params.length + firstInsert._values.length <=
+							MAX_INSERT_PARAMS))) {
+					const row = group[rowInd++];
+					ctx.selectRecord(row.recordInd);
+					tuples.push(ctx.replaceParams(
+						'(' + row.insert._values.join(', ') + ')', params));
+					rows.push(row);
+				}
+				sql = stmtStump + tuples.join(', ');
+
+				// execute the statement
+				ctx.logStatement(sql, params);
+				ctx.dbDriver.executeInsertRows(
+					ctx.connection, sql, {
+						onSuccess(rawIds) {
+							if (idPropDesc) {
+								const propPath =
+									idPropDesc.container.nestedPath +
+									idPropDesc.name;
+								rows.forEach((row, i) => {
+									const id = rsparser.extractValue(
+										idPropDesc.scalarValueType, rawIds[i]);
+									row.insert._obj[idPropDesc.name] = id;
+									ctx.selectRecord(row.recordInd);
+									ctx.addGeneratedParam(propPath, id);
+								});
+							}
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${sql}]`, err);
+							reject(err);
+						}
+					}, (idPropDesc ? idPropDesc.column : undefined), params);
+
+			} catch (err) {
+				common.error(`error executing SQL [${sql || stmtStump}]`, err);
+				reject(err);
+			}
+		}).then(() => (rowInd < group.length ? executeStatement() : undefined));
+
+		return promiseChain.then(executeStatement);
+	}
+}
+
 /**
  * Update entangled records command executed at the end of the DBO. When
  * executed, the command takes the updated entangled records information from the
@@ -580,10 +915,10 @@ class UpdateEntangledRecordsCommand {
 							s => `${s.columnName} = ${s.value}`).join(', ') +
 						' WHERE ' + (
 							ids.size === 1 ?
-								idColumn + ' = ' + ctx.dbDriver.sql(
+								idColumn + ' = ' + ctx.addValue(
 									ids.values().next().value) :
 								idColumn + ' IN (' + Array.from(ids).map(
-									v => ctx.dbDriver.sql(v)).join(', ') + ')'
+									v => ctx.addValue(v)).join(', ') + ')'
 						);
 
 					// queue up UPDATE statement execution
@@ -591,8 +926,9 @@ class UpdateEntangledRecordsCommand {
 						() => new Promise((resolve, reject) => {
 							let sql;
 							try {
-								sql = ctx.replaceParams(stmt);
-								ctx.log(`executing SQL: ${sql}`);
+								const params = new Array();
+								sql = ctx.replaceParams(stmt, params);
+								ctx.logStatement(sql, params);
 								ctx.dbDriver.executeUpdate(ctx.connection, sql, {
 									onSuccess() {
 										resolve();
@@ -602,7 +938,7 @@ class UpdateEntangledRecordsCommand {
 											`error executing SQL [${sql}]`, err);
 										reject(err);
 									}
-								});
+								}, params);
 							} catch (err) {
 								common.error(
 									`error executing SQL [${sql || stmt}]`, err);
@@ -621,6 +957,391 @@ class UpdateEntangledRecordsCommand {
 	}
 }
 
+/**
+ * Command that writes entries into the record type's change history table, one
+ * entry per affected record. The entries are provided by a function called
+ * when the command is executed.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class WriteHistoryCommand {
+
+	/**
+	 * Create new command.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 * @param {string} operation Operation type: "insert", "update" or
+	 * "delete".
+	 * @param {function} getEntries Function that receives the DBO execution
+	 * context and returns an array of objects, each with
+	 * <code>recordId</code> and <code>data</code> properties, where the data
+	 * is either the full record image or the applied JSON patch.
+	 */
+	constructor(recordTypeDesc, operation, getEntries) {
+
+		this._table = recordTypeDesc.historyTable;
+		this._operation = operation;
+		this._getEntries = getEntries;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return promiseChain.then(
+			() => {
+				let resPromise = Promise.resolve();
+				for (let entry of this._getEntries(ctx))
+					resPromise = resPromise.then(
+						() => this._writeEntry(ctx, entry));
+				return resPromise;
+			},
+			err => Promise.reject(err)
+		);
+	}
+
+	/**
+	 * Insert history entry.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution
+	 * context.
+	 * @param {Object} entry The entry with <code>recordId</code> and
+	 * <code>data</code>.
+	 * @returns {Promise} Promise of the insert completion.
+	 */
+	_writeEntry(ctx, entry) {
+
+		return new Promise((resolve, reject) => {
+			let sql;
+			try {
+				const dbDriver = ctx.dbDriver;
+				const params = new Array();
+				const valueSql = val => (
+					dbDriver.bindParam ?
+						dbDriver.bindParam(params, val) : dbDriver.sql(val));
+				sql = 'INSERT INTO ' + this._table +
+					' (record_id, executed_on, actor, operation, data)' +
+					' VALUES (' + [
+						entry.recordId,
+						ctx.executedOn,
+						(ctx.actor ? ctx.actor.stamp : null),
+						this._operation,
+						JSON.stringify(entry.data)
+					].map(valueSql).join(', ') + ')';
+				ctx.logStatement(sql, params);
+				dbDriver.executeInsert(
+					ctx.connection, sql, {
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(
+								`error executing SQL [${sql}]`, err);
+							reject(err);
+						}
+					}, undefined, params);
+			} catch (err) {
+				common.error(`error executing SQL [${sql}]`, err);
+				reject(err);
+			}
+		});
+	}
+}
+
+/**
+ * Command that makes sure that all records referred by the records being saved
+ * belong to the tenant, on behalf of which the DBO is executed.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class CheckTenantRefsCommand {
+
+	/**
+	 * Create new command.
+	 *
+	 * @param {function} getRefs Function that receives the DBO execution
+	 * context and returns an object with the referred record ids sets by
+	 * referred multi-tenant record type names.
+	 */
+	constructor(getRefs) {
+
+		this._getRefs = getRefs;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return promiseChain.then(
+			() => {
+				const refs = this._getRefs(ctx);
+				let resPromise = Promise.resolve();
+				for (let recordTypeName in refs) {
+					const ids = refs[recordTypeName];
+					if (ids.size > 0)
+						resPromise = resPromise.then(
+							() => this._checkRefs(
+								ctx, ctx.recordTypes.getRecordTypeDesc(
+									recordTypeName), ids));
+				}
+				return resPromise;
+			},
+			err => Promise.reject(err)
+		);
+	}
+
+	/**
+	 * Check that all referred records of the specified record type belong to
+	 * the tenant.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution
+	 * context.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Referred record type descriptor.
+	 * @param {Set.<(string|number)>} ids Referred record ids.
+	 * @returns {Promise} Promise of the check completion, rejected with
+	 * <code>X2UsageError</code> if any of the referred records does not exist
+	 * or belongs to another tenant.
+	 */
+	_checkRefs(ctx, recordTypeDesc, ids) {
+
+		return new Promise((resolve, reject) => {
+			let sql;
+			try {
+				const dbDriver = ctx.dbDriver;
+				const params = new Array();
+				const valueSql = val => (
+					dbDriver.bindParam ?
+						dbDriver.bindParam(params, val) : dbDriver.sql(val));
+				const idColumn = recordTypeDesc.getPropertyDesc(
+					recordTypeDesc.idPropertyName).column;
+				sql = `SELECT ${idColumn} FROM ${recordTypeDesc.table}` +
+					` WHERE ${idColumn} IN (` +
+					Array.from(ids).map(valueSql).join(', ') + ') AND ' +
+					recordTypeDesc.getPropertyDesc(
+						recordTypeDesc.tenantPropName).column + ' = ' +
+					ctx.getParamSql(TENANT_PARAM, params);
+				let numFound = 0;
+				ctx.logStatement(sql, params);
+				dbDriver.executeQuery(
+					ctx.connection, sql, {
+						onRow() {
+							numFound++;
+						},
+						onSuccess() {
+							if (numFound < ids.size)
+								return reject(new common.X2UsageError(
+									'Record refers to ' + recordTypeDesc.name +
+										' records that do not exist or' +
+										' belong to another tenant.'));
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${sql}]`, err);
+							reject(err);
+						}
+					}, params);
+			} catch (err) {
+				common.error(`error executing SQL [${sql}]`, err);
+				reject(err);
+			}
+		});
+	}
+}
+
+/**
+ * Command that processes changes made by the DBO to the records: appends
+ * messages about the changes to the record type's outbox table, if any, and
+ * registers a listener for the transaction "commit" event, which emits record
+ * change events. The affected records are provided by a function called when
+ * the command is executed.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class ProcessRecordChangesCommand {
+
+	/**
+	 * Create new command.
+	 *
+	 * @param {external:EventEmitter} [emitter] The record change events
+	 * emitter.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 * @param {string} operation Operation type: "insert", "update" or
+	 * "delete".
+	 * @param {function} getChanges Function that receives the DBO execution
+	 * context and returns an array of objects, each with
+	 * <code>recordId</code> and, for updates, <code>patch</code> properties.
+	 */
+	constructor(emitter, recordTypeDesc, operation, getChanges) {
+
+		this._emitter = emitter;
+		this._recordTypeName = recordTypeDesc.name;
+		this._outboxTable = recordTypeDesc.outboxTable;
+		this._outboxMessage = recordTypeDesc.outboxMessage;
+		this._operation = operation;
+		this._getChanges = getChanges;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		if (!this._emitter && !this._outboxTable)
+			return promiseChain;
+
+		return promiseChain.then(
+			() => {
+				if (!ctx.recordChangesRequested)
+					return;
+				const events = this._getChanges(ctx).map(change => {
+					const event = {
+						recordTypeName: this._recordTypeName,
+						recordId: change.recordId,
+						operation: this._operation,
+						actor: ctx.actor,
+						executedOn: ctx.executedOn
+					};
+					if (change.patch)
+						event.patch = change.patch;
+					return event;
+				});
+				if (events.length === 0)
+					return;
+				if (this._outboxTable)
+					this._addOutboxMessages(ctx, events);
+				if (this._emitter &&
+					(this._emitter.listenerCount(RECORD_CHANGE_EVENT) > 0))
+					ctx.transaction.on('commit', () => {
+						for (let event of events) {
+							try {
+								this._emitter.emit(RECORD_CHANGE_EVENT, event);
+							} catch (err) {
+								common.error(
+									'error in record change event listener' +
+										' (ignoring it)', err);
+							}
+						}
+					});
+			},
+			err => Promise.reject(err)
+		);
+	}
+
+	/**
+	 * Add outbox messages for the record changes to the context.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution
+	 * context.
+	 * @param {Array.<module:x2node-dbos~DBOFactory~RecordChangeEvent>} events
+	 * The record changes.
+	 */
+	_addOutboxMessages(ctx, events) {
+
+		for (let event of events) {
+			let payload;
+			if (this._outboxMessage) {
+				payload = this._outboxMessage(event, ctx);
+			} else {
+				payload = {
+					recordTypeName: event.recordTypeName,
+					recordId: event.recordId,
+					operation: event.operation,
+					actor: (event.actor ? event.actor.stamp : null),
+					executedOn: event.executedOn.toISOString()
+				};
+				if (event.patch)
+					payload.patch = event.patch;
+			}
+			if ((payload !== undefined) && (payload !== null))
+				ctx.addOutboxMessage(
+					this._outboxTable, this._recordTypeName, payload);
+		}
+	}
+}
+
+/**
+ * Command that writes outbox messages added to the execution context into the
+ * outbox tables.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class WriteOutboxCommand {
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return promiseChain.then(
+			() => {
+				let resPromise = Promise.resolve();
+				for (let message of ctx.takeOutboxMessages())
+					resPromise = resPromise.then(
+						() => this._writeMessage(ctx, message));
+				return resPromise;
+			},
+			err => Promise.reject(err)
+		);
+	}
+
+	/**
+	 * Insert outbox message.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution
+	 * context.
+	 * @param {Object} message The message with <code>table</code>,
+	 * <code>topic</code> and <code>payload</code>.
+	 * @returns {Promise} Promise of the insert completion.
+	 */
+	_writeMessage(ctx, message) {
+
+		return new Promise((resolve, reject) => {
+			let sql;
+			try {
+				const dbDriver = ctx.dbDriver;
+				const params = new Array();
+				const valueSql = val => (
+					dbDriver.bindParam ?
+						dbDriver.bindParam(params, val) : dbDriver.sql(val));
+				sql = 'INSERT INTO ' + message.table +
+					' (created_on, topic, payload) VALUES (' + [
+						ctx.executedOn,
+						message.topic,
+						JSON.stringify(message.payload)
+					].map(valueSql).join(', ') + ')';
+				ctx.logStatement(sql, params);
+				dbDriver.executeInsert(
+					ctx.connection, sql, {
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(
+								`error executing SQL [${sql}]`, err);
+							reject(err);
+						}
+					}, undefined, params);
+			} catch (err) {
+				common.error(`error executing SQL [${sql}]`, err);
+				reject(err);
+			}
+		});
+	}
+}
+
 /**
  * Symbol used to store a set on the transaction that keeps track of modification
  * of what record collections has been already reported to the monitor during
@@ -725,6 +1446,27 @@ function getModificationMetaInfoSets(sets, recordTypeDesc, tableAlias) {
 	return sets;
 }
 
+/**
+ * Add test that limits matched records to the records of the tenant, on behalf
+ * of which the DBO is executed, to the filter specification, if the record type
+ * is multi-tenant.
+ *
+ * @function module:x2node-dbos~AbstractDBO.addTenantFilter
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Array.<Array>} [filterSpec] Original filter specification, if any.
+ * @returns {Array.<Array>} Filter specification with the tenant test added, or
+ * the original filter specification if the record type is not multi-tenant.
+ */
+function addTenantFilter(recordTypeDesc, filterSpec) {
+
+	if (!recordTypeDesc.tenantPropName)
+		return filterSpec;
+
+	return (filterSpec || []).concat([ [
+		recordTypeDesc.tenantPropName, placeholders.param(TENANT_PARAM) ] ]);
+}
+
 /**
  * Abstract database operation implementation.
  *
@@ -744,8 +1486,10 @@ class AbstractDBO {
 	 * library.
 	 * @param {module:x2node-dbos.RecordCollectionsMonitor} [rcMonitor] The
 	 * record collections monitor.
+	 * @param {external:EventEmitter} [changeEmitter] Emitter of the record
+	 * change events.
 	 */
-	constructor(dbDriver, recordTypes, rcMonitor) {
+	constructor(dbDriver, recordTypes, rcMonitor, changeEmitter) {
 
 		/**
 		 * Database driver.
@@ -766,6 +1510,14 @@ class AbstractDBO {
 		this._rcMonitor = rcMonitor;
 		this._updatedRecordTypeNames = (rcMonitor ? new Set() : null);
 
+		/**
+		 * Emitter of the record change events, if any.
+		 *
+		 * @protected
+		 * @member {external:EventEmitter} module:x2node-dbos~AbstractDBO#_changeEmitter
+		 */
+		this._changeEmitter = changeEmitter;
+
 		/**
 		 * Debug logger.
 		 *
@@ -803,6 +1555,12 @@ class AbstractDBO {
 		return getModificationMetaInfoSets(sets, recordTypeDesc, tableAlias);
 	}
 
+	// make it a static class function so it gets exported
+	static addTenantFilter(recordTypeDesc, filterSpec) {
+
+		return addTenantFilter(recordTypeDesc, filterSpec);
+	}
+
 	/**
 	 * Build a DBO command that simply executes the specified SQL statement. The
 	 * command also calls context's
@@ -834,9 +1592,11 @@ class AbstractDBO {
 	 * @param {?module:x2node-dbos~RecordsRange} [range] Optional range for the
 	 * ids <code>SELECT</code> query.
 	 * @param {?string} [lockType] Optional lock type: "exclusive" or "shared".
+	 * @param {string} [lockWait] Optional lock wait mode: "skip" or "nowait".
 	 * @returns {module:x2node-dbos.DBOCommand} The command.
 	 */
-	_createLoadAnchorTableCommand(idsQueryTree, filter, order, range, lockType) {
+	_createLoadAnchorTableCommand(
+		idsQueryTree, filter, order, range, lockType, lockWait) {
 
 		const idsQuery = this._assembleSelect(idsQueryTree, filter, order);
 
@@ -850,9 +1610,10 @@ class AbstractDBO {
 			const exclusiveLockTables = new Array();
 			const sharedLockTables = new Array();
 			idsQuery.getTablesForLock(
-				lockType, exclusiveLockTables, sharedLockTables);
+				lockType, exclusiveLockTables, sharedLockTables,
+				!this._dbDriver.supportsRowLocksWithOuterJoins());
 			idsQuerySql = this._dbDriver.makeSelectWithLocks(
-				idsQuerySql, exclusiveLockTables, sharedLockTables);
+				idsQuerySql, exclusiveLockTables, sharedLockTables, lockWait);
 		}
 
 		return new LoadAnchorTableCommand(
@@ -860,6 +1621,27 @@ class AbstractDBO {
 			idsQuery.getIdValueExpr(), idsQuerySql);
 	}
 
+	/**
+	 * Wrap the specified command so that it waits for row locks no longer than
+	 * the specified timeout.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBOCommand} command The command to wrap.
+	 * @param {number} timeout The lock wait timeout in milliseconds.
+	 * @returns {module:x2node-dbos.DBOCommand} The wrapping command, or the
+	 * provided command itself if the database driver does not support lock wait
+	 * timeouts.
+	 */
+	_createLockTimeoutCommand(command, timeout) {
+
+		const setTimeoutStmt = this._dbDriver.buildSetLockTimeout(timeout);
+		if (!setTimeoutStmt)
+			return command;
+
+		return new LockTimeoutCommand(
+			command, setTimeoutStmt, this._dbDriver.buildResetLockTimeout());
+	}
+
 	/**
 	 * Assemble a <code>SELECT</code> query.
 	 *
@@ -897,10 +1679,13 @@ class AbstractDBO {
 	 * @param {module:x2node-records~PropertiesContainer} container Top container
 	 * for the table.
 	 * @param {Object} data Object matching the container.
+	 * @param {Object} [valuesHandler] Object with <code>addValue(val)</code>
+	 * method used to bind the values to the statements (see
+	 * [_makePropValSql()]{@link module:x2node-dbos~AbstractDBO#_makePropValSql}).
 	 */
 	_createInsertCommands(
 		commands, table, parentIdColumn, parentIdPropPath, colPropDesc, keyVal,
-		container, data) {
+		container, data, valuesHandler) {
 
 		// create insert command
 		let insertCmd, idPropPath;
@@ -939,7 +1724,8 @@ class AbstractDBO {
 		// add map key column
 		if (colPropDesc && colPropDesc.isMap() && colPropDesc.keyColumn)
 			insertCmd.add(
-				colPropDesc.keyColumn, this._makeMapKeySql(colPropDesc, keyVal));
+				colPropDesc.keyColumn,
+				this._makeMapKeySql(colPropDesc, keyVal, valuesHandler));
 
 		// add record meta-info properties
 		if (container.isRecordType()) {
@@ -963,11 +1749,18 @@ class AbstractDBO {
 					'?{ctx.actor}'
 				);
 			}
+			propName = container.tenantPropName;
+			if (propName)
+				insertCmd.add(
+					container.getPropertyDesc(propName).column,
+					'?{' + TENANT_PARAM + '}'
+				);
 		}
 
 		// process the container properties
 		this._createInsertCommandsForContainer(
-			commands, commands.push(insertCmd) - 1, idPropPath, container, data);
+			commands, commands.push(insertCmd) - 1, idPropPath, container, data,
+			valuesHandler);
 	}
 
 	/**
@@ -984,12 +1777,13 @@ class AbstractDBO {
 	 * @param {module:x2node-records~PropertiesContainer} container Container
 	 * descriptor with the properties to add.
 	 * @param {Object} data Object matching the container.
+	 * @param {Object} [valuesHandler] Handler used to bind the values.
 	 * @returns {number} The current insert command index in the sequence, which
 	 * may have been changed by the method (generators could have been inserted
 	 * before the command shifting it down the sequence).
 	 */
 	_createInsertCommandsForContainer(
-		commands, insertCmdInd, idPropPath, container, data) {
+		commands, insertCmdInd, idPropPath, container, data, valuesHandler) {
 
 		// get the current insert command
 		const insertCmd = commands[insertCmdInd];
@@ -1001,7 +1795,9 @@ class AbstractDBO {
 			// skip properties we don't need to insert
 			if (propDesc.isCalculated() || propDesc.isId() ||
 				propDesc.isRecordMetaInfo() || propDesc.isView() ||
-				propDesc.reverseRefPropertyName)
+				propDesc.reverseRefPropertyName ||
+				(container.isRecordType() &&
+					(propName === container.tenantPropName)))
 				continue;
 
 			// get the value
@@ -1049,7 +1845,7 @@ class AbstractDBO {
 						this._createInsertCommands(
 							commands, propDesc.table, propDesc.parentIdColumn,
 							idPropPath, propDesc, i, propDesc.nestedProperties,
-							v);
+							v, valuesHandler);
 					});
 
 				} else if (propDesc.isMap()) {
@@ -1084,7 +1880,7 @@ class AbstractDBO {
 						this._createInsertCommands(
 							commands, propDesc.table, propDesc.parentIdColumn,
 							idPropPath, propDesc, key, propDesc.nestedProperties,
-							v);
+							v, valuesHandler);
 					});
 
 				} else {
@@ -1102,11 +1898,11 @@ class AbstractDBO {
 						this._createInsertCommands(
 							commands, propDesc.table, propDesc.parentIdColumn,
 							idPropPath, null, null, propDesc.nestedProperties,
-							propVal);
+							propVal, valuesHandler);
 					} else {
 						insertCmdInd = this._createInsertCommandsForContainer(
 							commands, insertCmdInd, idPropPath,
-							propDesc.nestedProperties, propVal);
+							propDesc.nestedProperties, propVal, valuesHandler);
 					}
 				}
 
@@ -1137,7 +1933,8 @@ class AbstractDBO {
 									', expected an array.');
 						if (propVal.length > 0)
 							propValSql = propVal.map(
-								v => this._makePropValSql(propDesc, v));
+								v => this._makePropValSql(
+									propDesc, v, valuesHandler));
 					} else if (propDesc.isMap()) {
 						if (((typeof propVal) !== 'object') ||
 							Array.isArray(propVal))
@@ -1149,12 +1946,13 @@ class AbstractDBO {
 						if (keys.length > 0) {
 							propValSql = keys.reduce((res, k) => {
 								res.set(k, this._makePropValSql(
-									propDesc, propVal[k]));
+									propDesc, propVal[k], valuesHandler));
 								return res;
 							}, new Map());
 						}
 					} else {
-						propValSql = this._makePropValSql(propDesc, propVal);
+						propValSql = this._makePropValSql(
+							propDesc, propVal, valuesHandler);
 					}
 				}
 
@@ -1187,7 +1985,8 @@ class AbstractDBO {
 							if (propDesc.keyColumn)
 								valInsert.add(
 									propDesc.keyColumn,
-									this._makeMapKeySql(propDesc, k)
+									this._makeMapKeySql(
+										propDesc, k, valuesHandler)
 								);
 							valInsert.add(propDesc.column, v);
 							commands.push(valInsert);
@@ -1245,11 +2044,12 @@ class AbstractDBO {
 			if (subtypeDesc.table) {
 				this._createInsertCommands(
 					commands, subtypeDesc.table, subtypeDesc.parentIdColumn,
-					idPropPath, null, null, subtypeDesc.nestedProperties, data);
+					idPropPath, null, null, subtypeDesc.nestedProperties, data,
+					valuesHandler);
 			} else {
 				insertCmdInd = this._createInsertCommandsForContainer(
 					commands, insertCmdInd, idPropPath,
-					subtypeDesc.nestedProperties, data);
+					subtypeDesc.nestedProperties, data, valuesHandler);
 			}
 		}
 
@@ -1260,17 +2060,163 @@ class AbstractDBO {
 	}
 
 	/**
-	 * Validate property value and make SQL for it.
+	 * Add ids of the records referred by the new record's entangled reference
+	 * properties to the entangled updates object.
+	 *
+	 * @protected
+	 * @param {Object.<string,Set.<(string|number)>>} entangledUpdates The
+	 * entangled updates object, to which to add the referred record ids.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Object} record The new record data.
+	 */
+	_collectEntangledUpdates(entangledUpdates, recordTypeDesc, record) {
+
+		const recordTypes = this._recordTypes;
+		for (let propName of recordTypeDesc.allPropertyNames) {
+			const propDesc = recordTypeDesc.getPropertyDesc(propName);
+			if (!propDesc.isEntangled() || propDesc.isView())
+				continue;
+			let ids = entangledUpdates[propDesc.refTarget];
+			if (!ids)
+				entangledUpdates[propDesc.refTarget] = ids = new Set();
+			const propVal = record[propName];
+			if (propDesc.isArray() && Array.isArray(propVal)) {
+				for (let ref of propVal)
+					if ((typeof ref) === 'string')
+						ids.add(recordTypes.refToId(propDesc.refTarget, ref));
+			} else if (propDesc.isMap() && ((typeof propVal) === 'object') &&
+				(propVal !== null)) {
+				for (let key in propVal) {
+					const ref = propVal[key];
+					if ((typeof ref) === 'string')
+						ids.add(recordTypes.refToId(propDesc.refTarget, ref));
+				}
+			} else if ((typeof propVal) === 'string') {
+				ids.add(recordTypes.refToId(propDesc.refTarget, propVal));
+			}
+		}
+	}
+
+	/**
+	 * Add ids of the records of multi-tenant record types referred by the
+	 * provided object to the referred records registry.
+	 *
+	 * @protected
+	 * @param {Object.<string,Set.<(string|number)>>} refs The referred records
+	 * registry, to which to add the referred record ids by record type names.
+	 * @param {module:x2node-records~PropertiesContainer} container Container
+	 * descriptor matching the object.
+	 * @param {Object} data The object.
+	 */
+	_collectTenantRefs(refs, container, data) {
+
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			if (propDesc.isCalculated() || propDesc.isView() ||
+				propDesc.reverseRefPropertyName)
+				continue;
+			this._collectTenantRefsInValue(
+				refs, propDesc, data[propName], false);
+		}
+
+		if (container.isPolymorphObject()) {
+			const subtypeName = data[container.typePropertyName];
+			if (((typeof subtypeName) === 'string') &&
+				container.hasProperty(subtypeName) &&
+				container.getPropertyDesc(subtypeName).isSubtype())
+				this._collectTenantRefs(
+					refs, container.getPropertyDesc(subtypeName)
+						.nestedProperties, data);
+		}
+	}
+
+	/**
+	 * Add ids of the records of multi-tenant record types referred by the
+	 * provided property value to the referred records registry.
+	 *
+	 * @protected
+	 * @param {Object.<string,Set.<(string|number)>>} refs The referred records
+	 * registry.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {*} val The property value.
+	 * @param {boolean} isElement <code>true</code> if the value is an element
+	 * of a collection property.
+	 */
+	_collectTenantRefsInValue(refs, propDesc, val, isElement) {
+
+		if ((val === undefined) || (val === null) ||
+			propDesc.isSubtype() || propDesc.reverseRefPropertyName)
+			return;
+
+		if (!isElement && !propDesc.isScalar()) {
+			if ((typeof val) === 'object')
+				for (let key of Object.keys(val))
+					this._collectTenantRefsInValue(
+						refs, propDesc, val[key], true);
+			return;
+		}
+
+		if (propDesc.isRef()) {
+			const refTargetDesc = this._recordTypes.getRecordTypeDesc(
+				propDesc.refTarget);
+			if (refTargetDesc.tenantPropName && ((typeof val) === 'string')) {
+				let ids = refs[propDesc.refTarget];
+				if (!ids)
+					refs[propDesc.refTarget] = ids = new Set();
+				ids.add(this._recordTypes.refToId(propDesc.refTarget, val));
+			}
+		} else if ((propDesc.scalarValueType === 'object') &&
+			((typeof val) === 'object')) {
+			this._collectTenantRefs(refs, propDesc.nestedProperties, val);
+		}
+	}
+
+	/**
+	 * Build DBO command that inserts multiple records using multi-row
+	 * <code>INSERT</code> statements. The command requires the DBO execution
+	 * context to have <code>selectRecord(recordInd)</code> method, which makes
+	 * the context use generated parameters of the specified record.
+	 *
+	 * @protected
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Array.<Object>} records The records data.
+	 * @returns {module:x2node-dbos.DBOCommand} The command.
+	 * @throws {module:x2node-common.X2UsageError} If the provided data is
+	 * invalid.
+	 */
+	_createBulkInsertCommand(recordTypeDesc, records) {
+
+		return new BulkInsertCommand(records.map(record => {
+			const commands = new Array();
+			this._createInsertCommands(
+				commands, recordTypeDesc.table, null, null, null, null,
+				recordTypeDesc, record);
+			return commands;
+		}));
+	}
+
+	/**
+	 * Validate property value and make SQL for it. The value is not included in
+	 * the SQL. Instead, it is added as a parameter to the values handler, which
+	 * makes the value bound to the statement when it is executed (see
+	 * [_replaceParams()]{@link module:x2node-dbos~AbstractDBO#_replaceParams}).
 	 *
 	 * @protected
 	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
 	 * descriptor.
 	 * @param {*} val Property value. If <code>null</code> or
 	 * <code>undefined</code>, SQL <code>NULL</code> is returned.
+	 * @param {Object} [valuesHandler] Object with <code>addValue(val)</code>
+	 * method that returns the parameter placeholder for the value. If not
+	 * provided, the DBO's parameters handler is used. DBOs that create commands
+	 * during the execution pass the execution context.
 	 * @returns {string} The value SQL.
 	 * @throws {module:x2node-common.X2UsageError} If the value is not good.
 	 */
-	_makePropValSql(propDesc, val) {
+	_makePropValSql(propDesc, val, valuesHandler) {
 
 		if ((val === null) || (val === undefined))
 			return this._dbDriver.sql(null);
@@ -1280,7 +2226,8 @@ class AbstractDBO {
 			expectedType => new common.X2UsageError(
 				'Invalid value type [' + (typeof val) + '] for property ' +
 					propDesc.container.nestedPath + propDesc.name +
-					', expected [' + expectedType + '].')
+					', expected [' + expectedType + '].'),
+			valuesHandler
 		);
 
 		if (valSql === null)
@@ -1301,10 +2248,12 @@ class AbstractDBO {
 	 * descriptor.
 	 * @param {*} key Key value. May not be <code>null</code> or
 	 * <code>undefined</code>.
+	 * @param {Object} [valuesHandler] Handler used to bind the value (see
+	 * [_makePropValSql()]{@link module:x2node-dbos~AbstractDBO#_makePropValSql}).
 	 * @returns {string} The key value SQL.
 	 * @throws {module:x2node-common.X2UsageError} If the key value is not good.
 	 */
-	_makeMapKeySql(mapPropDesc, key) {
+	_makeMapKeySql(mapPropDesc, key, valuesHandler) {
 
 		const invalidKeyVal = () => new common.X2UsageError(
 			`Invalid key value [${String(key)}] for map property ` +
@@ -1333,7 +2282,8 @@ class AbstractDBO {
 			expectedType => new common.X2UsageError(
 				`Invalid key value type [${typeof key}] for map property ` +
 					`${mapPropDesc.container.nestedPath}${mapPropDesc.name},` +
-					` expected [${expectedType}].`)
+					` expected [${expectedType}].`),
+			valuesHandler
 		);
 
 		if (keySql === null)
@@ -1344,7 +2294,7 @@ class AbstractDBO {
 
 	/**
 	 * Validate value against expected value type and convert it into SQL value
-	 * expression.
+	 * expression, which is a placeholder for the value bound to the statement.
 	 *
 	 * @private
 	 * @param {*} val The value.
@@ -1354,38 +2304,42 @@ class AbstractDBO {
 	 * @param {function} invalidValType Function to use to create throwable error
 	 * when the specified value's ES type does not match the specified expected
 	 * value type. The function takes the expected ES type as an argument.
+	 * @param {Object} [valuesHandler] Handler used to bind the value (see
+	 * [_makePropValSql()]{@link module:x2node-dbos~AbstractDBO#_makePropValSql}).
 	 * @returns {string} SQL value expression, or <code>null</code> if the value
 	 * is invalid, including <code>null</code> and <code>undefined</code>.
 	 */
-	_valueToSql(val, valueType, expectedRefTarget, invalidValType) {
+	_valueToSql(
+		val, valueType, expectedRefTarget, invalidValType, valuesHandler) {
 
-		let valSql = null;
+		let dbVal = null;
 		let hashInd;
 		switch (valueType) {
 		case 'string':
 			if ((typeof val) !== 'string')
 				throw invalidValType('string');
-			valSql = this._dbDriver.stringLiteral(val);
+			dbVal = val;
 			break;
 		case 'number':
 			if ((typeof val) !== 'number')
 				throw invalidValType('number');
-			valSql = this._dbDriver.sql(val);
+			if (Number.isFinite(val))
+				dbVal = val;
 			break;
 		case 'boolean':
 			if ((typeof val) !== 'boolean')
 				throw invalidValType('boolean');
-			valSql = this._dbDriver.booleanLiteral(val);
+			dbVal = val;
 			break;
 		case 'datetime':
 			if (val instanceof Date) {
-				valSql = this._dbDriver.datetimeLiteral(val);
+				if (!Number.isNaN(val.getTime()))
+					dbVal = val;
 			} else if ((typeof val) === 'string') {
 				if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(val)) {
 					const dateVal = Date.parse(val);
 					if (!Number.isNaN(dateVal))
-						valSql = this._dbDriver.datetimeLiteral(
-							new Date(dateVal));
+						dbVal = new Date(dateVal);
 				}
 			} else {
 				throw invalidValType('string or Date');
@@ -1402,16 +2356,20 @@ class AbstractDBO {
 						refTarget);
 					const refIdPropDesc = refTargetDesc.getPropertyDesc(
 						refTargetDesc.idPropertyName);
-					valSql = this._dbDriver.sql(
+					dbVal = (
 						refIdPropDesc.scalarValueType === 'number' ?
 							Number(val.substring(hashInd + 1)) :
 							val.substring(hashInd + 1)
 					);
+					if (((typeof dbVal) === 'number') && !Number.isFinite(dbVal))
+						dbVal = null;
 				}
 			}
 		}
 
-		return valSql;
+		return (
+			dbVal === null ? null :
+				(valuesHandler || this._paramsHandler).addValue(dbVal));
 	}
 
 	/**
@@ -1429,6 +2387,81 @@ class AbstractDBO {
 		return new UpdateEntangledRecordsCommand(this._updatedRecordTypeNames);
 	}
 
+	/**
+	 * Build DBO command that writes entries into the record type's change
+	 * history table.
+	 *
+	 * @protected
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor. Must have change history enabled.
+	 * @param {string} operation Operation type: "insert", "update" or
+	 * "delete".
+	 * @param {function} getEntries Function that receives the DBO execution
+	 * context and returns an array of objects, each with
+	 * <code>recordId</code> and <code>data</code> properties, for the entries
+	 * to write.
+	 * @returns {module:x2node-dbos.DBOCommand} The command.
+	 */
+	_createWriteHistoryCommand(recordTypeDesc, operation, getEntries) {
+
+		return new WriteHistoryCommand(recordTypeDesc, operation, getEntries);
+	}
+
+	/**
+	 * Build DBO command that processes the changes made to the records: adds
+	 * messages to the record type's outbox, if any, and emits record change
+	 * events after the transaction is committed.
+	 *
+	 * @protected
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 * @param {string} operation Operation type: "insert", "update" or
+	 * "delete".
+	 * @param {function} getChanges Function that receives the DBO execution
+	 * context and returns an array of objects, each with
+	 * <code>recordId</code> and, for updates, <code>patch</code> properties,
+	 * for the affected records. Called only if the context has
+	 * [recordChangesRequested]{@link module:x2node-dbos~DBOExecutionContext#recordChangesRequested}
+	 * flag.
+	 * @returns {module:x2node-dbos.DBOCommand} The command.
+	 */
+	_createRecordChangesCommand(recordTypeDesc, operation, getChanges) {
+
+		return new ProcessRecordChangesCommand(
+			this._changeEmitter, recordTypeDesc, operation, getChanges);
+	}
+
+	/**
+	 * Build DBO command that writes outbox messages added to the execution
+	 * context (see
+	 * [addOutboxMessage()]{@link module:x2node-dbos~DBOExecutionContext#addOutboxMessage})
+	 * into the outbox tables. Normally, the command is the last one in the
+	 * DBO.
+	 *
+	 * @protected
+	 * @returns {module:x2node-dbos.DBOCommand} The command.
+	 */
+	_createWriteOutboxCommand() {
+
+		return new WriteOutboxCommand();
+	}
+
+	/**
+	 * Build DBO command that makes sure that the records referred by the
+	 * records being saved belong to the tenant, on behalf of which the DBO is
+	 * executed.
+	 *
+	 * @protected
+	 * @param {function} getRefs Function that receives the DBO execution
+	 * context and returns the referred records registry (see
+	 * [_collectTenantRefs()]{@link module:x2node-dbos~AbstractDBO#_collectTenantRefs}).
+	 * @returns {module:x2node-dbos.DBOCommand} The command.
+	 */
+	_createCheckTenantRefsCommand(getRefs) {
+
+		return new CheckTenantRefsCommand(getRefs);
+	}
+
 	/**
 	 * Build DBO command that notifies registered record collections monitor
 	 * about the updated record types. The record type names are registered by
@@ -1450,6 +2483,25 @@ class AbstractDBO {
 	// DBO execution helper methods
 	/////////////////////////////////////////////////////////////////////////////
 
+	/**
+	 * Tell if the DBO needs to collect information about the records it
+	 * changes, which is the case if the record type has an outbox or there are
+	 * listeners for the record change events.
+	 *
+	 * @protected
+	 * @returns {boolean} <code>true</code> if record changes need to be
+	 * collected.
+	 */
+	_recordChangesRequired() {
+
+		if (this._recordTypeDesc && this._recordTypeDesc.outboxTable)
+			return true;
+
+		return ((this._changeEmitter !== undefined) &&
+			(this._changeEmitter !== null) &&
+			(this._changeEmitter.listenerCount(RECORD_CHANGE_EVENT) > 0));
+	}
+
 	/**
 	 * Register an update of a record of the specified record type.
 	 *
@@ -1585,7 +2637,10 @@ class AbstractDBO {
 
 	/**
 	 * Replace parameter placeholders in the specified SQL statement with the
-	 * corresponding values.
+	 * corresponding values. If the statement parameter values array is provided
+	 * and the DB driver supports bound parameters, the placeholders are replaced
+	 * with the driver-specific parameter placeholders and the values are added
+	 * to the array. Otherwise, the values are included in the statement text.
 	 *
 	 * @protected
 	 * @param {string} stmt SQL statement text with parameter placeholders. Each
@@ -1595,10 +2650,12 @@ class AbstractDBO {
 	 * execution context. The method uses context's
 	 * [getParamSql()]{@link module:x2node-dbos~DBOExecutionContext#getParamSql}
 	 * method to get values for the parameter placeholders.
+	 * @param {Array} [params] Statement parameter values array, to which to add
+	 * the values bound to the statement parameters.
 	 * @returns {string} Ready to execute SQL statement with parameter
 	 * placeholders replaced.
 	 */
-	_replaceParams(stmt, ctx) {
+	_replaceParams(stmt, ctx, params) {
 
 		let res = '';
 
@@ -1620,7 +2677,7 @@ class AbstractDBO {
 					res += s;
 					inLiteral = true;
 				} else {
-					res += ctx.getParamSql(m[3]);
+					res += ctx.getParamSql(m[3], params);
 				}
 			}
 		}
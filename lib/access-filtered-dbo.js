@@ -0,0 +1,186 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const placeholders = require('./placeholders.js');
+
+
+/**
+ * Maximum number of actual DBOs cached by a wrapper.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_CACHED_DBOS = 50;
+
+/**
+ * Get cache key for an access filter specification.
+ *
+ * @private
+ * @param {*} spec Access filter specification or its element.
+ * @returns {(string|undefined)} The key, or <code>undefined</code> if the
+ * specification contains values that cannot be used in a key.
+ */
+function getCacheKey(spec) {
+
+	if (Array.isArray(spec)) {
+		const elementKeys = new Array();
+		for (let element of spec) {
+			const elementKey = getCacheKey(element);
+			if (elementKey === undefined)
+				return undefined;
+			elementKeys.push(elementKey);
+		}
+		return '[' + elementKeys.join(',') + ']';
+	}
+
+	switch (typeof spec) {
+	case 'string':
+		return JSON.stringify(spec);
+	case 'number':
+	case 'boolean':
+		return String(spec);
+	case 'object':
+		if (spec === null)
+			return 'null';
+		if (spec instanceof Date)
+			return 'D:' + spec.toISOString();
+		if (placeholders.isParam(spec))
+			return 'P:' + JSON.stringify(spec.name);
+		if (placeholders.isExpr(spec))
+			return 'E:' + JSON.stringify(spec.expr);
+	}
+
+	return undefined;
+}
+
+/**
+ * Database operation wrapper used for record types with an access filter. On
+ * each execution, the wrapper calls the record type's access filter function
+ * with the actor and executes the actual DBO built with the access filter
+ * combined with the filter provided to the DBO factory. The actual DBOs are
+ * cached by the access filter specification, so that a new DBO is built only
+ * when the access filter function returns a specification the wrapper has not
+ * seen recently. If the access filter function returns no restrictions, the
+ * DBO built without the access filter is used.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ */
+class AccessFilteredDBO {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using
+	 * [DBOFactory]{@link module:x2node-dbos~DBOFactory}.
+	 *
+	 * @protected
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor. Must have an access filter.
+	 * @param {string} operation The operation type passed to the access filter
+	 * function: "fetch", "update" or "delete".
+	 * @param {function} buildDBO Function that takes the access filter
+	 * specification (or nothing if no access restrictions) and builds the
+	 * actual DBO.
+	 * @param {module:x2node-dbos~AbstractDBO} unfilteredDBO The DBO built
+	 * without the access filter.
+	 */
+	constructor(recordTypeDesc, operation, buildDBO, unfilteredDBO) {
+
+		this._recordTypeDesc = recordTypeDesc;
+		this._operation = operation;
+		this._buildDBO = buildDBO;
+		this._unfilteredDBO = unfilteredDBO;
+
+		this._cachedDBOs = new Map();
+	}
+
+	/**
+	 * Get the actual DBO for the actor.
+	 *
+	 * @private
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @returns {module:x2node-dbos~AbstractDBO} The DBO.
+	 * @throws {module:x2node-common.X2UsageError} If the access filter function
+	 * returns an invalid filter specification.
+	 */
+	_getDBO(actor) {
+
+		const accessFilterSpec = this._recordTypeDesc.accessFilter(
+			actor, this._operation);
+		if ((accessFilterSpec !== undefined) && (accessFilterSpec !== null) &&
+			!Array.isArray(accessFilterSpec))
+			throw new common.X2UsageError(
+				`Access filter of record type ${this._recordTypeDesc.name}` +
+					' returned invalid filter specification.');
+
+		// use the unfiltered DBO if no access restrictions
+		if (!accessFilterSpec || (accessFilterSpec.length === 0))
+			return this._unfilteredDBO;
+
+		// check if cached DBO can be used
+		const cacheKey = getCacheKey(accessFilterSpec);
+		if (cacheKey === undefined)
+			return this._buildDBO(accessFilterSpec);
+		let dbo = this._cachedDBOs.get(cacheKey);
+		if (dbo) {
+			this._cachedDBOs.delete(cacheKey);
+		} else {
+			dbo = this._buildDBO(accessFilterSpec);
+			if (this._cachedDBOs.size >= MAX_CACHED_DBOS)
+				this._cachedDBOs.delete(this._cachedDBOs.keys().next().value);
+		}
+		this._cachedDBOs.set(cacheKey, dbo);
+
+		return dbo;
+	}
+
+	/**
+	 * Execute the operation. The method takes the same arguments as the
+	 * <code>execute()</code> method of the wrapped DBO.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO. Passed
+	 * to the record type's access filter function.
+	 * @returns {Promise} The wrapped DBO execution result promise.
+	 * @throws {module:x2node-common.X2UsageError} If the access filter function
+	 * returns an invalid filter specification.
+	 */
+	execute(txOrCon, actor) {
+
+		const dbo = this._getDBO(actor);
+
+		return dbo.execute.apply(dbo, arguments);
+	}
+
+	/**
+	 * Execute the operation and stream the fetched records. Available only for
+	 * fetch operations. The method takes the same arguments as the
+	 * [FetchDBO]{@link module:x2node-dbos~FetchDBO#stream} method.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO. Passed
+	 * to the record type's access filter function.
+	 * @returns {external:Readable} Readable stream of the records.
+	 * @throws {module:x2node-common.X2UsageError} If the operation is not a
+	 * fetch, or the access filter function returns an invalid filter
+	 * specification.
+	 */
+	stream(txOrCon, actor) {
+
+		if (this._operation !== 'fetch')
+			throw new common.X2UsageError(
+				'Only fetch operations can stream records.');
+
+		const dbo = this._getDBO(actor);
+
+		return dbo.stream.apply(dbo, arguments);
+	}
+}
+
+// export the class
+module.exports = AccessFilteredDBO;
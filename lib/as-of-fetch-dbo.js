@@ -0,0 +1,412 @@
+'use strict';
+
+const common = require('x2node-common');
+const pointers = require('x2node-pointers');
+
+const AbstractDBO = require('./abstract-dbo.js');
+const DBOExecutionContext = require('./dbo-execution-context.js');
+const placeholders = require('./placeholders.js');
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// COMMANDS
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Command that reads the relevant record history entries from the history table
+ * and replays them in the context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class ReplayHistoryCommand {
+
+	constructor(dbo) {
+
+		this._dbo = dbo;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		const dbo = this._dbo;
+		return promiseChain.then(() => {
+
+			// multi-tenant records require tenant
+			if (dbo._recordTypeDesc.tenantPropName &&
+				(ctx.tenantId === undefined))
+				throw new common.X2UsageError(
+					'Operation on multi-tenant records requires a tenant.');
+
+			// nothing to fetch if the filter excludes all records
+			const recordIds = dbo._getRecordIds(ctx.filterParams);
+			if (recordIds.length === 0)
+				return;
+
+			return this._replay(ctx, recordIds);
+		});
+	}
+
+	/**
+	 * Read and replay the history entries.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution
+	 * context.
+	 * @param {Array.<(string|number)>} recordIds Ids of the records to fetch.
+	 * @returns {Promise} Promise of the replay completion.
+	 */
+	_replay(ctx, recordIds) {
+
+		const dbo = this._dbo;
+		return new Promise((resolve, reject) => {
+			let query;
+			try {
+				const dbDriver = ctx.dbDriver;
+				const params = new Array();
+				const valueSql = val => (
+					dbDriver.bindParam ?
+						dbDriver.bindParam(params, val) : dbDriver.sql(val));
+				query = 'SELECT record_id AS record_id,' +
+					' executed_on AS executed_on, actor AS actor,' +
+					' operation AS operation, data AS data' +
+					` FROM ${dbo._recordTypeDesc.historyTable}` +
+					` WHERE executed_on <= ${valueSql(dbo._asOf)}` +
+					' AND record_id IN (' +
+						recordIds.map(valueSql).join(', ') + ')' +
+					' ORDER BY id';
+				ctx.logStatement(query, params);
+				dbDriver.executeQuery(
+					ctx.connection, query, {
+						noRowsAsArrays: true,
+						onRow(row) {
+							ctx.replayEntry(row);
+						},
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${query}]`, err);
+							reject(err);
+						}
+					}, params
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${query}]`, err);
+				reject(err);
+			}
+		});
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// EXECUTION CONTEXT
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Operation execution context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~DBOExecutionContext
+ */
+class AsOfFetchDBOExecutionContext extends DBOExecutionContext {
+
+	constructor(dbo, txOrCon, actor, filterParams) {
+		super(dbo, txOrCon, actor, filterParams);
+
+		this._recordTypeDesc = dbo._recordTypeDesc;
+
+		this._records = new Map();
+	}
+
+	/**
+	 * Apply history entry read from the database to the reconstructed record
+	 * states.
+	 *
+	 * @param {Object} row The history table row.
+	 * @throws {module:x2node-common.X2DataError} If the entry is an update of a
+	 * record, for which there is no "insert" entry.
+	 */
+	replayEntry(row) {
+
+		const recordTypeDesc = this._recordTypeDesc;
+		const recordKey = String(row.record_id);
+		const executedOn = (
+			row.executed_on instanceof Date ?
+				row.executed_on.toISOString() : row.executed_on);
+		const data = JSON.parse(row.data);
+
+		// replay the operation
+		let record;
+		switch (row.operation) {
+		case 'insert':
+			record = data;
+			this._setMetaInfo(record, 'version', 1, true);
+			this._setMetaInfo(record, 'creationTimestamp', executedOn, true);
+			this._setMetaInfo(record, 'creationActor', row.actor, true);
+			this._records.set(recordKey, record);
+			break;
+		case 'update':
+			// records created before the history was enabled have no baseline
+			record = this._records.get(recordKey);
+			if (!record)
+				throw new common.X2DataError(
+					`Record ${recordTypeDesc.name}#${recordKey} has no` +
+						' "insert" entry in the change history to replay' +
+						' the updates on.');
+			for (let op of data) {
+				const ptr = pointers.parse(recordTypeDesc, op.path);
+				switch (op.op) {
+				case 'add':
+					ptr.addValue(record, op.value);
+					break;
+				case 'replace':
+					ptr.replaceValue(record, op.value);
+					break;
+				case 'remove':
+					ptr.removeValue(record);
+				}
+			}
+			this._setMetaInfo(
+				record, 'version', (record[
+					recordTypeDesc.getRecordMetaInfoPropName('version')
+				] || 0) + 1, false);
+			this._setMetaInfo(
+				record, 'modificationTimestamp', executedOn, false);
+			this._setMetaInfo(record, 'modificationActor', row.actor, false);
+			break;
+		case 'delete':
+			this._records.delete(recordKey);
+		}
+	}
+
+	/**
+	 * Set record meta-info property, if the record type has it.
+	 *
+	 * @private
+	 * @param {Object} record The record.
+	 * @param {string} role Record meta-info role.
+	 * @param {*} value The value to set.
+	 * @param {boolean} ifMissing <code>true</code> to keep the value already
+	 * present in the record.
+	 */
+	_setMetaInfo(record, role, value, ifMissing) {
+
+		const propName = this._recordTypeDesc.getRecordMetaInfoPropName(role);
+		if (!propName || (ifMissing && (record[propName] !== undefined)))
+			return;
+
+		if ((value === null) || (value === undefined))
+			delete record[propName];
+		else
+			record[propName] = value;
+	}
+
+	getResult() {
+
+		// exclude records of other tenants if multi-tenant
+		let records = Array.from(this._records.values());
+		const tenantPropName = this._recordTypeDesc.tenantPropName;
+		if (tenantPropName) {
+			const tenantId = String(this.tenantId);
+			records = records.filter(
+				record => (String(record[tenantPropName]) === tenantId));
+		}
+
+		return {
+			recordTypeName: this._recordTypeDesc.name,
+			records: records
+		};
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// THE DBO
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Fetch database operation implementation that reconstructs records as they
+ * were at a specified moment in the past by replaying the record type's change
+ * history. The records must be selected by id. Records created before the
+ * change history was enabled for the record type have no "insert" entries in
+ * the history: such records are not included in the result if they have no
+ * history entries up to the requested moment, and the operation fails if they
+ * do.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~AbstractDBO
+ */
+class AsOfFetchDBO extends AbstractDBO {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using
+	 * [DBOFactory]{@link module:x2node-dbos~DBOFactory}.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Date} asOf The moment, as of which to fetch the records.
+	 * @param {Array.<Array>} filterSpec Filter specification. Only tests on
+	 * the record id property are allowed and at least one test is required.
+	 * @throws {module:x2node-common.X2UsageError} If the record type does not
+	 * have change history enabled, or the moment or the filter is invalid.
+	 */
+	constructor(dbDriver, recordTypes, recordTypeDesc, asOf, filterSpec) {
+		super(dbDriver, recordTypes);
+
+		// check that the record type has history
+		if (!recordTypeDesc.historyTable)
+			throw new common.X2UsageError(
+				`Record type ${recordTypeDesc.name} does not have change` +
+					' history enabled.');
+
+		// check the moment
+		if (!(asOf instanceof Date) || Number.isNaN(asOf.getTime()))
+			throw new common.X2UsageError('Invalid asOf query moment.');
+
+		// save the basics
+		this._recordTypeDesc = recordTypeDesc;
+		this._asOf = asOf;
+
+		// parse the filter
+		this._idTests = this._parseFilter(filterSpec);
+
+		// the operation commands sequence
+		this._commands = [ new ReplayHistoryCommand(this) ];
+	}
+
+	/**
+	 * Parse filter specification.
+	 *
+	 * @private
+	 * @param {Array.<Array>} filterSpec Filter specification.
+	 * @returns {Array.<Array>} Lists of allowed record id values, one list per
+	 * filter test. The values may be parameter placeholders.
+	 * @throws {module:x2node-common.X2UsageError} If the filter is invalid or
+	 * missing.
+	 */
+	_parseFilter(filterSpec) {
+
+		const error = msg => new common.X2UsageError(
+			'Invalid asOf query filter specification: ' + msg);
+		if ((filterSpec === undefined) || (filterSpec === null) ||
+			(Array.isArray(filterSpec) && (filterSpec.length === 0)))
+			throw error('at least one record id test is required.');
+		if (!Array.isArray(filterSpec))
+			throw error('filter specification must be an array.');
+
+		const idTests = new Array();
+
+		for (let testSpec of filterSpec) {
+			if (!Array.isArray(testSpec) || (testSpec.length < 2) ||
+				((typeof testSpec[0]) !== 'string'))
+				throw error('only record id value tests are supported.');
+			const predParts = testSpec[0].match(/^\s*(\w+)\s*(?:=>\s*(\w+)\s*)?$/);
+			if ((predParts === null) ||
+				(predParts[1] !== this._recordTypeDesc.idPropertyName))
+				throw error(`unsupported predicate "${testSpec[0]}".`);
+			const values = new Array();
+			/* eslint-disable no-fallthrough */
+			switch ((predParts[2] || 'is').toLowerCase()) {
+			case 'is':
+			case 'eq':
+				if (testSpec.length !== 2)
+					throw error(`test "${predParts[2]}" expects one argument.`);
+			case 'in':
+			case 'oneof':
+			case 'alt': {
+				const addValue = v => {
+					if ((v === undefined) || (v === null))
+						throw error('record id values may not be null.');
+					if (Array.isArray(v))
+						v.forEach(addValue);
+					else
+						values.push(v);
+				};
+				testSpec.slice(1).forEach(addValue);
+				break;
+			}
+			default:
+				throw error(`unsupported test "${predParts[2]}".`);
+			}
+			/* eslint-enable no-fallthrough */
+			idTests.push(values);
+		}
+
+		return idTests;
+	}
+
+	/**
+	 * Get ids of the records matched by the filter.
+	 *
+	 * @private
+	 * @param {Object.<string,*>} [filterParams] Filter parameters.
+	 * @returns {Array.<(string|number)>} Matched record ids.
+	 * @throws {module:x2node-common.X2UsageError} If a filter parameter is
+	 * missing or invalid.
+	 */
+	_getRecordIds(filterParams) {
+
+		const resolve = v => {
+			if (!placeholders.isParam(v))
+				return v;
+			const paramValue = (filterParams && filterParams[v.name]);
+			if ((paramValue === undefined) || (paramValue === null))
+				throw new common.X2UsageError(
+					`Missing filter parameter "${v.name}".`);
+			return paramValue;
+		};
+		const idSets = this._idTests.map(values => new Set(
+			values.reduce((all, v) => all.concat(resolve(v)), new Array())
+				.map(id => String(id))));
+
+		const idPropDesc = this._recordTypeDesc.getPropertyDesc(
+			this._recordTypeDesc.idPropertyName);
+		return Array.from(idSets[0])
+			.filter(id => idSets.every(idSet => idSet.has(id)))
+			.map(id => (
+				idPropDesc.scalarValueType === 'number' ? Number(id) : id));
+	}
+
+	/**
+	 * Execute the operation.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @param {Object.<string,*>} [filterParams] Filter parameters. The keys are
+	 * parameter names, the values are the record ids (or arrays of record
+	 * ids).
+	 * @returns {Promise.<module:x2node-dbos~FetchDBO~Result>} The fetch result
+	 * promise. The result includes only the record type name and the
+	 * <code>records</code> array with the reconstructed records in the order
+	 * of their creation. If the history of a requested record contains updates
+	 * but no "insert" entry (the record was created before the change history
+	 * was enabled), the promise is rejected with
+	 * <code>X2DataError</code>.
+	 * @throws {module:x2node-common.X2UsageError} If provided filter
+	 * parameters object is invalid.
+	 */
+	execute(txOrCon, actor, filterParams) {
+
+		return this._executeCommands(
+			new AsOfFetchDBOExecutionContext(
+				this, txOrCon, actor, filterParams));
+	}
+}
+
+// export the class
+module.exports = AsOfFetchDBO;
@@ -0,0 +1,174 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const AbstractDBO = require('./abstract-dbo.js');
+const DBOExecutionContext = require('./dbo-execution-context.js');
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// EXECUTION CONTEXT
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Operation execution context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~DBOExecutionContext
+ */
+class BulkInsertDBOExecutionContext extends DBOExecutionContext {
+
+	constructor(dbo, txOrCon, actor, entangledUpdates, idPropName, numRecords) {
+		super(dbo, txOrCon, actor, null, entangledUpdates);
+
+		this._idPropName = idPropName;
+
+		this._recordsGeneratedParams = new Array();
+		for (let i = 0; i < numRecords; i++)
+			this._recordsGeneratedParams.push(new Map());
+	}
+
+	/**
+	 * Make the context use generated parameters of the specified record.
+	 *
+	 * @param {number} recordInd Index of the record in the inserted records
+	 * list.
+	 */
+	selectRecord(recordInd) {
+
+		this._generatedParams = this._recordsGeneratedParams[recordInd];
+	}
+
+	getResult() {
+
+		return this._recordsGeneratedParams.map(
+			generatedParams => generatedParams.get(this._idPropName));
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// THE DBO
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Bulk insert database operation implementation (SQL multi-row
+ * <code>INSERT</code> queries).
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~AbstractDBO
+ */
+class BulkInsertDBO extends AbstractDBO {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using
+	 * [DBOFactory]{@link module:x2node-dbos~DBOFactory}.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-dbos.RecordCollectionsMonitor} rcMonitor The record
+	 * collections monitor.
+	 * @param {external:EventEmitter} changeEmitter Emitter of the record change
+	 * events.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Array.<Object>} records The records data.
+	 * @throws {module:x2node-common.X2UsageError} If the provided data is
+	 * invalid.
+	 */
+	constructor(
+		dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+		records) {
+		super(dbDriver, recordTypes, rcMonitor, changeEmitter);
+
+		// check the records
+		if (!Array.isArray(records) || records.some(
+			record => (((typeof record) !== 'object') || (record === null))))
+			throw new common.X2UsageError(
+				'Records to insert must be an array of objects.');
+
+		// save the basics
+		this._recordTypeDesc = recordTypeDesc;
+		this._numRecords = records.length;
+
+		// register record type update
+		if (records.length > 0)
+			this._registerRecordTypeUpdate(recordTypeDesc.name);
+
+		// the operation commands sequence
+		this._commands = new Array();
+
+		// check that referred multi-tenant records belong to the tenant
+		const tenantRefs = new Object();
+		for (let record of records)
+			this._collectTenantRefs(tenantRefs, recordTypeDesc, record);
+		if (Object.keys(tenantRefs).length > 0)
+			this._commands.push(
+				this._createCheckTenantRefsCommand(() => tenantRefs));
+
+		// create the bulk insert command
+		this._commands.push(
+			this._createBulkInsertCommand(recordTypeDesc, records));
+
+		// add change history entries command
+		if (recordTypeDesc.historyTable)
+			this._commands.push(this._createWriteHistoryCommand(
+				recordTypeDesc, 'insert', ctx => ctx.getResult().map(
+					(recordId, i) => {
+						const image = Object.assign(new Object(), records[i]);
+						image[recordTypeDesc.idPropertyName] = recordId;
+						if (recordTypeDesc.tenantPropName)
+							image[recordTypeDesc.tenantPropName] = ctx.tenantId;
+						return { recordId: recordId, data: image };
+					})));
+
+		// add entangled records update commands
+		this._commands.push(this._createUpdateEntangledRecordsCommand());
+
+		// add record collections monitor notification command
+		this._commands.push(this._createNotifyRecordCollectionsMonitorCommand());
+
+		// add record change events command
+		this._commands.push(this._createRecordChangesCommand(
+			recordTypeDesc, 'insert', ctx => ctx.getResult().map(
+				recordId => ({ recordId: recordId }))));
+
+		// add outbox messages write command
+		this._commands.push(this._createWriteOutboxCommand());
+
+		// find entanglements
+		this._entangledUpdates = new Object();
+		for (let record of records)
+			this._collectEntangledUpdates(
+				this._entangledUpdates, recordTypeDesc, record);
+	}
+
+	/**
+	 * Execute the operation.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @returns {Promise.<Array.<(string|number)>>} Promise, which resolves to an
+	 * array of the new record ids in the same order as the records provided to
+	 * the DBO, or is rejected with the error object of an error happens during
+	 * the operation execution.
+	 */
+	execute(txOrCon, actor) {
+
+		return this._executeCommands(new BulkInsertDBOExecutionContext(
+			this, txOrCon, actor, this._entangledUpdates,
+			this._recordTypeDesc.idPropertyName, this._numRecords));
+	}
+}
+
+// export the class
+module.exports = BulkInsertDBO;
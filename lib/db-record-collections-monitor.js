@@ -0,0 +1,223 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Get record type names argument as an array.
+ *
+ * @private
+ * @param {(string|Array.<string>|Iterable.<string>)} [recordTypeNames] Record
+ * type names.
+ * @returns {Array.<string>} Array of record type names.
+ */
+function toNamesArray(recordTypeNames) {
+
+	if (!recordTypeNames)
+		return [];
+
+	if ((typeof recordTypeNames) === 'string')
+		return [ recordTypeNames ];
+
+	return Array.from(recordTypeNames);
+}
+
+/**
+ * Record collections monitor implementation that keeps the record collection
+ * versions in a special table in the database. The table has a row for each
+ * record type with the record type name, collection version and last
+ * modification timestamp. The rows are updated by the DBOs in the same
+ * transaction that modifies the records.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.RecordCollectionsMonitor
+ */
+class DBRecordCollectionsMonitor {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using DBO factory's
+	 * [createRecordCollectionsMonitor()]{@link module:x2node-dbos~DBOFactory#createRecordCollectionsMonitor}
+	 * method.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {string} tableName Name of the versions table.
+	 */
+	constructor(dbDriver, tableName) {
+
+		this._dbDriver = dbDriver;
+		this._tableName = tableName;
+
+		this._log = common.getDebugLogger('X2_DBO');
+	}
+
+	/**
+	 * Name of the versions table.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get tableName() { return this._tableName; }
+
+	/**
+	 * Create the versions table if it does not exist and make sure it has rows
+	 * for all the specified record types.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DataSource} ds Database connections source.
+	 * @param {Array.<string>} recordTypeNames Names of the record types.
+	 * @returns {Promise.<module:x2node-dbos~DBRecordCollectionsMonitor>} Promise
+	 * of this monitor.
+	 */
+	init(ds, recordTypeNames) {
+
+		let dbCon;
+		return ds.getConnection().then(con => new Promise((resolve, reject) => {
+			dbCon = con;
+			this._dbDriver.createVersionTableIfNotExists(
+				con, this._tableName, recordTypeNames, {
+					onSuccess() {
+						resolve();
+					},
+					onError(err) {
+						common.error(
+							'error creating record collections versions table',
+							err);
+						reject(err);
+					},
+					trace: sql => {
+						this._log(`executing SQL: ${sql}`);
+					}
+				}
+			);
+		})).then(() => {
+			ds.releaseConnection(dbCon);
+			return this;
+		}, err => {
+			if (dbCon)
+				ds.releaseConnection(
+					dbCon, (err instanceof Error ? err : undefined));
+			return Promise.reject(err);
+		});
+	}
+
+	// update collection versions in the DBO transaction
+	collectionsUpdated(ctx, recordTypeNames) {
+
+		const names = toNamesArray(recordTypeNames);
+		if (names.length === 0)
+			return;
+
+		return new Promise((resolve, reject) => {
+			this._dbDriver.updateVersionTable(
+				ctx.connection, this._tableName, names, ctx.executedOn, {
+					onSuccess() {
+						resolve();
+					},
+					onError(err) {
+						common.error(
+							'error updating record collections versions', err);
+						reject(err);
+					},
+					trace(sql) {
+						ctx.logStatement(sql);
+					}
+				}
+			);
+		});
+	}
+
+	// query collection versions
+	getCollectionsVersion(tx, recordTypeNames, lockType) {
+
+		return this._selectVersions(tx, recordTypeNames, lockType).then(
+			rows => rows.reduce((res, row) => {
+				res.version += Number(row.version);
+				const modifiedOn = (
+					row.modified_on instanceof Date ?
+						row.modified_on : new Date(row.modified_on));
+				if (modifiedOn.getTime() > res.modifiedOn.getTime())
+					res.modifiedOn = modifiedOn;
+				return res;
+			}, {
+				version: 0,
+				modifiedOn: new Date(0)
+			})
+		);
+	}
+
+	// lock collections
+	lockCollections(tx, recordTypeNames, lockType) {
+
+		if ((lockType !== 'shared') && (lockType !== 'exclusive'))
+			return Promise.reject(new common.X2UsageError(
+				'Invalid record collections lock type.'));
+
+		return this._selectVersions(tx, recordTypeNames, lockType).then(
+			() => undefined);
+	}
+
+	/**
+	 * Select version table rows for the specified record types.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~Transaction} tx The transaction.
+	 * @param {(string|Array.<string>|Iterable.<string>)} recordTypeNames Names of
+	 * the record types.
+	 * @param {string} [lockType] Lock type, if the rows need to be locked.
+	 * @returns {Promise.<Array.<Object>>} Promise of the selected rows.
+	 */
+	_selectVersions(tx, recordTypeNames, lockType) {
+
+		if ((lockType !== undefined) && (lockType !== 'shared') &&
+			(lockType !== 'exclusive'))
+			return Promise.reject(new common.X2UsageError(
+				'Invalid record collections lock type.'));
+
+		const names = toNamesArray(recordTypeNames);
+		if (names.length === 0)
+			return Promise.resolve([]);
+
+		const dbDriver = this._dbDriver;
+		const lockTables = [ { tableName: this._tableName, tableAlias: 'v' } ];
+		const query = dbDriver.makeSelectWithLocks(
+			'SELECT v.name AS name, v.modified_on AS modified_on,' +
+				' v.version AS version' +
+				` FROM ${this._tableName} AS v WHERE v.name IN (` +
+				names.map(name => dbDriver.stringLiteral(name)).join(', ') +
+				')',
+			(lockType === 'exclusive' ? lockTables : null),
+			(lockType === 'shared' ? lockTables : null)
+		);
+
+		return new Promise((resolve, reject) => {
+			const rows = new Array();
+			try {
+				this._log(`(tx #${tx.id}) executing SQL: ${query}`);
+				dbDriver.executeQuery(
+					tx.connection, query, {
+						noRowsAsArrays: true,
+						onRow(row) {
+							rows.push(row);
+						},
+						onSuccess() {
+							resolve(rows);
+						},
+						onError(err) {
+							common.error(`error executing SQL [${query}]`, err);
+							reject(err);
+						}
+					}
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${query}]`, err);
+				reject(err);
+			}
+		});
+	}
+}
+
+// export the class
+module.exports = DBRecordCollectionsMonitor;
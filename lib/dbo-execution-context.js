@@ -46,11 +46,17 @@ class DBOExecutionContext {
 
 		// parameters
 		this._generatedParams = new Map();
+		this._valueRefs = new Map();
+		this._nextValueRef = 0;
 		this._filterParams = filterParams;
 
 		// entangled updates
 		this._entangledUpdates = entangledUpdates;
 
+		// record changes for the events and the outbox
+		this._recordChangesRequested = dbo._recordChangesRequired();
+		this._outboxMessages = new Array();
+
 
 		// members for subclasses:
 
@@ -169,6 +175,33 @@ class DBOExecutionContext {
 	 */
 	get executedOn() { return this._executedOn; }
 
+	/**
+	 * Id of the tenant, on behalf of which the operation is executed, or
+	 * <code>undefined</code> if none. The tenant id is taken from the
+	 * transaction's <code>tenantId</code> option, or, if not specified, from the
+	 * actor's property named by the <code>actorProperty</code> attribute of the
+	 * record types library's <code>tenant</code> definition ("tenantId" by
+	 * default).
+	 *
+	 * @member {(string|number)}
+	 * @readonly
+	 */
+	get tenantId() {
+
+		const txTenantId = this._transaction.options.tenantId;
+		if (txTenantId !== undefined)
+			return txTenantId;
+
+		const tenantDef = this._recordTypes.definition.tenant;
+		const actorPropName = (
+			(tenantDef && tenantDef.actorProperty) || 'tenantId');
+		const actorTenantId = (this._actor && this._actor[actorPropName]);
+
+		return (
+			(actorTenantId === undefined) || (actorTenantId === null) ?
+				undefined : actorTenantId);
+	}
+
 	/**
 	 * Log debug message on behalf of the DBO. Transaction id is automatically
 	 * included in the message.
@@ -186,6 +219,59 @@ class DBOExecutionContext {
 	 */
 	get wrapInTx() { return this._wrapInTx; }
 
+	/**
+	 * Tells if the DBO needs to collect information about the affected records
+	 * for the record change events and the outbox. Determined when the
+	 * execution starts.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get recordChangesRequested() { return this._recordChangesRequested; }
+
+	/**
+	 * Add message to an outbox table. The message is written into the table in
+	 * the DBO's transaction at the end of the DBO execution, so the method must
+	 * be called while the DBO is being executed, for example from a record
+	 * type's <code>outboxMessage</code> function, update DBO record validators
+	 * or a record collections monitor.
+	 *
+	 * @param {string} table The outbox table name.
+	 * @param {string} topic The message topic.
+	 * @param {*} payload The message payload. Must be serializable as JSON.
+	 * @throws {module:x2node-common.X2UsageError} If the table or the topic is
+	 * invalid.
+	 */
+	addOutboxMessage(table, topic, payload) {
+
+		if (((typeof table) !== 'string') || (table.length === 0))
+			throw new common.X2UsageError('Invalid outbox table name.');
+		if (((typeof topic) !== 'string') || (topic.length === 0))
+			throw new common.X2UsageError('Invalid outbox message topic.');
+
+		this._outboxMessages.push({
+			table: table,
+			topic: topic,
+			payload: payload
+		});
+	}
+
+	/**
+	 * Get outbox messages added to the context since the last call and clear
+	 * the list.
+	 *
+	 * @protected
+	 * @returns {Array.<Object>} The messages, each with <code>table</code>,
+	 * <code>topic</code> and <code>payload</code> properties.
+	 */
+	takeOutboxMessages() {
+
+		const messages = this._outboxMessages;
+		this._outboxMessages = new Array();
+
+		return messages;
+	}
+
 	/**
 	 * Tells if the transaction needs to be rolled back by the DBO upon error.
 	 *
@@ -207,6 +293,32 @@ class DBOExecutionContext {
 		this._generatedParams.set(paramRef, value);
 	}
 
+	/**
+	 * Add generated parameter with an automatically assigned reference for a
+	 * value to bind to a statement, such as a property value of a record being
+	 * updated. Like other generated parameters, the value is forgotten when the
+	 * generated parameters are cleared. The same value added again gets the
+	 * same placeholder, so that expressions involving the same values, such as
+	 * the record id conditions, have the same SQL text.
+	 *
+	 * @protected
+	 * @param {*} value Parameter ES value: a string, a number, a Boolean or a
+	 * <code>Date</code>.
+	 * @returns {string} Parameter placeholder to include in the SQL.
+	 */
+	addValue(value) {
+
+		let paramRef = this._valueRefs.get(value);
+		if ((paramRef === undefined) ||
+			(this._generatedParams.get(paramRef) !== value)) {
+			paramRef = 'ctx.value.' + String(this._nextValueRef++);
+			this._generatedParams.set(paramRef, value);
+			this._valueRefs.set(value, paramRef);
+		}
+
+		return '?{' + paramRef + '}';
+	}
+
 	/**
 	 * Get generated parameter value.
 	 *
@@ -227,6 +339,7 @@ class DBOExecutionContext {
 	clearGeneratedParams() {
 
 		this._generatedParams.clear();
+		this._valueRefs.clear();
 	}
 
 	/**
@@ -262,21 +375,54 @@ class DBOExecutionContext {
 	 * @protected
 	 * @param {string} paramRef Parameter reference as used in the placeholder in
 	 * the SQL statement.
+	 * @param {Array} [params] Statement parameter values. If provided and the DB
+	 * driver supports bound parameters, the parameter value is added to the
+	 * array and the parameter placeholder is returned.
 	 * @return {string} Parameter SQL value expression.
 	 * @throws {module:x2node-common.X2UsageError} If provided parameter is
 	 * missing or its value is invalid (e.g. <code>NaN</code> value or value of
 	 * unsupported type).
 	 */
-	getParamSql(paramRef) {
+	getParamSql(paramRef, params) {
+
+		const bind = (params && this._dbDriver.bindParam);
 
 		if (paramRef === 'ctx.executedOn')
-			return this._dbDriver.datetimeLiteral(this._executedOn);
-		if (paramRef === 'ctx.actor')
-			return this._dbDriver.sql(this._actor ? this._actor.stamp : null);
+			return (
+				bind ?
+					this._dbDriver.bindParam(params, this._executedOn) :
+					this._dbDriver.datetimeLiteral(this._executedOn)
+			);
+		if (paramRef === 'ctx.actor') {
+			const actorStamp = (this._actor ? this._actor.stamp : null);
+			return (
+				bind ?
+					this._dbDriver.bindParam(params, actorStamp) :
+					this._dbDriver.sql(actorStamp)
+			);
+		}
+
+		if (paramRef === 'ctx.tenant') {
+			const tenantId = this.tenantId;
+			if (tenantId === undefined)
+				throw new common.X2UsageError(
+					'Operation on multi-tenant records requires a tenant.');
+			return (
+				bind ?
+					this._dbDriver.bindParam(params, tenantId) :
+					this._dbDriver.sql(tenantId)
+			);
+		}
 
 		const generatedParam = this._generatedParams.get(paramRef);
 		if (generatedParam !== undefined) {
-			const generatedParamSql = this._dbDriver.sql(generatedParam);
+			const generatedParamSql = (
+				generatedParam === null ? null : (
+					bind ?
+						this._dbDriver.bindParam(params, generatedParam) :
+						this._dbDriver.sql(generatedParam)
+				)
+			);
 			if ((generatedParamSql === null) || (generatedParamSql === 'NULL'))
 				throw new common.X2UsageError(
 					'Generated parameter "' + paramRef +
@@ -285,7 +431,7 @@ class DBOExecutionContext {
 		}
 
 		return this._dbo._paramsHandler.paramSql(
-			this._dbDriver, this._filterParams, paramRef);
+			this._dbDriver, this._filterParams, paramRef, params);
 	}
 
 	/**
@@ -295,11 +441,30 @@ class DBOExecutionContext {
 	 *
 	 * @protected
 	 * @param {string} stmt SQL statement text with parameter placeholders.
+	 * @param {Array} [params] Array, to which to add the statement parameter
+	 * values if the DB driver supports bound parameters.
 	 * @returns {string} SQL statement with parameter placeholders replaced.
 	 */
-	replaceParams(stmt) {
+	replaceParams(stmt, params) {
 
-		return this._dbo._replaceParams(stmt, this);
+		return this._dbo._replaceParams(stmt, this, params);
+	}
+
+	/**
+	 * Log execution of the specified SQL statement.
+	 *
+	 * @protected
+	 * @param {string} sql The SQL statement.
+	 * @param {Array} [params] Statement parameter values, if any.
+	 */
+	logStatement(sql, params) {
+
+		this.log(
+			`executing SQL: ${sql}` + (
+				params && (params.length > 0) ?
+					' with params ' + JSON.stringify(params) : ''
+			)
+		);
 	}
 
 	/**
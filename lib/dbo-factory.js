@@ -1,24 +1,105 @@
 'use strict';
 
+const EventEmitter = require('events');
 const common = require('x2node-common');
 const patches = require('x2node-patches');
 
 const DBDriverDataSource = require('./driver-data-source.js');
 const FetchDBO = require('./fetch-dbo.js');
 const InsertDBO = require('./insert-dbo.js');
+const BulkInsertDBO = require('./bulk-insert-dbo.js');
+const UpsertDBO = require('./upsert-dbo.js');
 const DeleteDBO = require('./delete-dbo.js');
 const UpdateDBO = require('./update-dbo.js');
+const HistoryFetchDBO = require('./history-fetch-dbo.js');
+const AsOfFetchDBO = require('./as-of-fetch-dbo.js');
+const AccessFilteredDBO = require('./access-filtered-dbo.js');
+const DBRecordCollectionsMonitor = require(
+	'./db-record-collections-monitor.js');
+const OutboxPoller = require('./outbox-poller.js');
+const RoutingDataSource = require('./routing-data-source.js');
 const Transaction = require('./transaction.js');
 const TxFactory = require('./tx-factory.js');
+const schemaBuilder = require('./schema-builder.js');
+const schemaVerifier = require('./schema-verifier.js');
+const schemaMigrator = require('./schema-migrator.js');
 
 
 /**
- * Database operations (DBO) factory.
+ * Combine filter specification provided to the factory with the filter
+ * specification returned by the record type's access filter function.
+ *
+ * @private
+ * @param {Array.<Array>} [filterSpec] Filter specification provided to the
+ * factory, if any.
+ * @param {Array.<Array>} [accessFilterSpec] Access filter specification, if
+ * any.
+ * @returns {Array.<Array>} Combined filter specification that matches records
+ * that match both filters.
+ */
+function combineFilters(filterSpec, accessFilterSpec) {
+
+	if (!accessFilterSpec || (accessFilterSpec.length === 0))
+		return filterSpec;
+
+	return (filterSpec || []).concat(accessFilterSpec);
+}
+
+/**
+ * Wrap DBO for a record type with an access filter, if it has one.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {string} operation Operation type for the access filter function.
+ * @param {function} buildDBO Function that builds the DBO given the access
+ * filter specification.
+ * @returns {(module:x2node-dbos~AbstractDBO|module:x2node-dbos~AccessFilteredDBO)}
+ * The DBO built without an access filter if the record type does not have
+ * one, or the access filtered DBO wrapper.
+ */
+function wrapAccessFiltered(recordTypeDesc, operation, buildDBO) {
+
+	// build the DBO without access filter (also validates the specs)
+	const dbo = buildDBO();
+
+	// return it unless need to filter by actor
+	if (!recordTypeDesc.accessFilter)
+		return dbo;
+
+	// build access filtered DBO wrapper
+	return new AccessFilteredDBO(recordTypeDesc, operation, buildDBO, dbo);
+}
+
+/**
+ * Record change event emitted by the DBO factory after the transaction, in which
+ * a DBO built by the factory modified the record, is committed.
+ *
+ * @typedef {Object} module:x2node-dbos~DBOFactory~RecordChangeEvent
+ * @property {string} recordTypeName Record type name.
+ * @property {(string|number)} recordId Record id.
+ * @property {string} operation Operation type: "insert", "update" or
+ * "delete".
+ * @property {?module:x2node-common.Actor} actor Actor that executed the DBO,
+ * or <code>null</code> if anonymous.
+ * @property {Date} executedOn Date and time of the DBO execution.
+ * @property {Array.<Object>} [patch] For "update" operations, the JSON patch
+ * applied to the record.
+ */
+
+/**
+ * Database operations (DBO) factory. The factory is an event emitter that emits
+ * "recordChange" events with
+ * [RecordChangeEvent]{@link module:x2node-dbos~DBOFactory~RecordChangeEvent}
+ * objects, one for each record inserted, updated or deleted by the DBOs built
+ * by the factory, after the transaction is committed. No events are emitted
+ * for rolled back transactions.
  *
  * @memberof module:x2node-dbos
  * @inner
+ * @extends external:EventEmitter
  */
-class DBOFactory {
+class DBOFactory extends EventEmitter {
 
 	/**
 	 * <strong>Note:</strong> The constructor is not accessible from the client
@@ -32,6 +113,7 @@ class DBOFactory {
 	 * library to build DBOs against.
 	 */
 	constructor(dbDriver, recordTypes) {
+		super();
 
 		this._dbDriver = dbDriver;
 		this._recordTypes = recordTypes;
@@ -60,11 +142,73 @@ class DBOFactory {
 	 * with the DBO factory.
 	 *
 	 * @param {*} source Driver-specific data source object.
-	 * @returns {module:x2node-dbos.DataSource} The data source.
+	 * @param {module:x2node-dbos~DataSourceOptions} [options] Connection
+	 * checking and retry options.
+	 * @returns {module:x2node-dbos.DataSource} The data source. If it cannot
+	 * provide a connection, the <code>getConnection()</code> promise is
+	 * rejected with
+	 * [X2DatabaseUnavailableError]{@link module:x2node-dbos.X2DatabaseUnavailableError}.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 */
-	adaptDataSource(source) {
+	adaptDataSource(source, options) {
 
-		return new DBDriverDataSource(this._dbDriver, source);
+		return new DBDriverDataSource(this._dbDriver, source, options);
+	}
+
+	/**
+	 * Create data source that routes connections between a primary database
+	 * and its read replicas. Fetch DBOs executed using the data source's
+	 * <code>execute()</code> method and read-only transactions created by a
+	 * transaction factory that uses the data source are routed to the
+	 * replicas. Everything else goes to the primary.
+	 *
+	 * @param {*} primary Driver-specific data source object (normally, a
+	 * connection pool) for the primary database.
+	 * @param {(*|Array.<*>)} replicas Driver-specific data source object, or
+	 * array of objects, for the read replicas.
+	 * @param {Object} [options] Routing options.
+	 * @param {number} [options.stickyWindow=0] Read-your-writes window in
+	 * milliseconds. After an actor writes to the database, the actor's reads
+	 * are routed to the primary for this long. Zero disables it.
+	 * @param {boolean} [options.validate] Connection checking option for the
+	 * primary and replica data sources (see
+	 * [DataSourceOptions]{@link module:x2node-dbos~DataSourceOptions}).
+	 * @param {Object} [options.retry] Connection retry policy for the primary
+	 * and replica data sources (see
+	 * [DataSourceOptions]{@link module:x2node-dbos~DataSourceOptions}).
+	 * @returns {module:x2node-dbos~RoutingDataSource} The data source.
+	 * @throws {module:x2node-common.X2UsageError} If the arguments are invalid.
+	 */
+	createRoutingDataSource(primary, replicas, options) {
+
+		if (!primary)
+			throw new common.X2UsageError('Primary data source is required.');
+
+		const replicasArray = (
+			Array.isArray(replicas) ? replicas : (replicas ? [ replicas ] : []));
+		if ((replicasArray.length === 0) || replicasArray.some(r => !r))
+			throw new common.X2UsageError(
+				'At least one replica data source is required.');
+
+		const stickyWindow = (
+			options && (options.stickyWindow !== undefined) ?
+				options.stickyWindow : 0);
+		if (((typeof stickyWindow) !== 'number') || !(stickyWindow >= 0))
+			throw new common.X2UsageError(
+				'Routing data source stickyWindow must be a non-negative' +
+					' number.');
+
+		const dsOptions = (options && {
+			validate: options.validate,
+			retry: options.retry
+		});
+
+		return new RoutingDataSource(
+			new DBDriverDataSource(this._dbDriver, primary, dsOptions),
+			replicasArray.map(
+				r => new DBDriverDataSource(this._dbDriver, r, dsOptions)),
+			stickyWindow
+		);
 	}
 
 	/**
@@ -109,22 +253,47 @@ class DBOFactory {
 	 * unspecified, all records are included.
 	 * @param {Array.<string>} [querySpec.order] The records order specification.
 	 * If unspecified, the records are returned in no particular order.
-	 * @param {Array.<number>} [querySpec.range] The range specification, which
-	 * is a two-element array where the first element is the first record index
-	 * starting from zero and the second element is the maximum number of records
-	 * to return. If the range is not specified, all matching records are
+	 * @param {(Array.<number>|Object)} [querySpec.range] The range
+	 * specification, which is a two-element array where the first element is
+	 * the first record index starting from zero and the second element is the
+	 * maximum number of records to return. Alternatively, it can be a
+	 * cursor-based range specification object with a <code>limit</code>
+	 * property and an optional <code>after</code> or <code>before</code>
+	 * cursor (or cursor parameter placeholder) obtained from a previous fetch
+	 * result. If the range is not specified, all matching records are
 	 * returned.
-	 * @param {string} [querySpec.lock] Either "shared" or "exclusive". If
-	 * "shared", all involved records will become protected against modification
-	 * until the end of the transaction. If "exclusive", the matched records of
-	 * the record type being fetched are protected from reading by other
-	 * transactions until this transaction completes. Any participating records
-	 * of referred record types get locked in "shared" more and are protected
-	 * against modification until the end of the transaction. If lock is not
-	 * specified, the DBO does not make any effort to lock the records.
-	 * @returns {module:x2node-dbos~FetchDBO} The DBO object.
+	 * @param {(string|Object)} [querySpec.lock] Either "shared" or
+	 * "exclusive". If "shared", all involved records will become protected
+	 * against modification until the end of the transaction. If "exclusive",
+	 * the matched records of the record type being fetched are protected from
+	 * reading by other transactions until this transaction completes. Any
+	 * participating records of referred record types get locked in "shared"
+	 * more and are protected against modification until the end of the
+	 * transaction. If lock is not specified, the DBO does not make any effort
+	 * to lock the records. Alternatively, an object can be provided with the
+	 * lock type in the <code>mode</code> property and the lock wait mode in the
+	 * <code>wait</code> property, which can be "skip" to skip records locked by
+	 * other transactions, "nowait" to fail immediately if a record is locked,
+	 * or a number of milliseconds to wait for the locks before failing. The
+	 * "skip" mode is allowed only if all involved rows can be locked by the
+	 * single query that fetches the records.
+	 * @param {boolean} [querySpec.includeDeleted] If the record type supports
+	 * soft delete, soft-deleted records are not included in the result unless
+	 * this flag is <code>true</code>.
+	 * @param {Date} [querySpec.asOf] If the record type has change history
+	 * enabled, fetch the records as they were at the specified moment by
+	 * replaying the history. In that case, only full records can be fetched,
+	 * the filter is required and may only test the record id, and order,
+	 * range, lock and <code>includeDeleted</code> are not allowed. Records
+	 * created before the change history was enabled for the record type cannot
+	 * be reconstructed: they are not included in the result if they have no
+	 * history entries, and the operation fails if they have updates. Not
+	 * supported for record types with an access filter.
+	 * @returns {(module:x2node-dbos~FetchDBO|module:x2node-dbos~AsOfFetchDBO|module:x2node-dbos~AccessFilteredDBO)}
+	 * The DBO object. If the record type has an access filter, the returned
+	 * DBO combines it with the query filter on each execution.
 	 * @throws {module:x2node-common.X2UsageError} If the top record type is
-	 * unknown.
+	 * unknown, or <code>asOf</code> query specification is invalid.
 	 * @throws {module:x2node-common.X2SyntaxError} If the provided query
 	 * specification is invalid.
 	 */
@@ -135,6 +304,26 @@ class DBOFactory {
 			throw new common.X2UsageError(
 				`Requested top record type ${recordTypeName} is unknown.`);
 
+		// fetch records from the change history if requested
+		const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+			recordTypeName);
+		if (querySpec && (querySpec.asOf !== undefined)) {
+			if (recordTypeDesc.accessFilter)
+				throw new common.X2UsageError(
+					`Record type ${recordTypeName} has an access filter and` +
+						' cannot be queried with asOf.');
+			if ((querySpec.props && ((querySpec.props.length !== 1) ||
+				(querySpec.props[0] !== '*'))) ||
+				querySpec.order || querySpec.range || querySpec.lock ||
+				querySpec.includeDeleted)
+				throw new common.X2UsageError(
+					'An asOf query may only have filter and all properties' +
+						' selected.');
+			return new AsOfFetchDBO(
+				this._dbDriver, this._recordTypes, recordTypeDesc,
+				querySpec.asOf, querySpec.filter);
+		}
+
 		// parse records query specification
 		let selectedPropPatterns, selectedSuperProps;
 		let filterSpec, orderSpec, rangeSpec;
@@ -174,10 +363,13 @@ class DBOFactory {
 		}
 
 		// build and return the DBO
-		return new FetchDBO(
+		const buildDBO = accessFilterSpec => new FetchDBO(
 			this._dbDriver, this._recordTypes, recordTypeName,
-			selectedPropPatterns, selectedSuperProps, filterSpec, orderSpec,
-			rangeSpec, (querySpec && querySpec.lock));
+			selectedPropPatterns, selectedSuperProps,
+			combineFilters(filterSpec, accessFilterSpec), orderSpec,
+			rangeSpec, (querySpec && querySpec.lock),
+			(querySpec && querySpec.includeDeleted));
+		return wrapAccessFiltered(recordTypeDesc, 'fetch', buildDBO);
 	}
 
 	/**
@@ -199,10 +391,67 @@ class DBOFactory {
 
 		// build and return the DBO
 		return new InsertDBO(
-			this._dbDriver, this._recordTypes, this._rcMonitor,
+			this._dbDriver, this._recordTypes, this._rcMonitor, this,
 			this._recordTypes.getRecordTypeDesc(recordTypeName), record);
 	}
 
+	/**
+	 * Build a database <em>bulk insert</em> operation, which creates multiple
+	 * new records with multi-row <code>INSERT</code> statements. The rows for
+	 * the record type main table and for each collection table are inserted in
+	 * batches, which is much faster than inserting the records one by one with
+	 * insert DBOs.
+	 *
+	 * @param {string} recordTypeName Name of the record type to insert.
+	 * @param {Array.<Object>} records Record templates to insert.
+	 * @returns {module:x2node-dbos~BulkInsertDBO} The DBO object.
+	 * @throws {module:x2node-common.X2UsageError} If the provided records data
+	 * is invalid or the record type is unknown.
+	 */
+	buildBulkInsert(recordTypeName, records) {
+
+		// check top record type existense
+		if (!this._recordTypes.hasRecordType(recordTypeName))
+			throw new common.X2UsageError(
+				`Specified record type ${recordTypeName} is unknown.`);
+
+		// build and return the DBO
+		return new BulkInsertDBO(
+			this._dbDriver, this._recordTypes, this._rcMonitor, this,
+			this._recordTypes.getRecordTypeDesc(recordTypeName), records);
+	}
+
+	/**
+	 * Build a database <em>upsert</em> operation, which inserts a new record if
+	 * no existing record matches the specified natural key, or otherwise updates
+	 * the matched existing record so that it has the provided data.
+	 *
+	 * @param {string} recordTypeName Name of the record type.
+	 * @param {Object} record Record template to insert, or the new data for
+	 * the existing record.
+	 * @param {Object} options Upsert options.
+	 * @param {Array.<string>} options.matchOn Paths of the scalar properties
+	 * that make the natural key used to find the existing record. The record
+	 * template must provide values for all of them. Normally, the properties
+	 * are backed by a unique key in the database.
+	 * @returns {module:x2node-dbos~UpsertDBO} The DBO object.
+	 * @throws {module:x2node-common.X2UsageError} If the provided record data or
+	 * options are invalid or the record type is unknown.
+	 */
+	buildUpsert(recordTypeName, record, options) {
+
+		// check top record type existense
+		if (!this._recordTypes.hasRecordType(recordTypeName))
+			throw new common.X2UsageError(
+				`Specified record type ${recordTypeName} is unknown.`);
+
+		// build and return the DBO
+		return new UpsertDBO(
+			this._dbDriver, this._recordTypes, this._rcMonitor, this,
+			this._recordTypes.getRecordTypeDesc(recordTypeName), record,
+			(options && options.matchOn));
+	}
+
 	/**
 	 * Build a database <em>delete</em> operarion, which deletes records with
 	 * <code>DELETE</code> statements. Once built, the DBO can be executed
@@ -211,7 +460,9 @@ class DBOFactory {
 	 * @param {string} recordTypeName Name of the record type to delete.
 	 * @param {Array.<Array>} [filter] The filter specification. If unspecified,
 	 * all records of the type are deleted.
-	 * @returns {module:x2node-dbos~DeleteDBO} The DBO object.
+	 * @returns {(module:x2node-dbos~DeleteDBO|module:x2node-dbos~AccessFilteredDBO)}
+	 * The DBO object. If the record type has an access filter, the returned
+	 * DBO combines it with the filter on each execution.
 	 * @throws {module:x2node-common.X2UsageError} If record type is unknown or
 	 * provided filter specification is invalid.
 	 */
@@ -223,9 +474,36 @@ class DBOFactory {
 				`Specified record type ${recordTypeName} is unknown.`);
 
 		// build and return the DBO
-		return new DeleteDBO(
-			this._dbDriver, this._recordTypes, this._rcMonitor,
-			this._recordTypes.getRecordTypeDesc(recordTypeName), filterSpec);
+		const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+			recordTypeName);
+		const buildDBO = accessFilterSpec => new DeleteDBO(
+			this._dbDriver, this._recordTypes, this._rcMonitor, this,
+			recordTypeDesc, combineFilters(filterSpec, accessFilterSpec));
+		return wrapAccessFiltered(recordTypeDesc, 'delete', buildDBO);
+	}
+
+	/**
+	 * Build a database operation that reads the change history of a record.
+	 * The record type must have change history enabled with the
+	 * <code>historyTable</code> definition attribute.
+	 *
+	 * @param {string} recordTypeName Name of the record type.
+	 * @param {(string|number)} recordId Id of the record.
+	 * @returns {module:x2node-dbos~HistoryFetchDBO} The DBO object.
+	 * @throws {module:x2node-common.X2UsageError} If record type is unknown or
+	 * does not have change history enabled, or the record id is invalid.
+	 */
+	buildHistoryFetch(recordTypeName, recordId) {
+
+		// check top record type existense
+		if (!this._recordTypes.hasRecordType(recordTypeName))
+			throw new common.X2UsageError(
+				`Specified record type ${recordTypeName} is unknown.`);
+
+		// build and return the DBO
+		return new HistoryFetchDBO(
+			this._dbDriver, this._recordTypes,
+			this._recordTypes.getRecordTypeDesc(recordTypeName), recordId);
 	}
 
 	/**
@@ -256,14 +534,23 @@ class DBOFactory {
 	 * records, on which to perform the update. If fetcher function is provided,
 	 * the DBO will not* perform the initial fetch and lock for the records. If
 	 * neither filter nor fetcher function is specified, all records of the type
-	 * are fetched, locked and updated (should be exceptionally rare case).
-	 * @returns {module:x2node-dbos~UpdateDBO} The DBO object.
+	 * are fetched, locked and updated (should be exceptionally rare case). If
+	 * the record type has an access filter, the records provided by a fetcher
+	 * function that do not pass it are not updated. If the record type is
+	 * multi-tenant, the records provided by a fetcher function must have the
+	 * tenant property and belong to the tenant, or the DBO fails.
+	 * @param {module:x2node-dbos~UpdateDBO~Options} [options] Update options,
+	 * such as the expected record version for the optimistic concurrency
+	 * check.
+	 * @returns {(module:x2node-dbos~UpdateDBO|module:x2node-dbos~AccessFilteredDBO)}
+	 * The DBO object. If the record type has an access filter, the returned
+	 * DBO applies it on each execution.
 	 * @throws {module:x2node-common.X2UsageError} If record type is unknown or
-	 * provided filter is invalid.
+	 * provided filter or options are invalid.
 	 * @throws {module:x2node-common.X2SyntaxError} If the provided patch
 	 * specification as an array and it is not valid.
 	 */
-	buildUpdate(recordTypeName, patch, filterOrFetcher) {
+	buildUpdate(recordTypeName, patch, filterOrFetcher, options) {
 
 		// check top record type existense
 		if (!this._recordTypes.hasRecordType(recordTypeName))
@@ -279,24 +566,126 @@ class DBOFactory {
 				'The provided patch is neither a RecordPatch nor an array.');
 
 		// build and return the DBO
-		return new UpdateDBO(
-			this._dbDriver, this._recordTypes, this._rcMonitor,
-			this._recordTypes.getRecordTypeDesc(recordTypeName), patchToUse,
-			filterOrFetcher);
+		const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+			recordTypeName);
+		const buildDBO = (
+			(typeof filterOrFetcher) === 'function' ?
+				accessFilterSpec => new UpdateDBO(
+					this._dbDriver, this._recordTypes, this._rcMonitor, this,
+					recordTypeDesc, patchToUse, filterOrFetcher, options,
+					accessFilterSpec) :
+				accessFilterSpec => new UpdateDBO(
+					this._dbDriver, this._recordTypes, this._rcMonitor, this,
+					recordTypeDesc, patchToUse,
+					combineFilters(filterOrFetcher, accessFilterSpec), options)
+		);
+		return wrapAccessFiltered(recordTypeDesc, 'update', buildDBO);
+	}
+
+	/**
+	 * Generate SQL statements that create the database schema for the record
+	 * types library associated with the factory. The statements are generated
+	 * for the factory's database driver and include <code>CREATE TABLE</code>
+	 * statements with primary keys and unique constraints for all tables used
+	 * by the record types mappings followed by the statements that add foreign
+	 * keys (unless the driver includes them in the <code>CREATE TABLE</code>
+	 * statements).
+	 *
+	 * @returns {Array.<string>} The SQL statements.
+	 * @throws {module:x2node-common.X2UsageError} If the record types library
+	 * has mappings that cannot be expressed as database tables.
+	 */
+	generateSchema() {
+
+		return schemaBuilder.buildSchema(this._dbDriver, this._recordTypes);
+	}
+
+	/**
+	 * Verify that the database schema matches the record types library
+	 * mappings. The tables and columns expected by the mappings (see
+	 * [generateSchema()]{@link module:x2node-dbos~DBOFactory#generateSchema})
+	 * are compared to the actual database schema and every mismatch is
+	 * reported: missing tables and columns, column nullability inconsistent
+	 * with the property optionality and column types incompatible with the
+	 * property value types.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon Active transaction or
+	 * database connection object compatible with the database driver.
+	 * @returns {Promise.<Array.<module:x2node-dbos~SchemaMismatch>>} Promise of
+	 * the mismatches. The array is empty if the database schema matches the
+	 * mappings. The promise is rejected if the database schema could not be
+	 * read.
+	 */
+	verifySchema(txOrCon) {
+
+		return schemaVerifier.verifySchema(
+			this._dbDriver, this._recordTypes, (
+				txOrCon instanceof Transaction ? txOrCon.connection : txOrCon));
+	}
+
+	/**
+	 * Generate SQL statements that migrate the database schema created for a
+	 * previous version of the record types library to the schema for the
+	 * library associated with the factory. New tables are created, columns are
+	 * added, renamed (if marked with <code>previousColumn</code> property
+	 * definition attribute), altered and dropped, new unique and foreign keys
+	 * are added and tables no longer used are dropped. Column changes that the
+	 * database driver does not support are included in the result as SQL
+	 * comments starting with "-- unsupported:".
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} previousRecordTypes
+	 * Previous version of the record types library.
+	 * @returns {Array.<string>} The SQL statements.
+	 * @throws {module:x2node-common.X2UsageError} If either library has
+	 * mappings that cannot be expressed as database tables.
+	 */
+	generateMigration(previousRecordTypes) {
+
+		return schemaMigrator.buildMigration(
+			this._dbDriver, previousRecordTypes, this._recordTypes);
+	}
+
+	/**
+	 * Generate SQL statements that migrate the existing database schema to the
+	 * schema for the record types library associated with the factory. Works
+	 * like [generateMigration()]{@link module:x2node-dbos~DBOFactory#generateMigration},
+	 * except that the current schema is read from the database. Tables and
+	 * columns not used by the record types library are left alone and the keys
+	 * of the existing tables are not compared.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon Active transaction or
+	 * database connection object compatible with the database driver.
+	 * @returns {Promise.<Array.<string>>} Promise of the SQL statements. The
+	 * promise is rejected if the database schema could not be read.
+	 */
+	generateMigrationFromDatabase(txOrCon) {
+
+		return schemaMigrator.buildMigrationFromDatabase(
+			this._dbDriver, this._recordTypes, (
+				txOrCon instanceof Transaction ? txOrCon.connection : txOrCon));
 	}
 
 	/**
 	 * Get new transaction handler. The transaction has not been started.
 	 *
-	 * @param {*} connection The database connection compatible with the database
-	 * driver.
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The database
+	 * connection compatible with the database driver, or an active transaction,
+	 * in which case the new transaction is nested in it.
+	 * @param {module:x2node-dbos~TransactionOptions} [options] Transaction
+	 * options. Not allowed for nested transactions.
 	 * @returns {module:x2node-dbos~Transaction} The transaction handler.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 * @deprecated Use [createTxFactory()]{module:x2node-dbos~DBOFactory#createTxFactory}
 	 * instead.
 	 */
-	newTransaction(connection) {
-
-		return new Transaction(this._dbDriver, connection);
+	newTransaction(txOrCon, options) {
+
+		return (
+			txOrCon instanceof Transaction ?
+				new Transaction(
+					this._dbDriver, txOrCon.connection, txOrCon, options) :
+				new Transaction(this._dbDriver, txOrCon, undefined, options)
+		);
 	}
 
 	/**
@@ -305,11 +694,62 @@ class DBOFactory {
 	 *
 	 * @param {module:x2node-dbos.DataSource} ds The data source (see
 	 * [adaptDataSource()]{@link module:x2node-dbos~DBOFactory#adaptDataSource}).
+	 * @param {Object} [options] Transaction factory options.
+	 * @param {module:x2node-dbos~TxRetryPolicy} [options.retry] Policy for
+	 * automatically retrying transactions that fail because of a deadlock, a
+	 * serialization failure or a similar transient error. If not specified,
+	 * failed transactions are not retried.
 	 * @returns {module:x2node-dbos~TxFactory} Transactions factory.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 */
-	createTxFactory(ds) {
+	createTxFactory(ds, options) {
+
+		return new TxFactory(this._dbDriver, ds, options);
+	}
+
+	/**
+	 * Create record collections monitor that keeps the record collection
+	 * versions in a table in the database. The table is created if it does not
+	 * exist yet and rows are added to it for all record types in the library
+	 * that do not have them. The monitor is not automatically assigned to the
+	 * factory (see
+	 * [setRecordCollectionsMonitor()]{@link module:x2node-dbos~DBOFactory#setRecordCollectionsMonitor}).
+	 *
+	 * @param {module:x2node-dbos.DataSource} ds The data source used to get the
+	 * connection for creating the table.
+	 * @param {Object} [options] Monitor options.
+	 * @param {string} [options.table=record_collections] Name of the versions
+	 * table.
+	 * @returns {Promise.<module:x2node-dbos~DBRecordCollectionsMonitor>} Promise
+	 * of the monitor, fulfilled when the versions table is ready.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	createRecordCollectionsMonitor(ds, options) {
+
+		const tableName = ((options && options.table) || 'record_collections');
+		if (((typeof tableName) !== 'string') || (tableName.length > 64))
+			throw new common.X2UsageError(
+				'Invalid record collections versions table name.');
+
+		return new DBRecordCollectionsMonitor(this._dbDriver, tableName).init(
+			ds, this._recordTypes.definedRecordTypeNames);
+	}
+
+	/**
+	 * Create poller for reading and dispatching messages from an outbox table.
+	 *
+	 * @param {string} table Name of the outbox table (see record type's
+	 * <code>outboxTable</code> definition attribute).
+	 * @returns {module:x2node-dbos~OutboxPoller} The poller.
+	 * @throws {module:x2node-common.X2UsageError} If the table name is invalid.
+	 */
+	createOutboxPoller(table) {
+
+		if (((typeof table) !== 'string') || (table.length === 0) ||
+			(table.length > 64))
+			throw new common.X2UsageError('Invalid outbox table name.');
 
-		return new TxFactory(this._dbDriver, ds);
+		return new OutboxPoller(this._dbDriver, table);
 	}
 }
 
@@ -2,12 +2,55 @@
 
 const AbstractDBO = require('./abstract-dbo.js');
 const DBOExecutionContext = require('./dbo-execution-context.js');
+const FetchDBO = require('./fetch-dbo.js');
 const ValueExpressionContext = require('./value-expression-context.js');
 const propsTreeBuilder = require('./props-tree-builder.js');
 const filterBuilder = require('./filter-builder.js');
 const queryTreeBuilder = require('./query-tree-builder.js');
 
 
+/////////////////////////////////////////////////////////////////////////////////
+// COMMANDS
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Pre-fetch command used for record types with change history or outbox, or
+ * when record change events are emitted. When executed, fetches all matching
+ * records due for deletion and sets them in the context so that their images
+ * can be written into the history and their ids included in the outbox
+ * messages and the events.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class PrefetchCommand {
+
+	constructor(fetchDBO, forRecordChangesOnly) {
+
+		this._fetchDBO = fetchDBO;
+		this._forRecordChangesOnly = forRecordChangesOnly;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return promiseChain.then(
+			() => (
+				this._forRecordChangesOnly && !ctx.recordChangesRequested ?
+					undefined :
+					this._fetchDBO.execute(
+						ctx.transaction, ctx.actor, ctx.filterParams).then(
+						result => {
+							ctx.setDeletedRecords(result.records);
+						})
+			)
+		);
+	}
+}
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // EXECUTION CONTEXT
 /////////////////////////////////////////////////////////////////////////////////
@@ -26,8 +69,29 @@ class DeleteDBOExecutionContext extends DBOExecutionContext {
 		super(dbo, txOrCon, actor, filterParams);
 
 		this._affectedRecordTypes = {};
+		this._deletedRecords = null;
+	}
+
+	/**
+	 * Set records fetched before the deletion for the change history and the
+	 * record change events.
+	 *
+	 * @param {Array.<Object>} records The records.
+	 */
+	setDeletedRecords(records) {
+
+		this._deletedRecords = records;
 	}
 
+	/**
+	 * Records fetched before the deletion for the change history and the
+	 * record change events, or <code>null</code> if not fetched.
+	 *
+	 * @member {Array.<Object>}
+	 * @readonly
+	 */
+	get deletedRecords() { return this._deletedRecords; }
+
 	affectedRows(numRows, stmtId) {
 
 		if (numRows === 0)
@@ -61,7 +125,8 @@ class DeleteDBOExecutionContext extends DBOExecutionContext {
 /////////////////////////////////////////////////////////////////////////////////
 
 /**
- * Delete database operation implementation (SQL <code>DELETE</code> query).
+ * Delete database operation implementation (SQL <code>DELETE</code> query, or
+ * <code>UPDATE</code> query for record types with soft delete).
  *
  * @memberof module:x2node-dbos
  * @inner
@@ -80,14 +145,32 @@ class DeleteDBO extends AbstractDBO {
 	 * library.
 	 * @param {module:x2node-dbos.RecordCollectionsMonitor} rcMonitor The record
 	 * collections monitor.
+	 * @param {external:EventEmitter} changeEmitter Emitter of the record change
+	 * events.
 	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
 	 * record type descriptor.
 	 * @param {Array.<Array>} [filterSpec] Optional filter specification.
 	 * @throws {module:x2node-common.X2UsageError} If the provided data is
 	 * invalid.
 	 */
-	constructor(dbDriver, recordTypes, rcMonitor, recordTypeDesc, filterSpec) {
-		super(dbDriver, recordTypes, rcMonitor);
+	constructor(
+		dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+		filterSpec) {
+		super(dbDriver, recordTypes, rcMonitor, changeEmitter);
+
+		// save the record type descriptor
+		this._recordTypeDesc = recordTypeDesc;
+
+		// check if soft delete
+		if (recordTypeDesc.softDeletePropName) {
+			this._buildSoftDelete(
+				dbDriver, recordTypes, recordTypeDesc, filterSpec);
+			return;
+		}
+
+		// limit to the records of the tenant if multi-tenant
+		const tenantFilterSpec = AbstractDBO.addTenantFilter(
+			recordTypeDesc, filterSpec);
 
 		// build base properties tree
 		const recordProps = new Set();
@@ -101,8 +184,8 @@ class DeleteDBO extends AbstractDBO {
 			recordProps);
 
 		// build filter and properties tree for it
-		const filter = (filterSpec && filterBuilder.buildFilter(
-			recordTypes, baseValueExprCtx, [ ':and', filterSpec ]));
+		const filter = (tenantFilterSpec && filterBuilder.buildFilter(
+			recordTypes, baseValueExprCtx, [ ':and', tenantFilterSpec ]));
 		const filterPropsTree = (
 			filter && propsTreeBuilder.buildPropsTreeBranches(
 				recordTypes, recordsPropDesc, 'where', baseValueExprCtx, '',
@@ -253,8 +336,187 @@ class DeleteDBO extends AbstractDBO {
 			}
 		});
 
+		// add change history and record change events commands
+		this._addDeletedRecordsCommands(
+			dbDriver, recordTypes, recordTypeDesc, filterSpec);
+
 		// add record collections monitor notification command
 		this._commands.push(this._createNotifyRecordCollectionsMonitorCommand());
+
+		// add outbox messages write command
+		this._commands.push(this._createWriteOutboxCommand());
+	}
+
+	/**
+	 * Build commands for soft-deleting records, which sets the deletion
+	 * timestamp and actor on the records instead of deleting them. Dependent
+	 * records are left intact.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Array.<Array>} [filterSpec] Optional filter specification.
+	 */
+	_buildSoftDelete(dbDriver, recordTypes, recordTypeDesc, filterSpec) {
+
+		// build filter that excludes already soft-deleted records (and records
+		// of other tenants)
+		const recordsPropDesc = recordTypes.getRecordTypeDesc(
+			recordTypeDesc.superRecordTypeName).getPropertyDesc('records');
+		const baseValueExprCtx = new ValueExpressionContext(
+			'', [ recordTypeDesc ]);
+		const deletedPropName = recordTypeDesc.softDeletePropName;
+		const filter = filterBuilder.buildFilter(
+			recordTypes, baseValueExprCtx, [ ':and', (
+				AbstractDBO.addTenantFilter(recordTypeDesc, filterSpec) || []
+			).concat([ [ deletedPropName + ' => empty' ] ]) ]);
+
+		// build combined properties tree
+		const propsTree = propsTreeBuilder.buildSimplePropsTree(
+			recordTypes, recordsPropDesc, 'update', baseValueExprCtx,
+			new Set([ recordTypeDesc.idPropertyName ])
+		).combine(propsTreeBuilder.buildPropsTreeBranches(
+			recordTypes, recordsPropDesc, 'where', baseValueExprCtx, '',
+			filter.usedPropertyPaths, {
+				noWildcards: true,
+				noAggregates: true,
+				ignoreScopedOrders: true,
+				noScopedFilters: true
+			})[0]);
+
+		// the operation commands sequence
+		this._commands = new Array();
+
+		// try the filter directly in the UPDATE statement
+		let queryTree = queryTreeBuilder.forDirectQuery(
+			dbDriver, recordTypes, 'update', false, propsTree);
+		let refTables = new Array();
+		queryTree.walk(queryTree.getTopTranslationContext(
+			this._paramsHandler), (propNode, tableDesc) => {
+			if (propNode.path !== '')
+				refTables.push(tableDesc);
+		});
+		let useFilter = true;
+
+		// use anchor table if filter involves other tables
+		if (refTables.length > 0) {
+
+			// filter is used in the ids query
+			useFilter = false;
+
+			// add load anchor table command
+			const loadAnchorTable = this._createLoadAnchorTableCommand(
+				queryTreeBuilder.forIdsOnlyQuery(
+					dbDriver, recordTypes, propsTree),
+				filter, null, null, 'exclusive');
+			this._commands.push(loadAnchorTable);
+
+			// build anchored query tree and join the records to the anchor
+			queryTree = queryTreeBuilder.forAnchoredQuery(
+				dbDriver, recordTypes, 'update', false,
+				propsTreeBuilder.buildSimplePropsTree(
+					recordTypes, recordsPropDesc, 'update', baseValueExprCtx,
+					new Set([ recordTypeDesc.idPropertyName ])),
+				loadAnchorTable.anchorTableName
+			);
+			refTables = new Array();
+			queryTree.walk(queryTree.getTopTranslationContext(
+				this._paramsHandler), (propNode, tableDesc, tableChain) => {
+				if (tableChain.length === 1) {
+					tableChain[0].joinCondition = tableDesc.joinCondition;
+					refTables.push(tableChain[0]);
+				}
+			});
+		}
+
+		// build SET clause
+		const sets = AbstractDBO.getModificationMetaInfoSets(
+			null, recordTypeDesc, 'z');
+		sets.push({
+			columnName: recordTypeDesc.getPropertyDesc(deletedPropName).column,
+			value: '?{ctx.executedOn}'
+		});
+		const actorPropName = recordTypeDesc.softDeleteActorPropName;
+		if (actorPropName)
+			sets.push({
+				columnName: recordTypeDesc.getPropertyDesc(actorPropName).column,
+				value: '?{ctx.actor}'
+			});
+		this._actorRequired = (
+			(actorPropName !== undefined) || (
+				recordTypeDesc.getRecordMetaInfoPropName(
+					'modificationActor') !== undefined));
+
+		// register update of the records as their deletion
+		this._topRecordTypeDeletes = new Array();
+		this._entangledRecordTypeUpdates = new Array();
+		this._topRecordTypeDeletes[this._commands.length] = recordTypeDesc.name;
+
+		// build the UPDATE statement
+		const translationCtx = queryTree.getTopTranslationContext(
+			this._paramsHandler);
+		this._commands.push(this._createExecuteStatementCommand(
+			dbDriver.buildUpdateWithJoins(
+				recordTypeDesc.table, 'z', sets, refTables,
+				(useFilter ? filter.translate(translationCtx) : null),
+				(useFilter && filter.needsParen('AND'))),
+			this._commands.length
+		));
+
+		// add change history and record change events commands
+		this._addDeletedRecordsCommands(
+			dbDriver, recordTypes, recordTypeDesc, filterSpec);
+
+		// add record collections monitor notification command
+		this._commands.push(this._createNotifyRecordCollectionsMonitorCommand());
+
+		// add outbox messages write command
+		this._commands.push(this._createWriteOutboxCommand());
+	}
+
+	/**
+	 * If the record type has change history enabled or an outbox, or record
+	 * change events are emitted, add commands that fetch the records before the
+	 * deletion and write their images into the history, add outbox messages
+	 * and emit the events afterwards.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Array.<Array>} [filterSpec] Optional filter specification.
+	 */
+	_addDeletedRecordsCommands(
+		dbDriver, recordTypes, recordTypeDesc, filterSpec) {
+
+		const idPropName = recordTypeDesc.idPropertyName;
+
+		// pre-fetch full records for the history or ids for the events
+		if (recordTypeDesc.historyTable)
+			this._commands.unshift(new PrefetchCommand(new FetchDBO(
+				dbDriver, recordTypes, recordTypeDesc.name,
+				[ '*' ], null, filterSpec, null, null, 'exclusive'), false));
+		else if (this._changeEmitter || recordTypeDesc.outboxTable)
+			this._commands.unshift(new PrefetchCommand(new FetchDBO(
+				dbDriver, recordTypes, recordTypeDesc.name,
+				[ idPropName ], null, filterSpec, null, null, 'exclusive'),
+				true));
+
+		// write history entries
+		if (recordTypeDesc.historyTable)
+			this._commands.push(this._createWriteHistoryCommand(
+				recordTypeDesc, 'delete', ctx => ctx.deletedRecords.map(
+					record => ({ recordId: record[idPropName], data: record }))));
+
+		// add outbox messages and emit record change events
+		this._commands.push(this._createRecordChangesCommand(
+			recordTypeDesc, 'delete', ctx => ctx.deletedRecords.map(
+				record => ({ recordId: record[idPropName] }))));
 	}
 
 	/**
@@ -2,6 +2,92 @@
 
 const common = require('x2node-common');
 
+const X2DatabaseUnavailableError =
+	require('./errors.js').X2DatabaseUnavailableError;
+
+
+/**
+ * Data source options.
+ *
+ * @typedef {Object} module:x2node-dbos~DataSourceOptions
+ * @property {boolean} [validate=false] <code>true</code> to check every
+ * connection on checkout with a lightweight ping request (see driver's
+ * [ping()]{@link module:x2node-dbos.DBDriver#ping} method). Broken connections
+ * are destroyed and another connection is requested.
+ * @property {Object} [retry] Policy for retrying when a connection cannot be
+ * acquired. If not specified, no retries are made.
+ * @property {number} [retry.maxAttempts=3] Maximum number of attempts to
+ * acquire a connection, including the first one.
+ * @property {(number|function)} [retry.backoff=100] Delay in milliseconds
+ * before the second attempt. The delay doubles with each subsequent attempt.
+ * Alternatively, a function that takes the number of the failed attempt
+ * (starting from 1) and returns the delay in milliseconds.
+ */
+
+/**
+ * Maximum number of broken connections replaced in a row during a single
+ * connection acquisition attempt.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_BROKEN_REPLACEMENTS = 10;
+
+/**
+ * Validate and normalize data source options.
+ *
+ * @private
+ * @param {module:x2node-dbos~DataSourceOptions} [options] The options.
+ * @returns {Object} Normalized options with <code>validate</code>,
+ * <code>maxAttempts</code> and <code>backoff</code> properties.
+ * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+ */
+function normalizeOptions(options) {
+
+	const res = {
+		validate: false,
+		maxAttempts: 1,
+		backoff: 100
+	};
+
+	if (options === undefined)
+		return res;
+	if (((typeof options) !== 'object') || (options === null))
+		throw new common.X2UsageError('Data source options must be an object.');
+
+	if (options.validate !== undefined) {
+		if ((typeof options.validate) !== 'boolean')
+			throw new common.X2UsageError(
+				'Data source option validate must be a Boolean.');
+		res.validate = options.validate;
+	}
+
+	const retry = options.retry;
+	if (retry !== undefined) {
+		if (((typeof retry) !== 'object') || (retry === null))
+			throw new common.X2UsageError(
+				'Data source retry policy must be an object.');
+		res.maxAttempts = (
+			retry.maxAttempts !== undefined ? retry.maxAttempts : 3);
+		if (!Number.isInteger(res.maxAttempts) || (res.maxAttempts < 1))
+			throw new common.X2UsageError(
+				'Data source retry policy maxAttempts must be a positive' +
+					' integer.');
+		if (retry.backoff !== undefined)
+			res.backoff = retry.backoff;
+		if ((typeof res.backoff) === 'number') {
+			if (!(res.backoff >= 0))
+				throw new common.X2UsageError(
+					'Data source retry policy backoff may not be negative.');
+		} else if ((typeof res.backoff) !== 'function') {
+			throw new common.X2UsageError(
+				'Data source retry policy backoff must be a number or a' +
+					' function.');
+		}
+	}
+
+	return res;
+}
 
 /**
  * Data source implementation that uses the database driver.
@@ -18,18 +104,68 @@ class DBDriverDataSource {
 	 *
 	 * @param {module:x2node-dbos.DBDriver} dbDriver Database driver to use.
 	 * @param {*} source Driver-specific database connections source.
+	 * @param {module:x2node-dbos~DataSourceOptions} [options] Data source
+	 * options.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 */
-	constructor(dbDriver, source) {
+	constructor(dbDriver, source, options) {
 
 		this._dbDriver = dbDriver;
 		this._source = source;
 
+		this._options = normalizeOptions(options);
+
 		this._log = common.getDebugLogger('X2_DBO');
 	}
 
 	// get connection
 	getConnection() {
 
+		const options = this._options;
+
+		const state = { broken: false, numReplaced: 0 };
+		const attempt = attemptNum => this._acquireConnection(
+			state
+		).catch(err => {
+			if (state.broken && (state.numReplaced < MAX_BROKEN_REPLACEMENTS)) {
+				state.numReplaced++;
+				this._log('replacing broken database connection');
+				return attempt(attemptNum);
+			}
+			if (attemptNum >= options.maxAttempts) {
+				common.error('could not acquire database connection', err);
+				return Promise.reject(new X2DatabaseUnavailableError(
+					'Database is unavailable.', err));
+			}
+			state.numReplaced = 0;
+			let delay;
+			if ((typeof options.backoff) === 'function')
+				delay = options.backoff(attemptNum);
+			else
+				delay = options.backoff * Math.pow(2, attemptNum - 1);
+			this._log(
+				`could not acquire database connection, retrying in ${delay}ms` +
+					` (attempt ${attemptNum + 1} of ${options.maxAttempts})`);
+			return new Promise(resolve => {
+				setTimeout(resolve, delay);
+			}).then(() => attempt(attemptNum + 1));
+		});
+
+		return attempt(1);
+	}
+
+	/**
+	 * Acquire connection from the driver and, if configured, check it.
+	 *
+	 * @private
+	 * @param {Object} state Object, on which the method sets
+	 * <code>broken</code> flag if the acquired connection fails the check.
+	 * @returns {Promise.<*>} Promise of the connection.
+	 */
+	_acquireConnection(state) {
+
+		state.broken = false;
+
 		const log = this._log;
 
 		return new Promise((resolve, reject) => {
@@ -42,6 +178,29 @@ class DBDriverDataSource {
 					reject(err);
 				}
 			});
+		}).then(connection => {
+			if (!this._options.validate)
+				return connection;
+			return new Promise((resolve, reject) => {
+				this._dbDriver.ping(connection, {
+					onSuccess() {
+						resolve(connection);
+					},
+					onError: err => {
+						state.broken = true;
+						log('destroying broken database connection');
+						try {
+							this._dbDriver.releaseConnection(
+								this._source, connection, err);
+						} catch (releaseErr) {
+							common.error(
+								'error destroying broken database connection',
+								releaseErr);
+						}
+						reject(err);
+					}
+				});
+			});
 		});
 	}
 
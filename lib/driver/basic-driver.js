@@ -1,6 +1,42 @@
 'use strict';
 
 
+/**
+ * Column value types by the first word of the SQL data type.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const COLUMN_VALUE_TYPES = {
+	'tinyint': 'integer',
+	'smallint': 'integer',
+	'mediumint': 'integer',
+	'integer': 'integer',
+	'int': 'integer',
+	'bigint': 'integer',
+	'numeric': 'number',
+	'decimal': 'number',
+	'real': 'number',
+	'double': 'number',
+	'float': 'number',
+	'character': 'string',
+	'char': 'string',
+	'varchar': 'string',
+	'nchar': 'string',
+	'nvarchar': 'string',
+	'text': 'string',
+	'tinytext': 'string',
+	'mediumtext': 'string',
+	'longtext': 'string',
+	'clob': 'string',
+	'enum': 'string',
+	'boolean': 'boolean',
+	'bool': 'boolean',
+	'timestamp': 'datetime',
+	'datetime': 'datetime',
+	'date': 'datetime'
+};
+
 /**
  * SQL database driver base class.
  *
@@ -21,6 +57,12 @@ class BasicDBDriver {
 		this._options = (options || {});
 	}
 
+	supportsRowLocksWithOuterJoins() { return false; }
+
+	supportsMultiRowInsertIds() { return false; }
+
+	supportsLockWaitModes() { return false; }
+
 	sql(val) {
 
 		switch (typeof val) {
@@ -45,6 +87,36 @@ class BasicDBDriver {
 		}
 	}
 
+	/**
+	 * Convert the specified ES value to the form, in which the driver's
+	 * <code>bindParam()</code> method adds it to the statement parameter values.
+	 * The default implementation passes strings, Booleans, numbers and
+	 * <code>null</code> as is and converts dates to ISO strings. Drivers may
+	 * override it to adapt the values to the underlying database client.
+	 *
+	 * @protected
+	 * @param {*} val The ES value.
+	 * @returns {*} The value to bind, or <code>undefined</code> if the value
+	 * cannot be bound.
+	 */
+	_paramValue(val) {
+
+		switch (typeof val) {
+		case 'string':
+		case 'boolean':
+			return val;
+		case 'number':
+			return (Number.isFinite(val) ? val : undefined);
+		case 'object':
+			if (val instanceof Date)
+				return val.toISOString();
+			if (val === null)
+				return null;
+		}
+
+		return undefined;
+	}
+
 	booleanLiteral(val) {
 
 		return (val ? 'TRUE' : 'FALSE');
@@ -100,6 +172,208 @@ class BasicDBDriver {
 
 		return 'COALESCE(' + Array.from(arguments).join(', ') + ')';
 	}
+
+	buildCreateTable(table) {
+
+		const elements = table.columns.map(column => (
+			column.name + ' ' + this._columnType(column) +
+				(column.nullable ? '' : ' NOT NULL')
+		));
+		if (table.primaryKey)
+			elements.push(`PRIMARY KEY (${table.primaryKey.join(', ')})`);
+		for (let uniqueKey of table.uniqueKeys)
+			elements.push(`UNIQUE (${uniqueKey.join(', ')})`);
+
+		return `CREATE TABLE ${table.name} (\n\t${elements.join(',\n\t')}\n)`;
+	}
+
+	buildAddForeignKey(tableName, foreignKey) {
+
+		return `ALTER TABLE ${tableName} ADD FOREIGN KEY` +
+			` (${foreignKey.columns.join(', ')}) REFERENCES` +
+			` ${foreignKey.refTable} (${foreignKey.refColumns.join(', ')})`;
+	}
+
+	buildAddColumn(tableName, column) {
+
+		return `ALTER TABLE ${tableName} ADD COLUMN ${column.name}` +
+			` ${this._columnType(column)}` +
+			(column.nullable ? '' : ' NOT NULL');
+	}
+
+	buildRenameColumn(tableName, oldColumnName, newColumnName) {
+
+		return `ALTER TABLE ${tableName} RENAME COLUMN ${oldColumnName}` +
+			` TO ${newColumnName}`;
+	}
+
+	buildAlterColumn(tableName, column) {
+
+		const type = this._columnType(
+			Object.assign({}, column, { autoIncrement: false }));
+
+		return `ALTER TABLE ${tableName}` +
+			` ALTER COLUMN ${column.name} SET DATA TYPE ${type},` +
+			` ALTER COLUMN ${column.name}` +
+			(column.nullable ? ' DROP NOT NULL' : ' SET NOT NULL');
+	}
+
+	buildDropColumn(tableName, columnName) {
+
+		return `ALTER TABLE ${tableName} DROP COLUMN ${columnName}`;
+	}
+
+	buildDropTable(tableName) {
+
+		return `DROP TABLE ${tableName}`;
+	}
+
+	buildAddUniqueKey(tableName, columnNames) {
+
+		return `ALTER TABLE ${tableName} ADD UNIQUE (${columnNames.join(', ')})`;
+	}
+
+	buildSetLockTimeout() {
+
+		return null;
+	}
+
+	buildResetLockTimeout() {
+
+		return null;
+	}
+
+	isLockNotAvailableError() {
+
+		return false;
+	}
+
+	classifyError() {
+
+		return null;
+	}
+
+	ping(connection, handler) {
+
+		try {
+			this.executeQuery(connection, 'SELECT 1', {
+				onSuccess() {
+					handler.onSuccess();
+				},
+				onError(err) {
+					handler.onError(err);
+				}
+			});
+		} catch (err) {
+			handler.onError(err);
+		}
+	}
+
+	executeInsertRows(connection, statement, handler, idColumn, params) {
+
+		this.executeInsert(connection, statement, {
+			onSuccess(id) {
+				handler.onSuccess(idColumn ? [ id ] : undefined);
+			},
+			onError(err) {
+				handler.onError(err);
+			}
+		}, idColumn, params);
+	}
+
+	getTableColumns(connection, handler) {
+
+		const sql = this._tableColumnsQuery();
+		if (handler.trace)
+			handler.trace(sql);
+
+		const columns = new Array();
+		this.executeQuery(connection, sql, {
+			noRowsAsArrays: true,
+			onRow: row => {
+				columns.push({
+					table: row.table_name,
+					name: row.column_name,
+					dataType: row.data_type,
+					type: this._columnValueType(row.data_type),
+					nullable: (row.nullable ? true : false)
+				});
+			},
+			onSuccess() {
+				handler.onSuccess(columns);
+			},
+			onError(err) {
+				handler.onError(err);
+			}
+		});
+	}
+
+	/**
+	 * Get query used by the <code>getTableColumns()</code> method. The query
+	 * result set must have columns <code>table_name</code>,
+	 * <code>column_name</code>, <code>data_type</code> and
+	 * <code>nullable</code> (a Boolean value). The default implementation
+	 * queries <code>information_schema</code> for the tables in the current
+	 * schema.
+	 *
+	 * @protected
+	 * @returns {string} The query SQL.
+	 */
+	_tableColumnsQuery() {
+
+		return 'SELECT table_name AS table_name,' +
+			' column_name AS column_name, data_type AS data_type,' +
+			' is_nullable = \'YES\' AS nullable' +
+			' FROM information_schema.columns' +
+			' WHERE table_schema = CURRENT_SCHEMA';
+	}
+
+	/**
+	 * Get value type of a column given its SQL data type reported by the
+	 * database.
+	 *
+	 * @protected
+	 * @param {string} dataType SQL data type.
+	 * @returns {?string} Column value type ("string", "integer", "number",
+	 * "boolean" or "datetime"), or <code>null</code> if not recognized.
+	 */
+	_columnValueType(dataType) {
+
+		const baseType = /^\s*([a-z]+)/i.exec(dataType || '');
+
+		return ((baseType && COLUMN_VALUE_TYPES[baseType[1].toLowerCase()]) ||
+			null);
+	}
+
+	/**
+	 * Get SQL type for a column in the <code>CREATE TABLE</code> statement. The
+	 * default implementation uses standard SQL types.
+	 *
+	 * @protected
+	 * @param {Object} column Column descriptor from the table definition passed
+	 * to the driver's <code>buildCreateTable()</code> method.
+	 * @returns {string} The column SQL type, including the auto-increment
+	 * specification if the column has the <code>autoIncrement</code> flag.
+	 */
+	_columnType(column) {
+
+		switch (column.type) {
+		case 'string':
+			return 'VARCHAR(255)';
+		case 'text':
+			return 'TEXT';
+		case 'integer':
+			return (
+				column.autoIncrement ?
+					'INTEGER GENERATED BY DEFAULT AS IDENTITY' : 'INTEGER');
+		case 'number':
+			return 'DOUBLE PRECISION';
+		case 'boolean':
+			return 'BOOLEAN';
+		case 'datetime':
+			return 'TIMESTAMP';
+		}
+	}
 }
 
 // export the class
@@ -29,6 +29,17 @@ const ANCHOR_TABLES = Symbol();
  */
 const DESTROY = Symbol();
 
+/**
+ * Locking clause options for the lock wait modes.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const LOCK_WAIT_OPTIONS = {
+	'skip': ' SKIP LOCKED',
+	'nowait': ' NOWAIT'
+};
+
 
 /**
  * MySQL database driver.
@@ -49,14 +60,57 @@ class MySQLDBDriver extends BasicDBDriver {
 
 	datetimeLiteral(val) {
 
-		return '\'' + (
+		return '\'' + this._datetimeString(val) + '\'';
+	}
+
+	/**
+	 * Get string representation of the specified date used in the datetime
+	 * literals and the bound statement parameters.
+	 *
+	 * @private
+	 * @param {Date} val The date.
+	 * @returns {string} The datetime string.
+	 */
+	_datetimeString(val) {
+
+		return (
 			this._options.useLocalTimezone ?
 				new Date(val.getTime() - val.getTimezoneOffset() * 60000) : val
-		).toISOString().substring(0, 23) + '\'';
+		).toISOString().substring(0, 23);
+	}
+
+	_paramValue(val) {
+
+		return (
+			val instanceof Date ?
+				this._datetimeString(val) : super._paramValue(val));
 	}
 
 	supportsRowLocksWithAggregates() { return true; }
 
+	supportsRowLocksWithOuterJoins() { return true; }
+
+	// depending on innodb_autoinc_lock_mode the ids may be not consecutive
+	supportsMultiRowInsertIds() {
+		return Boolean(this._options.consecutiveInsertIds);
+	}
+
+	// SKIP LOCKED and NOWAIT require MySQL 8 (MariaDB 10.6)
+	supportsLockWaitModes() {
+		return (this._options.lockWaitModes !== false);
+	}
+
+	bindParam(params, val) {
+
+		const paramVal = this._paramValue(val);
+		if (paramVal === undefined)
+			return null;
+
+		params.push(paramVal);
+
+		return '?';
+	}
+
 	safeLikePatternFromExpr(expr) {
 
 		return `REPLACE(REPLACE(REPLACE(${expr}, '\\\\', '\\\\\\\\'),` +
@@ -110,7 +164,19 @@ class MySQLDBDriver extends BasicDBDriver {
 			(offset > 0 ? String(offset) + ', ' : '') + limit;
 	}
 
-	makeSelectWithLocks(selectStmt, exclusiveLockTables, sharedLockTables) {
+	makeSelectWithLocks(
+		selectStmt, exclusiveLockTables, sharedLockTables, lockWait) {
+
+		// lock wait options are supported with MySQL 8 syntax only
+		const waitOption = LOCK_WAIT_OPTIONS[lockWait];
+		if (waitOption)
+			return selectStmt + (
+				exclusiveLockTables && (exclusiveLockTables.length > 0) ?
+					' FOR UPDATE' + waitOption : (
+						sharedLockTables && (sharedLockTables.length > 0) ?
+							' FOR SHARE' + waitOption : ''
+					)
+			);
 
 		return selectStmt + (
 			exclusiveLockTables && (exclusiveLockTables.length > 0) ?
@@ -121,6 +187,38 @@ class MySQLDBDriver extends BasicDBDriver {
 		);
 	}
 
+	buildSetLockTimeout(timeout) {
+
+		return 'SET SESSION innodb_lock_wait_timeout = ' +
+			Math.ceil(timeout / 1000);
+	}
+
+	buildResetLockTimeout() {
+
+		return 'SET SESSION innodb_lock_wait_timeout = DEFAULT';
+	}
+
+	isLockNotAvailableError(err) {
+
+		// ER_LOCK_WAIT_TIMEOUT or ER_LOCK_NOWAIT
+		return ((err.errno === 1205) || (err.errno === 3572));
+	}
+
+	classifyError(err) {
+
+		switch (err.errno) {
+		case 1213: // ER_LOCK_DEADLOCK
+			return 'deadlock';
+		case 1205: // ER_LOCK_WAIT_TIMEOUT
+		case 3572: // ER_LOCK_NOWAIT
+			return 'lockNotAvailable';
+		case 1062: // ER_DUP_ENTRY
+			return 'uniqueViolation';
+		default:
+			return null;
+		}
+	}
+
 	buildLockTables() {
 
 		throw new Error(
@@ -211,6 +309,47 @@ class MySQLDBDriver extends BasicDBDriver {
 			` VALUES (${insertValues}) ON DUPLICATE KEY UPDATE ${sets}`;
 	}
 
+	buildAlterColumn(tableName, column) {
+
+		return `ALTER TABLE ${tableName} MODIFY COLUMN ${column.name}` +
+			` ${this._columnType(column)}` +
+			(column.nullable ? '' : ' NOT NULL');
+	}
+
+	_tableColumnsQuery() {
+
+		return 'SELECT table_name AS table_name,' +
+			' column_name AS column_name, column_type AS data_type,' +
+			' is_nullable = \'YES\' AS nullable' +
+			' FROM information_schema.columns' +
+			' WHERE table_schema = DATABASE()';
+	}
+
+	_columnValueType(dataType) {
+
+		if (/^(?:tinyint|bit)\(1\)/i.test(dataType))
+			return 'boolean';
+
+		return super._columnValueType(dataType);
+	}
+
+	_columnType(column) {
+
+		switch (column.type) {
+		case 'integer':
+			return (
+				column.autoIncrement ? 'INTEGER AUTO_INCREMENT' : 'INTEGER');
+		case 'number':
+			return 'DOUBLE';
+		case 'text':
+			return 'LONGTEXT';
+		case 'datetime':
+			return 'DATETIME(3)';
+		}
+
+		return super._columnType(column);
+	}
+
 	connect(source, handler) {
 
 		if ((typeof source.getConnection) === 'function') {
@@ -242,9 +381,9 @@ class MySQLDBDriver extends BasicDBDriver {
 		}
 	}
 
-	startTransaction(connection, handler) {
+	ping(connection, handler) {
 
-		connection.query('START TRANSACTION', err => {
+		connection.ping(err => {
 			if (err)
 				handler.onError(err);
 			else
@@ -252,6 +391,33 @@ class MySQLDBDriver extends BasicDBDriver {
 		});
 	}
 
+	startTransaction(connection, handler, options) {
+
+		const startTx = () => {
+			connection.query(
+				'START TRANSACTION' + (
+					options && options.readOnly ? ' READ ONLY' : ''), err => {
+					if (err)
+						handler.onError(err);
+					else
+						handler.onSuccess();
+				});
+		};
+
+		if (!options || !options.isolation)
+			return startTx();
+
+		// isolation level set this way applies to the next transaction only
+		connection.query(
+			'SET TRANSACTION ISOLATION LEVEL ' +
+				options.isolation.toUpperCase(), err => {
+				if (err)
+					handler.onError(err);
+				else
+					startTx();
+			});
+	}
+
 	rollbackTransaction(connection, handler) {
 
 		this._finishTransaction(connection, 'ROLLBACK', handler);
@@ -262,6 +428,36 @@ class MySQLDBDriver extends BasicDBDriver {
 		this._finishTransaction(connection, 'COMMIT', handler);
 	}
 
+	createSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(connection, `SAVEPOINT ${name}`, handler);
+	}
+
+	rollbackToSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `ROLLBACK TO SAVEPOINT ${name}`, handler);
+	}
+
+	releaseSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `RELEASE SAVEPOINT ${name}`, handler);
+	}
+
+	_executeSavepointCommand(connection, sql, handler) {
+
+		const trace = (handler.trace || function() {});
+
+		trace(sql);
+		connection.query(sql, err => {
+			if (err)
+				handler.onError(err);
+			else
+				handler.onSuccess();
+		});
+	}
+
 	_finishTransaction(connection, command, handler) {
 
 		const trace = (handler.trace || function() {});
@@ -327,7 +523,7 @@ class MySQLDBDriver extends BasicDBDriver {
 
 	selectIntoAnchorTable(
 		connection, anchorTableName, topTableName, idColumnName, idExpr,
-		statementStump, handler) {
+		statementStump, handler, params) {
 
 		const trace = (handler.trace || function() {});
 
@@ -375,7 +571,7 @@ class MySQLDBDriver extends BasicDBDriver {
 							/\bSELECT\s+\{\*\}\s+FROM\b/i,
 							`SELECT ${idExpr} AS id FROM`) + ') AS q'
 				));
-			connection.query(sql, (err, result) => {
+			this._query(connection, sql, params, (err, result) => {
 
 				if (err)
 					return handler.onError(err);
@@ -385,12 +581,18 @@ class MySQLDBDriver extends BasicDBDriver {
 		});
 	}
 
-	executeQuery(connection, statement, handler) {
+	executeQuery(connection, statement, handler, params) {
 
-		const query = connection.query(statement);
+		const query = this._query(connection, statement, params);
 
 		query[HAS_ERROR] = false;
 
+		if (handler.onFlowControl && ((typeof connection.pause) === 'function'))
+			handler.onFlowControl(
+				() => { connection.pause(); },
+				() => { connection.resume(); }
+			);
+
 		query.on('error', err => {
 			if (query[HAS_ERROR])
 				return;
@@ -428,9 +630,9 @@ class MySQLDBDriver extends BasicDBDriver {
 			});
 	}
 
-	executeUpdate(connection, statement, handler) {
+	executeUpdate(connection, statement, handler, params) {
 
-		connection.query(statement, (err, result) => {
+		this._query(connection, statement, params, (err, result) => {
 
 			if (err)
 				handler.onError(err);
@@ -439,9 +641,9 @@ class MySQLDBDriver extends BasicDBDriver {
 		});
 	}
 
-	executeInsert(connection, statement, handler) {
+	executeInsert(connection, statement, handler, idColumn, params) {
 
-		connection.query(statement, (err, result) => {
+		this._query(connection, statement, params, (err, result) => {
 
 			if (err)
 				handler.onError(err);
@@ -450,6 +652,101 @@ class MySQLDBDriver extends BasicDBDriver {
 		});
 	}
 
+	executeInsertRows(connection, statement, handler, idColumn, params) {
+
+		this._query(connection, statement, params, (err, result) => {
+
+			if (err)
+				handler.onError(err);
+			else
+				handler.onSuccess(
+					idColumn ? this._insertedIds(result) : undefined);
+		});
+	}
+
+	/**
+	 * Get ids generated for the rows inserted by a multi-row
+	 * <code>INSERT</code> statement. The client library reports only the id
+	 * generated for the first row. The ids for the rest of the rows are assumed
+	 * to be consecutive, which is guaranteed by the database only if
+	 * <code>innodb_autoinc_lock_mode</code> server setting is 0 or 1 and
+	 * <code>auto_increment_increment</code> is 1.
+	 *
+	 * @private
+	 * @param {Object} result Statement execution result reported by the client
+	 * library.
+	 * @returns {Array.<number>} The generated ids in the order of the rows in
+	 * the statement.
+	 */
+	_insertedIds(result) {
+
+		const ids = new Array(result.affectedRows);
+		for (let i = 0; i < ids.length; i++)
+			ids[i] = result.insertId + i;
+
+		return ids;
+	}
+
+	/**
+	 * Send statement with optional bound parameter values to the database. If
+	 * the connection supports server-side prepared statements (such as the one
+	 * provided by {@link https://www.npmjs.com/package/mysql2}), the statement
+	 * is executed as a prepared statement. Otherwise, the parameter values are
+	 * escaped by the client library and substituted into the statement text
+	 * before it is sent.
+	 *
+	 * @private
+	 * @param {*} connection The database connection.
+	 * @param {string} statement The statement with "?" parameter placeholders.
+	 * @param {Array} [params] Parameter values.
+	 * @param {function} [callback] Query completion callback.
+	 * @returns {*} The query object returned by the client library.
+	 */
+	_query(connection, statement, params, callback) {
+
+		if (!params || (params.length === 0))
+			return connection.query(statement, callback);
+
+		if ((typeof connection.execute) === 'function')
+			return connection.execute(statement, params, callback);
+
+		return connection.query(
+			this._formatStatement(connection, statement, params), callback);
+	}
+
+	/**
+	 * Substitute parameter placeholders in the statement with the values escaped
+	 * by the client library. Unlike the client library's own formatting, the
+	 * question marks inside quoted literals and identifiers are left alone.
+	 *
+	 * @private
+	 * @param {*} connection The database connection.
+	 * @param {string} statement The statement with "?" parameter placeholders.
+	 * @param {Array} params Parameter values.
+	 * @returns {string} The statement with the values.
+	 */
+	_formatStatement(connection, statement, params) {
+
+		let res = '', quote = null, nextParamInd = 0, lastInd = 0;
+		for (let i = 0, len = statement.length; i < len; i++) {
+			const c = statement[i];
+			if (quote) {
+				if (c === '\\')
+					i++;
+				else if (c === quote)
+					quote = null;
+			} else if ((c === '\'') || (c === '"') || (c === '`')) {
+				quote = c;
+			} else if (c === '?') {
+				res += statement.substring(lastInd, i) +
+					connection.escape(params[nextParamInd++]);
+				lastInd = i + 1;
+			}
+		}
+
+		return res + statement.substring(lastInd);
+	}
+
 	createVersionTableIfNotExists(connection, tableName, itemNames, handler) {
 
 		const trace = (handler.trace || function() {});
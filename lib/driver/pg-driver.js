@@ -20,6 +20,17 @@ const DONE = Symbol();
  */
 const DESTROY = Symbol();
 
+/**
+ * Locking clause options for the lock wait modes.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const LOCK_WAIT_OPTIONS = {
+	'skip': ' SKIP LOCKED',
+	'nowait': ' NOWAIT'
+};
+
 
 /**
  * PostgreSQL database driver.
@@ -38,6 +49,23 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 
 	supportsRowLocksWithAggregates() { return false; }
 
+	supportsRowLocksWithOuterJoins() { return false; }
+
+	supportsMultiRowInsertIds() { return true; }
+
+	supportsLockWaitModes() { return true; }
+
+	bindParam(params, val) {
+
+		const paramVal = this._paramValue(val);
+		if (paramVal === undefined)
+			return null;
+
+		params.push(paramVal);
+
+		return '$' + params.length;
+	}
+
 	safeLikePatternFromExpr(expr) {
 
 		return `REGEXP_REPLACE(${expr}, '([%_\\\\])', '\\\\\\1', 'g')`;
@@ -88,19 +116,53 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 			(offset > 0 ? ' OFFSET ' + offset : '');
 	}
 
-	makeSelectWithLocks(selectStmt, exclusiveLockTables, sharedLockTables) {
+	makeSelectWithLocks(
+		selectStmt, exclusiveLockTables, sharedLockTables, lockWait) {
+
+		const waitOption = LOCK_WAIT_OPTIONS[lockWait] || '';
 
 		return selectStmt + (
 			exclusiveLockTables && (exclusiveLockTables.length > 0) ?
 				' FOR UPDATE OF ' + exclusiveLockTables.map(
-					t => t.tableAlias).join(', ') : ''
+					t => t.tableAlias).join(', ') + waitOption : ''
 		) + (
 			sharedLockTables && (sharedLockTables.length > 0) ?
 				' FOR SHARE OF ' + sharedLockTables.map(
-					t => t.tableAlias).join(', ') : ''
+					t => t.tableAlias).join(', ') + waitOption : ''
 		);
 	}
 
+	buildSetLockTimeout(timeout) {
+
+		return `SET LOCAL lock_timeout = ${timeout}`;
+	}
+
+	buildResetLockTimeout() {
+
+		return 'SET LOCAL lock_timeout = DEFAULT';
+	}
+
+	isLockNotAvailableError(err) {
+
+		return (err.code === '55P03');
+	}
+
+	classifyError(err) {
+
+		switch (err.code) {
+		case '40P01':
+			return 'deadlock';
+		case '40001':
+			return 'serialization';
+		case '55P03':
+			return 'lockNotAvailable';
+		case '23505':
+			return 'uniqueViolation';
+		default:
+			return null;
+		}
+	}
+
 	buildLockTables(exclusiveLockTables, sharedLockTables) {
 
 		const exclusiveLockStmt = (
@@ -203,6 +265,14 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 			` SET ${sets}`;
 	}
 
+	_columnType(column) {
+
+		if ((column.type === 'integer') && column.autoIncrement)
+			return 'SERIAL';
+
+		return super._columnType(column);
+	}
+
 	connect(source, handler) {
 
 		if (/.*Pool$/.test(source.constructor.name)) {
@@ -233,9 +303,30 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		}
 	}
 
-	startTransaction(connection, handler) {
+	ping(connection, handler) {
 
-		connection.query('BEGIN', err => {
+		connection.query('SELECT 1', err => {
+			if (err)
+				handler.onError(err);
+			else
+				handler.onSuccess();
+		});
+	}
+
+	startTransaction(connection, handler, options) {
+
+		const modes = new Array();
+		if (options) {
+			if (options.isolation)
+				modes.push('ISOLATION LEVEL ' + options.isolation.toUpperCase());
+			if (options.readOnly)
+				modes.push('READ ONLY');
+			if (options.deferrable)
+				modes.push('DEFERRABLE');
+		}
+
+		connection.query('BEGIN' + (
+			modes.length > 0 ? ' ' + modes.join(', ') : ''), err => {
 			if (err)
 				handler.onError(err);
 			else
@@ -253,6 +344,36 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		this._finishTransaction(connection, 'COMMIT', handler);
 	}
 
+	createSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(connection, `SAVEPOINT ${name}`, handler);
+	}
+
+	rollbackToSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `ROLLBACK TO SAVEPOINT ${name}`, handler);
+	}
+
+	releaseSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `RELEASE SAVEPOINT ${name}`, handler);
+	}
+
+	_executeSavepointCommand(connection, sql, handler) {
+
+		const trace = (handler.trace || function() {});
+
+		trace(sql);
+		connection.query(sql, err => {
+			if (err)
+				handler.onError(err);
+			else
+				handler.onSuccess();
+		});
+	}
+
 	_finishTransaction(connection, command, handler) {
 
 		const trace = (handler.trace || function() {});
@@ -305,7 +426,7 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 
 	selectIntoAnchorTable(
 		connection, anchorTableName, topTableName, idColumnName, idExpr,
-		statementStump, handler) {
+		statementStump, handler, params) {
 
 		const trace = (handler.trace || function() {});
 
@@ -318,7 +439,10 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 					`SELECT ${idExpr} AS id FROM`
 				) + ') SELECT id, ROW_NUMBER() OVER () AS ord FROM ids'
 		);
-		connection.query(sql, (err, result) => {
+		connection.query({
+			text: sql,
+			values: params
+		}, (err, result) => {
 
 			if (err)
 				return handler.onError(err);
@@ -348,10 +472,11 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		});
 	}
 
-	executeQuery(connection, statement, handler) {
+	executeQuery(connection, statement, handler, params) {
 
 		const querySpec = {
-			text: statement
+			text: statement,
+			values: params
 		};
 		if (!handler.noRowsAsArrays)
 			querySpec.rowMode = 'array';
@@ -389,9 +514,12 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		});
 	}
 
-	executeUpdate(connection, statement, handler) {
+	executeUpdate(connection, statement, handler, params) {
 
-		connection.query(statement, (err, result) => {
+		connection.query({
+			text: statement,
+			values: params
+		}, (err, result) => {
 
 			if (err)
 				handler.onError(err);
@@ -400,10 +528,11 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		});
 	}
 
-	executeInsert(connection, statement, handler, idColumn) {
+	executeInsert(connection, statement, handler, idColumn, params) {
 
 		connection.query({
 			text: statement + (idColumn ? ' RETURNING ' + idColumn : ''),
+			values: params,
 			rowMode: 'array'
 		}, (err, result) => {
 
@@ -414,6 +543,22 @@ class PostgreSQLDBDriver extends BasicDBDriver {
 		});
 	}
 
+	executeInsertRows(connection, statement, handler, idColumn, params) {
+
+		connection.query({
+			text: statement + (idColumn ? ' RETURNING ' + idColumn : ''),
+			values: params,
+			rowMode: 'array'
+		}, (err, result) => {
+
+			if (err)
+				handler.onError(err);
+			else
+				handler.onSuccess(
+					idColumn ? result.rows.map(row => row[0]) : undefined);
+		});
+	}
+
 	createVersionTableIfNotExists(connection, tableName, itemNames, handler) {
 
 		const trace = (handler.trace || function() {});
@@ -0,0 +1,740 @@
+'use strict';
+
+const BasicDBDriver = require('./basic-driver.js');
+
+
+/**
+ * Symbol used to store list of temporary anchor tables created for the
+ * transaction on the connection object.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const ANCHOR_TABLES = Symbol();
+
+/**
+ * Symbol used to mark a connection that must be destroyed upon release no matter
+ * what.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const DESTROY = Symbol();
+
+/**
+ * Symbol used to mark a database connection, on which the driver's user-defined
+ * SQL functions have been already registered.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const FUNCTIONS_REGISTERED = Symbol();
+
+/**
+ * Name of the temporary table used to store session variables.
+ *
+ * @private
+ * @constant {string}
+ */
+const SESSION_VARS_TABLE = 'x2node_session_vars';
+
+/**
+ * Expression for the current timestamp in the format used by the driver to
+ * store datetime values.
+ *
+ * @private
+ * @constant {string}
+ */
+const CURRENT_TIMESTAMP = 'STRFTIME(\'%Y-%m-%dT%H:%M:%fZ\', \'now\')';
+
+/**
+ * Regular expression used to recognize declared column types that store
+ * datetime values.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const DATETIME_COLUMN_TYPE = /^\s*(?:DATETIME|TIMESTAMP|DATE)\b/i;
+
+
+/**
+ * Convert datetime value stored in the database to a <code>Date</code> object.
+ *
+ * @private
+ * @param {*} val Raw value from the database.
+ * @returns {*} The <code>Date</code>, or the raw value if not a string.
+ */
+function toDate(val) {
+
+	if ((typeof val) !== 'string')
+		return val;
+
+	let str = val.replace(' ', 'T');
+	if (!/(?:Z|[+-]\d\d:?\d\d)$/i.test(str))
+		str += 'Z';
+
+	return new Date(str);
+}
+
+/**
+ * Convert SQL <code>LIKE</code> pattern that uses backslash as the escape
+ * character to an equivalent regular expression.
+ *
+ * @private
+ * @param {string} pattern The <code>LIKE</code> pattern.
+ * @returns {RegExp} The regular expression.
+ */
+function likePatternToRegExp(pattern) {
+
+	let reSrc = '^';
+	for (let i = 0, len = pattern.length; i < len; i++) {
+		let c = pattern[i];
+		switch (c) {
+		case '\\':
+			if (++i < len)
+				c = pattern[i];
+			reSrc += c.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+			break;
+		case '%':
+			reSrc += '[\\s\\S]*';
+			break;
+		case '_':
+			reSrc += '[\\s\\S]';
+			break;
+		default:
+			reSrc += c.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+		}
+	}
+	reSrc += '$';
+
+	return new RegExp(reSrc);
+}
+
+
+/**
+ * SQLite database driver. The driver works with
+ * {@link https://www.npmjs.com/package/better-sqlite3} database connection
+ * objects.
+ *
+ * <p>SQLite does not have row-level locks. Transactions are serialized by the
+ * database engine, so the requested record locks are satisfied by the
+ * transaction itself and are not reflected in the generated SQL. For the same
+ * reason, transaction isolation level, read-only and deferrable options are
+ * ignored: SQLite transactions are always serializable.
+ *
+ * <p>Datetime values are stored as ISO 8601 strings. The columns that store
+ * them must be declared with <code>TIMESTAMP</code>, <code>DATETIME</code> or
+ * <code>DATE</code> type so that the driver can recognize them in the query
+ * results.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends {module:x2node-dbos~BasicDBDriver}
+ * @implements {module:x2node-dbos.DBDriver}
+ */
+class SQLiteDBDriver extends BasicDBDriver {
+
+	constructor(options) {
+		super(options);
+	}
+
+	_paramValue(val) {
+
+		return (
+			(typeof val) === 'boolean' ? (val ? 1 : 0) : super._paramValue(val));
+	}
+
+	supportsRowLocksWithAggregates() { return true; }
+
+	supportsRowLocksWithOuterJoins() { return true; }
+
+	bindParam(params, val) {
+
+		const paramVal = this._paramValue(val);
+		if (paramVal === undefined)
+			return null;
+
+		params.push(paramVal);
+
+		return '?';
+	}
+
+	safeLikePatternFromExpr(expr) {
+
+		return `REPLACE(REPLACE(REPLACE(${expr}, '\\', '\\\\'),` +
+			` '%', '\\%'), '_', '\\_')`;
+	}
+
+	stringSubstring(expr, from, len) {
+
+		return 'SUBSTR(' + expr +
+			', ' + (
+				(typeof from) === 'number' ?
+					String(from + 1) : '(' + String(from) + ') + 1'
+			) +
+			(len !== undefined ? ', ' + String(len) : '') + ')';
+	}
+
+	stringLeftPad(expr, widthExpr, padExpr) {
+
+		return `CASE WHEN LENGTH(${expr}) >= ${widthExpr}` +
+			` THEN SUBSTR(${expr}, 1, ${widthExpr})` +
+			` ELSE SUBSTR(REPLACE(HEX(ZEROBLOB(${widthExpr})), '00',` +
+			` ${padExpr}), 1, ${widthExpr} - LENGTH(${expr})) || ${expr} END`;
+	}
+
+	nullableConcat() {
+
+		return Array.from(arguments).join(' || ');
+	}
+
+	castToString(expr) {
+
+		return `CAST(${expr} AS TEXT)`;
+	}
+
+	patternMatch(expr, pattern, invert, caseSensitive) {
+
+		if (caseSensitive)
+			return (invert ? 'NOT ' : '') +
+				`x2node_like(${expr}, ${pattern})`;
+
+		return expr + (invert ? ' NOT' : '') + ' LIKE ' + pattern +
+			' ESCAPE \'\\\'';
+	}
+
+	regexpMatch(expr, regexp, invert, caseSensitive) {
+
+		return (invert ? 'NOT ' : '') +
+			(caseSensitive ? 'x2node_regexp(' : 'x2node_regexp_ci(') +
+			expr + ', ' + regexp + ')';
+	}
+
+	makeRangedSelect(selectStmt, offset, limit) {
+
+		return selectStmt + ' LIMIT ' + limit +
+			(offset > 0 ? ' OFFSET ' + offset : '');
+	}
+
+	makeSelectWithLocks(selectStmt) {
+
+		return selectStmt;
+	}
+
+	classifyError(err) {
+
+		if (/^SQLITE_(?:BUSY|LOCKED)/.test(err.code))
+			return 'lockNotAvailable';
+		if (/^SQLITE_CONSTRAINT_(?:UNIQUE|PRIMARYKEY)$/.test(err.code))
+			return 'uniqueViolation';
+		return null;
+	}
+
+	buildLockTables() {
+
+		throw new Error(
+			'Internal X2 error: transaction scope table locks are' +
+				' not supported by SQLite.');
+	}
+
+	buildDeleteWithJoins(
+		fromTableName, fromTableAlias, refTables, filterExpr, filterExprParen) {
+
+		return 'DELETE FROM ' + fromTableName + ' AS ' + fromTableAlias +
+			this._buildJoinsWhereClause(refTables, filterExpr, filterExprParen);
+	}
+
+	buildUpdateWithJoins(
+		updateTableName, updateTableAlias, sets, refTables, filterExpr,
+		filterExprParen) {
+
+		return 'UPDATE ' + updateTableName + ' AS ' + updateTableAlias +
+			' SET ' + sets.map(s => s.columnName + ' = ' + s.value).join(', ') +
+			this._buildJoinsWhereClause(refTables, filterExpr, filterExprParen);
+	}
+
+	/**
+	 * Build WHERE clause for a DELETE or UPDATE statement that involves
+	 * joined reference tables. SQLite does not support joins in DELETE
+	 * statements, so the reference tables are moved into a correlated
+	 * <code>EXISTS</code> sub-query.
+	 *
+	 * @private
+	 * @param {Array.<Object>} [refTables] Reference tables.
+	 * @param {string} [filterExpr] Filter expression.
+	 * @param {boolean} [filterExprParen] <code>true</code> if filter expression
+	 * needs to be surrounded with parenthesis when combined with other
+	 * expressions.
+	 * @returns {string} The WHERE clause, including the leading space, or empty
+	 * string if none.
+	 */
+	_buildJoinsWhereClause(refTables, filterExpr, filterExprParen) {
+
+		const hasRefTables = (refTables && (refTables.length > 0));
+		const hasFilter = filterExpr;
+
+		if (!hasRefTables)
+			return (hasFilter ? ' WHERE ' + filterExpr : '');
+
+		return ' WHERE EXISTS (SELECT 1 FROM ' +
+			refTables.map(t => t.tableName + ' AS ' + t.tableAlias).join(', ') +
+			' WHERE ' + refTables.map(t => t.joinCondition).join(' AND ') + (
+				hasFilter ?
+					' AND ' + (
+						filterExprParen ? '(' + filterExpr + ')' : filterExpr
+					) :
+					''
+			) + ')';
+	}
+
+	buildUpsert(tableName, insertColumns, insertValues, uniqueColumn, sets) {
+
+		return `INSERT INTO ${tableName} (${insertColumns})` +
+			` VALUES (${insertValues}) ON CONFLICT (${uniqueColumn}) DO UPDATE` +
+			` SET ${sets}`;
+	}
+
+	buildCreateTable(table) {
+
+		// primary key on an auto-increment column must be declared inline
+		const autoIncrementPK = (
+			table.primaryKey && (table.primaryKey.length === 1) &&
+				table.columns.some(
+					c => (c.autoIncrement && (c.name === table.primaryKey[0])))
+		);
+
+		const elements = table.columns.map(column => (
+			column.name + ' ' + (
+				autoIncrementPK && column.autoIncrement ?
+					'INTEGER PRIMARY KEY AUTOINCREMENT' :
+					this._columnType(column)
+			) + (column.nullable ? '' : ' NOT NULL')
+		));
+		if (table.primaryKey && !autoIncrementPK)
+			elements.push(`PRIMARY KEY (${table.primaryKey.join(', ')})`);
+		for (let uniqueKey of table.uniqueKeys)
+			elements.push(`UNIQUE (${uniqueKey.join(', ')})`);
+		for (let foreignKey of table.foreignKeys)
+			elements.push(
+				`FOREIGN KEY (${foreignKey.columns.join(', ')}) REFERENCES` +
+					` ${foreignKey.refTable}` +
+					` (${foreignKey.refColumns.join(', ')})`);
+
+		return `CREATE TABLE ${table.name} (\n\t${elements.join(',\n\t')}\n)`;
+	}
+
+	buildAddForeignKey() {
+
+		// foreign keys are included in the CREATE TABLE statements
+		return null;
+	}
+
+	buildAlterColumn() {
+
+		// SQLite cannot change existing columns
+		return null;
+	}
+
+	buildAddUniqueKey(tableName, columnNames) {
+
+		return `CREATE UNIQUE INDEX ${tableName}_${columnNames.join('_')}_uk` +
+			` ON ${tableName} (${columnNames.join(', ')})`;
+	}
+
+	_tableColumnsQuery() {
+
+		return 'SELECT m.name AS table_name, c.name AS column_name,' +
+			' c.type AS data_type, (c."notnull" = 0 AND c.pk = 0) AS nullable' +
+			' FROM sqlite_master AS m, pragma_table_info(m.name) AS c' +
+			' WHERE m.type = \'table\'';
+	}
+
+	_columnType(column) {
+
+		switch (column.type) {
+		case 'string':
+			return 'TEXT';
+		case 'integer':
+			return 'INTEGER';
+		case 'number':
+			return 'REAL';
+		}
+
+		return super._columnType(column);
+	}
+
+	connect(source, handler) {
+
+		let connection;
+		try {
+			connection = (
+				(typeof source) === 'function' ? source() : source);
+			if (!connection.open)
+				throw new Error('The SQLite database is not open.');
+			this._registerFunctions(connection);
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess(connection);
+	}
+
+	/**
+	 * Register user-defined SQL functions used by the driver on the database
+	 * connection, unless already registered.
+	 *
+	 * @private
+	 * @param {*} connection The database connection.
+	 */
+	_registerFunctions(connection) {
+
+		if (connection[FUNCTIONS_REGISTERED])
+			return;
+
+		const fnOpts = { deterministic: true };
+		connection.function('x2node_like', fnOpts, (val, pattern) => (
+			(val === null) || (pattern === null) ? null : (
+				likePatternToRegExp(String(pattern)).test(String(val)) ? 1 : 0
+			)
+		));
+		connection.function('x2node_regexp', fnOpts, (val, regexp) => (
+			(val === null) || (regexp === null) ? null : (
+				(new RegExp(String(regexp))).test(String(val)) ? 1 : 0
+			)
+		));
+		connection.function('x2node_regexp_ci', fnOpts, (val, regexp) => (
+			(val === null) || (regexp === null) ? null : (
+				(new RegExp(String(regexp), 'i')).test(String(val)) ? 1 : 0
+			)
+		));
+
+		connection[FUNCTIONS_REGISTERED] = true;
+	}
+
+	releaseConnection(source, connection, err) {
+
+		if ((err || connection[DESTROY]) && connection.inTransaction) {
+			try {
+				connection.exec('ROLLBACK');
+			} catch (rollbackErr) {
+				// nothing we can do about it
+			}
+		}
+		connection[DESTROY] = false;
+
+		if ((typeof source) === 'function')
+			connection.close();
+	}
+
+	ping(connection, handler) {
+
+		try {
+			if (!connection.open)
+				throw new Error('The SQLite database is not open.');
+			connection.prepare('SELECT 1').get();
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	startTransaction(connection, handler) {
+
+		try {
+			connection.exec('BEGIN');
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	rollbackTransaction(connection, handler) {
+
+		this._finishTransaction(connection, 'ROLLBACK', handler);
+	}
+
+	commitTransaction(connection, handler) {
+
+		this._finishTransaction(connection, 'COMMIT', handler);
+	}
+
+	createSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(connection, `SAVEPOINT ${name}`, handler);
+	}
+
+	rollbackToSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `ROLLBACK TO SAVEPOINT ${name}`, handler);
+	}
+
+	releaseSavepoint(connection, name, handler) {
+
+		this._executeSavepointCommand(
+			connection, `RELEASE SAVEPOINT ${name}`, handler);
+	}
+
+	_executeSavepointCommand(connection, sql, handler) {
+
+		const trace = (handler.trace || function() {});
+
+		trace(sql);
+		try {
+			connection.exec(sql);
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	_finishTransaction(connection, command, handler) {
+
+		const trace = (handler.trace || function() {});
+
+		let sql;
+		trace(sql = command);
+		try {
+			connection.exec(sql);
+		} catch (err) {
+			connection[DESTROY] = true;
+			return handler.onError(err);
+		}
+
+		const anchorTables = connection[ANCHOR_TABLES];
+		if (anchorTables && (anchorTables.length > 0)) {
+			connection[ANCHOR_TABLES] = [];
+			try {
+				for (let anchorTableName of anchorTables) {
+					trace(sql = `DROP TABLE IF EXISTS ${anchorTableName}`);
+					connection.exec(sql);
+				}
+			} catch (err) {
+				connection[DESTROY] = true;
+			}
+		}
+
+		handler.onSuccess();
+	}
+
+	setSessionVariable(connection, varName, valueExpr, handler) {
+
+		try {
+			connection.exec(
+				`CREATE TEMPORARY TABLE IF NOT EXISTS ${SESSION_VARS_TABLE}` +
+					' (name TEXT PRIMARY KEY, value)');
+			connection.prepare(
+				`INSERT OR REPLACE INTO ${SESSION_VARS_TABLE} (name, value)` +
+					` VALUES (${this.stringLiteral(varName)}, ${valueExpr})`
+			).run();
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	getSessionVariable(connection, varName, type, handler) {
+
+		let row;
+		try {
+			connection.exec(
+				`CREATE TEMPORARY TABLE IF NOT EXISTS ${SESSION_VARS_TABLE}` +
+					' (name TEXT PRIMARY KEY, value)');
+			row = connection.prepare(
+				`SELECT value FROM ${SESSION_VARS_TABLE}` +
+					` WHERE name = ${this.stringLiteral(varName)}`
+			).get();
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		if (!row || (row.value === null))
+			return handler.onSuccess();
+
+		const valRaw = row.value;
+		switch (type) {
+		case 'number':
+			handler.onSuccess(Number(valRaw));
+			break;
+		case 'boolean':
+			handler.onSuccess(valRaw ? true : false);
+			break;
+		default:
+			handler.onSuccess(valRaw);
+		}
+	}
+
+	selectIntoAnchorTable(
+		connection, anchorTableName, topTableName, idColumnName, idExpr,
+		statementStump, handler, params) {
+
+		const trace = (handler.trace || function() {});
+
+		let sql, rowCount;
+		try {
+
+			trace(
+				sql = `CREATE TEMPORARY TABLE ${anchorTableName}` +
+					' (ord INTEGER PRIMARY KEY, id NOT NULL UNIQUE)'
+			);
+			connection.exec(sql);
+
+			let anchorTables = connection[ANCHOR_TABLES];
+			if (!anchorTables)
+				connection[ANCHOR_TABLES] = anchorTables = [];
+			anchorTables.push(anchorTableName);
+
+			// ord is the rowid assigned in the order of the selected rows
+			trace(
+				sql = `INSERT INTO ${anchorTableName} (id) ` +
+					statementStump.replace(
+						/\bSELECT\s+\{\*\}\s+FROM\b/i,
+						`SELECT ${idExpr} AS id FROM`)
+			);
+			rowCount = connection.prepare(sql).run(params || []).changes;
+
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess(rowCount);
+	}
+
+	executeQuery(connection, statement, handler, params) {
+
+		try {
+
+			const stmt = connection.prepare(statement);
+
+			if (stmt.reader) {
+
+				const rowsAsArrays = !handler.noRowsAsArrays;
+				if (rowsAsArrays)
+					stmt.raw(true);
+
+				const columns = stmt.columns();
+				const datetimeCols = columns.reduce((res, column, ind) => {
+					if (DATETIME_COLUMN_TYPE.test(column.type || ''))
+						res.push(rowsAsArrays ? ind : column.name);
+					return res;
+				}, []);
+
+				if (handler.onHeader)
+					handler.onHeader(columns.map(column => column.name));
+
+				const onRow = handler.onRow;
+				for (let row of stmt.iterate(params || [])) {
+					for (let col of datetimeCols)
+						row[col] = toDate(row[col]);
+					if (onRow)
+						onRow(row);
+				}
+
+			} else {
+				stmt.run(params || []);
+			}
+
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	executeUpdate(connection, statement, handler, params) {
+
+		let result;
+		try {
+			result = connection.prepare(statement).run(params || []);
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess(result.changes);
+	}
+
+	executeInsert(connection, statement, handler, idColumn, params) {
+
+		let result;
+		try {
+			result = connection.prepare(statement).run(params || []);
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess(result.lastInsertRowid);
+	}
+
+	createVersionTableIfNotExists(connection, tableName, itemNames, handler) {
+
+		const trace = (handler.trace || function() {});
+		let sql;
+		try {
+
+			trace(
+				sql = `CREATE TABLE IF NOT EXISTS ${tableName} (` +
+					'name VARCHAR(64) PRIMARY KEY, ' +
+					'modified_on TIMESTAMP NOT NULL, ' +
+					'version INTEGER NOT NULL)'
+			);
+			connection.exec(sql);
+
+			// single statement, atomic without explicit locking
+			if (itemNames.length > 0) {
+				trace(
+					sql = `INSERT OR IGNORE INTO ${tableName}` +
+						' (name, modified_on, version) VALUES ' +
+						itemNames.map(name => (
+							'(' + this.stringLiteral(name) +
+								`, ${CURRENT_TIMESTAMP}, 0)`
+						)).join(', ')
+				);
+				connection.exec(sql);
+			}
+
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		handler.onSuccess();
+	}
+
+	updateVersionTable(
+		connection, tableName, itemNames, modificationTimestamp, handler) {
+
+		const params = new Array();
+		const modifiedOnSql = this.bindParam(params, modificationTimestamp);
+		const filterExpr = 'name' + (
+			itemNames.length === 1 ?
+				' = ' + this.bindParam(params, itemNames[0]) :
+				' IN (' + itemNames.map(v => this.bindParam(params, v)).join(
+					', ') + ')'
+		);
+
+		const trace = (handler.trace || function() {});
+		let sql, result;
+		trace(
+			sql = `UPDATE ${tableName} SET modified_on = ${modifiedOnSql}, ` +
+				`version = version + 1 WHERE ${filterExpr}`
+		);
+		try {
+			result = connection.prepare(sql).run(params);
+		} catch (err) {
+			return handler.onError(err);
+		}
+
+		if (result.changes !== itemNames.length)
+			return handler.onError(new Error(
+				'Version rows are missing for some of the following' +
+					' record types: ' + itemNames.join(', ')));
+
+		handler.onSuccess();
+	}
+}
+
+module.exports = SQLiteDBDriver;
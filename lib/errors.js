@@ -0,0 +1,116 @@
+'use strict';
+
+
+/**
+ * Error thrown when a DBO cannot acquire the requested row locks because of the
+ * lock wait mode or the lock wait timeout.
+ *
+ * @memberof module:x2node-dbos
+ * @extends external:Error
+ */
+class X2LockNotAvailableError extends Error {
+
+	/**
+	 * Create new error to throw.
+	 *
+	 * @param {string} message The error description.
+	 * @param {*} [cause] The original error returned by the database.
+	 */
+	constructor(message, cause) {
+		super(message);
+
+		this.name = 'X2LockNotAvailableError';
+
+		/**
+		 * The original error returned by the database.
+		 *
+		 * @member {*} module:x2node-dbos.X2LockNotAvailableError#cause
+		 */
+		this.cause = cause;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+/**
+ * Error thrown when an update DBO finds that the version of the record to update
+ * is not the version expected by the caller, which normally means the record
+ * was modified by somebody else after the caller had read it.
+ *
+ * @memberof module:x2node-dbos
+ * @extends external:Error
+ */
+class X2VersionConflictError extends Error {
+
+	/**
+	 * Create new error to throw.
+	 *
+	 * @param {string} message The error description.
+	 * @param {(string|number)} recordId Id of the conflicting record.
+	 * @param {number} expectedVersion The expected record version.
+	 * @param {number} actualVersion The record version in the database.
+	 */
+	constructor(message, recordId, expectedVersion, actualVersion) {
+		super(message);
+
+		this.name = 'X2VersionConflictError';
+
+		/**
+		 * Id of the conflicting record.
+		 *
+		 * @member {(string|number)} module:x2node-dbos.X2VersionConflictError#recordId
+		 */
+		this.recordId = recordId;
+
+		/**
+		 * The expected record version.
+		 *
+		 * @member {number} module:x2node-dbos.X2VersionConflictError#expectedVersion
+		 */
+		this.expectedVersion = expectedVersion;
+
+		/**
+		 * The record version in the database.
+		 *
+		 * @member {number} module:x2node-dbos.X2VersionConflictError#actualVersion
+		 */
+		this.actualVersion = actualVersion;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+/**
+ * Error thrown by a data source when it cannot provide a database connection,
+ * which normally means that the database is down or unreachable.
+ *
+ * @memberof module:x2node-dbos
+ * @extends external:Error
+ */
+class X2DatabaseUnavailableError extends Error {
+
+	/**
+	 * Create new error to throw.
+	 *
+	 * @param {string} message The error description.
+	 * @param {*} [cause] The last error returned by the database driver.
+	 */
+	constructor(message, cause) {
+		super(message);
+
+		this.name = 'X2DatabaseUnavailableError';
+
+		/**
+		 * The last error returned by the database driver.
+		 *
+		 * @member {*} module:x2node-dbos.X2DatabaseUnavailableError#cause
+		 */
+		this.cause = cause;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+exports.X2LockNotAvailableError = X2LockNotAvailableError;
+exports.X2VersionConflictError = X2VersionConflictError;
+exports.X2DatabaseUnavailableError = X2DatabaseUnavailableError;
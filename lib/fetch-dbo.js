@@ -1,5 +1,6 @@
 'use strict';
 
+const stream = require('stream');
 const common = require('x2node-common');
 const rsparser = require('x2node-rsparser');
 
@@ -11,10 +12,10 @@ const filterBuilder = require('./filter-builder.js');
 const orderBuilder = require('./order-builder.js');
 const rangeBuilder = require('./range-builder.js');
 const queryTreeBuilder = require('./query-tree-builder.js');
+const placeholders = require('./placeholders.js');
+const errors = require('./errors.js');
 
 
-// TODO: implement the locks on sub-queries
-
 /////////////////////////////////////////////////////////////////////////////////
 // COMMANDS
 /////////////////////////////////////////////////////////////////////////////////
@@ -44,19 +45,25 @@ class AbstractFetchCommand {
 		const parser = rsparser.getResultSetParser(
 			this._recordTypes, this._recordTypeName);
 
+		const command = this;
 		const query = this._query;
 		return promiseChain.then(() => new Promise((resolve, reject) => {
 			let sql;
 			try {
-				sql = ctx.replaceParams(query);
-				ctx.log(`executing SQL: ${sql}`);
+				const params = new Array();
+				sql = ctx.replaceParams(query, params);
+				ctx.logStatement(sql, params);
 				ctx.dbDriver.executeQuery(
 					ctx.connection, sql, {
 						onHeader(fieldNames) {
 							parser.init(fieldNames);
 						},
+						onFlowControl(pause, resume) {
+							command.onFlowControl(ctx, pause, resume);
+						},
 						onRow(row) {
 							parser.feedRow(row);
+							command.onRow(ctx, parser);
 						},
 						onSuccess() {
 							resolve();
@@ -65,7 +72,7 @@ class AbstractFetchCommand {
 							common.error(`error executing SQL [${sql}]`, err);
 							reject(err);
 						}
-					}
+					}, params
 				);
 			} catch (err) {
 				common.error(`error executing SQL [${sql || query}]`, err);
@@ -93,6 +100,10 @@ class ExecuteSuperPropertiesFetchCommand extends AbstractFetchCommand {
 
 		ctx.addSuperProps(parser);
 	}
+
+	onFlowControl() {}
+
+	onRow() {}
 }
 
 /**
@@ -109,10 +120,73 @@ class ExecuteMainRecordsFetchCommand extends AbstractFetchCommand {
 		super(recordTypes, recordTypeName, query);
 	}
 
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return super.queueUp(promiseChain, ctx).then(
+			() => { ctx.setRowsFlowControl(null, null); },
+			err => {
+				ctx.setRowsFlowControl(null, null);
+				return Promise.reject(err);
+			}
+		);
+	}
+
 	onComplete(ctx, parser) {
 
 		ctx.addRecords(parser);
 	}
+
+	onFlowControl(ctx, pause, resume) {
+
+		ctx.setRowsFlowControl(pause, resume);
+	}
+
+	onRow(ctx, parser) {
+
+		ctx.streamCompleteRecords(parser);
+	}
+}
+
+/**
+ * Command for executing a <code>SELECT</code> statement that only locks rows.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class LockRowsCommand {
+
+	constructor(stmt) {
+
+		this._stmt = stmt;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		const stmt = this._stmt;
+		return promiseChain.then(() => new Promise((resolve, reject) => {
+			try {
+				ctx.logStatement(stmt);
+				ctx.dbDriver.executeQuery(
+					ctx.connection, stmt, {
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${stmt}]`, err);
+							reject(err);
+						}
+					}
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${stmt}]`, err);
+				reject(err);
+			}
+		}));
+	}
 }
 
 
@@ -130,11 +204,75 @@ class ExecuteMainRecordsFetchCommand extends AbstractFetchCommand {
  */
 class FetchDBOExecutionContext extends DBOExecutionContext {
 
-	constructor(dbo, txOrCon, actor, filterParams) {
+	constructor(dbo, txOrCon, actor, filterParams, recordsStream) {
 		super(dbo, txOrCon, actor, filterParams);
 
 		this._superPropsParser = null;
 		this._recordsParser = null;
+
+		this._recordsStream = recordsStream;
+		this._streamOnRow = (recordsStream && dbo._streamable);
+		this._firstStreamedRecord = null;
+		this._lastStreamedRecord = null;
+		this._pauseRows = null;
+	}
+
+	/**
+	 * Set functions provided by the database driver for pausing and resuming
+	 * reading the result set rows. If the records are streamed as they are
+	 * read, reading is paused when the stream buffer is full and resumed when
+	 * the stream consumer asks for more records.
+	 *
+	 * @param {?function} pause Function that pauses reading the rows, or
+	 * <code>null</code> to stop using the flow control.
+	 * @param {?function} resume Function that resumes reading the rows.
+	 */
+	setRowsFlowControl(pause, resume) {
+
+		if (!this._streamOnRow)
+			return;
+
+		if (!pause) {
+			this._pauseRows = null;
+			this._recordsStream._resumeRows = null;
+			return;
+		}
+
+		let paused = false;
+		this._pauseRows = () => {
+			if (!paused) {
+				paused = true;
+				pause();
+			}
+		};
+		this._recordsStream._resumeRows = () => {
+			if (paused) {
+				paused = false;
+				resume();
+			}
+		};
+	}
+
+	streamCompleteRecords(parser) {
+
+		// stream all records but the last one, which may be still incomplete
+		const records = parser.records;
+		if (this._streamOnRow && (records.length > 1))
+			this._streamRecords(records.splice(0, records.length - 1));
+	}
+
+	_streamRecords(records) {
+
+		if (records.length === 0)
+			return;
+
+		if (this._firstStreamedRecord === null)
+			this._firstStreamedRecord = records[0];
+		this._lastStreamedRecord = records[records.length - 1];
+
+		for (let record of records)
+			if (!this._recordsStream.push(record) && this._pauseRows)
+				this._pauseRows();
 	}
 
 	addSuperProps(parser) {
@@ -166,10 +304,29 @@ class FetchDBOExecutionContext extends DBOExecutionContext {
 		}
 
 		if (this._recordsParser) {
-			res.records = this._recordsParser.records;
+			const records = this._recordsParser.records;
+			const keyset = this._dbo._keyset;
+			if (keyset && keyset.backward)
+				records.reverse();
+			let firstRecord, lastRecord;
+			if (this._recordsStream) {
+				this._streamRecords(records.splice(0, records.length));
+				firstRecord = this._firstStreamedRecord;
+				lastRecord = this._lastStreamedRecord;
+			} else {
+				res.records = records;
+				if (records.length > 0) {
+					firstRecord = records[0];
+					lastRecord = records[records.length - 1];
+				}
+			}
 			const refRecs = this._recordsParser.referredRecords;
 			if (Object.keys(refRecs).length > 0)
 				res.referredRecords = refRecs;
+			if (keyset && firstRecord) {
+				res.prevPageCursor = keyset.getCursor(firstRecord);
+				res.nextPageCursor = keyset.getCursor(lastRecord);
+			}
 		}
 
 		return res;
@@ -177,6 +334,279 @@ class FetchDBOExecutionContext extends DBOExecutionContext {
 }
 
 
+/////////////////////////////////////////////////////////////////////////////////
+// RECORDS STREAM
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Readable stream of fetched records returned by the fetch DBO's
+ * <code>stream()</code> method. The stream is in object mode and each chunk is
+ * a fetched record. When all records are read, the stream ends and emits
+ * <code>result</code> event with the rest of the fetch result (everything but
+ * the <code>records</code>), which is also made available via the stream's
+ * <code>result</code> property.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends stream.Readable
+ */
+class RecordsStream extends stream.Readable {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created by the fetch DBO.
+	 *
+	 * @protected
+	 */
+	constructor() {
+		super({ objectMode: true });
+
+		this._result = null;
+
+		// set by the fetch while the result set rows reading can be paused
+		this._resumeRows = null;
+
+		// let the result be emitted after all the records are consumed
+		this.on('end', () => { this.emit('result', this._result); });
+	}
+
+	/**
+	 * Fetch result without the <code>records</code>, or <code>null</code> if
+	 * the stream has not been fully read yet.
+	 *
+	 * @member {?module:x2node-dbos~FetchDBO~Result}
+	 * @readonly
+	 */
+	get result() { return this._result; }
+
+	// the records are pushed as they are fetched, resume if paused
+	_read() {
+
+		if (this._resumeRows)
+			this._resumeRows();
+	}
+
+	/**
+	 * Finish the stream.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos~FetchDBO~Result} result The fetch result.
+	 */
+	_end(result) {
+
+		this._result = result;
+		this.push(null);
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// KEYSET RANGE
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Cursor-based range descriptor.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ */
+class Keyset {
+
+	/**
+	 * Create new descriptor.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Fetched record type descriptor.
+	 * @param {Array.<string>} [orderSpecs] Raw order specification.
+	 * @param {module:x2node-dbos~RecordsRange} range Cursor-based range.
+	 * @throws {module:x2node-common.X2UsageError} If the order specification
+	 * is not suitable for a cursor-based range.
+	 * @throws {module:x2node-common.X2SyntaxError} If the range cursor is
+	 * invalid.
+	 */
+	constructor(recordTypeDesc, orderSpecs, range) {
+
+		// parse the order specification and add the id as the tie-breaker
+		const idPropName = recordTypeDesc.idPropertyName;
+		const elements = (orderSpecs || []).map(elementSpec => {
+			const specParts = (
+				((typeof elementSpec) === 'string') && elementSpec.match(
+					/^\s*([^=\s].*?)\s*(?:=>\s*(asc|desc)\s*)?$/i));
+			if (!specParts)
+				throw new common.X2UsageError(
+					'Invalid order specification element "' +
+						String(elementSpec) + '".');
+			return {
+				propPath: specParts[1],
+				reverse: !!(
+					specParts[2] && (specParts[2].toLowerCase() === 'desc'))
+			};
+		});
+		if (!elements.some(e => (e.propPath === idPropName)))
+			elements.push({ propPath: idPropName, reverse: false });
+
+		// validate the order elements
+		for (let element of elements)
+			validateKeysetProperty(recordTypeDesc, element.propPath);
+
+		this._propPaths = elements.map(e => e.propPath);
+		this._backward = range.backward;
+
+		// build order specification for the query
+		this._orderSpecs = elements.map(e => e.propPath + (
+			(e.reverse !== this._backward) ? ' => desc' : ''));
+
+		// build seek filter specification
+		this._cursorParamName = null;
+		this._seekFilterSpec = null;
+		if (range.cursor !== undefined) {
+			let values;
+			if (placeholders.isParam(range.cursor)) {
+				this._cursorParamName = range.cursor.name;
+				values = this._propPaths.map((_, i) => placeholders.param(
+					this._cursorParamName + '$' + i));
+			} else {
+				values = rangeBuilder.decodeCursor(
+					range.cursor, this._propPaths.length);
+			}
+			this._seekFilterSpec = [ ':or', elements.map((e, i) => [
+				':and', elements.slice(0, i).map((prevE, j) => [
+					prevE.propPath + ' => eq', values[j]
+				]).concat([[
+					e.propPath + (
+						(e.reverse !== this._backward) ? ' => lt' : ' => gt'),
+					values[i]
+				]])
+			]) ];
+		}
+	}
+
+	/**
+	 * Paths of the properties used by the cursor, which must be included in
+	 * the fetched records.
+	 *
+	 * @member {Array.<string>}
+	 * @readonly
+	 */
+	get propPaths() { return this._propPaths; }
+
+	/**
+	 * <code>true</code> if the range precedes the cursor, in which case the
+	 * records are fetched in reverse order.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get backward() { return this._backward; }
+
+	/**
+	 * Order specification for the records query.
+	 *
+	 * @member {Array.<string>}
+	 * @readonly
+	 */
+	get orderSpecs() { return this._orderSpecs; }
+
+	/**
+	 * Filter specification element that selects records beyond the cursor, or
+	 * <code>null</code> if no cursor.
+	 *
+	 * @member {?Array}
+	 * @readonly
+	 */
+	get seekFilterSpec() { return this._seekFilterSpec; }
+
+	/**
+	 * Add values of the seek filter parameters decoded from the cursor
+	 * parameter, if the cursor is provided as a parameter.
+	 *
+	 * @param {Object.<string,*>} [filterParams] Filter parameters.
+	 * @returns {Object.<string,*>} Filter parameters with the seek filter
+	 * parameters added.
+	 * @throws {module:x2node-common.X2UsageError} If the cursor parameter is
+	 * missing or invalid.
+	 */
+	addCursorParams(filterParams) {
+
+		if (this._cursorParamName === null)
+			return filterParams;
+
+		const cursor = (filterParams && filterParams[this._cursorParamName]);
+		if ((typeof cursor) !== 'string')
+			throw new common.X2UsageError(
+				`Missing or invalid range cursor parameter` +
+					` "${this._cursorParamName}".`);
+		let values;
+		try {
+			values = rangeBuilder.decodeCursor(cursor, this._propPaths.length);
+		} catch (err) {
+			throw new common.X2UsageError(
+				`Invalid range cursor parameter "${this._cursorParamName}".`);
+		}
+
+		const res = Object.assign(new Object(), filterParams);
+		values.forEach((v, i) => {
+			res[this._cursorParamName + '$' + i] = v;
+		});
+
+		return res;
+	}
+
+	/**
+	 * Get cursor for the specified record.
+	 *
+	 * @param {Object} record Fetched record.
+	 * @returns {string} The cursor.
+	 */
+	getCursor(record) {
+
+		return rangeBuilder.encodeCursor(this._propPaths.map(
+			propPath => propPath.split('.').reduce((v, p) => v[p], record)));
+	}
+}
+
+/**
+ * Make sure that the property can be used in a cursor-based range order
+ * specification. The property must be a required, non-calculated scalar
+ * property of a simple value type, possibly nested in required scalar nested
+ * objects.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Fetched
+ * record type descriptor.
+ * @param {string} propPath Property path.
+ * @throws {module:x2node-common.X2UsageError} If the property is not suitable.
+ */
+function validateKeysetProperty(recordTypeDesc, propPath) {
+
+	const error = () => new common.X2UsageError(
+		'Order specification element "' + propPath + '" of a cursor-based' +
+			' range must be a path of a required non-calculated scalar' +
+			' property of a simple value type.');
+
+	const propNames = propPath.split('.');
+	let container = recordTypeDesc;
+	propNames.forEach((propName, i) => {
+		if (!container.hasProperty(propName))
+			throw error();
+		const propDesc = container.getPropertyDesc(propName);
+		if (!propDesc.isScalar() || propDesc.optional ||
+			propDesc.isCalculated() || propDesc.isView())
+			throw error();
+		if (i < propNames.length - 1) {
+			if ((propDesc.scalarValueType !== 'object') ||
+				propDesc.isPolymorphObjectType())
+				throw error();
+			container = propDesc.nestedProperties;
+		} else if ([ 'string', 'number', 'boolean', 'datetime' ].indexOf(
+			propDesc.scalarValueType) < 0) {
+			throw error();
+		}
+	});
+}
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // THE DBO
 /////////////////////////////////////////////////////////////////////////////////
@@ -193,6 +623,44 @@ const ANCHOR_ORDER = {
 	}]
 };
 
+/**
+ * Parse records lock specification.
+ *
+ * @private
+ * @param {(string|Object)} [lockSpec] Lock type, either "shared" or
+ * "exclusive", or lock specification object with <code>mode</code> and
+ * optional <code>wait</code> properties.
+ * @returns {Object} Object with <code>mode</code> and <code>wait</code>
+ * properties, undefined if the specification does not have them.
+ * @throws {module:x2node-common.X2SyntaxError} If the specification is invalid.
+ */
+function parseLockSpec(lockSpec) {
+
+	// check if simple lock type
+	if ((lockSpec === undefined) || (lockSpec === null) ||
+		((typeof lockSpec) === 'string'))
+		return { mode: (lockSpec || undefined), wait: undefined };
+
+	// validate lock specification object
+	if ((typeof lockSpec) !== 'object')
+		throw new common.X2SyntaxError(
+			'Lock specification is neither a string nor an object.');
+	if ((lockSpec.mode !== 'shared') && (lockSpec.mode !== 'exclusive'))
+		throw new common.X2SyntaxError(
+			'Invalid lock specification: the mode is neither "shared" nor' +
+				' "exclusive".');
+	const wait = lockSpec.wait;
+	if ((wait !== undefined) && (wait !== 'skip') && (wait !== 'nowait') &&
+		(((typeof wait) !== 'number') || !Number.isInteger(wait) ||
+			(wait <= 0)))
+		throw new common.X2SyntaxError(
+			'Invalid lock specification: the wait is neither "skip" nor' +
+				' "nowait" nor a positive integer number of milliseconds.');
+
+	// return the parsed specification
+	return { mode: lockSpec.mode, wait: wait };
+}
+
 /**
  * Fetch database operation implementation (SQL <code>SELECT</code> query).
  *
@@ -220,9 +688,13 @@ class FetchDBO extends AbstractDBO {
 	 * to apply to the selected records.
 	 * @param {Array.<string>} [orderSpec] Optional order specification to apply
 	 * to the selected records.
-	 * @param {Array.<number>} [rangeSpec] Optional range specification to apply
-	 * to the selected records.
-	 * @param {string} [lockType] Lock type. Either "shared" or "exclusive".
+	 * @param {(Array.<number>|Object)} [rangeSpec] Optional range specification
+	 * to apply to the selected records.
+	 * @param {(string|Object)} [lockSpec] Lock type, either "shared" or
+	 * "exclusive", or lock specification object with <code>mode</code> and
+	 * <code>wait</code> properties.
+	 * @param {boolean} [includeDeleted] <code>true</code> to include
+	 * soft-deleted records if the record type supports soft delete.
 	 * @throws {module:x2node-common.X2UsageError} If the record types library is
 	 * not suitable for the specified query.
 	 * @throws {module:x2node-common.X2SyntaxError} If the provided query
@@ -230,15 +702,35 @@ class FetchDBO extends AbstractDBO {
 	 */
 	constructor(
 		dbDriver, recordTypes, recordTypeName, selectedPropPatterns,
-		selectedSuperProps, filterSpec, orderSpecs, rangeSpec, lockType) {
+		selectedSuperProps, filterSpec, orderSpecs, rangeSpec, lockSpec,
+		includeDeleted) {
 		super(dbDriver, recordTypes);
 
+		// parse the lock specification
+		const lock = parseLockSpec(lockSpec);
+		const lockType = lock.mode;
+		const lockWait = (
+			(typeof lock.wait) === 'string' ? lock.wait : undefined);
+		const withLockTimeout = cmd => (
+			(typeof lock.wait) === 'number' ?
+				this._createLockTimeoutCommand(cmd, lock.wait) : cmd);
+
 		// get the basics
+		this._recordTypeName = recordTypeName;
+		this._lockType = lockType;
 		const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
 		const superTypeName = recordTypeDesc.superRecordTypeName;
 		const recordsPropDesc = recordTypes.getRecordTypeDesc(
 			superTypeName).getPropertyDesc('records');
 
+		// exclude soft-deleted records unless asked not to
+		if (recordTypeDesc.softDeletePropName && !includeDeleted)
+			filterSpec = (filterSpec || []).concat([
+				[ recordTypeDesc.softDeletePropName + ' => empty' ] ]);
+
+		// limit to the records of the tenant if multi-tenant
+		filterSpec = AbstractDBO.addTenantFilter(recordTypeDesc, filterSpec);
+
 		// create base value expressions context
 		const baseValueExprCtx = new ValueExpressionContext(
 			'', [ recordTypeDesc ]);
@@ -247,9 +739,25 @@ class FetchDBO extends AbstractDBO {
 		this._involvedRecordTypeNames = new Set();
 		this._complexity = 0;
 
+		// build the range object
+		const range = (rangeSpec && rangeBuilder.buildRange(rangeSpec));
+
+		// process cursor-based range
+		this._keyset = null;
+		let recordsFilterSpec = filterSpec;
+		if (range && range.keyset && selectedPropPatterns) {
+			this._keyset = new Keyset(recordTypeDesc, orderSpecs, range);
+			orderSpecs = this._keyset.orderSpecs;
+			selectedPropPatterns = Array.from(selectedPropPatterns).concat(
+				this._keyset.propPaths);
+			if (this._keyset.seekFilterSpec)
+				recordsFilterSpec = (filterSpec || []).concat(
+					[ this._keyset.seekFilterSpec ]);
+		}
+
 		// build top records filter and the tree of properties used in it
-		const filter = (filterSpec && filterBuilder.buildFilter(
-			recordTypes, baseValueExprCtx, [ ':and', filterSpec ]));
+		const filter = (recordsFilterSpec && filterBuilder.buildFilter(
+			recordTypes, baseValueExprCtx, [ ':and', recordsFilterSpec ]));
 		const filterPropsTree = (
 			filter && propsTreeBuilder.buildPropsTreeBranches(
 				recordTypes, recordsPropDesc, 'where', baseValueExprCtx, '',
@@ -279,11 +787,9 @@ class FetchDBO extends AbstractDBO {
 			orderPropsTree.addInvolvedRecordTypesTo(
 				this._involvedRecordTypeNames);
 
-		// build the range object
-		const range = (rangeSpec && rangeBuilder.buildRange(rangeSpec));
-
 		// the operation commands sequence
 		this._commands = new Array();
+		this._streamable = false;
 
 		// build records queries
 		if (selectedPropPatterns) {
@@ -293,35 +799,57 @@ class FetchDBO extends AbstractDBO {
 				filter ? propsTree.combine(filterPropsTree) : propsTree);
 			const combineWithOrder = propsTree => (
 				order ? propsTree.combine(orderPropsTree) : propsTree);
-
-			// build and debranch the selected properties tree
-			const selectPropsBranches = propsTreeBuilder.buildPropsTreeBranches(
-				recordTypes, recordsPropDesc, 'select', baseValueExprCtx, null,
-				selectedPropPatterns);
-			for (let branch of selectPropsBranches)
-				branch.addInvolvedRecordTypesTo(this._involvedRecordTypeNames);
-
-			// check if multiple branches
-			if (selectPropsBranches.length > 1) {
+			const canLockInQuery = query => (
+				(!query.hasAggregates() ||
+					dbDriver.supportsRowLocksWithAggregates()) &&
+				(!query.hasOuterJoins() ||
+					dbDriver.supportsRowLocksWithOuterJoins()));
+			const addFetchCommand = (query, querySql) => {
+				if (lockType) {
+					if (canLockInQuery(query)) {
+						const exclusiveLockTables = new Array();
+						const sharedLockTables = new Array();
+						query.getTablesForLock(
+							lockType, exclusiveLockTables, sharedLockTables);
+						querySql = dbDriver.makeSelectWithLocks(
+							querySql, exclusiveLockTables, sharedLockTables,
+							lockWait);
+					} else {
+						for (let lockSql of query.buildLockStatements(
+							dbDriver, lockType, lockWait))
+							this._commands.push(withLockTimeout(
+								new LockRowsCommand(lockSql)));
+					}
+				}
+				const fetchCommand = new ExecuteMainRecordsFetchCommand(
+					recordTypes, recordTypeName, querySql);
+				this._commands.push(
+					lockType ? withLockTimeout(fetchCommand) : fetchCommand);
+			};
+			const addAnchoredFetchCommands = (idsPropsTree, branches) => {
+
+				// skipped rows would be inconsistent across multiple queries
+				if (lockWait === 'skip')
+					throw new common.X2UsageError(
+						'Lock wait mode "skip" is not supported for fetches' +
+							' that cannot lock all involved rows in a single' +
+							' query.');
 
 				// complex
 				this._complexity = 2;
 
-				// add filter and order properties to the tree
-				const idsPropsTree = combineWithOrder(
-					combineWithFilter(selectPropsBranches[0]));
-
 				// build ids query tree
 				const idsQueryTree = queryTreeBuilder.forIdsOnlyQuery(
 					dbDriver, recordTypes, idsPropsTree);
 
 				// add load anchor table command
 				const loadAnchorTable = this._createLoadAnchorTableCommand(
-					idsQueryTree, filter, order, range, (lockType || 'shared'));
-				this._commands.push(loadAnchorTable);
+					idsQueryTree, filter, order, range, (lockType || 'shared'),
+					lockWait);
+				this._commands.push(withLockTimeout(loadAnchorTable));
 
 				// build branch queries
-				selectPropsBranches.forEach(selectPropsBranch => {
+				branches.forEach(selectPropsBranch => {
 
 					// build anchored query tree
 					const queryTree = queryTreeBuilder.forAnchoredQuery(
@@ -329,87 +857,79 @@ class FetchDBO extends AbstractDBO {
 						selectPropsBranch, loadAnchorTable.anchorTableName);
 
 					// assemble the SQL and add the fetch command
-					this._commands.push(new ExecuteMainRecordsFetchCommand(
-						recordTypes, recordTypeName,
-						this._assembleSelect(queryTree, null, ANCHOR_ORDER)
-							.toSql()
-					));
+					const query = this._assembleSelect(
+						queryTree, null, ANCHOR_ORDER);
+					addFetchCommand(query, query.toSql());
 				});
+			};
 
-			} else { // single branch
-
-				// add filter and order properties to the tree
-				const selectPropsTree = combineWithOrder(
-					combineWithFilter(selectPropsBranches[0]));
-
-				// check if ranged with expanding children
-				if (range && selectPropsTree.hasExpandingChild()) {
+			// build and debranch the selected properties tree
+			const selectPropsBranches = propsTreeBuilder.buildPropsTreeBranches(
+				recordTypes, recordsPropDesc, 'select', baseValueExprCtx, null,
+				selectedPropPatterns);
+			for (let branch of selectPropsBranches)
+				branch.addInvolvedRecordTypesTo(this._involvedRecordTypeNames);
 
-					// complex
-					this._complexity = 2;
+			// check if multiple branches
+			if (selectPropsBranches.length > 1) {
 
-					// build ids query tree
-					const idsQueryTree = queryTreeBuilder.forIdsOnlyQuery(
-						dbDriver, recordTypes, selectPropsTree);
+				// add filter and order properties to the tree and fetch by
+				// anchor
+				addAnchoredFetchCommands(
+					combineWithOrder(combineWithFilter(selectPropsBranches[0])),
+					selectPropsBranches);
 
-					// add load anchor table command
-					const loadAnchorTable = this._createLoadAnchorTableCommand(
-						idsQueryTree, filter, order, range,
-						(lockType || 'shared'));
-					this._commands.push(loadAnchorTable);
+			} else { // single branch
 
-					// build anchored query tree
-					const queryTree = queryTreeBuilder.forAnchoredQuery(
-						dbDriver, recordTypes, 'select', true,
-						selectPropsTree, loadAnchorTable.anchorTableName);
+				// records are fetched by a single query
+				this._streamable = true;
 
-					// assemble the SQL and add the fetch command
-					this._commands.push(new ExecuteMainRecordsFetchCommand(
-						recordTypes, recordTypeName,
-						this._assembleSelect(queryTree, null, ANCHOR_ORDER)
-							.toSql()
-					));
+				// add filter and order properties to the tree
+				const selectPropsTree = combineWithOrder(
+					combineWithFilter(selectPropsBranches[0]));
 
-				} else { // single branch, no expansion
+				// try direct query unless ranged with expanding children
+				let query;
+				if (!range || !selectPropsTree.hasExpandingChild()) {
 
 					// build query tree
 					const queryTree = queryTreeBuilder.forDirectQuery(
 						dbDriver, recordTypes, 'select', true, selectPropsTree);
 
-					// assemble the SQL
-					const query = this._assembleSelect(queryTree, filter, order);
-					let querySql = query.toSql();
+					// assemble the query
+					query = this._assembleSelect(queryTree, filter, order);
+
+					// can't use direct query if can't lock it
+					if (lockType && !canLockInQuery(query))
+						query = null;
+				}
+
+				// check if direct query
+				if (query) {
 
 					// consider it complex if it has joins
 					this._complexity = (query.hasJoins() ? 1 : 0);
 
 					// add range if any
+					let querySql = query.toSql();
 					if (range)
 						querySql = dbDriver.makeRangedSelect(
 							querySql, range.offset, range.limit);
 
-					// add locks if any
-					if (lockType) {
-						const exclusiveLockTables = new Array();
-						const sharedLockTables = new Array();
-						query.getTablesForLock(
-							lockType, exclusiveLockTables, sharedLockTables);
-						if (query.hasAggregates() &&
-							!dbDriver.supportsRowLocksWithAggregates()) {
-							// TODO: can't lock if not supported by DB
-						} else {
-							querySql = dbDriver.makeSelectWithLocks(
-								querySql, exclusiveLockTables, sharedLockTables);
-						}
-					}
-
 					// add the fetch command
-					this._commands.push(new ExecuteMainRecordsFetchCommand(
-						recordTypes, recordTypeName, querySql));
+					addFetchCommand(query, querySql);
+
+				} else { // fetch by anchor
+					addAnchoredFetchCommands(
+						selectPropsTree, [ selectPropsTree ]);
 				}
 			}
 		}
 
+		// records can be streamed as they are read if fetched by single query
+		if (this._keyset && this._keyset.backward)
+			this._streamable = false;
+
 		// build super properties queries
 		if (selectedSuperProps && selectedSuperProps.length > 0) {
 
@@ -423,8 +943,13 @@ class FetchDBO extends AbstractDBO {
 			for (let branch of superPropsBranches)
 				branch.addInvolvedRecordTypesTo(this._involvedRecordTypeNames);
 
-			// create filter for the super queries
-			const superFilter = filter && filter.rebase('records');
+			// create filter for the super queries (without the range seek)
+			const superFilter = (
+				recordsFilterSpec === filterSpec ?
+					filter && filter.rebase('records') :
+					filterSpec && filterBuilder.buildFilter(
+						recordTypes, baseValueExprCtx, [ ':and', filterSpec ])
+						.rebase('records'));
 			const superFilterPropsTree = (
 				superFilter && propsTreeBuilder.buildPropsTreeBranches(
 					recordTypes, recordsPropDesc, 'where',
@@ -495,6 +1020,12 @@ class FetchDBO extends AbstractDBO {
 	 * matched.
 	 * @property {Object.<string,Object>} [referredRecords] Fetched referred
 	 * records by reference.
+	 * @property {string} [prevPageCursor] For a cursor-based range, cursor that
+	 * can be used as the "before" cursor to fetch the preceding records. Not
+	 * included if no records were fetched.
+	 * @property {string} [nextPageCursor] For a cursor-based range, cursor that
+	 * can be used as the "after" cursor to fetch the following records. Not
+	 * included if no records were fetched.
 	 */
 
 	/**
@@ -512,15 +1043,91 @@ class FetchDBO extends AbstractDBO {
 	 * values. Functions are called without arguments and the results are used as
 	 * values. Otherwise, values can be strings, numbers, Booleans and nulls.
 	 * @returns {Promise.<module:x2node-dbos~FetchDBO~Result>} The fetch result
-	 * promise.
+	 * promise. If the requested record locks cannot be acquired because of the
+	 * lock wait mode or timeout, the promise is rejected with
+	 * [X2LockNotAvailableError]{@link module:x2node-dbos.X2LockNotAvailableError}.
 	 * @throws {module:x2node-common.X2UsageError} If provided filter
 	 * parameters object is invalid (missing parameter, <code>NaN</code> value or
-	 * value of unsupported type).
+	 * value of unsupported type, invalid range cursor).
 	 */
 	execute(txOrCon, actor, filterParams) {
 
-		return this._executeCommands(new FetchDBOExecutionContext(
-			this, txOrCon, actor, filterParams));
+		return this._executeFetch(new FetchDBOExecutionContext(
+			this, txOrCon, actor, (
+				this._keyset ?
+					this._keyset.addCursorParams(filterParams) :
+					filterParams)));
+	}
+
+	/**
+	 * Execute the operation and stream the fetched records instead of
+	 * accumulating them in the result object. The records are streamed one at a
+	 * time as soon as all the result set rows for the record are read, so that
+	 * fetching large record collections does not require holding all the
+	 * records in memory. Note, that if the DBO uses multiple queries to fetch
+	 * the records (for example, if it fetches several collection properties of
+	 * different reference chains), the records become complete only after all
+	 * the queries are executed, in which case they are still accumulated in
+	 * memory and are streamed at the end. If the database driver supports it
+	 * (see the <code>onFlowControl</code> handler function of the driver's
+	 * [executeQuery()]{@link module:x2node-dbos.DBDriver#executeQuery}
+	 * method), reading the result set rows is paused while the stream's buffer
+	 * is full. Otherwise, the records are buffered in the stream if the
+	 * consumer is slower than the database.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @param {Object.<string,*>} [filterParams] Filter parameters. See
+	 * [execute()]{@link module:x2node-dbos~FetchDBO#execute}.
+	 * @returns {module:x2node-dbos~RecordsStream} The records stream. If the
+	 * operation fails, the stream emits <code>error</code> event.
+	 * @throws {module:x2node-common.X2UsageError} If provided filter
+	 * parameters object is invalid (missing parameter, <code>NaN</code> value or
+	 * value of unsupported type, invalid range cursor).
+	 */
+	stream(txOrCon, actor, filterParams) {
+
+		const recordsStream = new RecordsStream();
+
+		this._executeFetch(new FetchDBOExecutionContext(
+			this, txOrCon, actor, (
+				this._keyset ?
+					this._keyset.addCursorParams(filterParams) :
+					filterParams),
+			recordsStream
+		)).then(
+			result => {
+				recordsStream._end(result);
+			},
+			err => {
+				recordsStream.emit('error', err);
+			}
+		);
+
+		return recordsStream;
+	}
+
+	/**
+	 * Execute the operation commands and convert errors caused by row locks
+	 * that could not be acquired.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~FetchDBOExecutionContext} ctx The operation
+	 * execution context.
+	 * @returns {Promise.<module:x2node-dbos~FetchDBO~Result>} The fetch result
+	 * promise.
+	 */
+	_executeFetch(ctx) {
+
+		return this._executeCommands(ctx).catch(err => Promise.reject(
+			this._dbDriver.isLockNotAvailableError(err) ?
+				new errors.X2LockNotAvailableError(
+					'Could not acquire the requested record locks.', err) :
+				err
+		));
 	}
 }
 
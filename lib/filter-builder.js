@@ -230,7 +230,7 @@ class RecordsFilterValueTest extends RecordsFilter {
 			if (placeholders.isParam(param))
 				return ctx.paramsHandler.addParam(param.name, litValueFunc);
 
-			return ctx.paramsHandler.paramValueToSql(
+			return ctx.paramsHandler.addLiteral(
 				ctx.dbDriver, param, litValueFunc);
 		}
 
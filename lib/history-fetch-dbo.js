@@ -0,0 +1,221 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const AbstractDBO = require('./abstract-dbo.js');
+const DBOExecutionContext = require('./dbo-execution-context.js');
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// COMMANDS
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Command that reads the record history entries from the history table and adds
+ * them to the context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class FetchHistoryCommand {
+
+	constructor(query) {
+
+		this._query = query;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		const stmt = this._query;
+		return promiseChain.then(() => new Promise((resolve, reject) => {
+			if (ctx.tenantPropName && (ctx.tenantId === undefined))
+				return reject(new common.X2UsageError(
+					'Operation on multi-tenant records requires a tenant.'));
+			let query;
+			try {
+				const params = new Array();
+				query = ctx.replaceParams(stmt, params);
+				ctx.logStatement(query, params);
+				ctx.dbDriver.executeQuery(
+					ctx.connection, query, {
+						noRowsAsArrays: true,
+						onRow(row) {
+							ctx.addEntry(row);
+						},
+						onSuccess() {
+							resolve();
+						},
+						onError(err) {
+							common.error(`error executing SQL [${query}]`, err);
+							reject(err);
+						}
+					}, params
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${query || stmt}]`, err);
+				reject(err);
+			}
+		}));
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// EXECUTION CONTEXT
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Operation execution context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~DBOExecutionContext
+ */
+class HistoryFetchDBOExecutionContext extends DBOExecutionContext {
+
+	constructor(dbo, txOrCon, actor) {
+		super(dbo, txOrCon, actor);
+
+		this._tenantPropName = dbo._tenantPropName;
+
+		this._entries = new Array();
+	}
+
+	/**
+	 * Name of the tenant property if the record type is multi-tenant.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get tenantPropName() { return this._tenantPropName; }
+
+	/**
+	 * Add history entry read from the database.
+	 *
+	 * @param {Object} row The history table row.
+	 */
+	addEntry(row) {
+
+		const executedOn = row.executed_on;
+		this._entries.push({
+			executedOn: (
+				executedOn instanceof Date ?
+					executedOn.toISOString() : executedOn),
+			actor: row.actor,
+			operation: row.operation,
+			data: JSON.parse(row.data)
+		});
+	}
+
+	getResult() {
+
+		// hide history of records of other tenants if multi-tenant
+		if (this._tenantPropName) {
+			const imageEntry = this._entries.find(
+				entry => (entry.operation !== 'update'));
+			if (!imageEntry || (String(imageEntry.data[this._tenantPropName]) !==
+				String(this.tenantId)))
+				return new Array();
+		}
+
+		return this._entries;
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// THE DBO
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Record change history fetch database operation implementation (SQL
+ * <code>SELECT</code> query against the record type's history table).
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~AbstractDBO
+ */
+class HistoryFetchDBO extends AbstractDBO {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using
+	 * [DBOFactory]{@link module:x2node-dbos~DBOFactory}.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {(string|number)} recordId Id of the record.
+	 * @throws {module:x2node-common.X2UsageError} If the record type does not
+	 * have change history enabled or the record id is invalid.
+	 */
+	constructor(dbDriver, recordTypes, recordTypeDesc, recordId) {
+		super(dbDriver, recordTypes);
+
+		// check that the record type has history
+		if (!recordTypeDesc.historyTable)
+			throw new common.X2UsageError(
+				`Record type ${recordTypeDesc.name} does not have change` +
+					' history enabled.');
+
+		// check the record id
+		if (!(((typeof recordId) === 'string') ||
+			Number.isFinite(recordId)))
+			throw new common.X2UsageError('Invalid record id.');
+		const recordIdSql = this._paramsHandler.addValue(recordId);
+
+		// save tenant property name (used by the execution context)
+		this._tenantPropName = recordTypeDesc.tenantPropName;
+
+		// the operation commands sequence
+		this._commands = [
+			new FetchHistoryCommand(
+				'SELECT executed_on AS executed_on, actor AS actor,' +
+					' operation AS operation, data AS data' +
+					` FROM ${recordTypeDesc.historyTable}` +
+					` WHERE record_id = ${recordIdSql} ORDER BY id`)
+		];
+	}
+
+	/**
+	 * Record change history entry.
+	 *
+	 * @typedef module:x2node-dbos~HistoryFetchDBO~Entry
+	 * @property {string} executedOn ISO string representation of the date and
+	 * time of the operation execution.
+	 * @property {?string} actor Stamp of the actor that executed the operation,
+	 * or <code>null</code> if anonymous.
+	 * @property {string} operation Operation type: "insert", "update" or
+	 * "delete".
+	 * @property {(Object|Array.<Object>)} data For "insert" and "delete"
+	 * operations, the full record image. For "update", the JSON patch applied
+	 * to the record.
+	 */
+
+	/**
+	 * Execute the operation.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @returns {Promise.<Array.<module:x2node-dbos~HistoryFetchDBO~Entry>>}
+	 * Promise of the record history entries, oldest first.
+	 */
+	execute(txOrCon, actor) {
+
+		return this._executeCommands(
+			new HistoryFetchDBOExecutionContext(this, txOrCon, actor));
+	}
+}
+
+// export the class
+module.exports = HistoryFetchDBO;
@@ -55,14 +55,18 @@ class InsertDBO extends AbstractDBO {
 	 * library.
 	 * @param {module:x2node-dbos.RecordCollectionsMonitor} rcMonitor The record
 	 * collections monitor.
+	 * @param {external:EventEmitter} changeEmitter Emitter of the record change
+	 * events.
 	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
 	 * record type descriptor.
 	 * @param {Object} record The record data.
 	 * @throws {module:x2node-common.X2UsageError} If the provided data is
 	 * invalid.
 	 */
-	constructor(dbDriver, recordTypes, rcMonitor, recordTypeDesc, record) {
-		super(dbDriver, recordTypes, rcMonitor);
+	constructor(
+		dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+		record) {
+		super(dbDriver, recordTypes, rcMonitor, changeEmitter);
 
 		// save the basics
 		this._recordTypeDesc = recordTypeDesc;
@@ -73,6 +77,13 @@ class InsertDBO extends AbstractDBO {
 		// the operation commands sequence
 		this._commands = new Array();
 
+		// check that referred multi-tenant records belong to the tenant
+		const tenantRefs = new Object();
+		this._collectTenantRefs(tenantRefs, recordTypeDesc, record);
+		if (Object.keys(tenantRefs).length > 0)
+			this._commands.push(
+				this._createCheckTenantRefsCommand(() => tenantRefs));
+
 		// create insert commands starting from the top record
 		this._createInsertCommands(
 			this._commands,
@@ -81,37 +92,35 @@ class InsertDBO extends AbstractDBO {
 			recordTypeDesc, record
 		);
 
+		// add change history entry command
+		if (recordTypeDesc.historyTable)
+			this._commands.push(this._createWriteHistoryCommand(
+				recordTypeDesc, 'insert', ctx => {
+					const recordId = ctx.getResult();
+					const image = Object.assign(new Object(), record);
+					image[recordTypeDesc.idPropertyName] = recordId;
+					if (recordTypeDesc.tenantPropName)
+						image[recordTypeDesc.tenantPropName] = ctx.tenantId;
+					return [ { recordId: recordId, data: image } ];
+				}));
+
 		// add entangled records update commands
 		this._commands.push(this._createUpdateEntangledRecordsCommand());
 
 		// add record collections monitor notification command
 		this._commands.push(this._createNotifyRecordCollectionsMonitorCommand());
 
+		// add record change event command
+		this._commands.push(this._createRecordChangesCommand(
+			recordTypeDesc, 'insert', ctx => [ { recordId: ctx.getResult() } ]));
+
+		// add outbox messages write command
+		this._commands.push(this._createWriteOutboxCommand());
+
 		// find entanglements
 		this._entangledUpdates = new Object();
-		for (let propName of recordTypeDesc.allPropertyNames) {
-			const propDesc = recordTypeDesc.getPropertyDesc(propName);
-			if (!propDesc.isEntangled() || propDesc.isView())
-				continue;
-			let ids = this._entangledUpdates[propDesc.refTarget];
-			if (!ids)
-				this._entangledUpdates[propDesc.refTarget] = ids = new Set();
-			const propVal = record[propName];
-			if (propDesc.isArray() && Array.isArray(propVal)) {
-				for (let ref of propVal)
-					if ((typeof ref) === 'string')
-						ids.add(recordTypes.refToId(propDesc.refTarget, ref));
-			} else if (propDesc.isMap() && ((typeof propVal) === 'object') &&
-				(propVal !== null)) {
-				for (let key in propVal) {
-					const ref = propVal[key];
-					if ((typeof ref) === 'string')
-						ids.add(recordTypes.refToId(propDesc.refTarget, ref));
-				}
-			} else if ((typeof propVal) === 'string') {
-				ids.add(recordTypes.refToId(propDesc.refTarget, propVal));
-			}
-		}
+		this._collectEntangledUpdates(
+			this._entangledUpdates, recordTypeDesc, record);
 	}
 
 	/**
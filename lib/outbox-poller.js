@@ -0,0 +1,194 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Outbox message read from an outbox table.
+ *
+ * @typedef {Object} module:x2node-dbos~OutboxPoller~OutboxMessage
+ * @property {number} id Message id, unique within the outbox table. Messages
+ * are added to the table in the id order.
+ * @property {Date} createdOn Timestamp of the transaction that added the
+ * message.
+ * @property {string} topic Message topic. For messages added automatically
+ * for record changes, it is the record type name.
+ * @property {*} payload Message payload.
+ */
+
+/**
+ * Outbox messages poller. The poller reads messages that have not been
+ * dispatched yet from an outbox table, locking them so that multiple pollers
+ * running concurrently do not get the same messages, and marks the messages
+ * as dispatched.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ */
+class OutboxPoller {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using DBO factory's
+	 * [createOutboxPoller()]{@link module:x2node-dbos~DBOFactory#createOutboxPoller}
+	 * method.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {string} tableName Name of the outbox table.
+	 */
+	constructor(dbDriver, tableName) {
+
+		this._dbDriver = dbDriver;
+		this._tableName = tableName;
+
+		this._log = common.getDebugLogger('X2_DBO');
+	}
+
+	/**
+	 * Name of the outbox table.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get tableName() { return this._tableName; }
+
+	/**
+	 * Read oldest messages that have not been dispatched yet. The message rows
+	 * are exclusively locked until the end of the transaction. Rows locked by
+	 * other transactions are skipped, if the database supports it (see
+	 * [supportsLockWaitModes()]{@link module:x2node-dbos.DBDriver#supportsLockWaitModes}).
+	 * Otherwise, the query waits for the locks.
+	 *
+	 * @param {module:x2node-dbos~Transaction} tx Active transaction.
+	 * @param {number} limit Maximum number of messages to read.
+	 * @returns {Promise.<Array.<module:x2node-dbos~OutboxPoller~OutboxMessage>>}
+	 * Promise of the messages in the order they were added to the outbox.
+	 */
+	poll(tx, limit) {
+
+		if (!Number.isInteger(limit) || (limit < 1))
+			return Promise.reject(new common.X2UsageError(
+				'Invalid outbox poll limit.'));
+
+		const dbDriver = this._dbDriver;
+		const query = dbDriver.makeSelectWithLocks(
+			dbDriver.makeRangedSelect(
+				'SELECT o.id AS id, o.created_on AS created_on,' +
+					' o.topic AS topic, o.payload AS payload' +
+					` FROM ${this._tableName} AS o` +
+					' WHERE o.dispatched_on IS NULL ORDER BY o.id',
+				0, limit
+			),
+			[ { tableName: this._tableName, tableAlias: 'o' } ], null,
+			(dbDriver.supportsLockWaitModes() ? 'skip' : undefined)
+		);
+
+		return new Promise((resolve, reject) => {
+			const messages = new Array();
+			try {
+				this._log(`(tx #${tx.id}) executing SQL: ${query}`);
+				dbDriver.executeQuery(
+					tx.connection, query, {
+						noRowsAsArrays: true,
+						onRow(row) {
+							messages.push({
+								id: Number(row.id),
+								createdOn: (
+									row.created_on instanceof Date ?
+										row.created_on :
+										new Date(row.created_on)),
+								topic: row.topic,
+								payload: JSON.parse(row.payload)
+							});
+						},
+						onSuccess() {
+							resolve(messages);
+						},
+						onError(err) {
+							common.error(`error executing SQL [${query}]`, err);
+							reject(err);
+						}
+					}
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${query}]`, err);
+				reject(err);
+			}
+		});
+	}
+
+	/**
+	 * Mark messages as dispatched. The dispatch timestamp is the transaction
+	 * start timestamp.
+	 *
+	 * @param {module:x2node-dbos~Transaction} tx Active transaction.
+	 * @param {Array.<number>} ids Ids of the messages.
+	 * @returns {Promise.<number>} Promise of the number of marked messages.
+	 */
+	markDispatched(tx, ids) {
+
+		if (!ids || (ids.length === 0))
+			return Promise.resolve(0);
+
+		const dbDriver = this._dbDriver;
+		const params = new Array();
+		const bind = (val => (
+			dbDriver.bindParam ?
+				dbDriver.bindParam(params, val) : dbDriver.sql(val)));
+		const stmt = `UPDATE ${this._tableName}` +
+			` SET dispatched_on = ${bind(tx.startedOn)}` +
+			` WHERE id IN (${ids.map(bind).join(', ')})`;
+
+		return new Promise((resolve, reject) => {
+			try {
+				this._log(`(tx #${tx.id}) executing SQL: ${stmt}`);
+				dbDriver.executeUpdate(
+					tx.connection, stmt, {
+						onSuccess(numRows) {
+							resolve(numRows);
+						},
+						onError(err) {
+							common.error(`error executing SQL [${stmt}]`, err);
+							reject(err);
+						}
+					}, params
+				);
+			} catch (err) {
+				common.error(`error executing SQL [${stmt}]`, err);
+				reject(err);
+			}
+		});
+	}
+
+	/**
+	 * Dispatch a batch of messages. In a new transaction, the method polls the
+	 * outbox, passes the messages to the handler and, once the handler
+	 * succeeds, marks the messages as dispatched. If the handler fails, the
+	 * transaction is rolled back and the messages remain in the outbox to be
+	 * dispatched again.
+	 *
+	 * @param {module:x2node-dbos~TxFactory} txFactory Transaction factory.
+	 * @param {function} handler Function that receives the array of polled
+	 * [messages]{@link module:x2node-dbos~OutboxPoller~OutboxMessage} and the
+	 * transaction. It is not called if there are no messages. The function may
+	 * return a <code>Promise</code>.
+	 * @param {number} [limit=100] Maximum number of messages in the batch.
+	 * @returns {Promise.<number>} Promise of the number of dispatched messages.
+	 */
+	dispatchBatch(txFactory, handler, limit) {
+
+		return txFactory.executeTransaction(tx => this.poll(
+			tx, (limit === undefined ? 100 : limit)
+		).then(messages => {
+			if (messages.length === 0)
+				return 0;
+			return Promise.resolve(handler(messages, tx)).then(
+				() => this.markDispatched(tx, messages.map(m => m.id))
+			).then(() => messages.length);
+		}));
+	}
+}
+
+// export the class
+module.exports = OutboxPoller;
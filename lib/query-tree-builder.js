@@ -694,13 +694,30 @@ class QueryTreeNode {
 					);
 
 					// add referred record table if used
-					if (propNode.hasChildren())
+					if (propNode.hasChildren() ||
+						refTargetDesc.softDeletePropName)
 						queryTreeNode = queryTreeNode.createChildNode(
 							propNode, refTargetDesc.table, refTargetIdColumn,
 							false, false,
 							refTargetIdColumn,
 							reverseRefPropDesc.parentIdColumn);
 
+					// exclude soft-deleted referred records
+					if (queryTreeNode._excludeSoftDeleted(refTargetDesc)) {
+
+						// take the value from the referred record table
+						const valSql = queryTreeNode.tableAlias + '.' +
+							refTargetIdColumn;
+						this.addPropValueColumn(
+							propNode.path, queryTreeNode.table,
+							queryTreeNode.tableAlias, refTargetIdColumn);
+						this.addPropSql(propNode.path, valSql);
+						valueSelectors = [ makeSelector(
+							valSql,
+							markupPrefix + propDesc.name + (fetch ? ':' : '')
+						) ];
+					}
+
 				} else { // no link table
 
 					// add the reference property
@@ -711,6 +728,10 @@ class QueryTreeNode {
 						refTargetIdColumn, refTargetIdColumn, fetch,
 						valueSelectors
 					);
+
+					// exclude soft-deleted referred records
+					if (queryTreeNode !== this)
+						queryTreeNode._excludeSoftDeleted(refTargetDesc);
 				}
 
 			} else { // direct reference
@@ -910,6 +931,9 @@ class QueryTreeNode {
 							propNode.basePath))
 					);
 
+					// exclude soft-deleted referred records
+					queryTreeNode._excludeSoftDeleted(refTargetDesc);
+
 					// create and save value and key mappings
 					const valSql = queryTreeNode.tableAlias + '.' +
 						refTargetIdColumn;
@@ -1119,7 +1143,12 @@ class QueryTreeNode {
 		let valTableName, valTableAlias, valColumn;
 		let keyTableName, keyTableAlias, keyColumn;
 		const propDesc = propNode.desc;
-		if (propNode.hasChildren() || propDesc.keyPropertyName) {
+		const excludeSoftDeleted = (
+			propDesc.reverseRefPropertyName &&
+				refTargetDesc.softDeletePropName &&
+				!propNode.isUsedIn('delete'));
+		if (propNode.hasChildren() || propDesc.keyPropertyName ||
+			excludeSoftDeleted) {
 
 			// add the link table
 			queryTreeNode = this.createChildNode(
@@ -1141,7 +1170,7 @@ class QueryTreeNode {
 				keyTableName = queryTreeNode.table;
 				keyTableAlias = queryTreeNode.tableAlias;
 				keyColumn = propDesc.keyColumn;
-			} else if (propDesc.isArray()) {
+			} else if (propDesc.isArray() && !excludeSoftDeleted) {
 				keyTableName = queryTreeNode.table;
 				keyTableAlias = queryTreeNode.tableAlias;
 				keyColumn = linkTableTargetIdColumn;
@@ -1155,6 +1184,10 @@ class QueryTreeNode {
 				refTargetIdColumn, linkTableTargetIdColumn
 			);
 
+			// exclude soft-deleted referred records
+			if (excludeSoftDeleted)
+				queryTreeNode._excludeSoftDeleted(refTargetDesc);
+
 			// create value and key expressions
 			valTableName = queryTreeNode.table;
 			valTableAlias = queryTreeNode.tableAlias;
@@ -1162,7 +1195,10 @@ class QueryTreeNode {
 			if (!keyTableName) {
 				keyTableName = queryTreeNode.table;
 				keyTableAlias = queryTreeNode.tableAlias;
-				keyColumn = getKeyColumn(propDesc, refTargetDesc);
+				keyColumn = (
+					propDesc.isMap() ?
+						getKeyColumn(propDesc, refTargetDesc) :
+						refTargetIdColumn);
 			}
 
 		} else { // only the link table is needed
@@ -1315,6 +1351,8 @@ class QueryTreeNode {
 	 * <code>ORDER BY</code> clause.
 	 * @property {boolean} referred <code>true</code> if the table belongs to a
 	 * referred record type.
+	 * @property {boolean} anchor <code>true</code> if the table is the anchor
+	 * table.
 	 */
 
 	/**
@@ -1380,8 +1418,10 @@ class QueryTreeNode {
 			orderByElements: this._order.map(
 				o => ((typeof o.sql) === 'function' ? o.sql(ctx) : o.sql)),
 			referred: (parentTableDesc && parentTableDesc.referred) || (
-				parentTableDesc && this._propNode.desc.isRef() &&
-					(this._propNode.desc.nestedProperties.table === this._table))
+				parentTableDesc && !parentTableDesc.anchor &&
+					this._propNode.desc.isRef() &&
+					(this._propNode.desc.nestedProperties.table === this._table)),
+			anchor: !!this.anchor
 		};
 
 		if (this._aggregatedBelow) {
@@ -1473,11 +1513,37 @@ class QueryTreeNode {
 		// return undefined
 	}
 
+	/**
+	 * Make the node's table join to its parent exclude soft-deleted records, if
+	 * the record type stored in the table supports soft delete. The records are
+	 * not excluded if the node's table is being deleted from, so that the
+	 * soft-deleted dependent records are physically deleted together with their
+	 * parent. Once excluded, the node becomes virtual.
+	 *
+	 * @private
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Descriptor of the record type stored in the node's table.
+	 * @returns {boolean} <code>true</code> if soft-deleted records are
+	 * excluded.
+	 */
+	_excludeSoftDeleted(recordTypeDesc) {
+
+		const propName = recordTypeDesc.softDeletePropName;
+		if (!propName || this._propNode.isUsedIn('delete'))
+			return false;
+
+		this._softDeleteColumn = recordTypeDesc.getPropertyDesc(
+			propName).column;
+		this._virtual = true;
+
+		return true;
+	}
+
 	/**
 	 * Build Boolean SQL expression that can be used to join the table
 	 * represented by this node to its parent table. The condition does not take
 	 * into account any additional join conditions associated with the node and
-	 * only uses the key columns.
+	 * only uses the key columns (and excludes soft-deleted records, if needed).
 	 *
 	 * @private
 	 * @returns {string} Boolean SQL expression for the join condition.
@@ -1487,8 +1553,15 @@ class QueryTreeNode {
 		if (!this[PARENT_NODE])
 			return undefined;
 
-		return this._tableAlias + '.' + this._joinByColumn + ' = ' +
-			this[PARENT_NODE]._tableAlias + '.' + this._joinToColumn;
+		const joinCondition = this._tableAlias + '.' + this._joinByColumn +
+			' = ' + this[PARENT_NODE]._tableAlias + '.' + this._joinToColumn;
+
+		return (
+			this._softDeleteColumn ?
+				joinCondition + ' AND ' + this._tableAlias + '.' +
+					this._softDeleteColumn + ' IS NULL' :
+				joinCondition
+		);
 	}
 
 	/**
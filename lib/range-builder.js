@@ -2,6 +2,8 @@
 
 const common = require('x2node-common');
 
+const placeholders = require('./placeholders.js');
+
 
 /**
  * Record collection range.
@@ -17,11 +19,19 @@ class RecordsRange {
 	 *
 	 * @param {number} offset Zero-based range offset.
 	 * @param {number} limit The range limit.
+	 * @param {boolean} [keyset] <code>true</code> for a cursor-based range.
+	 * @param {(string|Object)} [cursor] For a cursor-based range, the cursor
+	 * or cursor parameter placeholder the range is positioned relatively to.
+	 * @param {boolean} [backward] For a cursor-based range, <code>true</code>
+	 * if the range precedes the cursor.
 	 */
-	constructor(offset, limit) {
+	constructor(offset, limit, keyset, cursor, backward) {
 
 		this._offset = offset;
 		this._limit = limit;
+		this._keyset = !!keyset;
+		this._cursor = cursor;
+		this._backward = !!backward;
 	}
 
 	/**
@@ -39,19 +49,51 @@ class RecordsRange {
 	 * @readonly
 	 */
 	get limit() { return this._limit; }
+
+	/**
+	 * <code>true</code> if cursor-based range (the offset is always zero).
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get keyset() { return this._keyset; }
+
+	/**
+	 * For a cursor-based range, the cursor string or cursor parameter
+	 * placeholder, or <code>undefined</code> if the range starts at the
+	 * beginning of the ordered records list.
+	 *
+	 * @member {(string|Object)}
+	 * @readonly
+	 */
+	get cursor() { return this._cursor; }
+
+	/**
+	 * For a cursor-based range, <code>true</code> if the range includes records
+	 * that precede the cursor.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get backward() { return this._backward; }
 }
 
 /**
  * Parse records collection range specification and build the range object.
  *
  * @protected
- * @param {Array.<number>} rangeSpec Two-element number array of the raw range
- * specification.
+ * @param {(Array.<number>|Object)} rangeSpec Two-element number array of the
+ * raw range specification, or cursor-based range specification object.
  * @returns {module:x2node-dbos~RecordsRange} Range object.
  * @throws {module:x2node-common.X2SyntaxError} If the specification is invalid.
  */
 exports.buildRange = function(rangeSpec) {
 
+	// check if cursor-based range
+	if ((rangeSpec !== null) && ((typeof rangeSpec) === 'object') &&
+		!Array.isArray(rangeSpec))
+		return buildKeysetRange(rangeSpec);
+
 	// validate range specification array
 	if (!Array.isArray(rangeSpec) || (rangeSpec.length !== 2))
 		throw new common.X2SyntaxError(
@@ -70,3 +112,79 @@ exports.buildRange = function(rangeSpec) {
 	// create and return the range object
 	return new RecordsRange(offset, limit);
 };
+
+/**
+ * Parse cursor-based records collection range specification.
+ *
+ * @private
+ * @param {Object} rangeSpec Range specification object.
+ * @returns {module:x2node-dbos~RecordsRange} Range object.
+ * @throws {module:x2node-common.X2SyntaxError} If the specification is invalid.
+ */
+function buildKeysetRange(rangeSpec) {
+
+	// validate the limit
+	const limit = rangeSpec.limit;
+	if (((typeof limit) !== 'number') || !Number.isInteger(limit) ||
+		(limit < 0))
+		throw new common.X2SyntaxError(
+			'Invalid records range specification: the limit value is not a' +
+				' non-negative integer.');
+
+	// validate the cursor
+	const after = rangeSpec.after;
+	const before = rangeSpec.before;
+	if ((after !== undefined) && (before !== undefined))
+		throw new common.X2SyntaxError(
+			'Invalid records range specification: may not have both "after"' +
+				' and "before" cursors.');
+	const cursor = (before !== undefined ? before : after);
+	if ((cursor !== undefined) && ((typeof cursor) !== 'string') &&
+		!placeholders.isParam(cursor))
+		throw new common.X2SyntaxError(
+			'Invalid records range specification: the cursor is neither a' +
+				' string nor a parameter placeholder.');
+
+	// create and return the range object
+	return new RecordsRange(0, limit, true, cursor, (before !== undefined));
+}
+
+/**
+ * Build records range cursor.
+ *
+ * @protected
+ * @param {Array.<*>} values Values of the records order elements for the record
+ * at the cursor position.
+ * @returns {string} The cursor.
+ */
+exports.encodeCursor = function(values) {
+
+	return Buffer.from(JSON.stringify(values), 'utf8').toString('base64');
+};
+
+/**
+ * Parse records range cursor.
+ *
+ * @protected
+ * @param {string} cursor The cursor.
+ * @param {number} numValues Expected number of values in the cursor.
+ * @returns {Array.<*>} Values of the records order elements encoded in the
+ * cursor.
+ * @throws {module:x2node-common.X2SyntaxError} If the cursor is invalid.
+ */
+exports.decodeCursor = function(cursor, numValues) {
+
+	let values;
+	try {
+		values = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+	} catch (err) {
+		values = null;
+	}
+	if (!Array.isArray(values) || (values.length !== numValues) ||
+		values.some(v => (
+			(v === null) || ([ 'string', 'number', 'boolean' ].indexOf(
+				typeof v) < 0))))
+		throw new common.X2SyntaxError('Invalid records range cursor.');
+
+	return values;
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const FetchDBO = require('./fetch-dbo.js');
+const AsOfFetchDBO = require('./as-of-fetch-dbo.js');
+const HistoryFetchDBO = require('./history-fetch-dbo.js');
+const AccessFilteredDBO = require('./access-filtered-dbo.js');
+
+
+/**
+ * Connection routing hints that can be passed to the routing data source's
+ * <code>getConnection()</code> method.
+ *
+ * @typedef {Object} module:x2node-dbos~RoutingDataSource~RoutingHints
+ * @property {boolean} [readOnly] <code>true</code> if the connection is going
+ * to be used only for reading, in which case it can be provided by a replica.
+ * @property {?module:x2node-common.Actor} [actor] Actor, on behalf of which
+ * the connection is going to be used. If a connection for writing is released
+ * without an error, the actor's subsequent reads are routed to the primary for
+ * the duration of the read-your-writes window.
+ */
+
+/**
+ * Tell if the DBO only reads the database. Fetch DBOs that lock the records are
+ * not considered read-only, since the locks are only meaningful on the
+ * primary.
+ *
+ * @private
+ * @param {Object} dbo The DBO.
+ * @returns {boolean} <code>true</code> if read-only DBO.
+ */
+function isReadOnlyDBO(dbo) {
+
+	return (
+		((dbo instanceof FetchDBO) && !dbo._lockType) ||
+		(dbo instanceof AsOfFetchDBO) ||
+		(dbo instanceof HistoryFetchDBO) ||
+		((dbo instanceof AccessFilteredDBO) && (dbo._operation === 'fetch') &&
+			isReadOnlyDBO(dbo._unfilteredDBO))
+	);
+}
+
+/**
+ * Get key that identifies the actor for the read-your-writes window. Actors are
+ * identified by their stamps. An actor without a stamp is identified by the
+ * actor object itself.
+ *
+ * @private
+ * @param {module:x2node-common.Actor} actor The actor.
+ * @returns {*} The actor key.
+ */
+function getActorKey(actor) {
+
+	return (
+		(actor.stamp !== undefined) && (actor.stamp !== null) ?
+			actor.stamp : actor);
+}
+
+/**
+ * Data source that routes connection requests between a primary database and
+ * its read replicas. Connections for reading are provided by the replicas in a
+ * round-robin fashion, all other connections are provided by the primary. An
+ * actor that has written to the database keeps reading from the primary for a
+ * configurable window of time, so that it sees its own changes even if the
+ * replicas lag behind.
+ *
+ * <p>When called without routing hints, <code>getConnection()</code> provides
+ * a primary connection, which makes the data source usable wherever a regular
+ * data source is expected. That also means that a connection obtained without
+ * the hints and passed to a DBO's <code>execute()</code> method is always a
+ * primary connection. To read from the replicas, the DBOs must be executed
+ * using the data source's
+ * [execute()]{@link module:x2node-dbos~RoutingDataSource#execute} method, in
+ * a read-only transaction, or on a connection requested with the
+ * <code>readOnly</code> hint.
+ *
+ * <p>Writes are registered for the read-your-writes window only if the actor
+ * is provided with the routing hints. For transactions, that means the
+ * <code>actor</code> transaction option must be specified. Anonymous writes
+ * are not registered. Actors without a stamp are identified by the actor
+ * object, so for them the reads are routed to the primary only if the same
+ * actor object is used.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DataSource
+ */
+class RoutingDataSource {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using DBO factory's
+	 * [createRoutingDataSource()]{@link module:x2node-dbos~DBOFactory#createRoutingDataSource}
+	 * method.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DataSource} primary Primary database data
+	 * source.
+	 * @param {Array.<module:x2node-dbos.DataSource>} replicas Replica data
+	 * sources.
+	 * @param {number} stickyWindow Read-your-writes window in milliseconds.
+	 */
+	constructor(primary, replicas, stickyWindow) {
+
+		this._primary = primary;
+		this._replicas = replicas;
+		this._stickyWindow = stickyWindow;
+
+		this._nextReplicaInd = 0;
+		this._acquired = new Map();
+		this._lastWrites = new Map();
+		this._lastWritesSweptOn = Date.now();
+
+		this._log = common.getDebugLogger('X2_DBO');
+	}
+
+	/**
+	 * Read-your-writes window in milliseconds.
+	 *
+	 * @member {number}
+	 * @readonly
+	 */
+	get stickyWindow() { return this._stickyWindow; }
+
+	/**
+	 * Get database connection.
+	 *
+	 * @param {module:x2node-dbos~RoutingDataSource~RoutingHints} [hints]
+	 * Routing hints. If not provided, a primary connection is returned.
+	 * @returns {Promise.<*>} Promise of a database specific connection object.
+	 */
+	getConnection(hints) {
+
+		const readOnly = Boolean(hints && hints.readOnly);
+		const actor = (hints && hints.actor);
+
+		let ds;
+		if (readOnly && !this._isSticky(actor)) {
+			ds = this._replicas[this._nextReplicaInd];
+			this._log(`routing read to replica #${this._nextReplicaInd}`);
+			this._nextReplicaInd =
+				(this._nextReplicaInd + 1) % this._replicas.length;
+		} else {
+			ds = this._primary;
+			this._log(`routing ${readOnly ? 'read' : 'write'} to primary`);
+		}
+
+		return ds.getConnection().then(con => {
+			this._acquired.set(con, {
+				ds: ds,
+				writer: (!readOnly && actor ? getActorKey(actor) : null)
+			});
+			return con;
+		});
+	}
+
+	/**
+	 * Release database connection.
+	 *
+	 * @param {*} connection Connection previously acquired using
+	 * [getConnection()]{@link module:x2node-dbos~RoutingDataSource#getConnection}
+	 * method.
+	 * @param {external:Error} [err] Optional error object if the connection is
+	 * being released after a database error.
+	 */
+	releaseConnection(connection, err) {
+
+		const acquired = this._acquired.get(connection);
+		if (!acquired)
+			throw new common.X2UsageError(
+				'The connection was not acquired from this data source.');
+		this._acquired.delete(connection);
+
+		if (!err && (acquired.writer !== null))
+			this._recordWrite(acquired.writer);
+
+		acquired.ds.releaseConnection(connection, err);
+	}
+
+	/**
+	 * Execute DBO outside of an explicit transaction on a connection obtained
+	 * from the data source. Fetch DBOs that do not lock the records are routed
+	 * to the replicas (subject to the read-your-writes window), all other DBOs
+	 * are executed on the primary.
+	 *
+	 * @param {Object} dbo The DBO.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @param {...*} [args] Any additional arguments passed to the DBO's
+	 * <code>execute()</code> method after the actor.
+	 * @returns {Promise} The DBO execution result promise.
+	 */
+	execute(dbo, actor) {
+
+		const args = Array.from(arguments).slice(1);
+
+		let dbCon;
+		return this.getConnection({
+			readOnly: isReadOnlyDBO(dbo),
+			actor: actor
+		}).then(con => dbo.execute.apply(
+			dbo, [ dbCon = con ].concat(args)
+		)).then(result => {
+			this.releaseConnection(dbCon);
+			return result;
+		}, err => {
+			if (dbCon)
+				this.releaseConnection(
+					dbCon, (err instanceof Error ? err : undefined));
+			return Promise.reject(err);
+		});
+	}
+
+	/**
+	 * Tell if the actor's reads must go to the primary.
+	 *
+	 * @private
+	 * @param {?module:x2node-common.Actor} actor The actor.
+	 * @returns {boolean} <code>true</code> if the actor has written to the
+	 * database within the read-your-writes window.
+	 */
+	_isSticky(actor) {
+
+		if (!actor || (this._stickyWindow <= 0))
+			return false;
+
+		const lastWrite = this._lastWrites.get(getActorKey(actor));
+
+		return (
+			(lastWrite !== undefined) &&
+			(Date.now() - lastWrite < this._stickyWindow));
+	}
+
+	/**
+	 * Record actor's write and forget writes that fell out of the
+	 * read-your-writes window.
+	 *
+	 * @private
+	 * @param {*} actorKey The actor key.
+	 */
+	_recordWrite(actorKey) {
+
+		if (this._stickyWindow <= 0)
+			return;
+
+		const now = Date.now();
+		if (now - this._lastWritesSweptOn >= this._stickyWindow) {
+			for (let entry of this._lastWrites)
+				if (now - entry[1] >= this._stickyWindow)
+					this._lastWrites.delete(entry[0]);
+			this._lastWritesSweptOn = now;
+		}
+
+		this._lastWrites.set(actorKey, now);
+	}
+}
+
+// export the class
+module.exports = RoutingDataSource;
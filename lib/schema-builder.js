@@ -0,0 +1,635 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Database table definition built from the record types library mappings.
+ *
+ * @protected
+ * @memberof module:x2node-dbos
+ * @inner
+ */
+class TableDefinition {
+
+	/**
+	 * Create new empty table definition.
+	 *
+	 * @param {string} name Table name.
+	 */
+	constructor(name) {
+
+		this._name = name;
+		this._columns = new Array();
+		this._columnsByName = new Map();
+		this._primaryKey = null;
+		this._uniqueKeys = new Array();
+		this._foreignKeys = new Array();
+	}
+
+	/**
+	 * Table name.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get name() { return this._name; }
+
+	/**
+	 * Table columns in the order they were added. Each column descriptor has
+	 * <code>name</code>, <code>type</code> ("string", "text", "integer",
+	 * "number", "boolean" or "datetime"), <code>nullable</code> and
+	 * <code>autoIncrement</code> properties. Columns that were renamed also
+	 * have <code>previousName</code> property.
+	 *
+	 * @member {Array.<Object>}
+	 * @readonly
+	 */
+	get columns() { return this._columns; }
+
+	/**
+	 * Names of the primary key columns, or <code>null</code> if the table does
+	 * not have a primary key.
+	 *
+	 * @member {Array.<string>}
+	 * @readonly
+	 */
+	get primaryKey() { return this._primaryKey; }
+
+	/**
+	 * Unique constraints, each represented by an array of column names.
+	 *
+	 * @member {Array.<Array.<string>>}
+	 * @readonly
+	 */
+	get uniqueKeys() { return this._uniqueKeys; }
+
+	/**
+	 * Foreign key constraints. Each foreign key descriptor has
+	 * <code>columns</code>, <code>refTable</code> and <code>refColumns</code>
+	 * properties.
+	 *
+	 * @member {Array.<Object>}
+	 * @readonly
+	 */
+	get foreignKeys() { return this._foreignKeys; }
+
+	/**
+	 * Get column descriptor.
+	 *
+	 * @param {string} columnName Column name.
+	 * @returns {Object} The column descriptor, or <code>undefined</code> if
+	 * the table does not have such column.
+	 */
+	getColumn(columnName) {
+
+		return this._columnsByName.get(columnName);
+	}
+
+	/**
+	 * Add column to the table. If the table already has the column (the table
+	 * is shared by several mappings), the existing column is left in place and
+	 * only becomes nullable if the new column is.
+	 *
+	 * @param {string} columnName Column name.
+	 * @param {string} type Column value type.
+	 * @param {boolean} nullable <code>true</code> if the column is nullable.
+	 * @param {boolean} [autoIncrement] <code>true</code> if the column value is
+	 * generated by the database upon the row insert.
+	 * @param {string} [previousName] Name of the column in the previous version
+	 * of the schema, if the column was renamed.
+	 * @returns {module:x2node-dbos~TableDefinition} This table.
+	 */
+	addColumn(columnName, type, nullable, autoIncrement, previousName) {
+
+		const existingColumn = this._columnsByName.get(columnName);
+		if (existingColumn) {
+			if (nullable)
+				existingColumn.nullable = true;
+		} else {
+			const column = {
+				name: columnName,
+				type: type,
+				nullable: nullable,
+				autoIncrement: (autoIncrement ? true : false)
+			};
+			if (previousName)
+				column.previousName = previousName;
+			this._columns.push(column);
+			this._columnsByName.set(columnName, column);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Set table's primary key, unless already set.
+	 *
+	 * @param {Array.<string>} columnNames Primary key column names.
+	 * @returns {module:x2node-dbos~TableDefinition} This table.
+	 */
+	setPrimaryKey(columnNames) {
+
+		if (!this._primaryKey)
+			this._primaryKey = columnNames;
+
+		return this;
+	}
+
+	/**
+	 * Add unique constraint to the table, unless the table already has it or
+	 * the primary key on the same set of columns.
+	 *
+	 * @param {Array.<string>} columnNames Unique key column names.
+	 * @returns {module:x2node-dbos~TableDefinition} This table.
+	 */
+	addUniqueKey(columnNames) {
+
+		const columnSet = k => Array.from(k).sort().join();
+		const key = columnSet(columnNames);
+		if (!this._uniqueKeys.some(k => (columnSet(k) === key)) &&
+			(!this._primaryKey || (columnSet(this._primaryKey) !== key)))
+			this._uniqueKeys.push(columnNames);
+
+		return this;
+	}
+
+	/**
+	 * Add foreign key constraint to the table, unless the table already has
+	 * it.
+	 *
+	 * @param {Array.<string>} columnNames Foreign key column names.
+	 * @param {string} refTable Referred table name.
+	 * @param {Array.<string>} refColumnNames Referred column names.
+	 * @returns {module:x2node-dbos~TableDefinition} This table.
+	 */
+	addForeignKey(columnNames, refTable, refColumnNames) {
+
+		const key = columnNames.join() + '>' + refTable;
+		if (!this._foreignKeys.some(
+			fk => ((fk.columns.join() + '>' + fk.refTable) === key)))
+			this._foreignKeys.push({
+				columns: columnNames,
+				refTable: refTable,
+				refColumns: refColumnNames
+			});
+
+		return this;
+	}
+}
+
+/**
+ * Get column value type for a scalar value type of a stored property or a map
+ * key.
+ *
+ * @private
+ * @param {string} scalarValueType Scalar value type.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} [refTarget] Reference target record type name for a
+ * reference.
+ * @returns {string} Column value type.
+ */
+function columnType(scalarValueType, recordTypes, refTarget) {
+
+	if (scalarValueType === 'ref')
+		return idColumnType(recordTypes.getRecordTypeDesc(refTarget));
+
+	return scalarValueType;
+}
+
+/**
+ * Get column value type for the container's id column.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Properties
+ * container with an id property.
+ * @returns {string} Column value type.
+ */
+function idColumnType(container) {
+
+	const idPropDesc = container.getPropertyDesc(container.idPropertyName);
+
+	return (
+		idPropDesc.scalarValueType === 'number' ?
+			'integer' : idPropDesc.scalarValueType);
+}
+
+/**
+ * Get id column for the container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Properties
+ * container.
+ * @returns {string} Column name.
+ */
+function getIdColumn(container) {
+
+	return container.getPropertyDesc(container.idPropertyName).column;
+}
+
+/**
+ * Schema builder state.
+ *
+ * @private
+ */
+class SchemaBuilder {
+
+	/**
+	 * Create new builder.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 */
+	constructor(recordTypes) {
+
+		this._recordTypes = recordTypes;
+
+		this._tables = new Map();
+	}
+
+	/**
+	 * Tables collected so far in the order they were first encountered.
+	 *
+	 * @member {Array.<module:x2node-dbos~TableDefinition>}
+	 * @readonly
+	 */
+	get tables() { return Array.from(this._tables.values()); }
+
+	/**
+	 * Get table definition, creating it if necessary.
+	 *
+	 * @param {string} tableName Table name.
+	 * @returns {module:x2node-dbos~TableDefinition} The table.
+	 */
+	getTable(tableName) {
+
+		let table = this._tables.get(tableName);
+		if (!table)
+			this._tables.set(tableName, (table = new TableDefinition(tableName)));
+
+		return table;
+	}
+
+	/**
+	 * Add record type tables, including the change history and outbox tables,
+	 * if any.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 */
+	addRecordType(recordTypeDesc) {
+
+		const table = this.getTable(recordTypeDesc.table);
+		const idColumn = getIdColumn(recordTypeDesc);
+		table.setPrimaryKey([ idColumn ]);
+
+		this._addContainer(recordTypeDesc, {
+			table: table,
+			keyColumn: idColumn,
+			keyUnique: true,
+			nullable: false
+		});
+
+		// add change history table
+		if (recordTypeDesc.historyTable)
+			this.getTable(recordTypeDesc.historyTable)
+				.addColumn('id', 'integer', false, true)
+				.addColumn('record_id', idColumnType(recordTypeDesc), false)
+				.addColumn('executed_on', 'datetime', false)
+				.addColumn('actor', 'string', true)
+				.addColumn('operation', 'string', false)
+				.addColumn('data', 'text', false)
+				.setPrimaryKey([ 'id' ]);
+
+		// add outbox table (may be shared by multiple record types)
+		if (recordTypeDesc.outboxTable)
+			this.getTable(recordTypeDesc.outboxTable)
+				.addColumn('id', 'integer', false, true)
+				.addColumn('created_on', 'datetime', false)
+				.addColumn('topic', 'string', false)
+				.addColumn('payload', 'text', false)
+				.addColumn('dispatched_on', 'datetime', true)
+				.setPrimaryKey([ 'id' ]);
+	}
+
+	/**
+	 * Add properties of a container.
+	 *
+	 * @private
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @param {Object} owner The owner, which includes the <code>table</code>,
+	 * to which the container's properties are mapped, the
+	 * <code>keyColumn</code> in that table that the child tables refer to, the
+	 * <code>keyUnique</code> flag that tells if the key column is unique and
+	 * can be referred by a foreign key, and <code>nullable</code> flag that
+	 * tells if the columns are nullable regardless of the property
+	 * optionality.
+	 */
+	_addContainer(container, owner) {
+
+		// get stored properties, including polymorphic object type property
+		const propNames = Array.from(container.allPropertyNames);
+		if (container.isPolymorphObject() &&
+			container.hasProperty(container.typePropertyName))
+			propNames.push(container.typePropertyName);
+		const propDescs = propNames
+			.map(propName => container.getPropertyDesc(propName))
+			.filter(propDesc => (
+				!propDesc.isCalculated() && !propDesc.isView() &&
+					!propDesc.reverseRefPropertyName &&
+					!propDesc.implicitDependentRef && (
+						(propDesc.scalarValueType === 'object') ||
+							(propDesc.column !== undefined))
+			));
+
+		// add columns in the owner table first so that child tables can refer
+		for (let propDesc of propDescs)
+			if ((propDesc.scalarValueType !== 'object') && !propDesc.table)
+				this._addValueProperty(propDesc, owner);
+
+		// add the rest of the properties
+		for (let propDesc of propDescs) {
+			if (propDesc.scalarValueType === 'object')
+				this._addObjectProperty(propDesc, owner);
+			else if (propDesc.table)
+				this._addValueProperty(propDesc, owner);
+		}
+	}
+
+	/**
+	 * Add nested object property.
+	 *
+	 * @private
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} owner The owner.
+	 */
+	_addObjectProperty(propDesc, owner) {
+
+		const container = propDesc.nestedProperties;
+
+		// object stored in the parent table
+		if (!propDesc.table) {
+			if (!propDesc.isScalar())
+				throw new common.X2UsageError(
+					'Property ' + container.nestedPath.replace(/\.$/, '') +
+						' of record type ' + String(container.recordTypeName) +
+						' is a nested objects collection without a table.');
+			this._addContainer(container, {
+				table: owner.table,
+				keyColumn: owner.keyColumn,
+				keyUnique: owner.keyUnique,
+				nullable: (owner.nullable || propDesc.optional)
+			});
+			return;
+		}
+
+		// object stored in its own table
+		const table = this._addChildTable(propDesc, owner);
+		let keyColumn, keyUnique;
+		if (propDesc.isScalar()) {
+			keyColumn = propDesc.parentIdColumn;
+			keyUnique = true;
+			table.setPrimaryKey([ keyColumn ]);
+		} else {
+			if (container.idPropertyName) {
+				keyColumn = getIdColumn(container);
+				keyUnique = true;
+				const idPropDesc = container.getPropertyDesc(
+					container.idPropertyName);
+				if (idPropDesc.tableUnique)
+					table.setPrimaryKey([ keyColumn ]);
+				else
+					table.addUniqueKey([ propDesc.parentIdColumn, keyColumn ]);
+			}
+			if (propDesc.isMap()) {
+				const mapKeyColumn = (
+					propDesc.keyColumn ||
+						container.getPropertyDesc(
+							propDesc.keyPropertyName).column);
+				if (propDesc.keyColumn)
+					table.addColumn(
+						mapKeyColumn,
+						columnType(
+							propDesc.keyValueType, this._recordTypes,
+							propDesc.keyRefTarget),
+						false);
+				table.addUniqueKey([ propDesc.parentIdColumn, mapKeyColumn ]);
+				if (!keyColumn) {
+					keyColumn = mapKeyColumn;
+					keyUnique = false;
+				}
+			}
+		}
+
+		// add object properties
+		this._addContainer(container, {
+			table: table,
+			keyColumn: keyColumn,
+			keyUnique: keyUnique,
+			nullable: false
+		});
+	}
+
+	/**
+	 * Add simple value or reference property.
+	 *
+	 * @private
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} owner The owner.
+	 */
+	_addValueProperty(propDesc, owner) {
+
+		// determine the value column type
+		let type;
+		if (propDesc.isId() || (
+			propDesc.isRecordMetaInfo() &&
+				(propDesc.recordMetaInfoRole === 'version')))
+			type = (
+				propDesc.scalarValueType === 'number' ?
+					'integer' : propDesc.scalarValueType);
+		else
+			type = columnType(
+				propDesc.scalarValueType, this._recordTypes,
+				propDesc.refTarget);
+
+		// scalar stored in the parent table
+		if (propDesc.isScalar() && !propDesc.table) {
+			owner.table.addColumn(
+				propDesc.column, type,
+				(owner.nullable || propDesc.optional),
+				(propDesc.isId() && (propDesc.generator === 'auto') &&
+					(type === 'integer')),
+				propDesc.previousColumn);
+			if (propDesc.isRef())
+				this._addRefForeignKey(
+					owner.table, propDesc.column, propDesc.refTarget);
+			return;
+		}
+
+		// value stored in its own table
+		const table = this._addChildTable(propDesc, owner);
+		table.addColumn(
+			propDesc.column, type, false, false, propDesc.previousColumn);
+		if (propDesc.isRef())
+			this._addRefForeignKey(table, propDesc.column, propDesc.refTarget);
+		if (propDesc.isScalar()) {
+			table.setPrimaryKey([ propDesc.parentIdColumn ]);
+		} else if (propDesc.isMap()) {
+			if (propDesc.keyColumn) {
+				table.addColumn(
+					propDesc.keyColumn,
+					columnType(
+						propDesc.keyValueType, this._recordTypes,
+						propDesc.keyRefTarget),
+					false);
+				table.addUniqueKey(
+					[ propDesc.parentIdColumn, propDesc.keyColumn ]);
+				if (propDesc.keyRefTarget)
+					this._addRefForeignKey(
+						table, propDesc.keyColumn, propDesc.keyRefTarget);
+			} else if (propDesc.isRef()) {
+				table.addUniqueKey(
+					[ propDesc.parentIdColumn, propDesc.column ]);
+			}
+		} else if (!propDesc.indexColumn && propDesc.isRef()) {
+			table.addUniqueKey([ propDesc.parentIdColumn, propDesc.column ]);
+		}
+	}
+
+	/**
+	 * Add table for a property stored in its own table and link it to the
+	 * owner table. For arrays with index column, the index column is added as
+	 * well.
+	 *
+	 * @private
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} owner The owner.
+	 * @returns {module:x2node-dbos~TableDefinition} The table.
+	 */
+	_addChildTable(propDesc, owner) {
+
+		if (!propDesc.parentIdColumn)
+			throw new common.X2UsageError(
+				'Property ' + propDesc.container.nestedPath + propDesc.name +
+					' of record type ' +
+					String(propDesc.container.recordTypeName) +
+					' is stored in a separate table, but does not have' +
+					' parentIdColumn attribute.');
+
+		const table = this.getTable(propDesc.table);
+		table.addColumn(
+			propDesc.parentIdColumn,
+			owner.table.getColumn(owner.keyColumn).type, false);
+		if (owner.keyUnique)
+			table.addForeignKey(
+				[ propDesc.parentIdColumn ], owner.table.name,
+				[ owner.keyColumn ]);
+
+		if (propDesc.isArray() && propDesc.indexColumn) {
+			table.addColumn(propDesc.indexColumn, 'integer', false);
+			table.addUniqueKey(
+				[ propDesc.parentIdColumn, propDesc.indexColumn ]);
+		}
+
+		return table;
+	}
+
+	/**
+	 * Add foreign key for a reference column.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~TableDefinition} table The table.
+	 * @param {string} column The reference column.
+	 * @param {string} refTarget Reference target record type name.
+	 */
+	_addRefForeignKey(table, column, refTarget) {
+
+		const refTargetDesc = this._recordTypes.getRecordTypeDesc(refTarget);
+
+		table.addForeignKey(
+			[ column ], refTargetDesc.table, [ getIdColumn(refTargetDesc) ]);
+	}
+}
+
+/**
+ * Build definitions of the database tables necessary to store the records of
+ * all record types in the library. Tables shared by several mappings (for
+ * example, link tables used by two entangled properties on the opposite sides
+ * of a relation) are merged into a single definition.
+ *
+ * @protected
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @returns {Array.<module:x2node-dbos~TableDefinition>} The table
+ * definitions.
+ * @throws {module:x2node-common.X2UsageError} If the record types library
+ * contains mappings that cannot be expressed as tables.
+ */
+exports.buildTables = function(recordTypes) {
+
+	const builder = new SchemaBuilder(recordTypes);
+
+	for (let recordTypeName of recordTypes.definedRecordTypeNames) {
+		if ((typeof recordTypeName) !== 'string')
+			continue; // skip super types
+		builder.addRecordType(recordTypes.getRecordTypeDesc(recordTypeName));
+	}
+
+	return builder.tables;
+};
+
+/**
+ * Build definitions of the database tables from the columns reported by the
+ * database driver's <code>getTableColumns()</code> method. The resulting
+ * definitions include only the columns, but not the keys.
+ *
+ * @protected
+ * @param {Array.<Object>} dbColumns The database columns.
+ * @returns {Array.<module:x2node-dbos~TableDefinition>} The table
+ * definitions.
+ */
+exports.buildTablesFromColumns = function(dbColumns) {
+
+	const tables = new Map();
+	for (let dbColumn of dbColumns) {
+		let table = tables.get(dbColumn.table);
+		if (!table)
+			tables.set(
+				dbColumn.table, (table = new TableDefinition(dbColumn.table)));
+		table.addColumn(dbColumn.name, dbColumn.type, dbColumn.nullable);
+	}
+
+	return Array.from(tables.values());
+};
+
+/**
+ * Build SQL statements that create the database schema for the record types
+ * library. The <code>CREATE TABLE</code> statements go first, followed by the
+ * statements that add the foreign keys, if the driver adds them separately.
+ *
+ * @protected
+ * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @returns {Array.<string>} The SQL statements.
+ */
+exports.buildSchema = function(dbDriver, recordTypes) {
+
+	const tables = exports.buildTables(recordTypes);
+
+	const statements = tables.map(table => dbDriver.buildCreateTable(table));
+	for (let table of tables) {
+		for (let foreignKey of table.foreignKeys) {
+			const sql = dbDriver.buildAddForeignKey(table.name, foreignKey);
+			if (sql)
+				statements.push(sql);
+		}
+	}
+
+	return statements;
+};
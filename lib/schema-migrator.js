@@ -0,0 +1,215 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const schemaBuilder = require('./schema-builder.js');
+const schemaVerifier = require('./schema-verifier.js');
+
+
+/**
+ * Get key used to compare sets of columns regardless of the order.
+ *
+ * @private
+ * @param {Array.<string>} columnNames Column names.
+ * @returns {string} The key.
+ */
+function columnSetKey(columnNames) {
+
+	return columnNames.map(c => c.toLowerCase()).sort().join();
+}
+
+/**
+ * Get key used to compare foreign keys.
+ *
+ * @private
+ * @param {Object} foreignKey Foreign key descriptor.
+ * @returns {string} The key.
+ */
+function foreignKeyKey(foreignKey) {
+
+	return columnSetKey(foreignKey.columns) + '>' +
+		foreignKey.refTable.toLowerCase();
+}
+
+/**
+ * Build statements that migrate the database schema from one set of table
+ * definitions to another. The statements are ordered as follows: new tables
+ * are created first, then columns in the existing tables are renamed, added
+ * and altered, then new unique and foreign keys are added, and finally the
+ * columns and tables that are no longer used are dropped.
+ *
+ * @private
+ * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+ * @param {Array.<module:x2node-dbos~TableDefinition>} fromTables Current
+ * tables.
+ * @param {Array.<module:x2node-dbos~TableDefinition>} toTables Target tables.
+ * @param {boolean} fromLibrary <code>true</code> if the current tables were
+ * built from a record types library and therefore include keys and list only
+ * the tables used by the library. Otherwise, the current tables are assumed
+ * to be read from the database, in which case tables and columns not present
+ * among the target tables are not dropped and keys of the existing tables are
+ * not compared.
+ * @returns {Array.<string>} The migration statements. Column changes not
+ * supported by the driver are included as SQL comments starting with
+ * "-- unsupported:".
+ */
+function buildMigration(dbDriver, fromTables, toTables, fromLibrary) {
+
+	const fromTablesByName = new Map();
+	for (let table of fromTables)
+		fromTablesByName.set(table.name.toLowerCase(), table);
+
+	const creates = new Array();
+	const alters = new Array();
+	const keys = new Array();
+	const drops = new Array();
+
+	const addForeignKey = (table, foreignKey) => {
+		const sql = dbDriver.buildAddForeignKey(table.name, foreignKey);
+		if (sql)
+			keys.push(sql);
+	};
+
+	// process target tables
+	const toTableNames = new Set();
+	for (let table of toTables) {
+		toTableNames.add(table.name.toLowerCase());
+
+		// check if new table
+		const fromTable = fromTablesByName.get(table.name.toLowerCase());
+		if (!fromTable) {
+			creates.push(dbDriver.buildCreateTable(table));
+			for (let foreignKey of table.foreignKeys)
+				addForeignKey(table, foreignKey);
+			continue;
+		}
+
+		// index existing columns
+		const fromColumns = new Map();
+		for (let column of fromTable.columns)
+			fromColumns.set(column.name.toLowerCase(), column);
+
+		// process target columns
+		const keptColumnNames = new Set();
+		for (let column of table.columns) {
+
+			// find existing column, possibly under the previous name
+			let fromColumn = fromColumns.get(column.name.toLowerCase());
+			if (!fromColumn && column.previousName) {
+				fromColumn = fromColumns.get(column.previousName.toLowerCase());
+				if (fromColumn)
+					alters.push(dbDriver.buildRenameColumn(
+						table.name, fromColumn.name, column.name));
+			}
+
+			// add new column
+			if (!fromColumn) {
+				alters.push(dbDriver.buildAddColumn(table.name, column));
+				continue;
+			}
+			keptColumnNames.add(fromColumn.name.toLowerCase());
+
+			// alter changed column
+			if ((fromColumn.nullable !== column.nullable) ||
+				!schemaVerifier.isCompatibleType(column.type, fromColumn.type)) {
+				const sql = dbDriver.buildAlterColumn(table.name, column);
+				alters.push(sql || (
+					`-- unsupported: change column ${table.name}.${column.name}` +
+						` to ${column.type}` +
+						(column.nullable ? ' NULL' : ' NOT NULL')));
+			}
+		}
+
+		// drop columns no longer used and add new keys
+		if (fromLibrary) {
+			for (let fromColumn of fromTable.columns)
+				if (!keptColumnNames.has(fromColumn.name.toLowerCase()))
+					drops.push(
+						dbDriver.buildDropColumn(table.name, fromColumn.name));
+			const fromUniqueKeys = new Set(fromTable.uniqueKeys.map(
+				k => columnSetKey(k)));
+			if (fromTable.primaryKey)
+				fromUniqueKeys.add(columnSetKey(fromTable.primaryKey));
+			for (let uniqueKey of table.uniqueKeys)
+				if (!fromUniqueKeys.has(columnSetKey(uniqueKey)))
+					keys.push(dbDriver.buildAddUniqueKey(table.name, uniqueKey));
+			const fromForeignKeys = new Set(fromTable.foreignKeys.map(
+				fk => foreignKeyKey(fk)));
+			for (let foreignKey of table.foreignKeys)
+				if (!fromForeignKeys.has(foreignKeyKey(foreignKey)))
+					addForeignKey(table, foreignKey);
+		}
+	}
+
+	// drop tables no longer used, dependent tables first
+	if (fromLibrary) {
+		for (let i = fromTables.length - 1; i >= 0; i--) {
+			const fromTable = fromTables[i];
+			if (!toTableNames.has(fromTable.name.toLowerCase()))
+				drops.push(dbDriver.buildDropTable(fromTable.name));
+		}
+	}
+
+	// return the statements
+	return creates.concat(alters, keys, drops);
+}
+
+/**
+ * Build statements that migrate the database schema created for one version
+ * of the record types library to the schema for another version.
+ *
+ * @protected
+ * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+ * @param {module:x2node-records~RecordTypesLibrary} fromRecordTypes Previous
+ * version of the record types library.
+ * @param {module:x2node-records~RecordTypesLibrary} toRecordTypes New version
+ * of the record types library.
+ * @returns {Array.<string>} The migration statements.
+ */
+exports.buildMigration = function(dbDriver, fromRecordTypes, toRecordTypes) {
+
+	return buildMigration(
+		dbDriver, schemaBuilder.buildTables(fromRecordTypes),
+		schemaBuilder.buildTables(toRecordTypes), true);
+};
+
+/**
+ * Build statements that migrate the existing database schema to the schema for
+ * the record types library.
+ *
+ * @protected
+ * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {*} connection The database connection.
+ * @returns {Promise.<Array.<string>>} Promise of the migration statements.
+ */
+exports.buildMigrationFromDatabase = function(
+	dbDriver, recordTypes, connection) {
+
+	const log = common.getDebugLogger('X2_DBO');
+
+	return new Promise((resolve, reject) => {
+		const toTables = schemaBuilder.buildTables(recordTypes);
+		let lastSql;
+		dbDriver.getTableColumns(connection, {
+			trace(sql) {
+				lastSql = sql;
+				log(`executing SQL: ${sql}`);
+			},
+			onSuccess(dbColumns) {
+				try {
+					resolve(buildMigration(
+						dbDriver, schemaBuilder.buildTablesFromColumns(dbColumns),
+						toTables, false));
+				} catch (err) {
+					reject(err);
+				}
+			},
+			onError(err) {
+				common.error(`error executing SQL [${lastSql}]`, err);
+				reject(err);
+			}
+		});
+	});
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const schemaBuilder = require('./schema-builder.js');
+
+
+/**
+ * Schema mismatch descriptor.
+ *
+ * @typedef {Object} module:x2node-dbos~SchemaMismatch
+ * @property {string} problem Mismatch type: "missingTable", "missingColumn",
+ * "nullability" or "type".
+ * @property {string} table Name of the table.
+ * @property {string} [column] Name of the column, if the mismatch is about a
+ * column.
+ * @property {string} message Human-readable mismatch description.
+ */
+
+/**
+ * Value types of the database columns acceptable for the expected column value
+ * types.
+ *
+ * @private
+ * @constant {Object.<string,Array.<string>>}
+ */
+const COMPATIBLE_TYPES = {
+	'string': [ 'string' ],
+	'text': [ 'text', 'string' ],
+	'integer': [ 'integer' ],
+	'number': [ 'number', 'integer' ],
+	'boolean': [ 'boolean' ],
+	'datetime': [ 'datetime' ]
+};
+
+/**
+ * Tell if database column value type is compatible with the expected column
+ * value type.
+ *
+ * @protected
+ * @param {string} expectedType Expected column value type.
+ * @param {?string} actualType Database column value type, or <code>null</code>
+ * if unknown, in which case the types are considered compatible.
+ * @returns {boolean} <code>true</code> if compatible.
+ */
+function isCompatibleType(expectedType, actualType) {
+
+	return (
+		!actualType ||
+			(COMPATIBLE_TYPES[expectedType].indexOf(actualType) >= 0));
+}
+
+/**
+ * Compare table definitions with the actual database columns.
+ *
+ * @private
+ * @param {Array.<module:x2node-dbos~TableDefinition>} tables Expected tables.
+ * @param {Array.<Object>} dbColumns Database columns reported by the driver's
+ * <code>getTableColumns()</code> method.
+ * @returns {Array.<module:x2node-dbos~SchemaMismatch>} The mismatches.
+ */
+function compare(tables, dbColumns) {
+
+	// index database columns (names are compared case-insensitively)
+	const dbTables = new Map();
+	for (let dbColumn of dbColumns) {
+		const tableKey = dbColumn.table.toLowerCase();
+		let dbTable = dbTables.get(tableKey);
+		if (!dbTable)
+			dbTables.set(tableKey, (dbTable = new Map()));
+		dbTable.set(dbColumn.name.toLowerCase(), dbColumn);
+	}
+
+	// compare the tables
+	const mismatches = new Array();
+	for (let table of tables) {
+		const dbTable = dbTables.get(table.name.toLowerCase());
+		if (!dbTable) {
+			mismatches.push({
+				problem: 'missingTable',
+				table: table.name,
+				message: `Table ${table.name} does not exist.`
+			});
+			continue;
+		}
+		for (let column of table.columns) {
+			const dbColumn = dbTable.get(column.name.toLowerCase());
+			const columnRef = `Column ${table.name}.${column.name}`;
+			if (!dbColumn) {
+				mismatches.push({
+					problem: 'missingColumn',
+					table: table.name,
+					column: column.name,
+					message: `${columnRef} does not exist.`
+				});
+				continue;
+			}
+			if (dbColumn.nullable !== column.nullable)
+				mismatches.push({
+					problem: 'nullability',
+					table: table.name,
+					column: column.name,
+					message: columnRef + (
+						column.nullable ?
+							' is NOT NULL, but is mapped to an optional' +
+								' property.' :
+							' is nullable, but is mapped to a required' +
+								' property.')
+				});
+			if (!isCompatibleType(column.type, dbColumn.type))
+				mismatches.push({
+					problem: 'type',
+					table: table.name,
+					column: column.name,
+					message: `${columnRef} has type ${dbColumn.dataType},` +
+						` which is incompatible with ${column.type} values.`
+				});
+		}
+	}
+
+	// return the result
+	return mismatches;
+}
+
+exports.isCompatibleType = isCompatibleType;
+
+/**
+ * Verify that the database schema matches the record types library mappings.
+ *
+ * @protected
+ * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {*} connection The database connection.
+ * @returns {Promise.<Array.<module:x2node-dbos~SchemaMismatch>>} Promise of
+ * the found mismatches. The array is empty if the schema matches the mappings.
+ */
+exports.verifySchema = function(dbDriver, recordTypes, connection) {
+
+	const log = common.getDebugLogger('X2_DBO');
+
+	return new Promise((resolve, reject) => {
+		const tables = schemaBuilder.buildTables(recordTypes);
+		let lastSql;
+		dbDriver.getTableColumns(connection, {
+			trace(sql) {
+				lastSql = sql;
+				log(`executing SQL: ${sql}`);
+			},
+			onSuccess(dbColumns) {
+				try {
+					resolve(compare(tables, dbColumns));
+				} catch (err) {
+					reject(err);
+				}
+			},
+			onError(err) {
+				common.error(`error executing SQL [${lastSql}]`, err);
+				reject(err);
+			}
+		});
+	});
+};
@@ -41,6 +41,12 @@ class SelectQuery {
 		this._properTables = new Array();
 		this._referredTables = new Array();
 
+		// outer joined tables with the table chains leading to them
+		this._outerJoinedTables = new Map();
+
+		// FROM clause with only the inner joined tables
+		this._innerFrom = null;
+
 		// process the query tree
 		queryTree.walk(ctx, (propNode, tableDesc, tableChain) => {
 
@@ -60,12 +66,19 @@ class SelectQuery {
 			const isTopNode = (tableChain.length === 0);
 			if (isTopNode) {
 				this._from = tableDesc.tableName + ' AS ' + tableDesc.tableAlias;
+				this._innerFrom = this._from;
 			} else {
 				this._hasJoins = true;
-				this._from +=
-					(tableDesc.outerJoin ? ' LEFT OUTER' : ' INNER') + ' JOIN ' +
+				const join = ' JOIN ' +
 					tableDesc.tableName + ' AS ' + tableDesc.tableAlias +
 					' ON ' + tableDesc.joinCondition;
+				this._from += (tableDesc.outerJoin ? ' LEFT OUTER' : ' INNER') +
+					join;
+				if (tableDesc.outerJoin)
+					this._outerJoinedTables.set(
+						tableDesc.tableAlias, tableChain.concat(tableDesc));
+				else
+					this._innerFrom += ' INNER' + join;
 			}
 
 			// add node's table to the appropriate tables group for locking
@@ -73,10 +86,12 @@ class SelectQuery {
 				tableName: tableDesc.tableName,
 				tableAlias: tableDesc.tableAlias,
 			};
-			if (tableDesc.referred)
-				this._referredTables.push(tableInfo);
-			else
-				this._properTables.push(tableInfo);
+			if (!tableDesc.anchor) { // the anchor table is not locked
+				if (tableDesc.referred)
+					this._referredTables.push(tableInfo);
+				else
+					this._properTables.push(tableInfo);
+			}
 
 			// add groupping
 			let topAggregate = false;
@@ -113,24 +128,94 @@ class SelectQuery {
 	 * for exclusive locking.
 	 * @param {Array.<Object>} sharedLockTables Array, to which to add tables for
 	 * shared locking.
+	 * @param {boolean} [innerJoinedOnly] <code>true</code> to leave out tables
+	 * that are outer joined.
 	 */
-	getTablesForLock(lockType, exclusiveLockTables, sharedLockTables) {
+	getTablesForLock(
+		lockType, exclusiveLockTables, sharedLockTables, innerJoinedOnly) {
+
+		const include = t => (
+			!innerJoinedOnly || !this._outerJoinedTables.has(t.tableAlias));
 
 		let merged;
 		switch (lockType) {
 		case 'exclusive':
-			this._properTables.forEach(t => { exclusiveLockTables.push(t); });
-			this._referredTables.forEach(t => { sharedLockTables.push(t); });
+			this._properTables.filter(include).forEach(t => {
+				exclusiveLockTables.push(t);
+			});
+			this._referredTables.filter(include).forEach(t => {
+				sharedLockTables.push(t);
+			});
 			break;
 		case 'shared':
 			merged = new Map();
-			this._properTables.forEach(t => { merged.set(t.tableAlias, t); });
-			this._referredTables.forEach(t => { merged.set(t.tableAlias, t); });
+			this._properTables.filter(include).forEach(t => {
+				merged.set(t.tableAlias, t);
+			});
+			this._referredTables.filter(include).forEach(t => {
+				merged.set(t.tableAlias, t);
+			});
 			for (let t of merged.values())
 				sharedLockTables.push(t);
 		}
 	}
 
+	/**
+	 * Build statements that lock the rows read by the query without executing
+	 * the query itself. Used when the database does not allow placing the locks
+	 * in the query (for example, if the query has outer joins or aggregates).
+	 * The inner joined tables are locked by a single statement and each outer
+	 * joined table is locked by a separate statement, in which the table is
+	 * inner joined. The query may not have a filter.
+	 *
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {string} lockType Lock type: "exclusive" or "shared".
+	 * @param {string} [lockWait] Optional lock wait mode: "skip" or "nowait".
+	 * @returns {Array.<string>} The lock statements.
+	 */
+	buildLockStatements(dbDriver, lockType, lockWait) {
+
+		if (this._where)
+			throw new Error(
+				'Internal X2 error: building lock statements for a query with' +
+					' a filter.');
+
+		const statements = new Array();
+
+		// lock the inner joined tables
+		const exclusiveLockTables = new Array();
+		const sharedLockTables = new Array();
+		this.getTablesForLock(
+			lockType, exclusiveLockTables, sharedLockTables, true);
+		statements.push(dbDriver.makeSelectWithLocks(
+			'SELECT 1 FROM ' + this._innerFrom,
+			exclusiveLockTables, sharedLockTables, lockWait));
+
+		// lock each outer joined table
+		const referredTableAliases = new Set(
+			this._referredTables.map(t => t.tableAlias));
+		for (let tableChain of this._outerJoinedTables.values()) {
+			const lockTable = tableChain[tableChain.length - 1];
+			const lockTables = [{
+				tableName: lockTable.tableName,
+				tableAlias: lockTable.tableAlias
+			}];
+			const exclusive = ((lockType === 'exclusive') &&
+				!referredTableAliases.has(lockTable.tableAlias));
+			statements.push(dbDriver.makeSelectWithLocks(
+				'SELECT 1 FROM ' + tableChain.map((t, i) => (
+					i === 0 ?
+						t.tableName + ' AS ' + t.tableAlias :
+						' INNER JOIN ' + t.tableName + ' AS ' + t.tableAlias +
+							' ON ' + t.joinCondition
+				)).join(''),
+				(exclusive ? lockTables : null),
+				(exclusive ? null : lockTables), lockWait));
+		}
+
+		return statements;
+	}
+
 	/**
 	 * Get SQL value expression for the top record id returned by the query.
 	 *
@@ -156,6 +241,13 @@ class SelectQuery {
 	 */
 	hasJoins() { return this._hasJoins; }
 
+	/**
+	 * Tell if the query has any outer joins.
+	 *
+	 * @returns {boolean} <code>true</code> if has outer joins.
+	 */
+	hasOuterJoins() { return (this._outerJoinedTables.size > 0); }
+
 	/**
 	 * Get the query SQL.
 	 *
@@ -5,9 +5,85 @@ const common = require('x2node-common');
 
 let gNextTxId = 1;
 
+/**
+ * Transaction options.
+ *
+ * @typedef {Object} module:x2node-dbos~TransactionOptions
+ * @property {string} [isolation] Transaction isolation level: "serializable",
+ * "repeatable read" or "read committed". If not specified, the database
+ * default is used.
+ * @property {boolean} [readOnly] <code>true</code> to start a read-only
+ * transaction.
+ * @property {boolean} [deferrable] <code>true</code> to start a deferrable
+ * transaction. Only meaningful for serializable read-only transactions on
+ * databases that support it (<em>PostgreSQL</em>), where the transaction
+ * start may block until it can run without the risk of a serialization
+ * failure. Ignored by other databases.
+ * @property {(string|number)} [tenantId] Id of the tenant, on behalf of which
+ * the DBOs are executed in the transaction. Overrides the tenant id provided by
+ * the actor.
+ * @property {?module:x2node-common.Actor} [actor] Actor, on behalf of which
+ * the transaction is executed. Used by the
+ * [routing data source]{@link module:x2node-dbos~RoutingDataSource} for the
+ * read-your-writes stickiness.
+ */
+
+/**
+ * Supported transaction isolation levels.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const ISOLATION_LEVELS = new Set([
+	'serializable', 'repeatable read', 'read committed' ]);
+
+/**
+ * Validate transaction options.
+ *
+ * @private
+ * @param {module:x2node-dbos~TransactionOptions} options The options.
+ * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+ */
+function validateOptions(options) {
+
+	if (((typeof options) !== 'object') || (options === null))
+		throw new common.X2UsageError('Transaction options must be an object.');
+
+	if ((options.isolation !== undefined) &&
+		!ISOLATION_LEVELS.has(options.isolation))
+		throw new common.X2UsageError(
+			`Invalid transaction isolation level "${options.isolation}".`);
+
+	for (let option of [ 'readOnly', 'deferrable' ])
+		if ((options[option] !== undefined) &&
+			((typeof options[option]) !== 'boolean'))
+			throw new common.X2UsageError(
+				`Transaction option ${option} must be a Boolean.`);
+
+	if ((options.tenantId !== undefined) &&
+		((typeof options.tenantId) !== 'string') &&
+		((typeof options.tenantId) !== 'number'))
+		throw new common.X2UsageError(
+			'Transaction option tenantId must be a string or a number.');
+
+	if ((options.actor !== undefined) && ((typeof options.actor) !== 'object'))
+		throw new common.X2UsageError(
+			'Transaction option actor must be an object.');
+}
+
 /**
  * Transaction.
  *
+ * <p>A transaction can be nested in another, outer transaction. A nested
+ * transaction shares the database connection with the outer transaction and is
+ * implemented using a savepoint. Rolling back a nested transaction rolls back
+ * only the changes made since the nested transaction start, after which the
+ * outer transaction can continue. Committing a nested transaction merely makes
+ * its changes part of the outer transaction. Therefore, the nested transaction
+ * "commit" event is not fired until the top transaction is committed. If the
+ * outer transaction is rolled back, the "rollback" event is fired for all its
+ * nested transactions as well.
+ *
  * <p>Note, that errors thrown by the transaction event listeners are logged, but
  * otherwise are ignored. Also note that the listeners are invoked asynchronously
  * in a <code>process.nextTick()</code>. All that makes the event fired by the
@@ -29,7 +105,8 @@ class Transaction {
 	 * @type {string}
 	 */
 	/**
-	 * Transaction commit event. Fired upon successful transaction commit.
+	 * Transaction commit event. Fired upon successful transaction commit. For a
+	 * nested transaction, fired when the top transaction is committed.
 	 *
 	 * @event module:x2node-dbos~Transaction#commit
 	 * @type {string}
@@ -37,7 +114,9 @@ class Transaction {
 	/**
 	 * Transaction rollback event. Fired upon transaction rollback, whether the
 	 * rollback was successful or not. If the rollback was unsuccessful, the
-	 * event listener receives the rollback error.
+	 * event listener receives the rollback error. For a nested transaction,
+	 * also fired if the nested transaction was committed, but an outer
+	 * transaction was then rolled back.
 	 *
 	 * @event module:x2node-dbos~Transaction#rollback
 	 * @type {string}
@@ -51,19 +130,48 @@ class Transaction {
 	 * @protected
 	 * @param {module:x2node-dbos.DBDriver} dbDriver DB driver.
 	 * @param {*} connection DB driver specific connection object.
+	 * @param {module:x2node-dbos~Transaction} [outerTx] Outer transaction, if
+	 * the new transaction is nested. The connection must be the same as the
+	 * outer transaction's connection.
+	 * @param {module:x2node-dbos~TransactionOptions} [options] Transaction
+	 * options. Not allowed for nested transactions.
+	 * @throws {module:x2node-common.X2UsageError} If the arguments are invalid.
 	 */
-	constructor(dbDriver, connection) {
+	constructor(dbDriver, connection, outerTx, options) {
 
 		if (!connection)
 			throw new common.X2UsageError(
 				'Database connection was not provided for the new transaction.');
 
-		this._id = String(gNextTxId++);
+		if (outerTx && (outerTx.connection !== connection))
+			throw new common.X2UsageError(
+				'Nested transaction must use the outer transaction connection.');
+
+		if (options) {
+			if (outerTx)
+				throw new common.X2UsageError(
+					'Nested transaction may not have options.');
+			validateOptions(options);
+		}
+
+		this._id = (
+			outerTx ?
+				`${outerTx._id}.${outerTx._nextNestedTxNum++}` :
+				String(gNextTxId++)
+		);
 		this._startedOn = null;
 
 		this._dbDriver = dbDriver;
 		this._connection = connection;
 
+		this._options = (options ? Object.assign({}, options) : {});
+
+		this._outerTx = (outerTx || null);
+		this._savepointName = 'x2_tx_' + this._id.replace(/\./g, '_');
+		this._nextNestedTxNum = 1;
+		this._activeNestedTx = null;
+		this._dependentNestedTxs = new Array();
+
 		this._log = common.getDebugLogger('X2_DBO');
 
 		this._listeners = {};
@@ -88,6 +196,33 @@ class Transaction {
 	 */
 	get startedOn() { return this._startedOn; }
 
+	/**
+	 * Transaction options. For a nested transaction, the options of the top
+	 * transaction.
+	 *
+	 * @member {module:x2node-dbos~TransactionOptions}
+	 * @readonly
+	 */
+	get options() {
+
+		return (this._outerTx ? this._outerTx.options : this._options);
+	}
+
+	/**
+	 * The outer transaction, if this transaction is nested.
+	 *
+	 * @member {?module:x2node-dbos~Transaction}
+	 * @readonly
+	 */
+	get outerTransaction() { return this._outerTx; }
+
+	/**
+	 * Tell if the transaction is nested in another transaction.
+	 *
+	 * @returns {boolean} <code>true</code> if nested transaction.
+	 */
+	isNested() { return (this._outerTx !== null); }
+
 	/**
 	 * Add listener for the specified transaction event.
 	 *
@@ -137,6 +272,42 @@ class Transaction {
 			});
 	}
 
+	/**
+	 * Fire the transaction final outcome event for this transaction and for all
+	 * previously committed nested transactions, whose outcome depends on this
+	 * one.
+	 *
+	 * @private
+	 * @param {string} eventName The event name, "commit" or "rollback".
+	 * @param {*} [arg] Optional argument to pass to the listeners.
+	 */
+	_emitOutcome(eventName, arg) {
+
+		this.emit(eventName, arg);
+
+		for (let nestedTx of this._dependentNestedTxs)
+			nestedTx._emitOutcome(eventName, arg);
+		this._dependentNestedTxs.length = 0;
+	}
+
+	/**
+	 * Mark the transaction and any active transactions nested in it finished
+	 * when the outer transaction is rolled back.
+	 *
+	 * @private
+	 */
+	_abandon() {
+
+		if (this._activeNestedTx) {
+			this._activeNestedTx._abandon();
+			this._dependentNestedTxs.push(this._activeNestedTx);
+			this._activeNestedTx = null;
+		}
+
+		this._finished = true;
+		this._active = false;
+	}
+
 	/**
 	 * Start the transaction.
 	 *
@@ -146,7 +317,9 @@ class Transaction {
 	 * <code>passThrough</code> value if the transaction started successfully and
 	 * is rejected with an error object in the case of failure.
 	 * @throws {module:x2node-common.X2UsageError} If the transaction is already
-	 * in progress or if it has already finished.
+	 * in progress or if it has already finished. Also if the transaction is
+	 * nested and the outer transaction is not active or already has an active
+	 * nested transaction.
 	 */
 	start(passThrough) {
 
@@ -162,12 +335,23 @@ class Transaction {
 			throw new common.X2UsageError(
 				'Passthrough may not be a Promise.');
 
+		const outerTx = this._outerTx;
+		if (outerTx) {
+			if (!outerTx.isActive())
+				throw new common.X2UsageError(
+					'The outer transaction is not active.');
+			if (outerTx._activeNestedTx)
+				throw new common.X2UsageError(
+					'The outer transaction already has an active nested' +
+						' transaction.');
+			outerTx._activeNestedTx = this;
+		}
+
 		this._active = true;
 
 		const tx = this;
 		return new Promise((resolve, reject) => {
-			this._log(`(tx #${this._id}) starting transaction`);
-			this._dbDriver.startTransaction(this._connection, {
+			const handler = {
 				onSuccess() {
 					tx._startedOn = new Date();
 					tx.emit('begin');
@@ -177,9 +361,20 @@ class Transaction {
 					common.error('error starting transaction', err);
 					tx._finished = true;
 					tx._active = false;
+					if (outerTx && (outerTx._activeNestedTx === tx))
+						outerTx._activeNestedTx = null;
 					reject(err);
 				}
-			});
+			};
+			if (outerTx) {
+				this._log(`(tx #${this._id}) starting nested transaction`);
+				this._dbDriver.createSavepoint(
+					this._connection, this._savepointName, handler);
+			} else {
+				this._log(`(tx #${this._id}) starting transaction`);
+				this._dbDriver.startTransaction(
+					this._connection, handler, this._options);
+			}
 		});
 	}
 
@@ -239,15 +434,17 @@ class Transaction {
 			throw new common.X2UsageError(
 				'Passthrough may not be a Promise.');
 
-		this._finished = true;
-		this._active = false;
+		this._abandon();
+
+		const outerTx = this._outerTx;
+		if (outerTx)
+			outerTx._activeNestedTx = null;
 
 		const tx = this;
 		return new Promise((resolve, reject) => {
-			this._log(`(tx #${this._id}) rolling back transaction`);
-			this._dbDriver.rollbackTransaction(this._connection, {
+			const handler = {
 				onSuccess() {
-					tx.emit('rollback');
+					tx._emitOutcome('rollback');
 					if (rejectOnly)
 						reject(passThrough);
 					else
@@ -255,10 +452,18 @@ class Transaction {
 				},
 				onError(err) {
 					common.error('error rolling transaction back', err);
-					tx.emit('rollback', err);
+					tx._emitOutcome('rollback', err);
 					reject(passThrough);
 				}
-			});
+			};
+			if (outerTx) {
+				this._log(`(tx #${this._id}) rolling back nested transaction`);
+				this._dbDriver.rollbackToSavepoint(
+					this._connection, this._savepointName, handler);
+			} else {
+				this._log(`(tx #${this._id}) rolling back transaction`);
+				this._dbDriver.rollbackTransaction(this._connection, handler);
+			}
 		});
 	}
 
@@ -271,7 +476,8 @@ class Transaction {
 	 * <code>passThrough</code> value if the transaction committed successfully
 	 * and is rejected with an error object in the case of failure.
 	 * @throws {module:x2node-common.X2UsageError} If the transaction has not
-	 * been started or if it has already finished.
+	 * been started or if it has already finished, or if it has an active nested
+	 * transaction.
 	 */
 	commit(passThrough) {
 
@@ -283,6 +489,10 @@ class Transaction {
 			throw new common.X2UsageError(
 				'The transaction has not been started.');
 
+		if (this._activeNestedTx)
+			throw new common.X2UsageError(
+				'The transaction has an active nested transaction.');
+
 		if (passThrough instanceof Promise)
 			throw new common.X2UsageError(
 				'Passthrough may not be a Promise.');
@@ -290,19 +500,39 @@ class Transaction {
 		this._finished = true;
 		this._active = false;
 
+		const outerTx = this._outerTx;
+		if (outerTx)
+			outerTx._activeNestedTx = null;
+
 		const tx = this;
 		return new Promise((resolve, reject) => {
-			this._log(`(tx #${this._id}) committing transaction`);
-			this._dbDriver.commitTransaction(this._connection, {
-				onSuccess() {
-					tx.emit('commit');
-					resolve(passThrough);
-				},
-				onError(err) {
-					common.error('error committing transaction', err);
-					reject(err);
-				}
-			});
+			if (outerTx) {
+				this._log(`(tx #${this._id}) committing nested transaction`);
+				this._dbDriver.releaseSavepoint(
+					this._connection, this._savepointName, {
+						onSuccess() {
+							outerTx._dependentNestedTxs.push(tx);
+							resolve(passThrough);
+						},
+						onError(err) {
+							common.error(
+								'error committing nested transaction', err);
+							reject(err);
+						}
+					});
+			} else {
+				this._log(`(tx #${this._id}) committing transaction`);
+				this._dbDriver.commitTransaction(this._connection, {
+					onSuccess() {
+						tx._emitOutcome('commit');
+						resolve(passThrough);
+					},
+					onError(err) {
+						common.error('error committing transaction', err);
+						reject(err);
+					}
+				});
+			}
 		});
 	}
 
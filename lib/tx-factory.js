@@ -3,6 +3,89 @@
 const common = require('x2node-common');
 
 const Transaction = require('./transaction.js');
+const X2LockNotAvailableError = require('./errors.js').X2LockNotAvailableError;
+
+
+/**
+ * Transaction retry policy.
+ *
+ * @typedef {Object} module:x2node-dbos~TxRetryPolicy
+ * @property {number} [maxAttempts=3] Maximum number of attempts to execute the
+ * transaction, including the first one.
+ * @property {(number|function)} [backoff=100] Delay in milliseconds before the
+ * second attempt. The delay doubles with each subsequent attempt and is
+ * randomized by up to a half to prevent the retried transactions from
+ * colliding again. Alternatively, a function that takes the number of the
+ * failed attempt (starting from 1) and returns the delay in milliseconds.
+ * @property {Array.<string>} [retryOn] Classes of errors, on which the
+ * transaction is retried. The classes are "deadlock", "serialization" and
+ * "lockNotAvailable" (see driver's
+ * [classifyError()]{@link module:x2node-dbos.DBDriver#classifyError}
+ * method). By default, "deadlock" and "serialization".
+ */
+
+/**
+ * Default retry policy values.
+ *
+ * @private
+ * @constant {Object}
+ */
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 3,
+	backoff: 100,
+	retryOn: [ 'deadlock', 'serialization' ]
+};
+
+/**
+ * Error classes, on which a transaction can be retried.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const RETRYABLE_ERROR_CLASSES = new Set([
+	'deadlock', 'serialization', 'lockNotAvailable' ]);
+
+/**
+ * Validate and normalize transaction retry policy.
+ *
+ * @private
+ * @param {module:x2node-dbos~TxRetryPolicy} retry The retry policy.
+ * @returns {module:x2node-dbos~TxRetryPolicy} Normalized retry policy with all
+ * properties set.
+ * @throws {module:x2node-common.X2UsageError} If the policy is invalid.
+ */
+function normalizeRetryPolicy(retry) {
+
+	if (((typeof retry) !== 'object') || (retry === null))
+		throw new common.X2UsageError(
+			'Transaction retry policy must be an object.');
+
+	const policy = Object.assign({}, DEFAULT_RETRY_POLICY);
+	for (let option of Object.keys(retry))
+		if (retry[option] !== undefined)
+			policy[option] = retry[option];
+
+	if (!Number.isInteger(policy.maxAttempts) || (policy.maxAttempts < 1))
+		throw new common.X2UsageError(
+			'Transaction retry policy maxAttempts must be a positive integer.');
+
+	if ((typeof policy.backoff) === 'number') {
+		if (!(policy.backoff >= 0))
+			throw new common.X2UsageError(
+				'Transaction retry policy backoff may not be negative.');
+	} else if ((typeof policy.backoff) !== 'function') {
+		throw new common.X2UsageError(
+			'Transaction retry policy backoff must be a number or a function.');
+	}
+
+	if (!Array.isArray(policy.retryOn) ||
+		policy.retryOn.some(c => !RETRYABLE_ERROR_CLASSES.has(c)))
+		throw new common.X2UsageError(
+			'Transaction retry policy retryOn must be an array of "deadlock",' +
+				' "serialization" and "lockNotAvailable".');
+
+	return policy;
+}
 
 
 /**
@@ -22,11 +105,22 @@ class TxFactory {
 	 * @protected
 	 * @param {module:x2node-dbos.DBDriver} dbDriver DB driver.
 	 * @param {module:x2node-dbos.DataSource} ds Connections data source.
+	 * @param {Object} [options] Transaction factory options.
+	 * @param {module:x2node-dbos~TxRetryPolicy} [options.retry] Policy for
+	 * retrying transactions that fail because of a deadlock or a similar
+	 * transient error. If not specified, failed transactions are not retried.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 */
-	constructor(dbDriver, ds) {
+	constructor(dbDriver, ds, options) {
 
 		this._dbDriver = dbDriver;
 		this._ds = ds;
+
+		this._retryPolicy = (
+			options && options.retry ?
+				normalizeRetryPolicy(options.retry) : null);
+
+		this._log = common.getDebugLogger('X2_DBO');
 	}
 
 	/**
@@ -38,18 +132,80 @@ class TxFactory {
 	 * is called. The callback may return a <code>Promise</code>. If the promise
 	 * is rejected or the callback throws an error, the transaction is
 	 * automatically rolled back. Otherwise, the transaction is committed.
+	 * @param {(module:x2node-dbos~Transaction|module:x2node-dbos~TransactionOptions)} [outerTxOrOptions]
+	 * Either active outer transaction or options for the new transaction. If
+	 * outer transaction is provided, the new transaction is nested in it and
+	 * uses its database connection. If the nested transaction is rolled back,
+	 * only the changes made in it are undone and the outer transaction can
+	 * continue. With a routing data source, the <code>readOnly</code> and
+	 * <code>actor</code> options are passed to it as the routing hints. Unless
+	 * the <code>actor</code> option is specified, the writes made in the
+	 * transaction do not route the actor's subsequent reads to the primary.
 	 * @returns {Promise} The promise of the callback result. If the promise is
 	 * successfully fulfilled, the transaction is committed. If an error happens
 	 * and the transaction is rolled back, the promise is rejected with the
-	 * error.
+	 * error. If the factory has a retry policy and the error is retryable, the
+	 * transaction is retried on a new connection and the callback is called
+	 * again with the new transaction. Nested transactions are not retried.
 	 */
-	executeTransaction(cb) {
+	executeTransaction(cb, outerTxOrOptions) {
+
+		if (outerTxOrOptions instanceof Transaction)
+			return this._executeNestedTransaction(cb, outerTxOrOptions);
+
+		const policy = this._retryPolicy;
+		if (!policy)
+			return this._executeTopTransaction(cb, outerTxOrOptions);
+
+		const attempt = attemptNum => this._executeTopTransaction(
+			cb, outerTxOrOptions
+		).catch(err => {
+			const dbErr = (
+				err instanceof X2LockNotAvailableError ? err.cause : err);
+			const errClass = (dbErr ? this._dbDriver.classifyError(dbErr) : null);
+			if ((attemptNum >= policy.maxAttempts) ||
+				(policy.retryOn.indexOf(errClass) < 0))
+				return Promise.reject(err);
+			const delay = (
+				(typeof policy.backoff) === 'function' ?
+					policy.backoff(attemptNum) :
+					Math.round(
+						policy.backoff * Math.pow(2, attemptNum - 1) *
+							(1 - Math.random() / 2))
+			);
+			this._log(
+				`transaction failed with ${errClass} error, retrying in` +
+					` ${delay}ms (attempt ${attemptNum + 1} of` +
+					` ${policy.maxAttempts})`);
+			return new Promise(resolve => {
+				setTimeout(resolve, delay);
+			}).then(() => attempt(attemptNum + 1));
+		});
+
+		return attempt(1);
+	}
+
+	/**
+	 * Create and execute a top (not nested) transaction once.
+	 *
+	 * @private
+	 * @param {function} cb Callback function with the transaction logic.
+	 * @param {module:x2node-dbos~TransactionOptions} [options] Transaction
+	 * options.
+	 * @returns {Promise} The promise of the callback result.
+	 */
+	_executeTopTransaction(cb, options) {
 
 		let dbCon, tx;
 		return this._ds.getConnection(
+			options && {
+				readOnly: Boolean(options.readOnly),
+				actor: options.actor
+			}
 		).then(
 			con => (
-				tx = new Transaction(this._dbDriver, dbCon = con)
+				tx = new Transaction(
+					this._dbDriver, dbCon = con, undefined, options)
 			).start()
 		).then(() => cb(
 			tx
@@ -81,6 +237,33 @@ class TxFactory {
 			return Promise.reject(err);
 		});
 	}
+
+	/**
+	 * Create and execute a transaction nested in the specified outer
+	 * transaction.
+	 *
+	 * @private
+	 * @param {function} cb Callback function with the transaction logic.
+	 * @param {module:x2node-dbos~Transaction} outerTx The outer transaction.
+	 * @returns {Promise} The promise of the callback result.
+	 */
+	_executeNestedTransaction(cb, outerTx) {
+
+		let tx;
+		return Promise.resolve().then(
+			() => (
+				tx = new Transaction(this._dbDriver, outerTx.connection, outerTx)
+			).start()
+		).then(() => cb(
+			tx
+		)).then(result => tx.commit(
+			result
+		)).catch(err => {
+			if (tx && tx.isActive())
+				return tx.rollbackAndReject(err);
+			return Promise.reject(err);
+		});
+	}
 }
 
 // export the class
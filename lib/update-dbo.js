@@ -6,11 +6,24 @@ const pointers = require('x2node-pointers');
 const AbstractDBO = require('./abstract-dbo.js');
 const DBOExecutionContext = require('./dbo-execution-context.js');
 const FetchDBO = require('./fetch-dbo.js');
+const placeholders = require('./placeholders.js');
+const errors = require('./errors.js');
 const ValueExpressionContext = require('./value-expression-context.js');
 const propsTreeBuilder = require('./props-tree-builder.js');
 const queryTreeBuilder = require('./query-tree-builder.js');
 
 
+/**
+ * Name of the reserved filter parameter that receives ids of the records
+ * provided by a fetcher function when they are checked against the access
+ * filter.
+ *
+ * @private
+ * @constant {string}
+ */
+const ACCESS_CHECK_IDS_PARAM = 'ctx.accessCheckIds';
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // COMMANDS
 /////////////////////////////////////////////////////////////////////////////////
@@ -74,6 +87,46 @@ class CallFetcherCommand {
 	}
 }
 
+/**
+ * Access filter check command. When executed, selects ids of the records set in
+ * the context by a fetcher function that pass the record type's access filter
+ * and leaves only those records in the context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class FilterAccessibleRecordsCommand {
+
+	constructor(fetchDBO, idPropName) {
+
+		this._fetchDBO = fetchDBO;
+		this._idPropName = idPropName;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		const idPropName = this._idPropName;
+		return promiseChain.then(() => {
+			const records = ctx.records;
+			if (records.length === 0)
+				return;
+			return this._fetchDBO.execute(
+				ctx.transaction, ctx.actor, Object.assign({}, ctx.filterParams, {
+					[ACCESS_CHECK_IDS_PARAM]: records.map(r => r[idPropName])
+				})
+			).then(result => {
+				const accessibleIds = new Set(
+					result.records.map(r => String(r[idPropName])));
+				ctx.setRecords(records.filter(
+					r => accessibleIds.has(String(r[idPropName]))));
+			});
+		});
+	}
+}
+
 /**
  * Update pre-fetched records command. When executed, goes over each record set
  * in the context, applies the patch, validates and flushes it to the database.
@@ -85,9 +138,14 @@ class CallFetcherCommand {
  */
 class UpdateRecordsCommand {
 
-	constructor(patch) {
+	constructor(patch, recordTypeDesc, expectedVersion) {
 
 		this._patch = patch;
+		this._idPropName = recordTypeDesc.idPropertyName;
+		this._versionPropName = recordTypeDesc.getRecordMetaInfoPropName(
+			'version');
+		this._tenantPropName = recordTypeDesc.tenantPropName;
+		this._expectedVersion = expectedVersion;
 	}
 
 	// add command execution to the chain
@@ -105,10 +163,21 @@ class UpdateRecordsCommand {
 				recordsChain = recordsChain.then(
 					() => ctx.nextRecord());
 
+				// add record tenant check, if multi-tenant
+				if (this._tenantPropName)
+					recordsChain = recordsChain.then(
+						() => this._checkTenant(ctx, ctx.currentRecord));
+
+				// add record version check, if any
+				if (this._expectedVersion !== undefined)
+					recordsChain = recordsChain.then(
+						() => this._checkVersion(ctx, ctx.currentRecord));
+
 				// add validator, if any
 				if (ctx.beforePatchRecordValidator)
 					recordsChain = recordsChain.then(
-						() => ctx.beforePatchRecordValidator(ctx.currentRecord));
+						() => ctx.beforePatchRecordValidator(
+							ctx.currentRecord, ctx));
 
 				// add the patch
 				recordsChain = recordsChain.then(
@@ -117,7 +186,8 @@ class UpdateRecordsCommand {
 				// add validator, if any
 				if (ctx.afterPatchRecordValidator)
 					recordsChain = recordsChain.then(
-						() => ctx.afterPatchRecordValidator(ctx.currentRecord));
+						() => ctx.afterPatchRecordValidator(
+							ctx.currentRecord, ctx));
 
 				// add updates flush to the database
 				recordsChain = recordsChain.then(
@@ -132,6 +202,67 @@ class UpdateRecordsCommand {
 			return recordsChain;
 		});
 	}
+
+	/**
+	 * Check that the record belongs to the tenant, on behalf of which the
+	 * operation is executed. Records selected by a filter are already limited
+	 * to the tenant, but records provided by a fetcher function are not.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~UpdateDBOExecutionContext} ctx Execution
+	 * context.
+	 * @param {Object} record The record.
+	 * @returns {Promise} Rejected promise if the record belongs to another
+	 * tenant, or nothing if it belongs to the tenant.
+	 */
+	_checkTenant(ctx, record) {
+
+		const tenantId = ctx.tenantId;
+		if (tenantId === undefined)
+			return Promise.reject(new common.X2UsageError(
+				'Operation on multi-tenant records requires a tenant.'));
+
+		const recordTenantId = record[this._tenantPropName];
+		if ((recordTenantId === undefined) || (recordTenantId === null) ||
+			(String(recordTenantId) !== String(tenantId)))
+			return Promise.reject(new common.X2UsageError(
+				`Record ${record[this._idPropName]} does not belong to the` +
+					' tenant.'));
+	}
+
+	/**
+	 * Check that the record has the expected version.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~UpdateDBOExecutionContext} ctx Execution
+	 * context.
+	 * @param {Object} record The record.
+	 * @returns {Promise} Rejected promise if the version does not match, or
+	 * nothing if it does.
+	 */
+	_checkVersion(ctx, record) {
+
+		// get the expected version
+		let expectedVersion = this._expectedVersion;
+		if (placeholders.isParam(expectedVersion)) {
+			const paramName = expectedVersion.name;
+			expectedVersion = (ctx.filterParams && ctx.filterParams[paramName]);
+			if (!Number.isInteger(expectedVersion))
+				return Promise.reject(new common.X2UsageError(
+					`Expected record version parameter ${paramName} is missing` +
+						' or is not an integer.'));
+		}
+
+		// check the version
+		const actualVersion = record[this._versionPropName];
+		if (actualVersion !== expectedVersion) {
+			const recordId = record[this._idPropName];
+			return Promise.reject(new errors.X2VersionConflictError(
+				`Record ${recordId} has version ${actualVersion}, while` +
+					` version ${expectedVersion} was expected.`,
+				recordId, expectedVersion, actualVersion));
+		}
+	}
 }
 
 /**
@@ -244,7 +375,7 @@ class UpdateColumnCommand extends AbstractUpdateCommand {
 	queueUp(promiseChain, ctx) {
 
 		// find the updated table node and build the UPDATE statement
-		const sql = ctx.updateQueryTree.forTableAlias(
+		const stmt = ctx.updateQueryTree.forTableAlias(
 			ctx.translationCtx, this._columnInfo.tableAlias,
 			(propNode, tableDesc, tableChain) => {
 
@@ -261,8 +392,11 @@ class UpdateColumnCommand extends AbstractUpdateCommand {
 		// queue up execution of the UPDATE statement
 		return promiseChain.then(
 			() => new Promise((resolve, reject) => {
+				let sql;
 				try {
-					ctx.log(`executing SQL: ${sql}`);
+					const params = new Array();
+					sql = ctx.replaceParams(stmt, params);
+					ctx.logStatement(sql, params);
 					ctx.dbDriver.executeUpdate(ctx.connection, sql, {
 						onSuccess() {
 							resolve();
@@ -271,9 +405,9 @@ class UpdateColumnCommand extends AbstractUpdateCommand {
 							common.error(`error executing SQL [${sql}]`, err);
 							reject(err);
 						}
-					});
+					}, params);
 				} catch (err) {
-					common.error(`error executing SQL [${sql}]`, err);
+					common.error(`error executing SQL [${sql || stmt}]`, err);
 					reject(err);
 				}
 			}),
@@ -303,7 +437,7 @@ class ClearSimpleCollectionCommand extends AbstractUpdateCommand {
 	queueUp(promiseChain, ctx) {
 
 		// find the table node and build the DELETE statement
-		const sql = ctx.updateQueryTree.forTableAlias(
+		const stmt = ctx.updateQueryTree.forTableAlias(
 			ctx.translationCtx, this._tableAlias,
 			(propNode, tableDesc, tableChain) => {
 
@@ -320,8 +454,11 @@ class ClearSimpleCollectionCommand extends AbstractUpdateCommand {
 		// queue up execution of the DELETE statement
 		return promiseChain.then(
 			() => new Promise((resolve, reject) => {
+				let sql;
 				try {
-					ctx.log(`executing SQL: ${sql}`);
+					const params = new Array();
+					sql = ctx.replaceParams(stmt, params);
+					ctx.logStatement(sql, params);
 					ctx.dbDriver.executeUpdate(ctx.connection, sql, {
 						onSuccess() {
 							resolve();
@@ -330,9 +467,9 @@ class ClearSimpleCollectionCommand extends AbstractUpdateCommand {
 							common.error(`error executing SQL [${sql}]`, err);
 							reject(err);
 						}
-					});
+					}, params);
 				} catch (err) {
-					common.error(`error executing SQL [${sql}]`, err);
+					common.error(`error executing SQL [${sql || stmt}]`, err);
 					reject(err);
 				}
 			}),
@@ -369,7 +506,7 @@ class PopulateSimpleArrayCommand extends AbstractUpdateCommand {
 	queueUp(promiseChain, ctx) {
 
 		// build the INSERT statements
-		const sqls = this._valueExprs.map((valueExpr, i) => (
+		const stmts = this._valueExprs.map((valueExpr, i) => (
 			'INSERT INTO ' + this._tableName + ' (' +
 				this._parentIdColumn +
 				(this._indexColumn ? ', ' + this._indexColumn : '') +
@@ -381,11 +518,14 @@ class PopulateSimpleArrayCommand extends AbstractUpdateCommand {
 		));
 
 		// queue up execution of the INSERT statements
-		for (let sql of sqls) {
+		for (let stmt of stmts) {
 			promiseChain = promiseChain.then(
 				() => new Promise((resolve, reject) => {
+					let sql;
 					try {
-						ctx.log(`executing SQL: ${sql}`);
+						const params = new Array();
+						sql = ctx.replaceParams(stmt, params);
+						ctx.logStatement(sql, params);
 						ctx.dbDriver.executeInsert(ctx.connection, sql, {
 							onSuccess() {
 								resolve();
@@ -395,9 +535,10 @@ class PopulateSimpleArrayCommand extends AbstractUpdateCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						});
+						}, undefined, params);
 					} catch (err) {
-						common.error(`error executing SQL [${sql}]`, err);
+						common.error(
+							`error executing SQL [${sql || stmt}]`, err);
 						reject(err);
 					}
 				}),
@@ -437,9 +578,9 @@ class PopulateSimpleMapCommand extends AbstractUpdateCommand {
 	queueUp(promiseChain, ctx) {
 
 		// build the INSERT statements
-		const sqls = new Array();
+		const stmts = new Array();
 		this._keyValueExprs.forEach(keyValueExprsPair => {
-			sqls.push(
+			stmts.push(
 				'INSERT INTO ' + this._tableName + ' (' +
 					this._parentIdColumn + ', ' + this._keyColumn +
 					', ' + this._valueColumn + ') VALUES (' +
@@ -449,11 +590,14 @@ class PopulateSimpleMapCommand extends AbstractUpdateCommand {
 		});
 
 		// queue up execution of the INSERT statements
-		for (let sql of sqls) {
+		for (let stmt of stmts) {
 			promiseChain = promiseChain.then(
 				() => new Promise((resolve, reject) => {
+					let sql;
 					try {
-						ctx.log(`executing SQL: ${sql}`);
+						const params = new Array();
+						sql = ctx.replaceParams(stmt, params);
+						ctx.logStatement(sql, params);
 						ctx.dbDriver.executeInsert(ctx.connection, sql, {
 							onSuccess() {
 								resolve();
@@ -463,9 +607,10 @@ class PopulateSimpleMapCommand extends AbstractUpdateCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						});
+						}, undefined, params);
 					} catch (err) {
-						common.error(`error executing SQL [${sql}]`, err);
+						common.error(
+							`error executing SQL [${sql || stmt}]`, err);
 						reject(err);
 					}
 				}),
@@ -499,13 +644,13 @@ class ClearObjectsCommand extends AbstractUpdateCommand {
 	queueUp(promiseChain, ctx) {
 
 		// find the table node and build the DELETE statements
-		const sqls = new Array();
+		const stmts = new Array();
 		ctx.updateQueryTree.walkReverse(
 			ctx.transactionCtx, (propNode, tableDesc, tableChain) => {
 				if (tableDesc.tableAlias.startsWith(this._tableAlias)) {
 
 					// build the DELETE statement
-					sqls.push(ctx.dbDriver.buildDeleteWithJoins(
+					stmts.push(ctx.dbDriver.buildDeleteWithJoins(
 						tableDesc.tableName, tableDesc.tableAlias,
 						this._getRefTables(tableDesc, tableChain),
 						this._propCtx.anchorsExpr, false));
@@ -513,11 +658,14 @@ class ClearObjectsCommand extends AbstractUpdateCommand {
 			});
 
 		// queue up execution of the DELETE statements
-		for (let sql of sqls) {
+		for (let stmt of stmts) {
 			promiseChain = promiseChain.then(
 				() => new Promise((resolve, reject) => {
+					let sql;
 					try {
-						ctx.log(`executing SQL: ${sql}`);
+						const params = new Array();
+						sql = ctx.replaceParams(stmt, params);
+						ctx.logStatement(sql, params);
 						ctx.dbDriver.executeUpdate(ctx.connection, sql, {
 							onSuccess() {
 								resolve();
@@ -527,9 +675,10 @@ class ClearObjectsCommand extends AbstractUpdateCommand {
 									`error executing SQL [${sql}]`, err);
 								reject(err);
 							}
-						});
+						}, params);
 					} catch (err) {
-						common.error(`error executing SQL [${sql}]`, err);
+						common.error(
+							`error executing SQL [${sql || stmt}]`, err);
 						reject(err);
 					}
 				}),
@@ -578,6 +727,8 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		// whole operation result
 		this._records = undefined;
 		this._updatedRecordIds = new Array();
+		this._updatedRecordPatches = (
+			this.recordChangesRequested ? new Array() : null);
 		this._testFailed = false;
 		this._failedRecordIds = undefined;
 
@@ -587,6 +738,8 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		this._commands = new Array();
 		this._recordTestFailed = null;
 		this._recordEntangledUpdates = null;
+		this._recordAppliedOps = null;
+		this._recordTenantRefs = null;
 	}
 
 	/**
@@ -637,6 +790,15 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		this._recordIndex = -1;
 	}
 
+	/**
+	 * Records to process in the context. Set after <code>setRecords()</code>
+	 * is called.
+	 *
+	 * @member {Array.<Object>}
+	 * @readonly
+	 */
+	get records() { return this._records; }
+
 	/**
 	 * Number of records to process in the context. Set after
 	 * <code>setRecords()</code> is called.
@@ -665,6 +827,9 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		this._commands.length = 0;
 		this._recordTestFailed = false;
 		this._recordEntangledUpdates = null;
+		if (this._recordTypeDesc.historyTable || this._updatedRecordPatches)
+			this._recordAppliedOps = new Array();
+		this._recordTenantRefs = new Object();
 
 		// return the record
 		return this._record;
@@ -723,7 +888,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 			this._commands.unshift(new UpdateColumnCommand(
 				rootPropCtx,
 				this._translationCtx.getPropValueColumn(metaPropName),
-				this._dbDriver.sql(this._actor.stamp)
+				'?{ctx.actor}'
 			));
 		}
 		metaPropName = this._recordTypeDesc.getRecordMetaInfoPropName(
@@ -734,7 +899,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 			this._commands.unshift(new UpdateColumnCommand(
 				rootPropCtx,
 				this._translationCtx.getPropValueColumn(metaPropName),
-				this._dbDriver.datetimeLiteral(date)
+				'?{ctx.executedOn}'
 			));
 		}
 		metaPropName = this._recordTypeDesc.getRecordMetaInfoPropName(
@@ -743,7 +908,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 			this._commands.unshift(new UpdateColumnCommand(
 				rootPropCtx,
 				this._translationCtx.getPropValueColumn(metaPropName),
-				this._dbDriver.sql(++this._record[metaPropName]) // locked
+				this.addValue(++this._record[metaPropName]) // locked
 			));
 		}
 
@@ -761,6 +926,24 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 			}
 		}
 
+		// check that referred multi-tenant records belong to the tenant
+		if (Object.keys(this._recordTenantRefs).length > 0) {
+			const tenantRefs = this._recordTenantRefs;
+			this._commands.unshift(this._dbo._createCheckTenantRefsCommand(
+				() => tenantRefs));
+		}
+
+		// add change history entry command
+		if (this._recordTypeDesc.historyTable) {
+			const recordId = this._record[this._recordIdPropName];
+			const appliedOps = this._recordAppliedOps;
+			this._commands.push(this._dbo._createWriteHistoryCommand(
+				this._recordTypeDesc, 'update', () => [ {
+					recordId: recordId,
+					data: appliedOps
+				} ]));
+		}
+
 		// initial result promise
 		let resPromise = Promise.resolve();
 
@@ -769,10 +952,13 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 			resPromise = cmd.queueUp(resPromise, this);
 
 		// update the updated record ids list
+		const appliedOps = this._recordAppliedOps;
 		resPromise = resPromise.then(
 			() => {
 				this._updatedRecordIds.push(
 					this._record[this._recordIdPropName]);
+				if (this._updatedRecordPatches)
+					this._updatedRecordPatches.push(appliedOps);
 				this.clearGeneratedParams();
 			},
 			err => Promise.reject(err)
@@ -797,12 +983,33 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		};
 	}
 
+	/**
+	 * Get changes made to the updated records for the record change events.
+	 *
+	 * @returns {Array.<Object>} Objects with <code>recordId</code> and
+	 * <code>patch</code> properties, one for each updated record.
+	 */
+	getRecordChanges() {
+
+		return this._updatedRecordIds.map((recordId, i) => ({
+			recordId: recordId,
+			patch: this._updatedRecordPatches[i]
+		}));
+	}
+
 
 	// patch handler methods:
 
 	// process array/map element insert
 	onInsert(op, ptr, newValue) {
 
+		// register the operation for the change history and events
+		this._addAppliedOp('add', ptr, newValue);
+
+		// register referred multi-tenant records
+		this._dbo._collectTenantRefsInValue(
+			this._recordTenantRefs, ptr.propDesc, newValue, true);
+
 		// get property context
 		const propCtx = this._getPropertyContext(ptr);
 
@@ -866,7 +1073,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					this._commands, propDesc.table,
 					propDesc.parentIdColumn, propCtx.parentIdPropPath,
 					propDesc, newElementInd, propDesc.nestedProperties,
-					newValue);
+					newValue, this);
 
 			} else { // simple value
 
@@ -895,7 +1102,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					this._commands, propDesc.table,
 					propDesc.parentIdColumn, propCtx.parentIdPropPath,
 					propDesc, ptr.collectionElementIndex,
-					propDesc.nestedProperties, newValue);
+					propDesc.nestedProperties, newValue, this);
 
 			} else { // simple value
 
@@ -913,7 +1120,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					propValColumnInfo.columnName,
 					[[
 						this._dbo._makeMapKeySql(
-							propDesc, ptr.collectionElementIndex),
+							propDesc, ptr.collectionElementIndex, this),
 						this._valueToSql(propDesc, newValue)
 					]]
 				));
@@ -924,6 +1131,9 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 	// process array/map element removal
 	onRemove(op, ptr, oldValue) {
 
+		// register the operation for the change history and events
+		this._addAppliedOp('remove', ptr);
+
 		// get property context
 		const propCtx = this._getPropertyContext(ptr, oldValue);
 
@@ -992,7 +1202,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					// re-populate new array
 					this._commands.push(new PopulateSimpleArrayCommand(
 						propDesc.table, propDesc.parentIdColumn,
-						this._dbDriver.sql(propCtx.parentIdValue),
+						this.addValue(propCtx.parentIdValue),
 						null, null,
 						propValColumnInfo.columnName,
 						propCtx.fullArray.map(v => this._valueToSql(propDesc, v))
@@ -1035,6 +1245,19 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 	// process update
 	onSet(op, ptr, newValue, oldValue) {
 
+		// register the operation for the change history and events
+		if ((newValue === undefined) || (newValue === null))
+			this._addAppliedOp('remove', ptr);
+		else if ((oldValue === undefined) || (oldValue === null))
+			this._addAppliedOp('add', ptr, newValue);
+		else
+			this._addAppliedOp('replace', ptr, newValue);
+
+		// register referred multi-tenant records
+		this._dbo._collectTenantRefsInValue(
+			this._recordTenantRefs, ptr.propDesc, newValue,
+			ptr.collectionElement);
+
 		// get property context
 		const propDesc = ptr.propDesc;
 		const propCtx = this._getPropertyContext(ptr, (
@@ -1097,7 +1320,8 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 						this._dbo._createInsertCommands(
 							this._commands, propDesc.table,
 							propDesc.parentIdColumn, propCtx.parentIdPropPath,
-							propDesc, i, propDesc.nestedProperties, newValue[i]);
+							propDesc, i, propDesc.nestedProperties, newValue[i],
+							this);
 				}
 
 			} else { // simple value
@@ -1144,7 +1368,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 							this._commands, propDesc.table,
 							propDesc.parentIdColumn, propCtx.parentIdPropPath,
 							propDesc, key,
-							propDesc.nestedProperties, newValue[key]);
+							propDesc.nestedProperties, newValue[key], this);
 				}
 
 			} else { // simple value
@@ -1165,11 +1389,11 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 							ptr.propPath + '.$key');
 					this._commands.push(new PopulateSimpleMapCommand(
 						propDesc.table, propDesc.parentIdColumn,
-						this._dbDriver.sql(propCtx.parentIdValue),
+						this.addValue(propCtx.parentIdValue),
 						propKeyColumnInfo.columnName,
 						propValColumnInfo.columnName,
 						newKeys.map(k => [
-							this._dbo._makeMapKeySql(propDesc, k),
+							this._dbo._makeMapKeySql(propDesc, k, this),
 							this._valueToSql(propDesc, newValue[k])
 						])
 					));
@@ -1194,7 +1418,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					this._commands, propDesc.table,
 					propDesc.parentIdColumn, propCtx.parentIdPropPath,
 					propDesc, ptr.collectionElementIndex,
-					propDesc.nestedProperties, newValue);
+					propDesc.nestedProperties, newValue, this);
 
 			} else { // simple value
 
@@ -1228,7 +1452,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					// re-populate new array
 					this._commands.push(new PopulateSimpleArrayCommand(
 						propDesc.table, propDesc.parentIdColumn,
-						this._dbDriver.sql(propCtx.parentIdValue),
+						this.addValue(propCtx.parentIdValue),
 						null, null,
 						propValColumnInfo.columnName,
 						propCtx.fullArray.map(v => this._valueToSql(propDesc, v))
@@ -1264,7 +1488,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 					this._commands, propDesc.table,
 					propDesc.parentIdColumn, propCtx.parentIdPropPath,
 					propDesc, ptr.collectionElementIndex,
-					propDesc.nestedProperties, newValue);
+					propDesc.nestedProperties, newValue, this);
 
 			} else { // simple value
 
@@ -1300,7 +1524,8 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 						this._dbo._createInsertCommands(
 							this._commands, propDesc.table,
 							propDesc.parentIdColumn, propCtx.parentIdPropPath,
-							null, null, propDesc.nestedProperties, newValue);
+							null, null, propDesc.nestedProperties, newValue,
+							this);
 					}
 
 				} else { // same table
@@ -1344,7 +1569,9 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 	}
 
 	/**
-	 * Convert property value to SQL value expression.
+	 * Convert property value to SQL value expression. Unless the value is
+	 * empty, the expression is a placeholder for the value bound to the
+	 * statement.
 	 *
 	 * @private
 	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
@@ -1354,13 +1581,16 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 	 */
 	_valueToSql(propDesc, val) {
 
+		if ((val === undefined) || (val === null))
+			return this._dbDriver.sql(null);
+
 		if (propDesc.isRef() && ((typeof val) === 'string'))
-			return this._dbDriver.sql(propDesc.nestedProperties.refToId(val));
+			return this.addValue(propDesc.nestedProperties.refToId(val));
 
 		if ((propDesc.scalarValueType === 'datetime') && ((typeof val) === 'string'))
-			return this._dbDriver.datetimeLiteral(new Date(val));
+			return this.addValue(new Date(val));
 
-		return this._dbDriver.sql(val);
+		return this.addValue(val);
 	}
 
 	/**
@@ -1433,7 +1663,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 				propCtx.anchors.push({
 					columnExpr: this._translationCtx.translatePropPath(
 						this._recordIdPropName),
-					valueExpr: this._dbDriver.sql(value[this._recordIdPropName])
+					valueExpr: this.addValue(value[this._recordIdPropName])
 				});
 
 				if (!propCtx._containerDesc) {
@@ -1464,7 +1694,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 								this._translationCtx.translatePropPath(
 									prefixPtr.propPath + '.' + idPropName),
 								valueExpr:
-								this._dbDriver.sql(elementObj[idPropName])
+								this.addValue(elementObj[idPropName])
 							});
 							idAnchorAdded = true;
 						}
@@ -1474,7 +1704,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 								prefixPtr.propPath + '.$key'),
 							valueExpr: this._dbo._makeMapKeySql(
 								prefixPtr.propDesc,
-								prefixPtr.collectionElementIndex)
+								prefixPtr.collectionElementIndex, this)
 						});
 					}
 
@@ -1520,7 +1750,7 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 								this._translationCtx.translatePropPath(
 									propCtx._uniqueIdPropPath),
 								valueExpr:
-								this._dbDriver.sql(elementObj[idPropName])
+								this.addValue(elementObj[idPropName])
 							});
 						}
 					}
@@ -1542,6 +1772,32 @@ class UpdateDBOExecutionContext extends DBOExecutionContext {
 		if (!passed)
 			this._recordTestFailed = true;
 	}
+
+	/**
+	 * Register operation applied to the current record for the record change
+	 * history and the record change events, if required.
+	 *
+	 * @private
+	 * @param {string} op The JSON patch operation: "add", "remove" or
+	 * "replace".
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr Pointer to the
+	 * affected record element.
+	 * @param {*} [value] The new value for "add" and "replace" operations.
+	 */
+	_addAppliedOp(op, ptr, value) {
+
+		if (!this._recordAppliedOps)
+			return;
+
+		const appliedOp = {
+			op: op,
+			path: ptr.toString()
+		};
+		if (value !== undefined)
+			appliedOp.value = value;
+
+		this._recordAppliedOps.push(appliedOp);
+	}
 }
 
 
@@ -1570,28 +1826,60 @@ class UpdateDBO extends AbstractDBO {
 	 * library.
 	 * @param {module:x2node-dbos.RecordCollectionsMonitor} rcMonitor The record
 	 * collections monitor.
+	 * @param {external:EventEmitter} changeEmitter Emitter of the record change
+	 * events.
 	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
 	 * record type descriptor.
 	 * @param {module:x2node-patches~RecordPatch} patch The patch.
 	 * @param {(Array.<Array>|module:x2node-dbos~UpdateDBO~recordsFetcher)} [filterOrFetcher]
 	 * Optional filter specification or fetcher function.
+	 * @param {module:x2node-dbos~UpdateDBO~Options} [options] Update options.
+	 * @param {Array.<Array>} [accessFilterSpec] If fetcher function is
+	 * provided, optional access filter specification. The records provided by
+	 * the fetcher function that do not pass it are not updated.
 	 * @throws {module:x2node-common.X2UsageError} If the provided data is
 	 * invalid.
 	 */
 	constructor(
-		dbDriver, recordTypes, rcMonitor, recordTypeDesc, patch,
-		filterOrFetcher) {
-		super(dbDriver, recordTypes, rcMonitor);
+		dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+		patch, filterOrFetcher, options, accessFilterSpec) {
+		super(dbDriver, recordTypes, rcMonitor, changeEmitter);
 
 		// save the record type descriptor (used by the execution context)
 		this._recordTypeDesc = recordTypeDesc;
 
+		// validate the expected version
+		const expectedVersion = (options && options.expectedVersion);
+		if (expectedVersion !== undefined) {
+			if (!recordTypeDesc.getRecordMetaInfoPropName('version'))
+				throw new common.X2UsageError(
+					`Record type ${recordTypeDesc.name} does not have a version` +
+						' meta-info property.');
+			if (!Number.isInteger(expectedVersion) &&
+				!placeholders.isParam(expectedVersion))
+				throw new common.X2UsageError(
+					'Expected record version must be an integer or a' +
+						' parameter placeholder.');
+		}
+
 		// the operation commands sequence
 		this._commands = new Array();
 
 		// add the records pre-fetch command
 		if ((typeof filterOrFetcher) === 'function') {
 			this._commands.push(new CallFetcherCommand(filterOrFetcher));
+			if (accessFilterSpec && (accessFilterSpec.length > 0)) {
+				const idPropName = recordTypeDesc.idPropertyName;
+				this._commands.push(new FilterAccessibleRecordsCommand(
+					new FetchDBO(
+						dbDriver, recordTypes, recordTypeDesc.name,
+						[ idPropName ], null, [
+							[ idPropName + ' => oneof',
+								placeholders.param(ACCESS_CHECK_IDS_PARAM) ]
+						].concat(accessFilterSpec),
+						null, null, 'exclusive', true),
+					idPropName));
+			}
 		} else { // filter
 			this._commands.push(new PrefetchCommand(new FetchDBO(
 				dbDriver, recordTypes, recordTypeDesc.name,
@@ -1599,7 +1887,8 @@ class UpdateDBO extends AbstractDBO {
 		}
 
 		// add record updates command
-		this._commands.push(new UpdateRecordsCommand(patch));
+		this._commands.push(new UpdateRecordsCommand(
+			patch, recordTypeDesc, expectedVersion));
 
 		// add entangled records update commands
 		this._commands.push(this._createUpdateEntangledRecordsCommand());
@@ -1607,6 +1896,13 @@ class UpdateDBO extends AbstractDBO {
 		// add record collections monitor notification command
 		this._commands.push(this._createNotifyRecordCollectionsMonitorCommand());
 
+		// add record change events command
+		this._commands.push(this._createRecordChangesCommand(
+			recordTypeDesc, 'update', ctx => ctx.getRecordChanges()));
+
+		// add outbox messages write command
+		this._commands.push(this._createWriteOutboxCommand());
+
 		// build update query tree:
 
 		// add nested object ids to the update properties tree
@@ -1647,6 +1943,20 @@ class UpdateDBO extends AbstractDBO {
 			dbDriver, recordTypes, 'update', false, updatePropsTree);
 	}
 
+	/**
+	 * Update DBO options.
+	 *
+	 * @typedef {Object} module:x2node-dbos~UpdateDBO~Options
+	 * @property {(number|Object)} [expectedVersion] If specified, the version
+	 * meta-info property of each matched record must have this value, or the
+	 * operation fails with
+	 * [X2VersionConflictError]{@link module:x2node-dbos.X2VersionConflictError}.
+	 * If a parameter placeholder (see
+	 * [param()]{@link module:x2node-dbos.param}), the version is taken from the
+	 * filter parameters provided to the DBO's <code>execute()</code> method. Can
+	 * be used only with record types that have a version meta-info property.
+	 */
+
 	/**
 	 * Provides the update DBO with records to update.
 	 *
@@ -1667,6 +1977,9 @@ class UpdateDBO extends AbstractDBO {
 	 * record includes all properties that are fetched by default (by default,
 	 * that includes all properties that are not views, not calculated and not
 	 * dependent record references).
+	 * @param {module:x2node-dbos~DBOExecutionContext} ctx DBO execution context,
+	 * which can be used, for example, to add outbox messages (see
+	 * [addOutboxMessage()]{@link module:x2node-dbos~DBOExecutionContext#addOutboxMessage}).
 	 * @returns {(*|Promise)} If returns a promise, it can be either resolved to
 	 * proceed with the record save or rejected, in which case the whole DBO
 	 * execution is aborted and the promise returned by the DBO's
@@ -1722,8 +2035,12 @@ class UpdateDBO extends AbstractDBO {
 	 * @returns {Promise.<module:x2node-dbos~UpdateDBO~Result>} The operation
 	 * result object promise. The promise is rejected with the error object if an
 	 * error happens during the operation execution (failed "test" operation is
-	 * not considered an error). Also may be rejected with the provided
-	 * <code>recordValidator</code> function rejection result.
+	 * not considered an error). If the DBO was built with an expected record
+	 * version and a matched record has a different version, the promise is
+	 * rejected with
+	 * [X2VersionConflictError]{@link module:x2node-dbos.X2VersionConflictError}.
+	 * Also may be rejected with the provided <code>recordValidator</code>
+	 * function rejection result.
 	 * @throws {module:x2node-common.X2UsageError} If provided filter
 	 * parameters object is invalid (missing parameter, <code>NaN</code> value or
 	 * value of unsupported type).
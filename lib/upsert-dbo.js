@@ -0,0 +1,388 @@
+'use strict';
+
+const common = require('x2node-common');
+const patches = require('x2node-patches');
+
+const AbstractDBO = require('./abstract-dbo.js');
+const DBOExecutionContext = require('./dbo-execution-context.js');
+const Transaction = require('./transaction.js');
+const FetchDBO = require('./fetch-dbo.js');
+const AccessFilteredDBO = require('./access-filtered-dbo.js');
+const InsertDBO = require('./insert-dbo.js');
+const UpdateDBO = require('./update-dbo.js');
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// COMMANDS
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Insert or update command. When executed, fetches and locks the record matched
+ * by the natural key. If no record is found, inserts the new record. Otherwise,
+ * updates the existing record with the differences. The insert is made in a
+ * nested transaction, so that if it fails because a concurrent transaction has
+ * inserted a record with the same natural key, the command can fetch that
+ * record and update it instead.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @implements module:x2node-dbos.DBOCommand
+ */
+class InsertOrUpdateCommand {
+
+	constructor(dbo) {
+
+		this._dbo = dbo;
+	}
+
+	// add command execution to the chain
+	queueUp(promiseChain, ctx) {
+
+		return promiseChain.then(
+			() => this._fetchExisting(ctx)
+		).then(existingRecord => (
+			existingRecord ?
+				this._update(ctx, existingRecord) :
+				this._insert(ctx)
+		));
+	}
+
+	/**
+	 * Fetch and lock the existing record matched by the natural key.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~UpsertDBOExecutionContext} ctx Execution
+	 * context.
+	 * @returns {Promise.<?Object>} Promise of the existing record, or
+	 * <code>null</code> if none.
+	 */
+	_fetchExisting(ctx) {
+
+		const dbo = this._dbo;
+		return dbo._fetchDBO.execute(ctx.transaction, ctx.actor).then(result => {
+			const records = result.records;
+			if (records.length > 1)
+				return Promise.reject(new common.X2UsageError(
+					`More than one ${dbo._recordTypeDesc.name} record matches` +
+						' the upsert natural key.'));
+			return (records.length > 0 ? records[0] : null);
+		});
+	}
+
+	/**
+	 * Insert the new record in a nested transaction. If the insert violates a
+	 * unique constraint, fetch the record inserted by a concurrent transaction
+	 * and update it.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~UpsertDBOExecutionContext} ctx Execution
+	 * context.
+	 * @returns {Promise} Promise of the operation completion.
+	 */
+	_insert(ctx) {
+
+		const dbo = this._dbo;
+		const tx = new Transaction(
+			dbo._dbDriver, ctx.connection, ctx.transaction);
+		return tx.start().then(
+			() => dbo._insertDBO.execute(tx, ctx.actor).then(
+				recordId => tx.commit().then(() => {
+					ctx.setResult(recordId, true, false);
+				}),
+				err => tx.rollbackAndReject(err)
+			)
+		).catch(err => {
+			if (dbo._dbDriver.classifyError(err) !== 'uniqueViolation')
+				return Promise.reject(err);
+			return this._fetchExisting(ctx).then(existingRecord => (
+				existingRecord ?
+					this._update(ctx, existingRecord) :
+					Promise.reject(err)
+			));
+		});
+	}
+
+	/**
+	 * Update the existing record.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~UpsertDBOExecutionContext} ctx Execution
+	 * context.
+	 * @param {Object} existingRecord The existing record.
+	 * @returns {Promise} Promise of the operation completion.
+	 */
+	_update(ctx, existingRecord) {
+
+		// build the update patch
+		const dbo = this._dbo;
+		const recordId = existingRecord[dbo._recordTypeDesc.idPropertyName];
+		const patchSpec = dbo._buildPatchSpec(existingRecord);
+		if (patchSpec.length === 0)
+			return ctx.setResult(recordId, false, false);
+
+		// update the existing record
+		const recordTypeDesc = dbo._recordTypeDesc;
+		const patch = patches.build(
+			dbo._recordTypes, recordTypeDesc.name, patchSpec);
+		const buildUpdateDBO = accessFilterSpec => new UpdateDBO(
+			dbo._dbDriver, dbo._recordTypes, dbo._rcMonitor,
+			dbo._changeEmitter, recordTypeDesc, patch,
+			() => [ existingRecord ], undefined, accessFilterSpec);
+		const updateDBO = buildUpdateDBO();
+		return (
+			recordTypeDesc.accessFilter ?
+				new AccessFilteredDBO(
+					recordTypeDesc, 'update', buildUpdateDBO, updateDBO) :
+				updateDBO
+		).execute(ctx.transaction, ctx.actor).then(result => {
+			ctx.setResult(
+				recordId, false, (result.updatedRecordIds.length > 0));
+		});
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// EXECUTION CONTEXT
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Operation execution context.
+ *
+ * @private
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~DBOExecutionContext
+ */
+class UpsertDBOExecutionContext extends DBOExecutionContext {
+
+	constructor(dbo, txOrCon, actor) {
+		super(dbo, txOrCon, actor, null, new Object());
+
+		this._result = null;
+	}
+
+	/**
+	 * Set the operation result.
+	 *
+	 * @param {(string|number)} recordId The record id.
+	 * @param {boolean} created <code>true</code> if the record was inserted.
+	 * @param {boolean} updated <code>true</code> if existing record was
+	 * modified.
+	 */
+	setResult(recordId, created, updated) {
+
+		this._result = {
+			recordId: recordId,
+			created: created,
+			updated: updated
+		};
+	}
+
+	getResult() {
+
+		return this._result;
+	}
+}
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// THE DBO
+/////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Upsert database operation implementation, which inserts new record or
+ * updates existing record matched by a natural key.
+ *
+ * @memberof module:x2node-dbos
+ * @inner
+ * @extends module:x2node-dbos~AbstractDBO
+ */
+class UpsertDBO extends AbstractDBO {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using
+	 * [DBOFactory]{@link module:x2node-dbos~DBOFactory}.
+	 *
+	 * @protected
+	 * @param {module:x2node-dbos.DBDriver} dbDriver The database driver.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+	 * library.
+	 * @param {module:x2node-dbos.RecordCollectionsMonitor} rcMonitor The record
+	 * collections monitor.
+	 * @param {external:EventEmitter} changeEmitter Emitter of the record change
+	 * events.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @param {Object} record The record data.
+	 * @param {Array.<string>} matchOn Paths of the properties that make the
+	 * natural key used to find the existing record.
+	 * @throws {module:x2node-common.X2UsageError} If the provided data is
+	 * invalid.
+	 */
+	constructor(
+		dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+		record, matchOn) {
+		super(dbDriver, recordTypes, rcMonitor, changeEmitter);
+
+		// save the basics
+		this._recordTypeDesc = recordTypeDesc;
+		this._record = record;
+
+		// build the natural key filter
+		if (!Array.isArray(matchOn) || (matchOn.length === 0))
+			throw new common.X2UsageError(
+				'Upsert matchOn option must be a non-empty array of property' +
+					' paths.');
+		const filterSpec = matchOn.map(propPath => [
+			propPath, this._getKeyValue(propPath) ]);
+
+		// build the fetch DBO for the existing record, including soft-deleted
+		const buildFetchDBO = accessFilterSpec => new FetchDBO(
+			dbDriver, recordTypes, recordTypeDesc.name, [ '*' ], null,
+			(accessFilterSpec ?
+				filterSpec.concat(accessFilterSpec) : filterSpec),
+			null, null, 'exclusive', true);
+		const fetchDBO = buildFetchDBO();
+		this._fetchDBO = (
+			recordTypeDesc.accessFilter ?
+				new AccessFilteredDBO(
+					recordTypeDesc, 'update', buildFetchDBO, fetchDBO) :
+				fetchDBO
+		);
+
+		// build the insert DBO for the new record
+		this._insertDBO = new InsertDBO(
+			dbDriver, recordTypes, rcMonitor, changeEmitter, recordTypeDesc,
+			record);
+
+		// the operation commands sequence
+		this._commands = [ new InsertOrUpdateCommand(this) ];
+	}
+
+	/**
+	 * Validate natural key property and get its value from the record.
+	 *
+	 * @private
+	 * @param {string} propPath Natural key property path.
+	 * @returns {*} The property value.
+	 * @throws {module:x2node-common.X2UsageError} If the property is not
+	 * suitable for a natural key or the record does not have a value for it.
+	 */
+	_getKeyValue(propPath) {
+
+		const invalidProp = msg => new common.X2UsageError(
+			`Invalid upsert matchOn property ${propPath}: ${msg}`);
+
+		let container = this._recordTypeDesc;
+		let val = this._record;
+		const propNames = String(propPath).split('.');
+		for (let i = 0, len = propNames.length; i < len; i++) {
+			const propName = propNames[i];
+			if (!container.hasProperty(propName))
+				throw invalidProp('no such property.');
+			const propDesc = container.getPropertyDesc(propName);
+			if (!propDesc.isScalar() || propDesc.isCalculated() ||
+				propDesc.isView())
+				throw invalidProp(
+					'must be a scalar, non-calculated and non-view property.');
+			if ((val !== undefined) && (val !== null))
+				val = val[propName];
+			if (i < len - 1) {
+				if ((propDesc.scalarValueType !== 'object') ||
+					propDesc.nestedProperties.isPolymorph())
+					throw invalidProp(
+						`${propName} is not a non-polymorphic nested object.`);
+				container = propDesc.nestedProperties;
+			} else if (propDesc.scalarValueType === 'object') {
+				throw invalidProp('may not be a nested object.');
+			}
+		}
+
+		if ((val === undefined) || (val === null))
+			throw new common.X2UsageError(
+				`No value provided for upsert matchOn property ${propPath}.`);
+
+		// filters take referred record ids for references
+		const propDesc = container.getPropertyDesc(
+			propNames[propNames.length - 1]);
+		if (propDesc.isRef() && ((typeof val) === 'string'))
+			return propDesc.nestedProperties.refToId(val);
+
+		return val;
+	}
+
+	/**
+	 * Build patch specification that updates the existing record to match the
+	 * record provided to the DBO. Generated and non-modifiable properties not
+	 * provided in the record are left unchanged, except for the soft delete
+	 * properties, so that a soft-deleted existing record is restored.
+	 *
+	 * @private
+	 * @param {Object} existingRecord The existing record.
+	 * @returns {Array.<Object>} RFC 6902 JSON patch specification.
+	 * @throws {module:x2node-common.X2SyntaxError} If the provided record is
+	 * invalid.
+	 */
+	_buildPatchSpec(existingRecord) {
+
+		const recordTypeDesc = this._recordTypeDesc;
+		const softDeletePropNames = [
+			recordTypeDesc.softDeletePropName,
+			recordTypeDesc.softDeleteActorPropName
+		];
+		const newRecord = new Object();
+		for (let propName of recordTypeDesc.allPropertyNames) {
+			const propDesc = recordTypeDesc.getPropertyDesc(propName);
+			if (propDesc.isId() || propDesc.isCalculated() ||
+				propDesc.isView() || propDesc.isRecordMetaInfo() ||
+				propDesc.reverseRefPropertyName)
+				continue;
+			const val = this._record[propName];
+			if ((val === undefined) &&
+				(propDesc.isGenerated() || !propDesc.modifiable) &&
+				(softDeletePropNames.indexOf(propName) < 0))
+				newRecord[propName] = existingRecord[propName];
+			else if (val !== undefined)
+				newRecord[propName] = val;
+		}
+
+		return patches.fromDiff(
+			this._recordTypes, recordTypeDesc.name, existingRecord, newRecord);
+	}
+
+	/**
+	 * Upsert DBO execution result object.
+	 *
+	 * @typedef module:x2node-dbos~UpsertDBO~Result
+	 * @property {(string|number)} recordId Id of the inserted or updated
+	 * record.
+	 * @property {boolean} created <code>true</code> if new record was inserted.
+	 * @property {boolean} updated <code>true</code> if existing record was
+	 * found and modified. If an existing record was found, but it already
+	 * matched the provided record data, both <code>created</code> and
+	 * <code>updated</code> are <code>false</code>.
+	 */
+
+	/**
+	 * Execute the operation.
+	 *
+	 * @param {(module:x2node-dbos~Transaction|*)} txOrCon The active database
+	 * transaction, or database connection object compatible with the database
+	 * driver to have the method automatically organize the transaction around
+	 * the operation execution.
+	 * @param {?module:x2node-common.Actor} actor Actor executing the DBO.
+	 * @returns {Promise.<module:x2node-dbos~UpsertDBO~Result>} The operation
+	 * result object promise.
+	 */
+	execute(txOrCon, actor) {
+
+		return this._executeCommands(
+			new UpsertDBOExecutionContext(this, txOrCon, actor));
+	}
+}
+
+// export the class
+module.exports = UpsertDBO;
@@ -1,11 +1,15 @@
 'use strict';
 
+const EventEmitter = require('events');
 const expect = require('chai').expect;
+const Database = require('better-sqlite3');
 
+const common = require('x2node-common');
 const records = require('x2node-records');
 const rsparser = require('x2node-rsparser');
 
 const dbos = require('../index.js');
+const MySQLDBDriver = require('../lib/driver/mysql-driver.js');
 
 
 const VALID_RTL_DEFS = {
@@ -111,6 +115,135 @@ function testPropDesc(recordTypeDesc, propName, params) {
 	});
 }
 
+// create factory for the record type definitions and the database driver
+function createDBOFactory(recordTypeDefs, dbDriverName) {
+
+	return dbos.createDBOFactory(
+		records.with(rsparser, dbos).buildLibrary({
+			recordTypes: recordTypeDefs
+		}), (dbDriverName || 'pg'));
+}
+
+// create mock pg connection that records the executed queries and responds
+// to them with the results provided by the respond(sql, query) function (an
+// error, a result object or nothing for an empty result)
+function mockConnection(respond) {
+
+	const connection = {
+		queries: new Array(),
+		statements: new Array(),
+		query(query, cb) {
+			const sql = (query.text || query);
+			connection.queries.push(query);
+			connection.statements.push(sql);
+			const result = (respond && respond(sql, query));
+			if (result instanceof Error)
+				return cb(result);
+			const res = Object.assign({ rowCount: 0, rows: [] }, result);
+			if (!res.fields)
+				res.fields = (sql.match(/ AS "[^"]+"/g) || []).map(
+					c => ({ name: c.substring(5, c.length - 1) }));
+			cb(null, res);
+		}
+	};
+
+	return connection;
+}
+
+// create mock mysql connection that records the executed statements and
+// responds to them with the results provided by the respond(sql) function (an
+// error, a result object or nothing for an empty result)
+function mockMySQLConnection(respond) {
+
+	let emitRows = null;
+	const connection = {
+		statements: new Array(),
+		paused: false,
+		numPauses: 0,
+		pause() {
+			connection.paused = true;
+			connection.numPauses++;
+		},
+		resume() {
+			connection.paused = false;
+			if (emitRows)
+				emitRows();
+		},
+		escape(val) {
+			return (
+				(typeof val) === 'string' ?
+					'\'' + val.replace(/'/g, '\\\'') + '\'' : String(val));
+		},
+		query(sql, cb) {
+			connection.statements.push(sql);
+			const result = (respond && respond(sql));
+			const query = new EventEmitter();
+			process.nextTick(() => {
+				if (cb)
+					return (
+						result instanceof Error ?
+							cb(result) :
+							cb(null, Object.assign({
+								affectedRows: 0,
+								insertId: 0
+							}, result)));
+				if (result instanceof Error)
+					return query.emit('error', result);
+				const res = Object.assign({ fields: [], rows: [] }, result);
+				query.emit('fields', res.fields);
+				const rows = res.rows.slice();
+				emitRows = () => {
+					while (!connection.paused && (rows.length > 0))
+						query.emit('result', rows.shift());
+					if (!connection.paused) {
+						emitRows = null;
+						query.emit('end');
+					}
+				};
+				emitRows();
+			});
+			return query;
+		}
+	};
+
+	return connection;
+}
+
+// create mock data source that always provides the same connection
+function mockDataSource(connection) {
+
+	return {
+		getConnection() { return Promise.resolve(connection); },
+		releaseConnection() {}
+	};
+}
+
+// record type with a numeric id and a string text property
+function noteRecordType(def) {
+
+	return Object.assign({
+		table: 'notes',
+		properties: {
+			'id': {
+				valueType: 'number',
+				role: 'id'
+			},
+			'text': {
+				valueType: 'string'
+			}
+		}
+	}, def);
+}
+
+// make sure the promise is rejected and pass the rejection reason on
+function expectRejected(promise) {
+
+	return promise.then(
+		() => { throw new Error('should have failed'); },
+		err => err
+	);
+}
+
 describe('x2node-dbos', function() {
 
 	describe('Record Types Library Extension', function() {
@@ -188,4 +321,2670 @@ describe('x2node-dbos', function() {
 			testPropDesc(recordTypeDesc, 'prop_ssstc', params);
 		});
 	});
+
+	describe('Schema Generator', function() {
+
+		it('should generate tables with keys for record types', function() {
+
+			const recordTypes = records.with(rsparser, dbos).buildLibrary({
+				recordTypes: {
+					'Account': {
+						table: 'accounts',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'name': {
+								valueType: 'string',
+								optional: true
+							},
+							'phones': {
+								valueType: 'string[]',
+								table: 'account_phones',
+								parentIdColumn: 'account_id',
+								column: 'phone',
+								indexColumn: 'ind'
+							}
+						}
+					},
+					'Order': {
+						table: 'orders',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'account': {
+								valueType: 'ref(Account)',
+								column: 'account_id'
+							}
+						}
+					}
+				}
+			});
+
+			const statements = dbos.createDBOFactory(recordTypes, 'pg')
+				.generateSchema();
+			expect(statements).to.be.deep.equal([
+				'CREATE TABLE accounts (\n' +
+					'\tid SERIAL NOT NULL,\n' +
+					'\tname VARCHAR(255),\n' +
+					'\tPRIMARY KEY (id)\n)',
+				'CREATE TABLE account_phones (\n' +
+					'\taccount_id INTEGER NOT NULL,\n' +
+					'\tind INTEGER NOT NULL,\n' +
+					'\tphone VARCHAR(255) NOT NULL,\n' +
+					'\tUNIQUE (account_id, ind)\n)',
+				'CREATE TABLE orders (\n' +
+					'\tid SERIAL NOT NULL,\n' +
+					'\taccount_id INTEGER NOT NULL,\n' +
+					'\tPRIMARY KEY (id)\n)',
+				'ALTER TABLE account_phones ADD FOREIGN KEY (account_id)' +
+					' REFERENCES accounts (id)',
+				'ALTER TABLE orders ADD FOREIGN KEY (account_id)' +
+					' REFERENCES accounts (id)'
+			]);
+		});
+
+		it('should generate migration between library versions', function() {
+
+			const previousRecordTypes = records.with(rsparser, dbos)
+				.buildLibrary({
+					recordTypes: {
+						'Account': {
+							table: 'accounts',
+							properties: {
+								'id': {
+									valueType: 'number',
+									role: 'id'
+								},
+								'name': {
+									valueType: 'string',
+									column: 'fname'
+								},
+								'zip': {
+									valueType: 'string',
+									optional: true
+								}
+							}
+						}
+					}
+				});
+			const recordTypes = records.with(rsparser, dbos).buildLibrary({
+				recordTypes: {
+					'Account': {
+						table: 'accounts',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'name': {
+								valueType: 'string',
+								column: 'first_name',
+								previousColumn: 'fname'
+							},
+							'age': {
+								valueType: 'number',
+								optional: true
+							}
+						}
+					}
+				}
+			});
+
+			const statements = dbos.createDBOFactory(recordTypes, 'mysql')
+				.generateMigration(previousRecordTypes);
+			expect(statements).to.be.deep.equal([
+				'ALTER TABLE accounts RENAME COLUMN fname TO first_name',
+				'ALTER TABLE accounts ADD COLUMN age DOUBLE',
+				'ALTER TABLE accounts DROP COLUMN zip'
+			]);
+		});
+
+		it('should generate migration from database', function() {
+
+			const dboFactory = createDBOFactory({
+				'Note': noteRecordType({
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'text': {
+							valueType: 'string'
+						},
+						'title': {
+							valueType: 'string',
+							optional: true
+						}
+					}
+				})
+			});
+			const dbColumn = (table, name, dataType, nullable) => ({
+				table_name: table,
+				column_name: name,
+				data_type: dataType,
+				nullable: nullable
+			});
+			const connection = mockConnection(sql => {
+				if (/information_schema\.columns/.test(sql))
+					return {
+						rows: [
+							dbColumn('notes', 'id', 'integer', false),
+							dbColumn('notes', 'text', 'integer', false),
+							dbColumn('notes', 'legacy', 'text', true),
+							dbColumn('other', 'id', 'integer', false)
+						]
+					};
+			});
+
+			return dboFactory.generateMigrationFromDatabase(
+				connection
+			).then(statements => {
+				expect(statements).to.be.deep.equal([
+					'ALTER TABLE notes ALTER COLUMN text SET DATA TYPE' +
+						' VARCHAR(255), ALTER COLUMN text SET NOT NULL',
+					'ALTER TABLE notes ADD COLUMN title VARCHAR(255)'
+				]);
+			});
+		});
+
+		it('should report unsupported column changes', function() {
+
+			const previousRecordTypes = records.with(rsparser, dbos)
+				.buildLibrary({
+					recordTypes: {
+						'Note': noteRecordType({
+							properties: {
+								'id': {
+									valueType: 'number',
+									role: 'id'
+								},
+								'text': {
+									valueType: 'string',
+									optional: true
+								}
+							}
+						})
+					}
+				});
+
+			const statements = createDBOFactory({
+				'Note': noteRecordType()
+			}, 'sqlite').generateMigration(previousRecordTypes);
+			expect(statements).to.be.deep.equal([
+				'-- unsupported: change column notes.text to string NOT NULL'
+			]);
+		});
+	});
+
+	describe('Schema Verifier', function() {
+
+		const RECORD_TYPES = {
+			'Account': {
+				table: 'accounts',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'name': {
+						valueType: 'string',
+						optional: true
+					},
+					'active': {
+						valueType: 'boolean'
+					},
+					'createdOn': {
+						valueType: 'datetime',
+						column: 'created_on'
+					},
+					'phones': {
+						valueType: 'string[]',
+						table: 'account_phones',
+						parentIdColumn: 'account_id',
+						column: 'phone'
+					}
+				}
+			}
+		};
+
+		// information_schema.columns rows as returned by the driver queries
+		const columnRow = (tableName, columnName, dataType, nullable) => ({
+			table_name: tableName,
+			column_name: columnName,
+			data_type: dataType,
+			nullable: nullable
+		});
+
+		it('should report mismatches with PostgreSQL schema', function() {
+
+			const connection = mockConnection(sql => {
+				if (/ FROM information_schema\.columns /.test(sql))
+					return {
+						rows: [
+							columnRow('accounts', 'id', 'integer', false),
+							columnRow('accounts', 'name', 'text', false),
+							columnRow('accounts', 'active', 'smallint', false),
+							columnRow(
+								'ACCOUNTS', 'CREATED_ON',
+								'timestamp without time zone', false),
+							columnRow('accounts', 'legacy', 'text', true)
+						]
+					};
+			});
+
+			return createDBOFactory(RECORD_TYPES).verifySchema(
+				connection
+			).then(mismatches => {
+				expect(connection.statements[0]).to.match(
+					/ WHERE table_schema = CURRENT_SCHEMA$/);
+				expect(mismatches).to.be.deep.equal([ {
+					problem: 'nullability',
+					table: 'accounts',
+					column: 'name',
+					message: 'Column accounts.name is NOT NULL, but is mapped' +
+						' to an optional property.'
+				}, {
+					problem: 'type',
+					table: 'accounts',
+					column: 'active',
+					message: 'Column accounts.active has type smallint, which' +
+						' is incompatible with boolean values.'
+				}, {
+					problem: 'missingTable',
+					table: 'account_phones',
+					message: 'Table account_phones does not exist.'
+				} ]);
+			});
+		});
+
+		it('should report mismatches with MySQL schema', function() {
+
+			const connection = mockMySQLConnection(sql => {
+				if (/ FROM information_schema\.columns /.test(sql))
+					return {
+						rows: [
+							columnRow('accounts', 'id', 'int(11)', 0),
+							columnRow('accounts', 'name', 'varchar(255)', 1),
+							columnRow('accounts', 'active', 'tinyint(1)', 0),
+							columnRow(
+								'accounts', 'created_on', 'varchar(30)', 1),
+							columnRow('account_phones', 'phone', 'text', 0),
+							columnRow('account_phones', 'ind', 'geometry', 0)
+						]
+					};
+			});
+
+			return createDBOFactory(RECORD_TYPES, 'mysql').verifySchema(
+				connection
+			).then(mismatches => {
+				expect(connection.statements[0]).to.match(
+					/ column_type AS data_type,/);
+				expect(connection.statements[0]).to.match(
+					/ WHERE table_schema = DATABASE\(\)$/);
+				expect(mismatches).to.be.deep.equal([ {
+					problem: 'nullability',
+					table: 'accounts',
+					column: 'created_on',
+					message: 'Column accounts.created_on is nullable, but is' +
+						' mapped to a required property.'
+				}, {
+					problem: 'type',
+					table: 'accounts',
+					column: 'created_on',
+					message: 'Column accounts.created_on has type varchar(30),' +
+						' which is incompatible with datetime values.'
+				}, {
+					problem: 'missingColumn',
+					table: 'account_phones',
+					column: 'account_id',
+					message: 'Column account_phones.account_id does not exist.'
+				} ]);
+			});
+		});
+	});
+
+	describe('Fetch DBO', function() {
+
+		it('should validate cursor-based range', function() {
+
+			const recordTypes = records.with(rsparser, dbos).buildLibrary({
+				recordTypes: {
+					'Account': {
+						table: 'accounts',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'name': {
+								valueType: 'string'
+							},
+							'nick': {
+								valueType: 'string',
+								optional: true
+							}
+						}
+					}
+				}
+			});
+			const dboFactory = dbos.createDBOFactory(recordTypes, 'pg');
+
+			expect(dboFactory.buildFetch('Account', {
+				order: [ 'name => desc' ],
+				range: { limit: 10, after: 'WyJKb2UiLDVd' }
+			})).to.be.an('object');
+			expect(() => dboFactory.buildFetch('Account', {
+				order: [ 'nick' ],
+				range: { limit: 10 }
+			})).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildFetch('Account', {
+				order: [ 'name' ],
+				range: { limit: 10, after: 'WyJKb2UiXQ==' }
+			})).to.throw(common.X2SyntaxError);
+			expect(() => dboFactory.buildFetch('Account', {
+				range: { limit: 10, after: 'x', before: 'y' }
+			})).to.throw(common.X2SyntaxError);
+		});
+
+		it('should validate lock specification', function() {
+
+			const recordTypes = records.with(rsparser, dbos).buildLibrary({
+				recordTypes: {
+					'Job': {
+						table: 'jobs',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							}
+						}
+					}
+				}
+			});
+			const dboFactory = dbos.createDBOFactory(recordTypes, 'pg');
+
+			for (let wait of [ undefined, 'skip', 'nowait', 5000 ])
+				expect(dboFactory.buildFetch('Job', {
+					lock: { mode: 'exclusive', wait: wait }
+				})).to.be.an('object');
+			expect(() => dboFactory.buildFetch('Job', {
+				lock: { mode: 'update' }
+			})).to.throw(common.X2SyntaxError);
+			expect(() => dboFactory.buildFetch('Job', {
+				lock: { mode: 'shared', wait: 'forever' }
+			})).to.throw(common.X2SyntaxError);
+			expect(() => dboFactory.buildFetch('Job', {
+				lock: { mode: 'shared', wait: 0 }
+			})).to.throw(common.X2SyntaxError);
+		});
+
+		const ORDERS = {
+			'Customer': {
+				table: 'customers',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'name': {
+						valueType: 'string'
+					}
+				}
+			},
+			'Order': {
+				table: 'orders',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'customerRef': {
+						valueType: 'ref(Customer)',
+						column: 'customer_id'
+					},
+					'items': {
+						valueType: 'object[]',
+						table: 'order_items',
+						parentIdColumn: 'order_id',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'qty': {
+								valueType: 'number'
+							}
+						}
+					}
+				}
+			}
+		};
+
+		const lockedOrderFetch = (dboFactory, wait) => dboFactory.buildFetch(
+			'Order', {
+				props: [ '*', 'customerRef.name' ],
+				filter: [ [ 'id', 1 ] ],
+				lock: { mode: 'exclusive', wait: wait }
+			});
+
+		it('should lock outer joined rows with separate statements in pg',
+			function() {
+
+				const connection = mockConnection();
+
+				return lockedOrderFetch(
+					createDBOFactory(ORDERS)
+				).execute(connection, null).then(() => {
+					const statements = connection.statements;
+					expect(statements[1]).to.match(
+						/ FROM orders AS z WHERE z\.id = \$1 FOR UPDATE OF z\)/);
+					expect(statements.slice(2, 4)).to.be.deep.equal([
+						'SELECT 1 FROM q_orders_0 AS q' +
+							' INNER JOIN orders AS z ON z.id = q.id' +
+							' INNER JOIN customers AS za' +
+							' ON za.id = z.customer_id' +
+							' FOR UPDATE OF z FOR SHARE OF za',
+						'SELECT 1 FROM q_orders_0 AS q' +
+							' INNER JOIN orders AS z ON z.id = q.id' +
+							' INNER JOIN order_items AS zb' +
+							' ON zb.order_id = z.id' +
+							' FOR UPDATE OF zb'
+					]);
+					expect(statements[4]).to.match(
+						/ LEFT OUTER JOIN order_items .* BY q\.ord, z\.id$/);
+				});
+			});
+
+		it('should lock all rows in the fetch query in mysql', function() {
+
+			const connection = mockMySQLConnection(sql => ({
+				fields: (sql.match(/ AS "[^"]+"/g) || []).map(
+					c => ({ name: c.substring(5, c.length - 1) }))
+			}));
+
+			return lockedOrderFetch(
+				createDBOFactory(ORDERS, 'mysql')
+			).execute(connection, null).then(() => {
+				const selects = connection.statements.filter(
+					s => /^SELECT /.test(s));
+				expect(selects).to.have.lengthOf(1);
+				expect(selects[0]).to.match(
+					/ LEFT OUTER JOIN order_items AS zb .* FOR UPDATE$/);
+			});
+		});
+
+		// collect streamed records and the result
+		const consumeStream = recordsStream => new Promise(
+			(resolve, reject) => {
+				const streamed = new Array();
+				recordsStream.on('data', record => { streamed.push(record); });
+				recordsStream.on('result', result => {
+					resolve({ records: streamed, result: result });
+				});
+				recordsStream.on('error', reject);
+			});
+
+		it('should stream records with collections', function() {
+
+			const connection = mockConnection(sql => {
+				if (/ COUNT\(/.test(sql))
+					return { rows: [ [ 'Order', 2 ] ] };
+				if (/^SELECT/.test(sql))
+					return {
+						rows: [
+							[ 1, 10, 'C1', 100, 100, 1 ],
+							[ 1, 10, 'C1', 101, 101, 2 ],
+							[ 2, 11, 'C2', null, null, null ]
+						]
+					};
+			});
+
+			return consumeStream(createDBOFactory(ORDERS).buildFetch('Order', {
+				props: [ '*', 'customerRef.name', '.count' ]
+			}).stream(connection, null)).then(streamed => {
+				expect(streamed.records).to.be.deep.equal([ {
+					id: 1,
+					customerRef: 'Customer#10',
+					items: [ { id: 100, qty: 1 }, { id: 101, qty: 2 } ]
+				}, {
+					id: 2,
+					customerRef: 'Customer#11'
+				} ]);
+				expect(streamed.result).to.be.deep.equal({
+					recordTypeName: 'Order',
+					count: 2,
+					referredRecords: {
+						'Customer#10': { name: 'C1' },
+						'Customer#11': { name: 'C2' }
+					}
+				});
+			});
+		});
+
+		it('should emit fetch errors on the records stream', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT/.test(sql))
+					return new Error('connection lost');
+			});
+
+			return expectRejected(consumeStream(
+				createDBOFactory(ORDERS).buildFetch('Order').stream(
+					connection, null)
+			)).then(err => {
+				expect(err.message).to.be.equal('connection lost');
+				expect(connection.statements.pop()).to.be.equal('ROLLBACK');
+			});
+		});
+
+		it('should pause reading rows while the stream is full', function() {
+
+			const ids = new Array();
+			for (let id = 1; id <= 50; id++)
+				ids.push(id);
+			const connection = mockMySQLConnection(sql => {
+				if (/^SELECT/.test(sql))
+					return {
+						fields: sql.match(/ AS "[^"]+"/g).map(
+							c => ({ name: c.substring(5, c.length - 1) })),
+						rows: ids.map(id => [ id, null, null, null ])
+					};
+			});
+
+			const recordsStream = createDBOFactory(
+				ORDERS, 'mysql'
+			).buildFetch('Order', {
+				props: [ 'id', 'items' ]
+			}).stream(connection, null);
+
+			return new Promise(resolve => {
+				setTimeout(resolve, 10);
+			}).then(() => {
+				expect(connection.paused).to.be.true;
+				expect(connection.statements).to.not.include('COMMIT');
+				return consumeStream(recordsStream);
+			}).then(streamed => {
+				expect(streamed.records.map(r => r.id)).to.be.deep.equal(ids);
+				expect(connection.numPauses).to.be.above(0);
+				expect(connection.statements.pop()).to.be.equal('COMMIT');
+			});
+		});
+
+		it('should reject skipping locked rows with multiple queries',
+			function() {
+
+				expect(() => lockedOrderFetch(
+					createDBOFactory(ORDERS), 'skip'
+				)).to.throw(common.X2UsageError);
+				expect(lockedOrderFetch(
+					createDBOFactory(ORDERS, 'mysql'), 'skip'
+				)).to.be.an('object');
+			});
+	});
+
+	describe('Statement Parameters', function() {
+
+		const RECORD_TYPES = {
+			'Account': {
+				table: 'accounts',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					}
+				}
+			},
+			'Task': {
+				table: 'tasks',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'title': {
+						valueType: 'string'
+					},
+					'done': {
+						valueType: 'boolean'
+					},
+					'dueOn': {
+						valueType: 'datetime',
+						column: 'due_on'
+					},
+					'ownerRef': {
+						valueType: 'ref(Account)',
+						column: 'owner_id'
+					},
+					'tags': {
+						valueType: 'string[]',
+						table: 'task_tags',
+						parentIdColumn: 'task_id',
+						column: 'tag',
+						optional: true
+					}
+				}
+			}
+		};
+
+		const TASK = {
+			title: 'Call O\'Brien?',
+			done: false,
+			dueOn: '2018-01-01T00:00:00.000Z',
+			ownerRef: 'Account#7',
+			tags: [ 'x' ]
+		};
+
+		it('should bind values with numbered placeholders in pg', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^INSERT /.test(sql))
+					return { rows: [ [ 1 ] ] };
+			});
+
+			return createDBOFactory(RECORD_TYPES).buildInsert(
+				'Task', TASK
+			).execute(connection, null).then(() => {
+				expect(connection.queries.slice(1, 3)).to.be.deep.equal([ {
+					text: 'INSERT INTO tasks (title, done, due_on, owner_id)' +
+						' VALUES ($1, $2, $3, $4) RETURNING id',
+					values: [
+						'Call O\'Brien?', false, '2018-01-01T00:00:00.000Z', 7 ],
+					rowMode: 'array'
+				}, {
+					text: 'INSERT INTO task_tags (task_id, tag) VALUES ($1, $2)',
+					values: [ 1, 'x' ],
+					rowMode: 'array'
+				} ]);
+			});
+		});
+
+		it('should bind updated values in pg', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT/.test(sql))
+					return {
+						rows: [ [ 1, 'A', false, new Date(0), 7 ] ]
+					};
+				if (/^INSERT /.test(sql))
+					return { rows: [ [ 1 ] ] };
+			});
+
+			return createDBOFactory(RECORD_TYPES).buildUpdate('Task', [
+				{ op: 'replace', path: '/title', value: 'B\' OR 1 = 1' },
+				{ op: 'add', path: '/tags/-', value: 'y' }
+			], [
+				[ 'id', 1 ]
+			]).execute(connection, null).then(() => {
+				const queries = connection.queries.filter(
+					q => /^(UPDATE|INSERT) /.test(q.text));
+				expect(queries.map(q => [ q.text, q.values ])).to.be.deep.equal([
+					[
+						'UPDATE tasks AS z SET title = $1 WHERE z.id = $2',
+						[ 'B\' OR 1 = 1', 1 ]
+					],
+					[
+						'INSERT INTO task_tags (task_id, tag) VALUES ($1, $2)',
+						[ 1, 'y' ]
+					]
+				]);
+			});
+		});
+
+		it('should bind values with question marks in mysql', function() {
+
+			const dboFactory = createDBOFactory(RECORD_TYPES, 'mysql');
+			const connection = mockMySQLConnection(sql => {
+				if (/^INSERT INTO tasks /.test(sql))
+					return { insertId: 1 };
+			});
+			const executed = new Array();
+			connection.execute = (sql, params, cb) => {
+				executed.push([ sql, params ]);
+				return connection.query(sql, cb);
+			};
+
+			return dboFactory.buildInsert('Task', TASK).execute(
+				connection, null
+			).then(() => {
+				expect(executed).to.be.deep.equal([
+					[
+						'INSERT INTO tasks (title, done, due_on, owner_id)' +
+							' VALUES (?, ?, ?, ?)',
+						[ 'Call O\'Brien?', false, '2018-01-01T00:00:00.000', 7 ]
+					],
+					[
+						'INSERT INTO task_tags (task_id, tag) VALUES (?, ?)',
+						[ 1, 'x' ]
+					]
+				]);
+			});
+		});
+
+		it('should bind constant filter values in pg', function() {
+
+			const connection = mockConnection();
+
+			return createDBOFactory(RECORD_TYPES).buildFetch('Task', {
+				props: [ 'id' ],
+				filter: [ [ 'title', 'x\' OR 1=1 --' ] ]
+			}).execute(connection, null).then(() => {
+				expect(connection.queries[1].text).to.be.equal(
+					'SELECT z.id AS "id" FROM tasks AS z WHERE z.title = $1');
+				expect(connection.queries[1].values).to.be.deep.equal(
+					[ 'x\' OR 1=1 --' ]);
+			});
+		});
+
+		it('should substitute escaped values in mysql without prepared' +
+			' statements', function() {
+
+			const dbDriver = new MySQLDBDriver();
+			const connection = mockMySQLConnection();
+
+			const params = new Array();
+			const sql = 'UPDATE tasks SET title = ' +
+				dbDriver.bindParam(params, 'O\'Brien?') +
+				' WHERE code = \'a?b\\\'?\' AND `c?` = ' +
+				dbDriver.bindParam(params, 5) + ' AND "d?" IS NULL';
+			return new Promise((resolve, reject) => {
+				dbDriver.executeUpdate(connection, sql, {
+					onSuccess: resolve,
+					onError: reject
+				}, params);
+			}).then(() => {
+				expect(connection.statements).to.be.deep.equal([
+					'UPDATE tasks SET title = \'O\\\'Brien?\'' +
+						' WHERE code = \'a?b\\\'?\' AND `c?` = 5' +
+						' AND "d?" IS NULL'
+				]);
+			});
+		});
+	});
+
+	describe('Bulk Insert DBO', function() {
+
+		const ACCOUNT = {
+			table: 'accounts',
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'name': {
+					valueType: 'string'
+				},
+				'tags': {
+					valueType: 'string[]',
+					table: 'account_tags',
+					parentIdColumn: 'account_id',
+					column: 'tag',
+					optional: true
+				}
+			}
+		};
+
+		it('should insert records with multi-row statements', function() {
+
+			const dboFactory = createDBOFactory({ 'Account': ACCOUNT });
+			let nextId = 101;
+			const connection = mockConnection(sql => {
+				if (/RETURNING/.test(sql))
+					return {
+						rows: sql.split('), (').map(() => [ nextId++ ])
+					};
+			});
+
+			const accounts = [
+				{ name: 'A', tags: [ 'x', 'y' ] },
+				{ name: 'B' },
+				{ name: 'C', tags: [ 'z' ] }
+			];
+			return dboFactory.buildBulkInsert('Account', accounts).execute(
+				connection
+			).then(ids => {
+				expect(ids).to.be.deep.equal([ 101, 102, 103 ]);
+				expect(accounts[2].id).to.be.equal(103);
+				expect(connection.statements).to.be.deep.equal([
+					'BEGIN',
+					'INSERT INTO accounts (name) VALUES ($1), ($2), ($3)' +
+						' RETURNING id',
+					'INSERT INTO account_tags (account_id, tag) VALUES' +
+						' ($1, $2), ($3, $4), ($5, $6)',
+					'COMMIT'
+				]);
+				expect(connection.queries[1].values).to.be.deep.equal(
+					[ 'A', 'B', 'C' ]);
+				expect(connection.queries[2].values).to.be.deep.equal(
+					[ 101, 'x', 101, 'y', 103, 'z' ]);
+			});
+		});
+
+		it('should insert consecutive ids in bulk with mysql', function() {
+
+			const dboFactory = dbos.createDBOFactory(
+				records.with(rsparser, dbos).buildLibrary({
+					recordTypes: { 'Account': ACCOUNT }
+				}), 'mysql', { consecutiveInsertIds: true });
+			const connection = mockMySQLConnection(sql => {
+				if (/^INSERT INTO accounts /.test(sql))
+					return { affectedRows: 3, insertId: 101 };
+			});
+
+			const accounts = [ { name: 'A' }, { name: 'B' }, { name: 'C' } ];
+			return dboFactory.buildBulkInsert('Account', accounts).execute(
+				connection
+			).then(ids => {
+				expect(ids).to.be.deep.equal([ 101, 102, 103 ]);
+				expect(connection.statements).to.include(
+					'INSERT INTO accounts (name) VALUES (\'A\'), (\'B\'),' +
+						' (\'C\')');
+			});
+		});
+
+		it('should insert one row at a time with custom driver', function() {
+
+			// driver that relies on the basic driver's defaults
+			class CustomDBDriver extends dbos.BasicDBDriver {
+				startTransaction(connection, handler) {
+					handler.onSuccess();
+				}
+				commitTransaction(connection, handler) {
+					handler.onSuccess();
+				}
+				executeInsert(connection, statement, handler, idColumn) {
+					connection.statements.push(statement);
+					handler.onSuccess(
+						idColumn ? connection.statements.length : undefined);
+				}
+			}
+
+			const dboFactory = dbos.createDBOFactory(
+				records.with(rsparser, dbos).buildLibrary({
+					recordTypes: { 'Account': ACCOUNT }
+				}), new CustomDBDriver());
+			const connection = { statements: new Array() };
+
+			return dboFactory.buildBulkInsert('Account', [
+				{ name: 'A' }, { name: 'B' }
+			]).execute(connection).then(ids => {
+				expect(ids).to.be.deep.equal([ 1, 2 ]);
+				expect(connection.statements).to.be.deep.equal([
+					'INSERT INTO accounts (name) VALUES (\'A\')',
+					'INSERT INTO accounts (name) VALUES (\'B\')'
+				]);
+			});
+		});
+
+		it('should reject invalid records argument', function() {
+
+			const dboFactory = createDBOFactory({ 'Account': ACCOUNT });
+
+			expect(() => dboFactory.buildBulkInsert('Account', {
+				name: 'A'
+			})).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildBulkInsert('Account', [
+				{ name: 'A' }, 'B'
+			])).to.throw(common.X2UsageError);
+		});
+
+		it('should roll back if a statement fails', function() {
+
+			const dboFactory = createDBOFactory({ 'Account': ACCOUNT });
+			const dbErr = new Error('value too long');
+			const connection = mockConnection(sql => {
+				if (/^INSERT INTO accounts /.test(sql))
+					return { rows: [ [ 1 ], [ 2 ] ] };
+				if (/^INSERT INTO account_tags /.test(sql))
+					return dbErr;
+			});
+
+			return expectRejected(dboFactory.buildBulkInsert('Account', [
+				{ name: 'A', tags: [ 'x' ] }, { name: 'B' }
+			]).execute(connection)).then(err => {
+				expect(err).to.be.equal(dbErr);
+				expect(connection.statements[0]).to.be.equal('BEGIN');
+				expect(connection.statements.pop()).to.be.equal('ROLLBACK');
+			});
+		});
+	});
+
+	describe('Upsert DBO', function() {
+
+		const ACCOUNT = {
+			table: 'accounts',
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'email': {
+					valueType: 'string'
+				},
+				'name': {
+					valueType: 'string'
+				},
+				'tags': {
+					valueType: 'string[]',
+					table: 'account_tags',
+					parentIdColumn: 'account_id',
+					column: 'tag',
+					optional: true
+				}
+			}
+		};
+
+		const SOFT_DELETED_ACCOUNT = Object.assign({}, ACCOUNT, {
+			softDelete: { property: 'deletedOn' },
+			properties: Object.assign({}, ACCOUNT.properties, {
+				'deletedOn': {
+					valueType: 'datetime',
+					column: 'deleted_on',
+					optional: true
+				}
+			})
+		});
+
+		const UPSERT_B = dboFactory => dboFactory.buildUpsert('Account', {
+			email: 'a@example.com', name: 'B'
+		}, { matchOn: [ 'email' ] });
+
+		it('should validate natural key properties', function() {
+
+			const dboFactory = createDBOFactory({ 'Account': ACCOUNT });
+
+			expect(() => dboFactory.buildUpsert('Account', {
+				name: 'A'
+			}, { matchOn: [] })).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildUpsert('Account', {
+				name: 'A'
+			}, { matchOn: [ 'email' ] })).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildUpsert('Account', {
+				email: 'a@example.com', name: 'A', tags: [ 'x' ]
+			}, { matchOn: [ 'tags' ] })).to.throw(common.X2UsageError);
+		});
+
+		it('should insert record not matched by natural key', function() {
+
+			const dboFactory = createDBOFactory({ 'Account': ACCOUNT });
+			const connection = mockConnection(sql => {
+				if (/RETURNING/.test(sql))
+					return { rows: [ [ 101 ] ] };
+			});
+
+			return dboFactory.buildUpsert('Account', {
+				email: 'a@example.com', name: 'A'
+			}, { matchOn: [ 'email' ] }).execute(connection).then(result => {
+				expect(result).to.be.deep.equal({
+					recordId: 101, created: true, updated: false
+				});
+				const statements = connection.statements;
+				expect(statements[0]).to.be.equal('BEGIN');
+				expect(statements[1]).to.match(
+					/WHERE z\.email = \$1 FOR UPDATE OF z\)/);
+				const savepoint = statements[statements.length - 4];
+				expect(savepoint).to.match(/^SAVEPOINT x2_tx_\d+_1$/);
+				expect(statements.slice(-3)).to.be.deep.equal([
+					'INSERT INTO accounts (email, name) VALUES ($1, $2)' +
+						' RETURNING id',
+					'RELEASE ' + savepoint,
+					'COMMIT'
+				]);
+				expect(connection.queries.find(
+					q => /^INSERT /.test(q.text)).values).to.be.deep.equal(
+					[ 'a@example.com', 'A' ]);
+			});
+		});
+
+		it('should update record matched by natural key', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT z\.id AS "id"/.test(sql))
+					return { rows: [ [ 1, 'a@example.com', 'A', null, null ] ] };
+			});
+
+			return UPSERT_B(
+				createDBOFactory({ 'Account': ACCOUNT })
+			).execute(connection).then(result => {
+				expect(result).to.be.deep.equal({
+					recordId: 1, created: false, updated: true
+				});
+				const statements = connection.statements;
+				expect(statements.some(s => /^INSERT /.test(s))).to.be.false;
+				expect(statements.slice(-2)).to.be.deep.equal([
+					'UPDATE accounts AS z SET name = $1 WHERE z.id = $2',
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should update record inserted concurrently', function() {
+
+			let inserted = false;
+			const connection = mockConnection(sql => {
+				if (/^INSERT /.test(sql)) {
+					inserted = true;
+					return Object.assign(
+						new Error('duplicate key value'), { code: '23505' });
+				}
+				if (inserted && /^SELECT z\.id AS "id"/.test(sql))
+					return { rows: [ [ 1, 'a@example.com', 'A', null, null ] ] };
+			});
+
+			return UPSERT_B(
+				createDBOFactory({ 'Account': ACCOUNT })
+			).execute(connection).then(result => {
+				expect(result).to.be.deep.equal({
+					recordId: 1, created: false, updated: true
+				});
+				const statements = connection.statements;
+				const insertInd = statements.findIndex(s => /^INSERT /.test(s));
+				expect(statements[insertInd - 1]).to.match(
+					/^SAVEPOINT x2_tx_\d+_1$/);
+				expect(statements[insertInd + 1]).to.be.equal(
+					'ROLLBACK TO ' + statements[insertInd - 1]);
+				expect(statements.slice(-2)).to.be.deep.equal([
+					'UPDATE accounts AS z SET name = $1 WHERE z.id = $2',
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should fail on other insert errors', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^INSERT /.test(sql))
+					return Object.assign(
+						new Error('null value'), { code: '23502' });
+			});
+
+			return expectRejected(UPSERT_B(
+				createDBOFactory({ 'Account': ACCOUNT })
+			).execute(connection)).then(err => {
+				expect(err.code).to.be.equal('23502');
+				expect(connection.statements.pop()).to.be.equal('ROLLBACK');
+			});
+		});
+
+		it('should restore soft-deleted record', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT z\.id AS "id"/.test(sql))
+					return {
+						rows: [
+							[ 1, 'a@example.com', 'B', new Date(0), null, null ]
+						]
+					};
+			});
+
+			return UPSERT_B(
+				createDBOFactory({ 'Account': SOFT_DELETED_ACCOUNT })
+			).execute(connection).then(result => {
+				expect(result).to.be.deep.equal({
+					recordId: 1, created: false, updated: true
+				});
+				const statements = connection.statements;
+				expect(statements[1]).to.not.match(/deleted_on/);
+				expect(statements.slice(-2)).to.be.deep.equal([
+					'UPDATE accounts AS z SET deleted_on = NULL WHERE z.id = $1',
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should apply update access filter to existing record', function() {
+
+			const accessFilterCalls = new Array();
+			const connection = mockConnection(sql => {
+				if (/^INSERT /.test(sql))
+					return { rows: [ [ 101 ] ] };
+			});
+
+			return UPSERT_B(createDBOFactory({
+				'Account': Object.assign({
+					accessFilter(actor, operation) {
+						accessFilterCalls.push(operation);
+						return [ [ 'name', 'A' ] ];
+					}
+				}, ACCOUNT)
+			})).execute(connection, null).then(() => {
+				expect(accessFilterCalls).to.be.deep.equal([ 'update' ]);
+				expect(connection.statements[1]).to.match(
+					/WHERE z\.email = \$1 AND z\.name = \$2/);
+			});
+		});
+
+		it('should apply update access filter to record update', function() {
+
+			const accessFilterCalls = new Array();
+			const connection = mockConnection(sql => {
+				if (/^SELECT z\.id AS "id"/.test(sql))
+					return { rows: [ [ 1, 'a@example.com', 'A', null, null ] ] };
+			});
+
+			return UPSERT_B(createDBOFactory({
+				'Account': Object.assign({
+					accessFilter(actor, operation) {
+						accessFilterCalls.push(operation);
+						return [ [ 'name', 'A' ] ];
+					}
+				}, ACCOUNT)
+			})).execute(connection, null).then(() => {
+				expect(accessFilterCalls).to.be.deep.equal(
+					[ 'update', 'update' ]);
+				expect(connection.statements.slice(-3)).to.be.deep.equal([
+					'SELECT z.id AS "id" FROM accounts AS z' +
+						' WHERE z.id IN ($1) AND z.name = $2 FOR UPDATE OF z',
+					'UPDATE accounts AS z SET name = $1 WHERE z.id = $2',
+					'COMMIT'
+				]);
+			});
+		});
+	});
+
+	describe('Update DBO', function() {
+
+		const RECORD_TYPES = {
+			'Account': {
+				table: 'accounts',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'version': {
+						valueType: 'number',
+						role: 'version'
+					},
+					'name': {
+						valueType: 'string'
+					}
+				}
+			},
+			'Note': {
+				table: 'notes',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					}
+				}
+			}
+		};
+
+		const accountConnection = () => mockConnection(sql => {
+			if (/^SELECT/.test(sql))
+				return { rows: [ [ 1, 5, 'A' ] ] };
+		});
+
+		const renameDBO = dboFactory => dboFactory.buildUpdate('Account', [
+			{ op: 'replace', path: '/name', value: 'B' }
+		], [
+			[ 'id', 1 ]
+		], { expectedVersion: dbos.param('version') });
+
+		it('should validate expected version option', function() {
+
+			const dboFactory = createDBOFactory(RECORD_TYPES);
+
+			expect(() => dboFactory.buildUpdate('Note', [], [
+				[ 'id', 1 ]
+			], { expectedVersion: 1 })).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildUpdate('Account', [], [
+				[ 'id', 1 ]
+			], { expectedVersion: '1' })).to.throw(common.X2UsageError);
+		});
+
+		it('should reject update of record with other version', function() {
+
+			const connection = accountConnection();
+
+			return expectRejected(renameDBO(
+				createDBOFactory(RECORD_TYPES)
+			).execute(connection, null, null, { version: 4 })).then(err => {
+				expect(err).to.be.instanceOf(dbos.X2VersionConflictError);
+				expect(err.recordId).to.be.equal(1);
+				expect(err.expectedVersion).to.be.equal(4);
+				expect(err.actualVersion).to.be.equal(5);
+				expect(connection.statements.pop()).to.be.equal('ROLLBACK');
+			});
+		});
+
+		it('should update record with expected version', function() {
+
+			const connection = accountConnection();
+
+			return renameDBO(
+				createDBOFactory(RECORD_TYPES)
+			).execute(connection, null, null, { version: 5 }).then(result => {
+				expect(result.updatedRecordIds).to.be.deep.equal([ 1 ]);
+				expect(result.records[0].version).to.be.equal(6);
+				expect(connection.statements.slice(-2)).to.be.deep.equal([
+					'UPDATE accounts AS z SET version = $1, name = $2' +
+						' WHERE z.id = $3',
+					'COMMIT'
+				]);
+				expect(connection.queries[2].values).to.be.deep.equal(
+					[ 6, 'B', 1 ]);
+			});
+		});
+	});
+
+	describe('Delete DBO', function() {
+
+		const ORDER = {
+			table: 'orders',
+			softDelete: {
+				property: 'deletedOn',
+				actorProperty: 'deletedBy'
+			},
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'deletedOn': {
+					valueType: 'datetime',
+					optional: true
+				},
+				'deletedBy': {
+					valueType: 'string',
+					optional: true
+				}
+			}
+		};
+
+		const orderConnection = () => mockConnection(sql => {
+			if (/^UPDATE/.test(sql))
+				return { rowCount: 2 };
+		});
+
+		it('should require datetime soft delete property', function() {
+
+			expect(() => createDBOFactory({
+				'Note': noteRecordType({ softDelete: { property: 'text' } })
+			})).to.throw(common.X2UsageError);
+		});
+
+		it('should require actor to soft delete with actor', function() {
+
+			const deleteDBO = createDBOFactory({ 'Order': ORDER }).buildDelete(
+				'Order', [ [ 'id', 1 ] ]);
+
+			expect(() => deleteDBO.execute(orderConnection(), null)).to.throw(
+				common.X2UsageError);
+		});
+
+		it('should soft delete records', function() {
+
+			const connection = orderConnection();
+
+			return createDBOFactory({ 'Order': ORDER }).buildDelete('Order', [
+				[ 'id => in', 1, 2 ]
+			]).execute(connection, { stamp: 'admin' }).then(result => {
+				expect(result).to.be.deep.equal({ 'Order': 2 });
+				expect(connection.statements).to.be.deep.equal([
+					'BEGIN',
+					'UPDATE orders AS z SET deletedOn = $1, deletedBy = $2' +
+						' WHERE z.id IN ($3, $4) AND z.deletedOn IS NULL',
+					'COMMIT'
+				]);
+				expect(connection.queries[1].values[1]).to.be.equal('admin');
+			});
+		});
+
+		it('should exclude soft deleted records from fetches', function() {
+
+			const dboFactory = createDBOFactory({ 'Order': ORDER });
+			const connection = orderConnection();
+
+			return dboFactory.buildFetch('Order', {
+				filter: [ [ 'id', 1 ] ]
+			}).execute(connection, null).then(() => {
+				expect(connection.statements[1]).to.match(
+					/ WHERE z\.id = \$1 AND z\.deletedOn IS NULL/);
+				connection.statements.length = 0;
+				return dboFactory.buildFetch('Order', {
+					filter: [ [ 'id', 1 ] ],
+					includeDeleted: true
+				}).execute(connection, null);
+			}).then(() => {
+				expect(connection.statements[1]).to.match(
+					/ WHERE z\.id = \$1\)?$/);
+			});
+		});
+
+		it('should exclude soft deleted records referred via link table',
+			function() {
+
+				const dboFactory = createDBOFactory({
+					'Customer': {
+						table: 'customers',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'orderRefs': {
+								valueType: 'ref(Order)[]',
+								reverseRefProperty: 'customerRef',
+								optional: true
+							}
+						}
+					},
+					'Order': {
+						table: 'orders',
+						softDelete: ORDER.softDelete,
+						properties: Object.assign({
+							'customerRef': {
+								valueType: 'ref(Customer)',
+								table: 'order_customers',
+								parentIdColumn: 'order_id',
+								column: 'customer_id'
+							}
+						}, ORDER.properties)
+					}
+				});
+				const connection = mockConnection();
+
+				return dboFactory.buildFetch('Customer', {
+					props: [ 'id' ],
+					filter: [ [ 'orderRefs => !empty' ] ]
+				}).execute(connection, null).then(() => {
+					expect(connection.statements[1]).to.be.equal(
+						'SELECT z.id AS "id" FROM customers AS z WHERE EXISTS' +
+							' (SELECT 1 FROM order_customers AS z_a' +
+							' INNER JOIN orders AS z_aa' +
+							' ON z_aa.id = z_a.order_id' +
+							' AND z_aa.deletedOn IS NULL' +
+							' WHERE z_a.customer_id = z.id)');
+					connection.statements.length = 0;
+					return dboFactory.buildFetch('Customer', {
+						props: [ 'orderRefs' ]
+					}).execute(connection, null);
+				}).then(() => {
+					expect(connection.statements[1]).to.be.equal(
+						'SELECT z.id AS "id", zaa.id AS "orderRefs",' +
+							' zaa.id AS "a$id" FROM customers AS z' +
+							' LEFT OUTER JOIN order_customers AS za' +
+							' ON za.customer_id = z.id' +
+							' LEFT OUTER JOIN orders AS zaa' +
+							' ON zaa.id = za.order_id' +
+							' AND zaa.deletedOn IS NULL ORDER BY z.id');
+				});
+			});
+	});
+
+	describe('Change History', function() {
+
+		const NOTE = noteRecordType({ historyTable: 'notes_history' });
+
+		const historyEntry = (recordId, operation, data) => ({
+			record_id: recordId,
+			executed_on: new Date(Date.UTC(2017, 0, 1)),
+			actor: 'admin',
+			operation: operation,
+			data: JSON.stringify(data)
+		});
+
+		it('should generate history table', function() {
+
+			expect(createDBOFactory({ 'Note': NOTE }).generateSchema()[1])
+				.to.be.equal(
+					'CREATE TABLE notes_history (\n' +
+						'\tid SERIAL NOT NULL,\n' +
+						'\trecord_id INTEGER NOT NULL,\n' +
+						'\texecuted_on TIMESTAMP NOT NULL,\n' +
+						'\tactor VARCHAR(255),\n' +
+						'\toperation VARCHAR(255) NOT NULL,\n' +
+						'\tdata TEXT NOT NULL,\n' +
+						'\tPRIMARY KEY (id)\n)');
+		});
+
+		it('should write record history', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT/.test(sql))
+					return { rows: [ [ 1, 'A' ] ] };
+				return { rows: [ [ 1 ] ] };
+			});
+
+			return createDBOFactory({ 'Note': NOTE }).buildUpdate('Note', [
+				{ op: 'test', path: '/text', value: 'A' },
+				{ op: 'replace', path: '/text', value: 'B' }
+			], [
+				[ 'id', 1 ]
+			]).execute(connection, { stamp: 'admin' }).then(() => {
+				const historyInsert = connection.queries.find(
+					q => /^INSERT INTO notes_history /.test(q.text));
+				expect(historyInsert.text).to.be.equal(
+					'INSERT INTO notes_history' +
+						' (record_id, executed_on, actor, operation, data)' +
+						' VALUES ($1, $2, $3, $4, $5)');
+				expect(historyInsert.values[0]).to.be.equal(1);
+				expect(historyInsert.values.slice(2)).to.be.deep.equal([
+					'admin',
+					'update',
+					'[{"op":"replace","path":"/text","value":"B"}]'
+				]);
+			});
+		});
+
+		it('should read record history', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT .* FROM notes_history /.test(sql))
+					return {
+						rows: [ historyEntry(1, 'update', [
+							{ op: 'replace', path: '/text', value: 'B' } ]) ]
+					};
+			});
+
+			return createDBOFactory({ 'Note': NOTE }).buildHistoryFetch(
+				'Note', 1
+			).execute(connection, null).then(entries => {
+				expect(connection.statements[1]).to.be.equal(
+					'SELECT executed_on AS executed_on, actor AS actor,' +
+						' operation AS operation, data AS data' +
+						' FROM notes_history WHERE record_id = $1 ORDER BY id');
+				expect(connection.queries[1].values).to.be.deep.equal([ 1 ]);
+				expect(entries).to.be.deep.equal([ {
+					executedOn: '2017-01-01T00:00:00.000Z',
+					actor: 'admin',
+					operation: 'update',
+					data: [ { op: 'replace', path: '/text', value: 'B' } ]
+				} ]);
+			});
+		});
+
+		it('should require history table to read history', function() {
+
+			expect(() => createDBOFactory({
+				'Note': noteRecordType()
+			}).buildHistoryFetch('Note', 1)).to.throw(common.X2UsageError);
+		});
+
+		it('should fetch records as of a moment', function() {
+
+			const dboFactory = createDBOFactory({
+				'Note': noteRecordType({
+					historyTable: 'notes_history',
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'version': {
+							valueType: 'number',
+							role: 'version'
+						},
+						'text': {
+							valueType: 'string'
+						},
+						'tags': {
+							valueType: 'string[]',
+							table: 'note_tags',
+							parentIdColumn: 'note_id',
+							optional: true
+						}
+					}
+				})
+			});
+			const connection = mockConnection(sql => {
+				if (/^SELECT .* FROM notes_history /.test(sql))
+					return {
+						rows: [
+							historyEntry(1, 'insert', {
+								id: 1, text: 'A', tags: [ 'x', 'y' ] }),
+							historyEntry(2, 'insert', { id: 2, text: 'C' }),
+							historyEntry(1, 'update', [
+								{ op: 'replace', path: '/text', value: 'B' },
+								{ op: 'remove', path: '/tags/0' },
+								{ op: 'add', path: '/tags/-', value: 'z' }
+							]),
+							historyEntry(2, 'delete', { id: 2, text: 'C' })
+						]
+					};
+			});
+
+			return dboFactory.buildFetch('Note', {
+				filter: [ [ 'id => oneof', dbos.param('ids') ] ],
+				asOf: new Date(Date.UTC(2017, 2, 1))
+			}).execute(connection, null, { ids: [ 1, 2 ] }).then(result => {
+				const query = connection.queries[1];
+				expect(query.text).to.be.equal(
+					'SELECT record_id AS record_id,' +
+						' executed_on AS executed_on, actor AS actor,' +
+						' operation AS operation, data AS data' +
+						' FROM notes_history WHERE executed_on <= $1' +
+						' AND record_id IN ($2, $3) ORDER BY id');
+				expect(query.values.slice(1)).to.be.deep.equal([ 1, 2 ]);
+				expect(result).to.be.deep.equal({
+					recordTypeName: 'Note',
+					records: [ {
+						id: 1, version: 2, text: 'B', tags: [ 'y', 'z' ] } ]
+				});
+			});
+		});
+
+		it('should fail as-of queries for records without insert entry',
+			function() {
+
+				const connection = mockConnection(sql => {
+					if (/^SELECT .* FROM notes_history /.test(sql))
+						return {
+							rows: [
+								historyEntry(1, 'update', [
+									{ op: 'replace', path: '/text', value: 'B' }
+								])
+							]
+						};
+				});
+
+				const fetchDBO = createDBOFactory({ 'Note': NOTE }).buildFetch(
+					'Note', {
+						filter: [ [ 'id', 1 ] ],
+						asOf: new Date(Date.UTC(2017, 2, 1))
+					});
+
+				return expectRejected(
+					fetchDBO.execute(connection, null)
+				).then(err => {
+					expect(err).to.be.instanceof(common.X2DataError);
+					expect(err.message).to.match(/Note#1 has no "insert" entry/);
+				});
+			});
+
+		it('should reject unsupported as-of queries', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': NOTE });
+
+			expect(() => dboFactory.buildFetch('Note', {
+				asOf: new Date(),
+				filter: [ [ 'text', 'A' ] ]
+			})).to.throw(common.X2UsageError);
+			expect(() => dboFactory.buildFetch('Note', {
+				asOf: new Date(),
+				filter: [ [ 'id', 1 ] ],
+				order: [ 'id' ]
+			})).to.throw(common.X2UsageError);
+		});
+
+		it('should require record id filter for as-of queries', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': NOTE });
+
+			expect(() => dboFactory.buildFetch('Note', {
+				asOf: new Date()
+			})).to.throw(common.X2UsageError, /record id test is required/);
+			expect(() => dboFactory.buildFetch('Note', {
+				asOf: new Date(),
+				filter: []
+			})).to.throw(common.X2UsageError, /record id test is required/);
+		});
+	});
+
+	describe('Multi-Tenancy', function() {
+
+		const buildRecordTypes = orgIdModifiable => records.with(
+			rsparser, dbos
+		).buildLibrary({
+			tenant: {
+				actorProperty: 'orgId'
+			},
+			recordTypes: {
+				'Note': {
+					table: 'notes',
+					tenantProperty: 'orgId',
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'orgId': {
+							valueType: 'string',
+							column: 'org_id',
+							modifiable: orgIdModifiable
+						},
+						'text': {
+							valueType: 'string'
+						}
+					}
+				}
+			}
+		});
+		const noteConnection = () => mockConnection(sql => {
+			if (/^INSERT/.test(sql))
+				return { rows: [ [ 1 ] ] };
+		});
+
+		it('should require non-modifiable tenant property', function() {
+
+			expect(() => buildRecordTypes(undefined)).to.throw(
+				common.X2UsageError);
+		});
+
+		it('should filter fetched records by tenant', function() {
+
+			const dboFactory = dbos.createDBOFactory(
+				buildRecordTypes(false), 'pg');
+			const connection = noteConnection();
+
+			return dboFactory.buildFetch('Note', {
+				filter: [ [ 'text', 'A' ] ]
+			}).execute(connection, { stamp: 'admin', orgId: 'org1' }).then(() => {
+				const query = connection.queries[1];
+				expect(query.text).to.match(
+					/ WHERE z\.text = \$1 AND z\.org_id = \$2$/);
+				expect(query.values).to.be.deep.equal([ 'A', 'org1' ]);
+			});
+		});
+
+		it('should insert records for transaction tenant', function() {
+
+			const dboFactory = dbos.createDBOFactory(
+				buildRecordTypes(false), 'pg');
+			const connection = noteConnection();
+
+			return dboFactory.createTxFactory(
+				mockDataSource(connection)
+			).executeTransaction(tx => dboFactory.buildInsert('Note', {
+				orgId: 'org3', text: 'B'
+			}).execute(tx, { stamp: 'admin', orgId: 'org1' }), {
+				tenantId: 'org2'
+			}).then(() => {
+				const query = connection.queries[1];
+				expect(query.text).to.be.equal(
+					'INSERT INTO notes (org_id, text) VALUES ($1, $2)' +
+						' RETURNING id');
+				expect(query.values).to.be.deep.equal([ 'org2', 'B' ]);
+			});
+		});
+
+		it('should check tenant of records provided by fetcher', function() {
+
+			const dboFactory = dbos.createDBOFactory(
+				buildRecordTypes(false), 'pg');
+			const updateText = orgId => dboFactory.buildUpdate('Note', [
+				{ op: 'replace', path: '/text', value: 'B' }
+			], () => [ { id: 1, orgId: orgId, text: 'A' } ]);
+			const actor = { stamp: 'admin', orgId: 'org1' };
+			const otherConnection = noteConnection();
+			const ownConnection = noteConnection();
+
+			return expectRejected(updateText('org2').execute(
+				otherConnection, actor
+			)).then(err => {
+				expect(err).to.be.an.instanceof(common.X2UsageError);
+				expect(otherConnection.statements).to.be.deep.equal([
+					'BEGIN', 'ROLLBACK' ]);
+				return updateText('org1').execute(ownConnection, actor);
+			}).then(() => {
+				expect(ownConnection.statements).to.be.deep.equal([
+					'BEGIN',
+					'UPDATE notes AS z SET text = $1 WHERE z.id = $2',
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should require a tenant', function() {
+
+			const dboFactory = dbos.createDBOFactory(
+				buildRecordTypes(false), 'pg');
+
+			return expectRejected(dboFactory.buildFetch('Note').execute(
+				noteConnection(), null
+			)).then(err => {
+				expect(err).to.be.an.instanceof(common.X2UsageError);
+				expect(err.message).to.match(/requires a tenant/);
+			});
+		});
+	});
+
+	describe('Access Filters', function() {
+
+		const NOTE = {
+			table: 'notes',
+			accessFilter(actor, operation) {
+				if (actor.stamp === 'admin')
+					return null;
+				if (actor.stamp === 'broken')
+					return 'owner';
+				return [ [ 'owner', actor.stamp ] ].concat(
+					operation === 'delete' ? [ [ 'locked', false ] ] : []);
+			},
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'owner': {
+					valueType: 'string'
+				},
+				'locked': {
+					valueType: 'boolean'
+				}
+			}
+		};
+
+		const lastStatement = (connection, prefix) => connection.statements
+			.filter(sql => sql.startsWith(prefix)).pop();
+
+		it('should require access filter function', function() {
+
+			expect(() => createDBOFactory({
+				'Note': Object.assign({}, NOTE, { accessFilter: 'owner' })
+			})).to.throw(common.X2UsageError);
+		});
+
+		it('should combine access filter with fetch filter', function() {
+
+			const fetchDBO = createDBOFactory({ 'Note': NOTE }).buildFetch(
+				'Note', { filter: [ [ 'id', 1 ] ] });
+			const connection = mockConnection();
+
+			return fetchDBO.execute(connection, { stamp: 'bob' }).then(() => {
+				expect(lastStatement(connection, 'SELECT')).to.match(
+					/ WHERE z\.id = \$1 AND z\.owner = \$2$/);
+				return fetchDBO.execute(connection, { stamp: 'admin' });
+			}).then(() => {
+				expect(lastStatement(connection, 'SELECT')).to.match(
+					/ WHERE z\.id = \$1$/);
+			});
+		});
+
+		it('should apply access filter to deletes', function() {
+
+			const connection = mockConnection();
+
+			return createDBOFactory({ 'Note': NOTE }).buildDelete('Note', [
+				[ 'id', 1 ]
+			]).execute(connection, { stamp: 'bob' }).then(() => {
+				expect(lastStatement(connection, 'DELETE')).to.match(
+					/ WHERE z\.id = \$1 AND z\.owner = \$2 AND z\.locked = \$3$/
+				);
+			});
+		});
+
+		it('should reuse DBOs built for access filter', function() {
+
+			const fetchDBO = createDBOFactory({ 'Note': NOTE }).buildFetch(
+				'Note', { filter: [ [ 'id', 1 ] ] });
+			const bobDBO = fetchDBO._getDBO({ stamp: 'bob' });
+
+			expect(fetchDBO._getDBO({ stamp: 'bob' })).to.be.equal(bobDBO);
+			expect(fetchDBO._getDBO({ stamp: 'alice' })).to.not.be.equal(
+				bobDBO);
+			expect(fetchDBO._getDBO({ stamp: 'admin' })).to.be.equal(
+				fetchDBO._unfilteredDBO);
+		});
+
+		it('should apply access filter to fetcher updates', function() {
+
+			const connection = mockConnection(sql => {
+				if (/^SELECT /.test(sql))
+					return { rows: [ [ 2 ] ] };
+				if (/^UPDATE /.test(sql))
+					return { rowCount: 1 };
+			});
+
+			return createDBOFactory({ 'Note': NOTE }).buildUpdate('Note', [
+				{ op: 'replace', path: '/locked', value: true }
+			], () => [
+				{ id: 1, owner: 'alice', locked: false },
+				{ id: 2, owner: 'bob', locked: false }
+			]).execute(connection, { stamp: 'bob' }).then(result => {
+				expect(connection.statements).to.be.deep.equal([
+					'BEGIN',
+					'SELECT z.id AS "id" FROM notes AS z' +
+						' WHERE z.id IN ($1, $2) AND z.owner = $3' +
+						' FOR UPDATE OF z',
+					'UPDATE notes AS z SET locked = $1 WHERE z.id = $2',
+					'COMMIT'
+				]);
+				expect(result.updatedRecordIds).to.be.deep.equal([ 2 ]);
+			});
+		});
+
+		it('should reject invalid access filter result', function() {
+
+			const fetchDBO = createDBOFactory({ 'Note': NOTE }).buildFetch(
+				'Note');
+
+			expect(() => fetchDBO.execute(mockConnection(), {
+				stamp: 'broken'
+			})).to.throw(common.X2UsageError);
+		});
+	});
+
+	describe('Record Collections Monitors', function() {
+
+		const versionsConnection = () => mockConnection(sql => {
+			if (/^SELECT v\.name /.test(sql))
+				return {
+					rows: [ {
+						name: 'Note',
+						modified_on: new Date('2018-01-01T00:00:00Z'),
+						version: 5
+					} ]
+				};
+			if (/^INSERT INTO notes /.test(sql))
+				return { rows: [ [ 1 ] ] };
+			if (/^UPDATE /.test(sql))
+				return { rowCount: 1 };
+		});
+
+		it('should create versions table', function() {
+
+			const connection = versionsConnection();
+
+			return createDBOFactory({
+				'Note': noteRecordType()
+			}).createRecordCollectionsMonitor(mockDataSource(connection), {
+				table: 'versions'
+			}).then(monitor => {
+				expect(monitor.tableName).to.be.equal('versions');
+				expect(connection.statements).to.include(
+					'INSERT INTO versions (name, modified_on, version)' +
+						' VALUES (\'Note\', CURRENT_TIMESTAMP, 0)');
+			});
+		});
+
+		it('should update versions in DBO transaction', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const connection = versionsConnection();
+			const ds = mockDataSource(connection);
+
+			return dboFactory.createRecordCollectionsMonitor(ds).then(monitor => {
+				dboFactory.setRecordCollectionsMonitor(monitor);
+				connection.statements.length = 0;
+				return dboFactory.createTxFactory(ds).executeTransaction(
+					tx => dboFactory.buildInsert('Note', { text: 'A' }).execute(
+						tx, null));
+			}).then(() => {
+				expect(connection.statements[2]).to.match(
+					/^UPDATE record_collections SET modified_on = '[^']+',/);
+				expect(connection.statements[3]).to.be.equal('COMMIT');
+			});
+		});
+
+		it('should query collection versions with locks', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const connection = versionsConnection();
+			const ds = mockDataSource(connection);
+
+			return dboFactory.createRecordCollectionsMonitor(ds, {
+				table: 'versions'
+			}).then(monitor => dboFactory.createTxFactory(ds).executeTransaction(
+				tx => monitor.getCollectionsVersion(tx, 'Note', 'shared')
+			)).then(result => {
+				expect(connection.statements.slice(-2)).to.be.deep.equal([
+					'SELECT v.name AS name, v.modified_on AS modified_on,' +
+						' v.version AS version FROM versions AS v' +
+						' WHERE v.name IN (\'Note\') FOR SHARE OF v',
+					'COMMIT'
+				]);
+				expect(result.version).to.be.equal(5);
+				expect(result.modifiedOn.toISOString()).to.be.equal(
+					'2018-01-01T00:00:00.000Z');
+			});
+		});
+
+		it('should reject invalid lock type', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const ds = mockDataSource(versionsConnection());
+
+			expect(() => dboFactory.createRecordCollectionsMonitor(ds, {
+				table: 5
+			})).to.throw(common.X2UsageError);
+			return dboFactory.createRecordCollectionsMonitor(ds).then(
+				monitor => expectRejected(dboFactory.createTxFactory(
+					ds
+				).executeTransaction(
+					tx => monitor.lockCollections(tx, 'Note', 'update')))
+			).then(err => {
+				expect(err).to.be.an.instanceof(common.X2UsageError);
+			});
+		});
+	});
+
+	describe('Record Change Events', function() {
+
+		const insertConnection = () => {
+			let nextId = 1;
+			return mockConnection(sql => {
+				if (/^INSERT INTO notes /.test(sql))
+					return { rows: [ [ nextId++ ] ] };
+			});
+		};
+		const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+		it('should emit events after commit', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const txFactory = dboFactory.createTxFactory(
+				mockDataSource(insertConnection()));
+
+			const events = new Array();
+			dboFactory.on('recordChange', event => { events.push(event); });
+
+			const actor = { stamp: 'admin' };
+			return txFactory.executeTransaction(
+				tx => dboFactory.buildInsert('Note', { text: 'A' }).execute(
+					tx, actor).then(() => {
+					expect(events).to.be.empty;
+				})
+			).then(nextTick).then(() => {
+				expect(events.length).to.be.equal(1);
+				expect(events[0].recordTypeName).to.be.equal('Note');
+				expect(events[0].recordId).to.be.equal(1);
+				expect(events[0].operation).to.be.equal('insert');
+				expect(events[0].actor).to.be.equal(actor);
+			});
+		});
+
+		it('should not emit events for rolled back changes', function() {
+
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const txFactory = dboFactory.createTxFactory(
+				mockDataSource(insertConnection()));
+
+			const events = new Array();
+			dboFactory.on('recordChange', event => { events.push(event); });
+
+			return expectRejected(txFactory.executeTransaction(
+				tx => dboFactory.buildInsert('Note', { text: 'A' }).execute(
+					tx, null).then(() => Promise.reject(new Error('rollback')))
+			)).then(nextTick).then(() => {
+				expect(events).to.be.empty;
+			});
+		});
+	});
+
+	describe('Outbox', function() {
+
+		const outboxConnection = () => mockConnection(sql => {
+			if (/^INSERT INTO /.test(sql))
+				return { rows: [ [ 1 ] ] };
+			if (/^SELECT o\.id /.test(sql))
+				return {
+					rows: [ {
+						id: 7,
+						created_on: new Date('2018-01-01T00:00:00Z'),
+						topic: 'Note',
+						payload: '{"recordId":1}'
+					} ]
+				};
+			if (/^UPDATE outbox /.test(sql))
+				return { rowCount: 1 };
+		});
+		const outboxInsert = connection => connection.queries.find(
+			q => /^INSERT INTO outbox /.test(q.text || q));
+
+		it('should validate outbox attributes', function() {
+
+			expect(() => createDBOFactory({
+				'Note': noteRecordType({ outboxTable: '' })
+			})).to.throw(common.X2UsageError);
+			expect(() => createDBOFactory({
+				'Note': noteRecordType({ outboxMessage() {} })
+			})).to.throw(common.X2UsageError);
+		});
+
+		it('should write messages for record changes', function() {
+
+			const dboFactory = createDBOFactory({
+				'Note': noteRecordType({ outboxTable: 'outbox' })
+			});
+			const connection = outboxConnection();
+
+			return dboFactory.buildInsert('Note', { text: 'A' }).execute(
+				connection, null
+			).then(() => {
+				const insert = outboxInsert(connection);
+				expect(insert.text).to.be.equal(
+					'INSERT INTO outbox (created_on, topic, payload)' +
+						' VALUES ($1, $2, $3)');
+				expect(insert.values[1]).to.be.equal('Note');
+				expect(JSON.parse(insert.values[2])).to.include({
+					recordTypeName: 'Note',
+					recordId: 1,
+					operation: 'insert',
+					actor: null
+				});
+				expect(connection.statements.pop()).to.be.equal('COMMIT');
+			});
+		});
+
+		it('should use custom message payload', function() {
+
+			const dboFactory = createDBOFactory({
+				'Note': noteRecordType({
+					outboxTable: 'outbox',
+					outboxMessage(event) {
+						return (event.recordId === 1 ? { note: 1 } : null);
+					}
+				})
+			});
+			const connection = outboxConnection();
+
+			return dboFactory.buildInsert('Note', { text: 'A' }).execute(
+				connection, null
+			).then(() => {
+				expect(outboxInsert(connection).values[2]).to.be.equal(
+					'{"note":1}');
+			});
+		});
+
+		it('should dispatch polled messages', function() {
+
+			const dboFactory = createDBOFactory({});
+			const connection = outboxConnection();
+			const poller = dboFactory.createOutboxPoller('outbox');
+
+			const dispatched = new Array();
+			return poller.dispatchBatch(
+				dboFactory.createTxFactory(mockDataSource(connection)),
+				messages => { dispatched.push(...messages); }, 10
+			).then(count => {
+				expect(count).to.be.equal(1);
+				expect(dispatched).to.be.deep.equal([ {
+					id: 7,
+					createdOn: new Date('2018-01-01T00:00:00Z'),
+					topic: 'Note',
+					payload: { recordId: 1 }
+				} ]);
+				expect(connection.statements[1]).to.match(
+					/ LIMIT 10 FOR UPDATE OF o SKIP LOCKED$/);
+				expect(connection.statements[2]).to.be.equal(
+					'UPDATE outbox SET dispatched_on = $1 WHERE id IN ($2)');
+				expect(connection.queries[2].values[1]).to.be.equal(7);
+			});
+		});
+
+		it('should lock polled messages without skipping in old mysql',
+			function() {
+
+				const recordTypes = records.with(rsparser, dbos).buildLibrary({
+					recordTypes: {}
+				});
+				const poll = options => {
+					const connection = mockMySQLConnection();
+					return dbos.createDBOFactory(
+						recordTypes, 'mysql', options
+					).createOutboxPoller('outbox').poll(
+						{ id: 1, connection: connection }, 10
+					).then(() => connection.statements[0]);
+				};
+
+				return poll().then(sql => {
+					expect(sql).to.match(/ LIMIT 10 FOR UPDATE SKIP LOCKED$/);
+					return poll({ lockWaitModes: false });
+				}).then(sql => {
+					expect(sql).to.match(/ LIMIT 10 FOR UPDATE$/);
+				});
+			});
+
+		it('should keep messages if dispatch fails', function() {
+
+			const dboFactory = createDBOFactory({});
+			const connection = outboxConnection();
+
+			expect(() => dboFactory.createOutboxPoller('')).to.throw(
+				common.X2UsageError);
+			return expectRejected(dboFactory.createOutboxPoller(
+				'outbox'
+			).dispatchBatch(
+				dboFactory.createTxFactory(mockDataSource(connection)),
+				() => Promise.reject(new Error('broker down'))
+			)).then(err => {
+				expect(err.message).to.be.equal('broker down');
+				expect(connection.statements.pop()).to.be.equal('ROLLBACK');
+				expect(connection.statements.some(
+					sql => /^UPDATE outbox /.test(sql))).to.be.false;
+			});
+		});
+	});
+
+	describe('Data Sources', function() {
+
+		// mock pg pool of connections that register their use
+		class MockPool {
+			constructor(name, used) {
+				this.pool = true;
+				this._client = mockConnection(() => {
+					used.push(name);
+				});
+			}
+			connect(cb) {
+				cb(null, this._client, () => {});
+			}
+		}
+
+		const createRouting = () => {
+			const dboFactory = createDBOFactory({ 'Note': noteRecordType() });
+			const used = new Array();
+			const ds = dboFactory.createRoutingDataSource(
+				new MockPool('primary', used),
+				[ new MockPool('replica1', used), new MockPool('replica2', used) ],
+				{ stickyWindow: 60000 }
+			);
+			return {
+				dboFactory: dboFactory,
+				ds: ds,
+				lastUsed() {
+					const res = used[used.length - 1];
+					used.length = 0;
+					return res;
+				}
+			};
+		};
+
+		it('should route reads to replicas', function() {
+
+			const r = createRouting();
+			const fetchDBO = r.dboFactory.buildFetch('Note');
+
+			return r.ds.execute(fetchDBO, { stamp: 'reader' }).then(() => {
+				expect(r.lastUsed()).to.be.equal('replica1');
+				return r.dboFactory.createTxFactory(r.ds).executeTransaction(
+					tx => fetchDBO.execute(tx, null), { readOnly: true });
+			}).then(() => {
+				expect(r.lastUsed()).to.be.equal('replica2');
+				return r.ds.execute(
+					r.dboFactory.buildDelete('Note', [ [ 'id', 1 ] ]), null);
+			}).then(() => {
+				expect(r.lastUsed()).to.be.equal('primary');
+			});
+		});
+
+		it('should route reads after writes to primary', function() {
+
+			const r = createRouting();
+			const fetchDBO = r.dboFactory.buildFetch('Note');
+			const writer = { stamp: 'writer' };
+
+			return r.ds.execute(
+				r.dboFactory.buildDelete('Note', [ [ 'id', 1 ] ]), writer
+			).then(() => {
+				expect(r.lastUsed()).to.be.equal('primary');
+				return r.ds.execute(fetchDBO, writer);
+			}).then(() => {
+				expect(r.lastUsed()).to.be.equal('primary');
+				return r.ds.execute(fetchDBO, { stamp: 'reader' });
+			}).then(() => {
+				expect(r.lastUsed()).to.be.equal('replica1');
+			});
+		});
+
+		it('should route reads after writes by actor without stamp',
+			function() {
+
+				const r = createRouting();
+				const fetchDBO = r.dboFactory.buildFetch('Note');
+				const writer = {};
+
+				return r.ds.execute(
+					r.dboFactory.buildDelete('Note', [ [ 'id', 1 ] ]), writer
+				).then(() => {
+					expect(r.lastUsed()).to.be.equal('primary');
+					return r.ds.execute(fetchDBO, writer);
+				}).then(() => {
+					expect(r.lastUsed()).to.be.equal('primary');
+					return r.ds.execute(fetchDBO, {});
+				}).then(() => {
+					expect(r.lastUsed()).to.be.equal('replica1');
+					return r.ds.getConnection({ readOnly: true, actor: writer });
+				}).then(con => fetchDBO.execute(con, writer).then(() => {
+					r.ds.releaseConnection(con);
+					expect(r.lastUsed()).to.be.equal('primary');
+				}));
+			});
+
+		it('should route locking reads to primary', function() {
+
+			const r = createRouting();
+
+			return r.ds.execute(r.dboFactory.buildFetch('Note', {
+				lock: 'exclusive'
+			}), { stamp: 'reader' }).then(() => {
+				expect(r.lastUsed()).to.be.equal('primary');
+			});
+		});
+
+		it('should route reads after transaction writes to primary',
+			function() {
+
+				const r = createRouting();
+				const txFactory = r.dboFactory.createTxFactory(r.ds);
+				const fetchDBO = r.dboFactory.buildFetch('Note');
+				const deleteDBO = r.dboFactory.buildDelete(
+					'Note', [ [ 'id', 1 ] ]);
+				const writer = { stamp: 'writer' };
+				const anonymousWriter = { stamp: 'anonymous-writer' };
+
+				return txFactory.executeTransaction(
+					tx => deleteDBO.execute(tx, writer), { actor: writer }
+				).then(() => {
+					expect(r.lastUsed()).to.be.equal('primary');
+					return r.ds.execute(fetchDBO, writer);
+				}).then(() => {
+					expect(r.lastUsed()).to.be.equal('primary');
+					return txFactory.executeTransaction(
+						tx => deleteDBO.execute(tx, anonymousWriter));
+				}).then(() => {
+					expect(r.lastUsed()).to.be.equal('primary');
+					return r.ds.execute(fetchDBO, anonymousWriter);
+				}).then(() => {
+					expect(r.lastUsed()).to.be.equal('replica1');
+				});
+			});
+
+		it('should validate routing options', function() {
+
+			const dboFactory = createDBOFactory({});
+			const used = new Array();
+
+			expect(() => dboFactory.createRoutingDataSource(
+				new MockPool('primary', used), []
+			)).to.throw(common.X2UsageError);
+			expect(() => dboFactory.createRoutingDataSource(
+				new MockPool('primary', used), new MockPool('replica', used),
+				{ stickyWindow: -1 }
+			)).to.throw(common.X2UsageError);
+		});
+
+		it('should replace broken connections', function() {
+
+			const destroyed = new Array();
+			class BrokenFirstPool {
+				constructor() {
+					this.pool = true;
+					this._numClients = 0;
+				}
+				connect(cb) {
+					const clientNum = ++this._numClients;
+					const client = mockConnection(() => (
+						clientNum === 1 ? new Error('broken') : undefined));
+					client.num = clientNum;
+					cb(null, client, err => {
+						if (err)
+							destroyed.push(clientNum);
+					});
+				}
+			}
+
+			return createDBOFactory({}).adaptDataSource(
+				new BrokenFirstPool(), { validate: true }
+			).getConnection().then(con => {
+				expect(con.num).to.be.equal(2);
+				expect(destroyed).to.be.deep.equal([ 1 ]);
+			});
+		});
+
+		it('should ping connections with custom driver', function() {
+
+			// driver that relies on the basic driver's default ping
+			class CustomDBDriver extends dbos.BasicDBDriver {
+				connect(source, handler) {
+					handler.onSuccess(source.connections.shift());
+				}
+				releaseConnection(source, connection, err) {
+					if (err)
+						source.destroyed.push(connection.num);
+				}
+				executeQuery(connection, sql, handler) {
+					connection.statements.push(sql);
+					if (connection.broken)
+						throw new Error('broken');
+					handler.onSuccess();
+				}
+			}
+
+			const source = {
+				connections: [
+					{ num: 1, broken: true, statements: new Array() },
+					{ num: 2, broken: false, statements: new Array() }
+				],
+				destroyed: new Array()
+			};
+			return dbos.createDBOFactory(
+				records.with(rsparser, dbos).buildLibrary({ recordTypes: {} }),
+				new CustomDBDriver()
+			).adaptDataSource(source, { validate: true }).getConnection().then(
+				con => {
+					expect(con.num).to.be.equal(2);
+					expect(con.statements).to.be.deep.equal([ 'SELECT 1' ]);
+					expect(source.destroyed).to.be.deep.equal([ 1 ]);
+				});
+		});
+
+		it('should report unavailable database', function() {
+
+			const connectErr = new Error('ECONNREFUSED');
+			class DownPool {
+				constructor() {
+					this.pool = true;
+					this.numAttempts = 0;
+				}
+				connect(cb) {
+					this.numAttempts++;
+					cb(connectErr);
+				}
+			}
+
+			const dboFactory = createDBOFactory({});
+			const downPool = new DownPool();
+			expect(() => dboFactory.adaptDataSource(downPool, {
+				retry: { maxAttempts: 0 }
+			})).to.throw(common.X2UsageError);
+			return expectRejected(dboFactory.adaptDataSource(downPool, {
+				retry: { maxAttempts: 3, backoff: 1 }
+			}).getConnection()).then(err => {
+				expect(err).to.be.instanceof(dbos.X2DatabaseUnavailableError);
+				expect(err.cause).to.be.equal(connectErr);
+				expect(downPool.numAttempts).to.be.equal(3);
+			});
+		});
+	});
+
+	describe('Transactions', function() {
+
+		it('should use savepoints for nested transactions', function() {
+
+			const connection = mockConnection();
+			const txFactory = createDBOFactory({}).createTxFactory(
+				mockDataSource(connection));
+
+			let sp;
+			return txFactory.executeTransaction(tx => txFactory.executeTransaction(
+				ntx => {
+					sp = 'x2_tx_' + tx.id;
+					expect(ntx.id).to.be.equal(tx.id + '.1');
+					return Promise.reject(new Error('nested failure'));
+				}, tx
+			).catch(
+				() => txFactory.executeTransaction(ntx => {
+					expect(ntx.isNested()).to.be.true;
+					expect(ntx.outerTransaction).to.be.equal(tx);
+					expect(() => ntx.outerTransaction.commit()).to.throw(
+						common.X2UsageError);
+					return 'done';
+				}, tx)
+			)).then(result => {
+				expect(result).to.be.equal('done');
+				expect(connection.statements).to.be.deep.equal([
+					'BEGIN',
+					`SAVEPOINT ${sp}_1`,
+					`ROLLBACK TO SAVEPOINT ${sp}_1`,
+					`SAVEPOINT ${sp}_2`,
+					`RELEASE SAVEPOINT ${sp}_2`,
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should start transactions with options', function() {
+
+			const connection = mockConnection();
+			const ds = mockDataSource(connection);
+			const pgTxFactory = createDBOFactory({}, 'pg').createTxFactory(ds);
+			const mysqlTxFactory = createDBOFactory({}, 'mysql').createTxFactory(
+				ds);
+
+			return pgTxFactory.executeTransaction(tx => {
+				expect(tx.options.isolation).to.be.equal('serializable');
+			}, {
+				isolation: 'serializable',
+				readOnly: true,
+				deferrable: true
+			}).then(() => mysqlTxFactory.executeTransaction(() => {}, {
+				isolation: 'repeatable read',
+				readOnly: true
+			})).then(() => {
+				expect(connection.statements).to.be.deep.equal([
+					'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE',
+					'COMMIT',
+					'SET TRANSACTION ISOLATION LEVEL REPEATABLE READ',
+					'START TRANSACTION READ ONLY',
+					'COMMIT'
+				]);
+			});
+		});
+
+		it('should reject invalid transaction options', function() {
+
+			const connection = mockConnection();
+			const txFactory = createDBOFactory({}).createTxFactory(
+				mockDataSource(connection));
+
+			return expectRejected(txFactory.executeTransaction(() => {}, {
+				isolation: 'snapshot'
+			})).then(err => {
+				expect(err).to.be.an.instanceof(common.X2UsageError);
+				expect(connection.statements).to.be.empty;
+			});
+		});
+
+		it('should retry transactions on deadlocks', function() {
+
+			const dboFactory = createDBOFactory({});
+			const ds = mockDataSource(mockConnection());
+			const txFactory = dboFactory.createTxFactory(ds, {
+				retry: { maxAttempts: 3, backoff: 0 }
+			});
+			const deadlock = new Error('deadlock detected');
+			deadlock.code = '40P01';
+
+			let numCalls = 0;
+			return txFactory.executeTransaction(() => (
+				++numCalls < 3 ? Promise.reject(deadlock) : numCalls
+			)).then(result => {
+				expect(result).to.be.equal(3);
+			});
+		});
+
+		it('should not retry transactions on other errors', function() {
+
+			const dboFactory = createDBOFactory({});
+			const ds = mockDataSource(mockConnection());
+
+			expect(() => dboFactory.createTxFactory(ds, {
+				retry: { retryOn: [ 'timeout' ] }
+			})).to.throw(common.X2UsageError);
+
+			let numCalls = 0;
+			return expectRejected(dboFactory.createTxFactory(ds, {
+				retry: { maxAttempts: 3, backoff: 0 }
+			}).executeTransaction(() => {
+				numCalls++;
+				throw new Error('not retryable');
+			})).then(err => {
+				expect(err.message).to.be.equal('not retryable');
+				expect(numCalls).to.be.equal(1);
+			});
+		});
+	});
+
+	describe('SQLite Driver', function() {
+
+		const RECORD_TYPES = {
+			'Org': {
+				table: 'orgs',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'name': {
+						valueType: 'string'
+					}
+				}
+			},
+			'Account': {
+				table: 'accounts',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'version': {
+						valueType: 'number',
+						role: 'version'
+					},
+					'name': {
+						valueType: 'string'
+					},
+					'org': {
+						valueType: 'ref(Org)',
+						column: 'org_id'
+					},
+					'tags': {
+						valueType: 'string[]',
+						table: 'account_tags',
+						parentIdColumn: 'account_id',
+						optional: true
+					}
+				}
+			},
+			'Contact': {
+				table: 'contacts',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'name': {
+						valueType: 'string'
+					},
+					'org': {
+						valueType: 'ref(Org)',
+						column: 'org_id'
+					}
+				}
+			}
+		};
+
+		let db, dboFactory;
+		beforeEach(function() {
+			dboFactory = createDBOFactory(RECORD_TYPES, 'sqlite');
+			db = new Database(':memory:');
+			db.exec(
+				'CREATE TABLE orgs (' +
+					'id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,' +
+					' name TEXT NOT NULL);' +
+				'CREATE TABLE accounts (' +
+					'id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,' +
+					' version INTEGER NOT NULL, name TEXT NOT NULL,' +
+					' org_id INTEGER NOT NULL REFERENCES orgs (id));' +
+				'CREATE TABLE account_tags (' +
+					'account_id INTEGER NOT NULL REFERENCES accounts (id),' +
+					' tags TEXT NOT NULL);' +
+				'CREATE TABLE contacts (' +
+					'id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,' +
+					' name TEXT NOT NULL,' +
+					' org_id INTEGER NOT NULL REFERENCES orgs (id));' +
+				'INSERT INTO orgs (name) VALUES (\'X\'), (\'Y\')');
+		});
+		afterEach(function() {
+			db.close();
+		});
+
+		it('should insert, fetch, update and delete records', function() {
+
+			const fetchAccount = () => dboFactory.buildFetch('Account', {
+				filter: [ [ 'id', 1 ] ]
+			}).execute(db, null).then(result => result.records);
+
+			return dboFactory.buildInsert('Account', {
+				name: 'A', org: 'Org#1', tags: [ 'x', 'y' ]
+			}).execute(db, null).then(id => {
+				expect(id).to.be.equal(1);
+				return fetchAccount();
+			}).then(records => {
+				expect(records).to.be.deep.equal([ {
+					id: 1, version: 1, name: 'A', org: 'Org#1',
+					tags: [ 'x', 'y' ]
+				} ]);
+				return dboFactory.buildUpdate('Account', [
+					{ op: 'replace', path: '/name', value: 'B' },
+					{ op: 'add', path: '/tags/-', value: 'z' }
+				], [ [ 'id', 1 ] ]).execute(db, null);
+			}).then(result => {
+				expect(result.updatedRecordIds).to.be.deep.equal([ 1 ]);
+				return fetchAccount();
+			}).then(records => {
+				expect(records).to.be.deep.equal([ {
+					id: 1, version: 2, name: 'B', org: 'Org#1',
+					tags: [ 'x', 'y', 'z' ]
+				} ]);
+				return dboFactory.buildDelete('Account', [
+					[ 'id', 1 ]
+				]).execute(db, null);
+			}).then(result => {
+				expect(result).to.be.deep.equal({ 'Account': 1 });
+				expect(db.prepare(
+					'SELECT COUNT(*) AS n FROM account_tags'
+				).get().n).to.be.equal(0);
+				return fetchAccount();
+			}).then(records => {
+				expect(records).to.be.deep.equal([]);
+			});
+		});
+
+		it('should bulk insert records with non-consecutive ids', function() {
+
+			db.exec(
+				'CREATE TRIGGER accounts_shadow AFTER INSERT ON accounts' +
+					' BEGIN INSERT INTO accounts (version, name, org_id)' +
+					' VALUES (1, \'~\' || NEW.name, NEW.org_id); END');
+
+			return dboFactory.buildBulkInsert('Account', [
+				{ name: 'A', org: 'Org#1', tags: [ 'x' ] },
+				{ name: 'B', org: 'Org#2', tags: [ 'y' ] }
+			]).execute(db, null).then(ids => {
+				expect(ids).to.be.deep.equal([ 1, 3 ]);
+				expect(db.prepare(
+					'SELECT a.name, t.tags FROM accounts AS a' +
+						' INNER JOIN account_tags AS t ON t.account_id = a.id' +
+						' ORDER BY a.id'
+				).all()).to.be.deep.equal([
+					{ name: 'A', tags: 'x' }, { name: 'B', tags: 'y' }
+				]);
+			});
+		});
+
+		it('should delete records filtered by referred records', function() {
+
+			db.exec(
+				'INSERT INTO contacts (name, org_id) VALUES' +
+					' (\'A\', 1), (\'B\', 2), (\'C\', 1)');
+			const statements = new Array();
+			const prepare = db.prepare;
+			db.prepare = function(sql) {
+				statements.push(sql);
+				return prepare.apply(this, arguments);
+			};
+
+			return dboFactory.buildDelete('Contact', [
+				[ 'org.name', 'X' ]
+			]).execute(db, null).then(result => {
+				expect(result).to.be.deep.equal({ 'Contact': 2 });
+				expect(statements).to.include(
+					'DELETE FROM contacts AS z WHERE EXISTS' +
+						' (SELECT 1 FROM orgs AS za WHERE za.id = z.org_id' +
+						' AND za.name = ?)');
+				expect(db.prepare(
+					'SELECT name FROM contacts'
+				).all()).to.be.deep.equal([ { name: 'B' } ]);
+			});
+		});
+	});
 });